@@ -5,8 +5,24 @@ class SVGEditor {
         this.selectionManager = new ElementSelectionManager(this);
         this.nodeSelectionManager = new NodeSelectionManager(this);
         this.boundingBoxManager = new BoundingBoxManager(this);
+        this.alignManager = new AlignManager(this);
         this.layerManager = new LayerManager(this);
         this.historyManager = new HistoryManager(this);
+        this.pathDataParser = new PathDataParser(this);
+        this.transformParser = new TransformParser(this);
+        this.pathGeometry = new PathGeometry(this);
+        this.fontParser = new FontParser(this);
+        this.pathBooleanOperations = new PathBooleanOperations(this);
+        this.shapeConverter = new ShapeConverter(this);
+        this.strokeOutliner = new StrokeOutliner(this);
+        this.pathOffset = new PathOffset(this);
+        this.pathSimplifier = new PathSimplifier(this);
+        this.pathNodeEditor = new PathNodeEditor(this);
+        this.pathJoiner = new PathJoiner(this);
+        this.pathDirection = new PathDirection(this);
+        this.pathCutter = new PathCutter(this);
+        this.textOnPath = new TextOnPath(this);
+        this.textOutliner = new TextOutliner(this);
         
         // Initialize tools
         this.selectTool = new SelectTool(this);
@@ -14,6 +30,13 @@ class SVGEditor {
         this.marqueeTool = new MarqueeTool(this);
         this.penTool = new PenTool(this);
         this.pathTool = new PathTool(this);
+        this.knifeTool = new KnifeTool(this);
+        this.rectangleTool = new RectangleTool(this);
+        this.ellipseTool = new EllipseTool(this);
+        this.starTool = new StarTool(this);
+        this.lineTool = new LineTool(this);
+        this.pencilTool = new PencilTool(this);
+        this.textTool = new TextTool(this);
         // Keep selectedElements as a getter for backward compatibility
         Object.defineProperty(this, 'selectedElements', {
             get: function() { return this.selectionManager.selectedElements; }
@@ -52,12 +75,14 @@ class SVGEditor {
         this.pendingSelectionNodeMultiSelect = false; // Track if pending node selection is multi-select
         this.lastValidStrokeWidth = 1; // Track last valid stroke width
         
-        // Load tangency constraint setting from localStorage or use default (true)
-        this.maintainTangency = localStorage.getItem('svgEditorMaintainTangency') !== 'false';
+        // Whether dragging a handle moves the opposite handle as the node's type demands
+        this.constrainNodeHandles = true;
         
         // Load DPI from localStorage or use default (96 DPI is standard)
         this.dpi = parseFloat(localStorage.getItem('svgEditorDPI')) || 96;
         this.transformUnit = localStorage.getItem('svgEditorTransformUnit') || 'px';
+        // Reference point of the Transform panel, as fractions of the bounds (0.5 = center)
+        this.transformReference = JSON.parse(localStorage.getItem('svgEditorTransformReference') || 'null') || { x: 0.5, y: 0.5 };
         
         // Load arrow key increments from localStorage or use defaults
         this.arrowKeyIncrement = parseFloat(localStorage.getItem('svgEditorArrowKeyIncrement')) || 1;
@@ -147,6 +172,144 @@ class SVGEditor {
             this.closeMenus();
         });
         
+        // Setup object menu
+        document.getElementById('convertToPathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.shapeConverter.convertSelected();
+            this.closeMenus();
+        });
+        
+        document.getElementById('combinePathsBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathJoiner.combineSelected();
+            this.closeMenus();
+        });
+        
+        document.getElementById('releaseCompoundPathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathJoiner.releaseSelected();
+            this.closeMenus();
+        });
+        
+        document.getElementById('flipHorizontalBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.flipSelection(true);
+            this.closeMenus();
+        });
+        
+        document.getElementById('flipVerticalBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.flipSelection(false);
+            this.closeMenus();
+        });
+        
+        document.getElementById('rotateClockwiseBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.rotateSelectionBy(-90);
+            this.closeMenus();
+        });
+        
+        document.getElementById('rotateCounterclockwiseBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.rotateSelectionBy(90);
+            this.closeMenus();
+        });
+        
+        document.getElementById('rotate180Btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.rotateSelectionBy(180);
+            this.closeMenus();
+        });
+        
+        // Setup text menu
+        document.getElementById('putTextOnPathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.textOnPath.putSelectedTextOnPath();
+            this.closeMenus();
+        });
+        
+        document.getElementById('releaseTextFromPathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.textOnPath.releaseSelected();
+            this.closeMenus();
+        });
+        
+        document.getElementById('createOutlinesBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.textOutliner.openDialog();
+            this.closeMenus();
+        });
+        
+        // Setup path menu (boolean operations)
+        const booleanOperationButtons = {
+            pathUnionBtn: 'union',
+            pathSubtractBtn: 'subtract',
+            pathIntersectBtn: 'intersect',
+            pathExcludeBtn: 'exclude',
+            pathDivideBtn: 'divide'
+        };
+        Object.entries(booleanOperationButtons).forEach(([id, operation]) => {
+            document.getElementById(id).addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.pathBooleanOperations.apply(operation);
+                this.closeMenus();
+            });
+        });
+        
+        document.getElementById('outlineStrokeBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.strokeOutliner.outlineSelected();
+            this.closeMenus();
+        });
+        
+        document.getElementById('offsetPathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathOffset.openDialog();
+            this.closeMenus();
+        });
+        
+        document.getElementById('simplifyPathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathSimplifier.openDialog();
+            this.closeMenus();
+        });
+        
+        document.getElementById('breakAtNodeBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathNodeEditor.breakAtSelectedNodes();
+            this.closeMenus();
+        });
+        
+        document.getElementById('joinEndpointsBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathJoiner.joinSelectedEndpoints('average');
+            this.closeMenus();
+        });
+        
+        document.getElementById('joinEndpointsLineBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathJoiner.joinSelectedEndpoints('line');
+            this.closeMenus();
+        });
+        
+        document.getElementById('closePathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathJoiner.closeSelectedPaths();
+            this.closeMenus();
+        });
+        
+        document.getElementById('reversePathBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathDirection.reverseSelected();
+            this.closeMenus();
+        });
+        
+        document.getElementById('makeStartPointBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pathDirection.makeSelectedNodeStart();
+            this.closeMenus();
+        });
+        
         // Setup tool buttons
         document.getElementById('selectTool').addEventListener('click', () => {
             this.setTool('select');
@@ -168,6 +331,34 @@ class SVGEditor {
             this.setTool('path');
         });
         
+        document.getElementById('knifeTool').addEventListener('click', () => {
+            this.setTool('knife');
+        });
+        
+        document.getElementById('rectangleTool').addEventListener('click', () => {
+            this.setTool('rectangle');
+        });
+        
+        document.getElementById('ellipseTool').addEventListener('click', () => {
+            this.setTool('ellipse');
+        });
+        
+        document.getElementById('starTool').addEventListener('click', () => {
+            this.setTool('star');
+        });
+        
+        document.getElementById('lineTool').addEventListener('click', () => {
+            this.setTool('line');
+        });
+        
+        document.getElementById('pencilTool').addEventListener('click', () => {
+            this.setTool('pencil');
+        });
+        
+        document.getElementById('textTool').addEventListener('click', () => {
+            this.setTool('text');
+        });
+        
         // Setup tooltips
         this.setupTooltips();
         
@@ -186,8 +377,20 @@ class SVGEditor {
         // Setup history panel
         this.setupHistoryPanel();
         
+        // Setup align panel
+        this.alignManager.setupPanel();
+        
         // Setup settings dialog
         this.setupSettingsDialog();
+        
+        // Setup offset path dialog
+        this.pathOffset.setupDialog();
+        
+        // Setup simplify path dialog
+        this.pathSimplifier.setupDialog();
+        
+        // Setup create outlines dialog
+        this.textOutliner.setupDialog();
     }
     
     setupTooltips() {
@@ -292,22 +495,80 @@ class SVGEditor {
             }
         });
         
-        // Maintain Tangency checkbox
-        const maintainTangencyCheckbox = document.getElementById('maintainTangency');
-        if (maintainTangencyCheckbox) {
-            maintainTangencyCheckbox.checked = this.maintainTangency;
-            const previousMaintainTangency = this.maintainTangency;
-            maintainTangencyCheckbox.addEventListener('change', (e) => {
-                const wasFalse = !this.maintainTangency;
-                this.maintainTangency = e.target.checked;
-                localStorage.setItem('svgEditorMaintainTangency', this.maintainTangency);
-                
-                // When changing from false to true, make selected nodes smooth
-                if (wasFalse && this.maintainTangency) {
-                    this.makeSelectedNodesSmooth();
+        // Node type buttons
+        document.querySelectorAll('.node-type-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.pathNodeEditor.setSelectedNodesType(button.dataset.nodeType);
+            });
+        });
+        
+        // Arc type buttons
+        document.querySelectorAll('.arc-type-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.ellipseTool.setArcType(button.dataset.arcType);
+            });
+        });
+        
+        // Star tool settings
+        document.querySelectorAll('.star-type-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.starTool.setParam('type', button.dataset.starType);
+            });
+        });
+        [
+            ['starCorners', 'corners'],
+            ['starRatio', 'ratio'],
+            ['starRounding', 'rounding'],
+            ['starRandomization', 'randomization']
+        ].forEach(([id, name]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value)) {
+                    this.starTool.setParam(name, value);
+                } else {
+                    this.starTool.updateHandles();
                 }
             });
-        }
+        });
+        
+        // Line tool arrowhead buttons
+        document.getElementById('lineArrowStartBtn').addEventListener('click', () => {
+            this.lineTool.toggleArrowhead('start');
+        });
+        document.getElementById('lineArrowEndBtn').addEventListener('click', () => {
+            this.lineTool.toggleArrowhead('end');
+        });
+        
+        // Pencil tool fidelity
+        document.getElementById('pencilFidelity').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+                this.pencilTool.setFidelity(value);
+            } else {
+                this.pencilTool.updateControls();
+            }
+        });
+        
+        // Text font controls
+        document.getElementById('textFontFamily').addEventListener('change', (e) => {
+            this.textTool.setTextStyle('fontFamily', e.target.value);
+        });
+        document.getElementById('textFontSize').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+                this.textTool.setTextStyle('fontSize', value);
+            } else {
+                this.textTool.updateControls();
+            }
+        });
+        document.getElementById('textFontWeight').addEventListener('change', (e) => {
+            this.textTool.setTextStyle('fontWeight', e.target.value);
+        });
+        document.querySelectorAll('.text-align-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.textTool.setTextStyle('textAnchor', button.dataset.textAnchor);
+            });
+        });
         
         // Log attributes button
         const logAttributesBtn = document.getElementById('logAttributesBtn');
@@ -348,6 +609,7 @@ class SVGEditor {
         if (selectedArray.length === 0) {
             pathControls.style.display = 'none';
             emptyControls.style.display = 'block';
+            this.updateNodeTypeControls();
             return;
         }
         
@@ -397,6 +659,22 @@ class SVGEditor {
             opacity = computedStyle.opacity || '1';
         }
         document.getElementById('opacity').value = parseFloat(opacity) || 1;
+        
+        this.updateNodeTypeControls();
+    }
+    
+    /**
+     * Show the node type buttons while path nodes are selected, highlighting their type
+     */
+    updateNodeTypeControls() {
+        const nodeTypeControls = document.getElementById('nodeTypeControls');
+        if (!nodeTypeControls || !this.pathNodeEditor) return;
+        
+        const type = this.currentTool === 'direct-select' ? this.pathNodeEditor.getSelectedNodesType() : null;
+        nodeTypeControls.style.display = type ? 'flex' : 'none';
+        nodeTypeControls.querySelectorAll('.node-type-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.nodeType === type);
+        });
     }
     
     parseColorToHex(color) {
@@ -525,6 +803,9 @@ class SVGEditor {
             } else {
                 element.setAttribute('stroke', color);
             }
+            
+            // Arrowheads follow the stroke color
+            this.lineTool.updateArrowheads(element);
         });
         
         // Save state after applying changes
@@ -688,6 +969,13 @@ class SVGEditor {
                 e.preventDefault();
                 this.historyManager.redo();
             }
+            
+            // Delete/Backspace removes the selected nodes in direct-select mode
+            if ((e.key === 'Delete' || e.key === 'Backspace') &&
+                this.currentTool === 'direct-select' && this.selectedNodes.size > 0) {
+                e.preventDefault();
+                this.pathNodeEditor.deleteSelectedNodes();
+            }
         });
     }
     
@@ -717,8 +1005,7 @@ class SVGEditor {
         } else if (this.selectedElements.size > 0) {
             // Move selected elements
             this.selectedElements.forEach(element => {
-                const transform = this.getElementTransform(element);
-                this.moveElement(element, transform.x + deltaX, transform.y + deltaY);
+                this.moveElementBy(element, deltaX, deltaY);
             });
         }
         
@@ -810,6 +1097,8 @@ class SVGEditor {
             });
         }
         
+        this.updateNodeTypeControls();
+        
         // Clear marquee selection when switching tools (but keep marquee mode enabled if it was)
         if (this.marqueeTool.isMarqueeSelecting) {
             this.marqueeTool.endSelection();
@@ -824,6 +1113,47 @@ class SVGEditor {
         if (this.pathTool.isDrawing) {
             this.pathTool.cancelDrawing();
         }
+        
+        // Cancel knife cuts when switching tools
+        if (this.knifeTool.isCutting) {
+            this.knifeTool.cancelCutting();
+        }
+        
+        // Cancel rectangle drawing when switching tools; the corner radius handle
+        // only shows with the rectangle tool
+        if (this.rectangleTool.isDrawing) {
+            this.rectangleTool.cancelDrawing();
+        }
+        this.rectangleTool.updateRadiusHandle();
+        
+        // Same for the ellipse tool and its angle handles
+        if (this.ellipseTool.isDrawing) {
+            this.ellipseTool.cancelDrawing();
+        }
+        this.ellipseTool.updateAngleHandles();
+        
+        // Same for the star tool, its corner handles and settings
+        if (this.starTool.isDrawing) {
+            this.starTool.cancelDrawing();
+        }
+        this.starTool.updateHandles();
+        
+        // Cancel line drawing; the arrowhead controls only show with the line tool
+        if (this.lineTool.isDrawing) {
+            this.lineTool.cancelDrawing();
+        }
+        this.lineTool.updateControls();
+        
+        // Cancel pencil strokes; the fidelity setting only shows with the pencil tool
+        if (this.pencilTool.isDrawing) {
+            this.pencilTool.cancelDrawing();
+        }
+        this.pencilTool.updateControls();
+        
+        // End text editing; the font controls and text on path handles show with the text tool
+        this.textTool.finishEditing();
+        this.textTool.updateControls();
+        this.textOnPath.updateHandles();
     }
     
     toggleMarqueeMode() {
@@ -981,6 +1311,64 @@ class SVGEditor {
                 return;
             }
             
+            // Handle knife tool (cuts start on elements as well as on empty canvas)
+            if (this.currentTool === 'knife') {
+                e.stopPropagation();
+                this.handleMouseDown(e, this.svgElement);
+                return;
+            }
+            
+            // Handle rectangle tool (shapes can be drawn on top of other elements)
+            if (this.currentTool === 'rectangle') {
+                e.stopPropagation();
+                this.handleMouseDown(e, this.svgElement);
+                return;
+            }
+            
+            // Handle ellipse tool (shapes can be drawn on top of other elements)
+            if (this.currentTool === 'ellipse') {
+                e.stopPropagation();
+                this.handleMouseDown(e, this.svgElement);
+                return;
+            }
+            
+            // Handle star tool (shapes can be drawn on top of other elements)
+            if (this.currentTool === 'star') {
+                e.stopPropagation();
+                this.handleMouseDown(e, this.svgElement);
+                return;
+            }
+            
+            // Handle line tool (lines can be drawn on top of other elements)
+            if (this.currentTool === 'line') {
+                e.stopPropagation();
+                this.handleMouseDown(e, this.svgElement);
+                return;
+            }
+            
+            // Handle pencil tool (strokes can start on top of other elements)
+            if (this.currentTool === 'pencil') {
+                e.stopPropagation();
+                this.handleMouseDown(e, this.svgElement);
+                return;
+            }
+            
+            // Handle text tool (clicking text edits it, clicking elsewhere creates text)
+            if (this.currentTool === 'text') {
+                e.stopPropagation();
+                this.handleMouseDown(e, target);
+                return;
+            }
+            
+            // Text is hit on its glyphs; a tspan belongs to its text element
+            const textTarget = target && target.closest ? target.closest('text') : null;
+            if (textTarget) {
+                e.stopPropagation();
+                this.proximitySelectedElement = null;
+                this.handleMouseDown(e, textTarget);
+                return;
+            }
+            
             // First check for direct hit
             if (target && target !== this.svgElement && 
                 (target.tagName === 'path' || target.tagName === 'circle' || 
@@ -1039,7 +1427,7 @@ class SVGEditor {
                 (target.tagName === 'path' || target.tagName === 'circle' || 
                  target.tagName === 'rect' || target.tagName === 'ellipse' || 
                  target.tagName === 'line' || target.tagName === 'polyline' || 
-                 target.tagName === 'polygon')) {
+                 target.tagName === 'polygon' || target.tagName === 'text' || target.tagName === 'tspan')) {
                 e.stopPropagation();
                 // Selection happens in mouseup, not click
                 // Clear proximity tracking since we have a direct hit
@@ -1114,6 +1502,34 @@ class SVGEditor {
             if (this.pathTool.onMouseDown(e, element)) {
                 return; // Tool handled the event
             }
+        } else if (this.currentTool === 'knife') {
+            if (this.knifeTool.onMouseDown(e, element)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'rectangle') {
+            if (this.rectangleTool.onMouseDown(e, element)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'ellipse') {
+            if (this.ellipseTool.onMouseDown(e, element)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'star') {
+            if (this.starTool.onMouseDown(e, element)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'line') {
+            if (this.lineTool.onMouseDown(e, element)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'pencil') {
+            if (this.pencilTool.onMouseDown(e, element)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'text') {
+            if (this.textTool.onMouseDown(e, element)) {
+                return; // Tool handled the event
+            }
         }
     }
     
@@ -1159,6 +1575,34 @@ class SVGEditor {
             if (this.pathTool.onMouseMove(e)) {
                 return; // Tool handled the event
             }
+        } else if (this.currentTool === 'knife') {
+            if (this.knifeTool.onMouseMove(e)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'rectangle') {
+            if (this.rectangleTool.onMouseMove(e)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'ellipse') {
+            if (this.ellipseTool.onMouseMove(e)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'star') {
+            if (this.starTool.onMouseMove(e)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'line') {
+            if (this.lineTool.onMouseMove(e)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'pencil') {
+            if (this.pencilTool.onMouseMove(e)) {
+                return; // Tool handled the event
+            }
+        } else if (this.currentTool === 'text') {
+            if (this.textTool.onMouseMove(e)) {
+                return; // Tool handled the event
+            }
         }
     }
     
@@ -1187,9 +1631,62 @@ class SVGEditor {
             }
         }
         
+        // Handle knife tool
+        if (this.currentTool === 'knife') {
+            if (this.knifeTool.onMouseUp(e)) {
+                return; // Tool handled the event
+            }
+        }
+        
+        // Handle rectangle tool
+        if (this.currentTool === 'rectangle') {
+            if (this.rectangleTool.onMouseUp(e)) {
+                return; // Tool handled the event
+            }
+        }
+        
+        // Handle ellipse tool
+        if (this.currentTool === 'ellipse') {
+            if (this.ellipseTool.onMouseUp(e)) {
+                return; // Tool handled the event
+            }
+        }
+        
+        // Handle star tool
+        if (this.currentTool === 'star') {
+            if (this.starTool.onMouseUp(e)) {
+                return; // Tool handled the event
+            }
+        }
+        
+        // Handle line tool
+        if (this.currentTool === 'line') {
+            if (this.lineTool.onMouseUp(e)) {
+                return; // Tool handled the event
+            }
+        }
+        
+        // Handle pencil tool
+        if (this.currentTool === 'pencil') {
+            if (this.pencilTool.onMouseUp(e)) {
+                return; // Tool handled the event
+            }
+        }
+        
+        // Handle text tool
+        if (this.currentTool === 'text') {
+            if (this.textTool.onMouseUp(e)) {
+                return; // Tool handled the event
+            }
+        }
+        
         // Handle element selection on mouseup (if it wasn't a drag)
         if (this.pendingSelectionElement && !this.wasDragging) {
-            if (this.currentTool === 'select' || this.currentTool === 'direct-select') {
+            if (this.currentTool === 'select' && !this.pendingSelectionMultiSelect &&
+                this.selectedElements.has(this.pendingSelectionElement)) {
+                // Clicking the selection again switches between scale and distort handles
+                this.boundingBoxManager.toggleMode();
+            } else if (this.currentTool === 'select' || this.currentTool === 'direct-select') {
                 this.selectElement(this.pendingSelectionElement, this.pendingSelectionMultiSelect);
                 this.renderLayersPanel();
                 
@@ -1392,6 +1889,11 @@ class SVGEditor {
         
         // Update bounding box stroke-width and handles
         this.boundingBoxManager.updateTransforms();
+        this.rectangleTool.updateRadiusHandle();
+        this.ellipseTool.updateAngleHandles();
+        this.starTool.updateHandles();
+        this.textOnPath.updateHandles();
+        this.textTool.updateCaret();
         
         // Update marquee selection stroke-width (but not the group transform)
         const marqueeGroup = this.svgElement ? this.svgElement.querySelector('#marqueeSelectGroup') : null;
@@ -1425,31 +1927,42 @@ class SVGEditor {
         this.selectionManager.clearSelection();
     }
     
-    getElementTransform(element) {
-        const transform = element.getAttribute('transform');
-        if (!transform) return { x: 0, y: 0 };
-        
-        const translateMatch = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-        if (translateMatch) {
-            return {
-                x: parseFloat(translateMatch[1]) || 0,
-                y: parseFloat(translateMatch[2]) || 0
-            };
-        }
-        
-        return { x: 0, y: 0 };
+    /**
+     * Set the translation of an element's transform, keeping the rest of it
+     * @param {number} x - Translation in the parent's coordinates (getElementTransform().x)
+     * @param {number} y - Translation in the parent's coordinates (getElementTransform().y)
+     */
+    moveElement(element, x, y) {
+        const matrix = this.transformParser.getElementMatrix(element);
+        matrix.e = x;
+        matrix.f = y;
+        this.setElementMatrix(element, matrix);
     }
     
-    moveElement(element, x, y) {
-        // Remove existing translate
-        let transform = element.getAttribute('transform') || '';
-        transform = transform.replace(/translate\([^)]+\)/g, '').trim();
-        
-        // Add new translate
-        const translate = `translate(${x}, ${y})`;
-        transform = transform ? `${translate} ${transform}` : translate;
+    /**
+     * Convert a distance in root coordinates to the coordinates of an element's parent,
+     * where the element's transform applies
+     */
+    rootDeltaToParent(element, deltaX, deltaY) {
+        const geometry = this.pathGeometry;
+        const rootToParent = geometry.invertMatrix(geometry.getElementToRootMatrix(element.parentNode));
+        if (!rootToParent) return { x: deltaX, y: deltaY };
         
-        element.setAttribute('transform', transform);
+        return {
+            x: rootToParent.a * deltaX + rootToParent.c * deltaY,
+            y: rootToParent.b * deltaX + rootToParent.d * deltaY
+        };
+    }
+    
+    /**
+     * Move an element by a distance given in root coordinates
+     * The distance is converted to the element's parent coordinates, so elements in
+     * rotated or scaled groups move the same distance on the canvas.
+     */
+    moveElementBy(element, deltaX, deltaY) {
+        const delta = this.rootDeltaToParent(element, deltaX, deltaY);
+        const transform = this.getElementTransform(element);
+        this.moveElement(element, transform.x + delta.x, transform.y + delta.y);
     }
     
     showNodeHandles(element) {
@@ -1565,6 +2078,12 @@ class SVGEditor {
                 return this.toRootCoords(element, cmd.x2, cmd.y2);
             } else if (pointType === 'main') {
                 return this.toRootCoords(element, cmd.x, cmd.y);
+            } else if (pointType === 'radiusX' || pointType === 'radiusY') {
+                if (cmd.type !== 'A') return null;
+                const start = this.pathDataParser.getStartPoint(commands, index);
+                const arcHandles = this.pathGeometry.getArcRadiusHandles(start.x, start.y, cmd);
+                if (!arcHandles) return null;
+                return this.toRootCoords(element, arcHandles[pointType].x, arcHandles[pointType].y);
             }
         } else {
             // For non-path elements, get corner position
@@ -1615,6 +2134,9 @@ class SVGEditor {
             // Skip if element is not visible
             if (element.style.display === 'none') return;
             
+            // Skip marker and other definition content
+            if (element.closest('defs')) return;
+            
             const distance = this.getDistanceToElementScreen(element, screenX, screenY);
             if (distance < minDistance) {
                 minDistance = distance;
@@ -2153,107 +2675,7 @@ class SVGEditor {
     }
     
     parsePathData(pathData) {
-        const commands = [];
-        const regex = /([MmLlHhVvCcSsQqTtAaZz])\s*([^MmLlHhVvCcSsQqTtAaZz]*)/g;
-        let match;
-
-        // Track current absolute position for converting relative commands
-        let currentX = 0;
-        let currentY = 0;
-
-        while ((match = regex.exec(pathData)) !== null) {
-            const type = match[1];
-            const isRelative = (type === type.toLowerCase());
-            const coords = match[2].trim().split(/[\s,]+/).filter(s => s).map(parseFloat);
-            
-            if (type === 'M' || type === 'm') {
-                for (let i = 0; i < coords.length; i += 2) {
-                    let x = coords[i];
-                    let y = coords[i + 1];
-                    if (isRelative) {
-                        x += currentX;
-                        y += currentY;
-                    }
-                    currentX = x;
-                    currentY = y;
-                    commands.push({
-                        type: 'M',
-                        x,
-                        y
-                    });
-                }
-            } else if (type === 'L' || type === 'l') {
-                for (let i = 0; i < coords.length; i += 2) {
-                    let x = coords[i];
-                    let y = coords[i + 1];
-                    if (isRelative) {
-                        x += currentX;
-                        y += currentY;
-                    }
-                    currentX = x;
-                    currentY = y;
-                    commands.push({
-                        type: 'L',
-                        x,
-                        y
-                    });
-                }
-            } else if (type === 'C' || type === 'c') {
-                for (let i = 0; i < coords.length; i += 6) {
-                    let x1 = coords[i];
-                    let y1 = coords[i + 1];
-                    let x2 = coords[i + 2];
-                    let y2 = coords[i + 3];
-                    let x = coords[i + 4];
-                    let y = coords[i + 5];
-                    if (isRelative) {
-                        x1 += currentX;
-                        y1 += currentY;
-                        x2 += currentX;
-                        y2 += currentY;
-                        x += currentX;
-                        y += currentY;
-                    }
-                    currentX = x;
-                    currentY = y;
-                    commands.push({
-                        type: 'C',
-                        x1,
-                        y1,
-                        x2,
-                        y2,
-                        x,
-                        y
-                    });
-                }
-            } else if (type === 'Q' || type === 'q') {
-                for (let i = 0; i < coords.length; i += 4) {
-                    let x1 = coords[i];
-                    let y1 = coords[i + 1];
-                    let x = coords[i + 2];
-                    let y = coords[i + 3];
-                    if (isRelative) {
-                        x1 += currentX;
-                        y1 += currentY;
-                        x += currentX;
-                        y += currentY;
-                    }
-                    currentX = x;
-                    currentY = y;
-                    commands.push({
-                        type: 'Q',
-                        x1,
-                        y1,
-                        x,
-                        y
-                    });
-                }
-            } else if (type === 'Z' || type === 'z') {
-                commands.push({ type: 'Z' });
-            }
-        }
-        
-        return commands;
+        return this.pathDataParser.parse(pathData);
     }
     
     moveElementCorner(element, cornerIndex, newXRoot, newYRoot) {
@@ -2399,6 +2821,20 @@ class SVGEditor {
         const local = this.toLocalCoords(element, x, y);
         
         // Determine which point to move based on pointType parameter or currentDraggedNode
+        if (!pointType && this.currentDraggedNode && this.currentDraggedNode.pointType) {
+            pointType = this.currentDraggedNode.pointType;
+        }
+
+        // Arc radius handles edit rx/ry and rotation rather than a point of the path
+        if (pointType === 'radiusX' || pointType === 'radiusY') {
+            if (cmd.type !== 'A') return;
+            this.moveArcRadius(commands, commandIndex, local, pointType);
+            this.normalizeArcs(commands);
+            element.setAttribute('d', this.buildPathData(commands));
+            this.showNodeHandles(element);
+            return;
+        }
+
         let controlPoint = null;
         if (pointType === 'control1') {
             controlPoint = 1;
@@ -2414,103 +2850,24 @@ class SVGEditor {
             cmd.x1 = local.x;
             cmd.y1 = local.y;
             
-            // Maintain tangency: if this is a cubic (C) command and tangency is enabled,
-            // update the previous command's control2 to maintain smooth connection
-            if (this.maintainTangency && (cmd.type === 'C' || cmd.type === 'S')) {
-                if (commandIndex > 0) {
-                    const prevCmd = commands[commandIndex - 1];
-                    // Check if previous command is a curve that ends at the same point as this command starts
-                    if (prevCmd.type === 'C' || prevCmd.type === 'S') {
-                        // The anchor point is where the previous curve ends (prevCmd.x, prevCmd.y)
-                        const anchorX = prevCmd.x;
-                        const anchorY = prevCmd.y;
-                        
-                        // Calculate the angle/direction from anchor to the moved control1
-                        const dx = cmd.x1 - anchorX;
-                        const dy = cmd.y1 - anchorY;
-                        const angle = Math.atan2(dy, dx);
-                        
-                        // Get the original distance of control2 from the anchor point
-                        const originalDx = prevCmd.x2 - anchorX;
-                        const originalDy = prevCmd.y2 - anchorY;
-                        const originalDistance = Math.sqrt(originalDx * originalDx + originalDy * originalDy);
-                        
-                        // Apply the same angle but keep the original distance
-                        // Use opposite direction (add 180 degrees / π radians) for tangency
-                        prevCmd.x2 = anchorX - Math.cos(angle) * originalDistance;
-                        prevCmd.y2 = anchorY - Math.sin(angle) * originalDistance;
-                        
-                        // If previous was S, convert to C to preserve the explicit control2
-                        if (prevCmd.type === 'S') {
-                            prevCmd.type = 'C';
-                            // Calculate x1 for the previous command (it was auto-calculated before)
-                            if (commandIndex > 1) {
-                                const prevPrevCmd = commands[commandIndex - 2];
-                                if (prevPrevCmd.type === 'C' || prevPrevCmd.type === 'S') {
-                                    // Calculate angle from prevPrevCmd's endpoint to its control2
-                                    const prevAnchorX = prevPrevCmd.x;
-                                    const prevAnchorY = prevPrevCmd.y;
-                                    const prevDx = prevPrevCmd.x2 - prevAnchorX;
-                                    const prevDy = prevPrevCmd.y2 - prevAnchorY;
-                                    const prevAngle = Math.atan2(prevDy, prevDx);
-                                    const prevDistance = Math.sqrt(prevDx * prevDx + prevDy * prevDy);
-                                    // Apply opposite direction
-                                    prevCmd.x1 = prevAnchorX - Math.cos(prevAngle) * prevDistance;
-                                    prevCmd.y1 = prevAnchorY - Math.sin(prevAngle) * prevDistance;
-                                } else {
-                                    // Use the previous previous command's endpoint
-                                    prevCmd.x1 = prevPrevCmd.x;
-                                    prevCmd.y1 = prevPrevCmd.y;
-                                }
-                            } else {
-                                // First command after M, use M point
-                                prevCmd.x1 = anchorX;
-                                prevCmd.y1 = anchorY;
-                            }
-                        }
-                    }
-                }
+            // Keep the handle on the other side of the node in line, depending on its type
+            if (this.constrainNodeHandles && (cmd.type === 'C' || cmd.type === 'S')) {
+                this.pathNodeEditor.constrainOppositeHandle(element, commands, commandIndex, 1);
             }
         } else if (controlPoint === 2) {
             cmd.x2 = local.x;
             cmd.y2 = local.y;
             
-            // Maintain tangency: if this is a cubic (C) command and tangency is enabled,
-            // update the next command's control1 to maintain smooth connection
-            if (this.maintainTangency && (cmd.type === 'C' || cmd.type === 'S')) {
-                if (commandIndex < commands.length - 1) {
-                    const nextCmd = commands[commandIndex + 1];
-                    // Check if next command is a curve that starts at the same point as this command ends
-                    if (nextCmd.type === 'C' || nextCmd.type === 'S') {
-                        // The anchor point is where this curve ends (cmd.x, cmd.y)
-                        const anchorX = cmd.x;
-                        const anchorY = cmd.y;
-                        
-                        // Calculate the angle/direction from anchor to the moved control2
-                        const dx = cmd.x2 - anchorX;
-                        const dy = cmd.y2 - anchorY;
-                        const angle = Math.atan2(dy, dx);
-                        
-                        // Get the original distance of control1 from the anchor point
-                        const originalDx = nextCmd.x1 - anchorX;
-                        const originalDy = nextCmd.y1 - anchorY;
-                        const originalDistance = Math.sqrt(originalDx * originalDx + originalDy * originalDy);
-                        
-                        // Apply the same angle but keep the original distance
-                        // Use opposite direction (add 180 degrees / π radians) for tangency
-                        nextCmd.x1 = anchorX - Math.cos(angle) * originalDistance;
-                        nextCmd.y1 = anchorY - Math.sin(angle) * originalDistance;
-                        
-                        // If next was S, convert to C to preserve the explicit control1
-                        if (nextCmd.type === 'S') {
-                            nextCmd.type = 'C';
-                        }
-                    }
-                }
+            // Keep the handle on the other side of the node in line, depending on its type
+            if (this.constrainNodeHandles && (cmd.type === 'C' || cmd.type === 'S')) {
+                this.pathNodeEditor.constrainOppositeHandle(element, commands, commandIndex, 2);
             }
         } else {
             cmd.x = local.x;
             cmd.y = local.y;
+
+            // Moving an end point can leave an arc with radii too small to reach it
+            this.normalizeArcs(commands);
         }
         
         // Rebuild path data
@@ -2522,85 +2879,62 @@ class SVGEditor {
     }
     
     /**
-     * Make all currently selected main nodes smooth by converting them to bezier curves
-     * and making the next node's control1 tangent to the current node's control2
+     * Move an arc's radius handle: radiusX sets rx and the x-axis-rotation, radiusY sets ry
+     * @param {Array} commands - Parsed commands of the path (modified in place)
+     * @param {number} commandIndex - Index of the 'A' command
+     * @param {{x: number, y: number}} local - New handle position in path coordinates
+     * @param {string} pointType - 'radiusX' or 'radiusY'
      */
-    makeSelectedNodesSmooth() {
-        if (!this.selectedNodes || this.selectedNodes.size === 0) return;
-        
-        // Group nodes by element to process them together
-        const nodesByElement = new Map();
-        
-        this.selectedNodes.forEach(nodeId => {
-            const nodeInfo = this.parseNodeId(nodeId);
-            if (!nodeInfo || !nodeInfo.element || nodeInfo.element.tagName !== 'path') return;
-            if (nodeInfo.pointType !== 'main') return; // Only process main nodes
-            
-            const element = nodeInfo.element;
-            if (!nodesByElement.has(element)) {
-                nodesByElement.set(element, []);
-            }
-            nodesByElement.get(element).push(nodeInfo.index);
-        });
-        
-        // Process each element
-        nodesByElement.forEach((indices, element) => {
-            const pathData = element.getAttribute('d');
-            if (!pathData) return;
-            
-            const commands = this.parsePathData(pathData);
-            let pathModified = false;
-            
-            // Sort indices to process in order
-            indices.sort((a, b) => a - b);
-            
-            indices.forEach(commandIndex => {
-                if (commandIndex >= commands.length) return;
-                
-                const cmd = commands[commandIndex];
-                
-                // Skip M and Z commands - they don't have control points to make smooth
-                if (cmd.type === 'M' || cmd.type === 'Z') return;
-                
-                // Convert current command to C if it's not already
-                if (cmd.type !== 'C') {
-                    this.convertCommandToBezier(cmd, commandIndex, commands);
-                    pathModified = true;
-                }
-                
-                // Make the next command's control1 tangent to this command's control2
-                if (commandIndex < commands.length - 1) {
-                    const nextCmd = commands[commandIndex + 1];
-                    
-                    // Skip if next command is M or Z
-                    if (nextCmd.type === 'M' || nextCmd.type === 'Z') return;
-                    
-                    // Convert next command to C if it's not already
-                    if (nextCmd.type !== 'C') {
-                        this.convertCommandToBezier(nextCmd, commandIndex + 1, commands);
-                        pathModified = true;
-                    }
-                    
-                    // Make control1 of next command tangent to control2 of current command
-                    this.makeControlPointsTangent(cmd, nextCmd);
-                    pathModified = true;
-                }
-            });
-            
-            if (pathModified) {
-                // Rebuild path data
-                const newPathData = this.buildPathData(commands);
-                element.setAttribute('d', newPathData);
-                
-                // Update handles
-                this.showNodeHandles(element);
+    moveArcRadius(commands, commandIndex, local, pointType) {
+        const cmd = commands[commandIndex];
+        const start = this.pathDataParser.getStartPoint(commands, commandIndex);
+
+        // While dragging, measure from the center the drag started with
+        let center = null;
+        const dragged = this.currentDraggedNode;
+        if (dragged && dragged.arcCenter && dragged.index === commandIndex && dragged.pointType === pointType) {
+            center = dragged.arcCenter;
+        } else {
+            const arc = this.pathGeometry.getArcCenter(start.x, start.y, cmd);
+            if (!arc) return;
+            center = { x: arc.cx, y: arc.cy };
+        }
+
+        const dx = local.x - center.x;
+        const dy = local.y - center.y;
+
+        if (pointType === 'radiusX') {
+            const radius = Math.sqrt(dx * dx + dy * dy);
+            if (radius === 0) return;
+            cmd.rx = radius;
+            cmd.rotation = Math.atan2(dy, dx) * 180 / Math.PI;
+        } else {
+            // Project onto the y semi-axis so the rotation stays put
+            const angle = (cmd.rotation || 0) * Math.PI / 180;
+            const projection = -Math.sin(angle) * dx + Math.cos(angle) * dy;
+            if (projection === 0) return;
+            cmd.ry = Math.abs(projection);
+
+            // Behind the center: turning the same ellipse half a turn brings the handle
+            // to the cursor's side
+            if (projection < 0) {
+                cmd.rotation = ((cmd.rotation || 0) + 180) % 360;
             }
+        }
+    }
+
+    /**
+     * Write back the radii every arc in a path is rendered with (see PathGeometry.normalizeArc)
+     * @param {Array} commands - Parsed commands of the path (modified in place)
+     */
+    normalizeArcs(commands) {
+        commands.forEach((cmd, index) => {
+            if (cmd.type !== 'A') return;
+            const start = this.pathDataParser.getStartPoint(commands, index);
+            this.pathGeometry.normalizeArc(start.x, start.y, cmd);
         });
-        
-        // Save history state
-        this.historyManager.saveState('Make nodes smooth');
     }
-    
+
     /**
      * Convert a path command to a cubic bezier (C) command
      * @param {Object} cmd - The command to convert
@@ -2610,33 +2944,15 @@ class SVGEditor {
     convertCommandToBezier(cmd, commandIndex, commands) {
         if (cmd.type === 'C') return; // Already a bezier
         
-        // Get the start point (endpoint of previous command or M command)
-        let startX, startY;
-        
-        // Find the start point by looking backwards for the previous drawing command or M
-        for (let i = commandIndex - 1; i >= 0; i--) {
-            const prevCmd = commands[i];
-            if (prevCmd.type === 'M') {
-                startX = prevCmd.x;
-                startY = prevCmd.y;
-                break;
-            } else if (prevCmd.type === 'L' || prevCmd.type === 'C' || prevCmd.type === 'Q') {
-                startX = prevCmd.x;
-                startY = prevCmd.y;
-                break;
-            }
-        }
-        
-        // Fallback if no start point found
-        if (startX === undefined || startY === undefined) {
-            startX = 0;
-            startY = 0;
-        }
+        // Get the start point (endpoint of previous command, or subpath start after Z)
+        const start = this.pathDataParser.getStartPoint(commands, commandIndex);
+        const startX = start.x;
+        const startY = start.y;
         
         const endX = cmd.x;
         const endY = cmd.y;
         
-        if (cmd.type === 'L') {
+        if (cmd.type === 'L' || cmd.type === 'H' || cmd.type === 'V') {
             // Convert line to bezier with control points on the line
             cmd.type = 'C';
             cmd.x1 = startX + (endX - startX) / 3;
@@ -2645,8 +2961,11 @@ class SVGEditor {
             cmd.y2 = startY + 2 * (endY - startY) / 3;
             cmd.x = endX;
             cmd.y = endY;
-        } else if (cmd.type === 'Q') {
-            // Convert quadratic to cubic bezier
+        } else if (cmd.type === 'S') {
+            // Smooth cubic already carries its reflected first control point
+            cmd.type = 'C';
+        } else if (cmd.type === 'Q' || cmd.type === 'T') {
+            // Convert quadratic to cubic bezier (T carries its reflected control point)
             cmd.type = 'C';
             // Q uses one control point, C uses two
             // Convert Q control point to C control points
@@ -2659,54 +2978,11 @@ class SVGEditor {
             cmd.x = endX;
             cmd.y = endY;
         }
-        // Add other conversions as needed (S, etc.)
-    }
-    
-    /**
-     * Make the control1 of nextCmd tangent to the control2 of cmd
-     * @param {Object} cmd - The current command
-     * @param {Object} nextCmd - The next command
-     */
-    makeControlPointsTangent(cmd, nextCmd) {
-        if (cmd.type !== 'C' || nextCmd.type !== 'C') return;
-        
-        // The anchor point is where cmd ends (cmd.x, cmd.y)
-        const anchorX = cmd.x;
-        const anchorY = cmd.y;
-        
-        // Calculate the direction from anchor to control2
-        const dx = cmd.x2 - anchorX;
-        const dy = cmd.y2 - anchorY;
-        const angle = Math.atan2(dy, dx);
-        
-        // Get the distance of control1 from the anchor point
-        const control1Dx = nextCmd.x1 - anchorX;
-        const control1Dy = nextCmd.y1 - anchorY;
-        const distance = Math.sqrt(control1Dx * control1Dx + control1Dy * control1Dy);
-        
-        // Apply the same angle but in opposite direction (180 degrees) for tangency
-        nextCmd.x1 = anchorX - Math.cos(angle) * distance;
-        nextCmd.y1 = anchorY - Math.sin(angle) * distance;
+        // Arcs (A) are left as they are - a single cubic cannot represent them exactly
     }
     
     buildPathData(commands) {
-        let pathData = '';
-        
-        commands.forEach(cmd => {
-            if (cmd.type === 'M') {
-                pathData += `M ${cmd.x} ${cmd.y} `;
-            } else if (cmd.type === 'L') {
-                pathData += `L ${cmd.x} ${cmd.y} `;
-            } else if (cmd.type === 'C') {
-                pathData += `C ${cmd.x1} ${cmd.y1} ${cmd.x2} ${cmd.y2} ${cmd.x} ${cmd.y} `;
-            } else if (cmd.type === 'Q') {
-                pathData += `Q ${cmd.x1} ${cmd.y1} ${cmd.x} ${cmd.y} `;
-            } else if (cmd.type === 'Z') {
-                pathData += 'Z ';
-            }
-        });
-        
-        return pathData.trim();
+        return this.pathDataParser.serialize(commands);
     }
     
     saveSVG() {
@@ -2910,6 +3186,19 @@ class SVGEditor {
             }
         });
         
+        // Reference point: which point of the bounds X/Y show and transforms keep in place
+        document.querySelectorAll('.reference-point').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.transformReference = {
+                    x: parseFloat(button.dataset.refX),
+                    y: parseFloat(button.dataset.refY)
+                };
+                localStorage.setItem('svgEditorTransformReference', JSON.stringify(this.transformReference));
+                this.updateTransformPanel();
+            });
+        });
+        
         // Handle scale input changes - only apply on blur or Enter key
         const scaleInput = document.getElementById('transformScale');
         scaleInput.addEventListener('keydown', (e) => {
@@ -2929,29 +3218,79 @@ class SVGEditor {
                 this.applyScaleFromInput(scalePercent / 100);
             }
         });
+        
+        // Position, size, rotation and skew fields apply when changed (on blur or Enter)
+        const fieldHandlers = {
+            transformX: (value) => this.applyPositionFromInput(value, null),
+            transformY: (value) => this.applyPositionFromInput(null, value),
+            transformWidth: (value) => this.applySizeFromInput(value, null),
+            transformHeight: (value) => this.applySizeFromInput(null, value),
+            transformRotation: (value) => this.applyRotationFromInput(value),
+            transformSkewX: (value) => this.applySkewFromInput(value, 0),
+            transformSkewY: (value) => this.applySkewFromInput(0, value)
+        };
+        Object.entries(fieldHandlers).forEach(([id, apply]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    e.target.blur();
+                }
+            });
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value) && this.selectedElements.size > 0) {
+                    apply(value);
+                } else {
+                    this.updateTransformPanel();
+                }
+            });
+        });
     }
     
     updateTransformPanel() {
+        this.alignManager.updatePanel();
+        
         const transformPanel = document.getElementById('transformPanel');
-        const widthInput = document.getElementById('transformWidth');
-        const heightInput = document.getElementById('transformHeight');
         const scaleInput = document.getElementById('transformScale');
-        const widthUnitLabel = document.getElementById('transformWidthUnit');
-        const heightUnitLabel = document.getElementById('transformHeightUnit');
+        const inputs = {
+            x: document.getElementById('transformX'),
+            y: document.getElementById('transformY'),
+            width: document.getElementById('transformWidth'),
+            height: document.getElementById('transformHeight'),
+            rotation: document.getElementById('transformRotation'),
+            skewX: document.getElementById('transformSkewX'),
+            skewY: document.getElementById('transformSkewY')
+        };
         
         // Update unit labels
         const unitLabel = this.getUnitLabel(this.transformUnit);
-        widthUnitLabel.textContent = unitLabel;
-        heightUnitLabel.textContent = unitLabel;
+        document.querySelectorAll('.transform-length-unit').forEach(label => {
+            label.textContent = unitLabel;
+        });
+        
+        // Show the chosen reference point
+        document.querySelectorAll('.reference-point').forEach(button => {
+            button.classList.toggle('active',
+                parseFloat(button.dataset.refX) === this.transformReference.x &&
+                parseFloat(button.dataset.refY) === this.transformReference.y);
+        });
         
         // Only update if panel is visible
         if (!transformPanel.classList.contains('active')) {
             return;
         }
         
-        if (this.selectedElements.size === 0) {
-            widthInput.value = '';
-            heightInput.value = '';
+        // Leave the field being typed in alone
+        const setValue = (input, value) => {
+            if (document.activeElement !== input) {
+                input.value = value;
+            }
+        };
+        
+        const bounds = this.getElementsBoundsRoot(this.selectedElements);
+        if (!bounds) {
+            Object.values(inputs).forEach(input => setValue(input, ''));
             scaleInput.value = '';
             return;
         }
@@ -2977,96 +3316,254 @@ class SVGEditor {
             }
         }
         
-        // If multiple elements selected, calculate combined bounding box
-        if (this.selectedElements.size === 1) {
-            // Single element - get its bounding box
-            const element = Array.from(this.selectedElements)[0];
-            try {
-                const bbox = element.getBBox();
-                const widthPx = bbox.width;
-                const heightPx = bbox.height;
-                
-                // Convert to selected unit
-                const width = this.convertPixels(widthPx, this.transformUnit);
-                const height = this.convertPixels(heightPx, this.transformUnit);
-                
-                widthInput.value = width.toFixed(2);
-                heightInput.value = height.toFixed(2);
-            } catch (e) {
-                // Element might not be in the DOM or might not support getBBox
-                widthInput.value = '';
-                heightInput.value = '';
-            }
-        } else {
-            // Multiple elements - calculate combined bounding box
-            try {
-                let minX = Infinity, minY = Infinity;
-                let maxX = -Infinity, maxY = -Infinity;
-                
-                this.selectedElements.forEach(element => {
-                    try {
-                        const bbox = element.getBBox();
-                        minX = Math.min(minX, bbox.x);
-                        minY = Math.min(minY, bbox.y);
-                        maxX = Math.max(maxX, bbox.x + bbox.width);
-                        maxY = Math.max(maxY, bbox.y + bbox.height);
-                    } catch (e) {
-                        // Skip elements that don't support getBBox
-                    }
-                });
-                
-                if (minX !== Infinity && minY !== Infinity) {
-                    const widthPx = maxX - minX;
-                    const heightPx = maxY - minY;
-                    
-                    // Convert to selected unit
-                    const width = this.convertPixels(widthPx, this.transformUnit);
-                    const height = this.convertPixels(heightPx, this.transformUnit);
-                    
-                    widthInput.value = width.toFixed(2);
-                    heightInput.value = height.toFixed(2);
-                } else {
-                    widthInput.value = '';
-                    heightInput.value = '';
-                }
-            } catch (e) {
-                widthInput.value = '';
-                heightInput.value = '';
-            }
+        // Position of the reference point and size of the bounds, in root coordinates
+        const reference = this.getReferencePoint(bounds);
+        setValue(inputs.x, this.convertPixels(reference.x, this.transformUnit).toFixed(2));
+        setValue(inputs.y, this.convertPixels(reference.y, this.transformUnit).toFixed(2));
+        setValue(inputs.width, this.convertPixels(bounds.width, this.transformUnit).toFixed(2));
+        setValue(inputs.height, this.convertPixels(bounds.height, this.transformUnit).toFixed(2));
+        
+        // Skew fields apply a skew - there is nothing to read back
+        setValue(inputs.rotation, this.getSelectionRotation().toFixed(1));
+        setValue(inputs.skewX, '0');
+        setValue(inputs.skewY, '0');
+    }
+    
+    /**
+     * Point of a bounding box picked with the reference point picker
+     */
+    getReferencePoint(bounds) {
+        return {
+            x: bounds.x + bounds.width * this.transformReference.x,
+            y: bounds.y + bounds.height * this.transformReference.y
+        };
+    }
+    
+    /**
+     * Fixed point (in root coordinates) of a transform panel change for an element: the
+     * reference point of the selection, or of the element itself when transforming each
+     * about its own center
+     * @param {boolean} atCenter - Use the center instead of the reference point
+     */
+    getTransformOrigin(element, atCenter = false) {
+        const scaleAboutOwnCenterCheckbox = document.getElementById('scaleAboutOwnCenter');
+        const aboutOwnCenter = scaleAboutOwnCenterCheckbox ? scaleAboutOwnCenterCheckbox.checked : false;
+        const bounds = this.getElementsBoundsRoot(aboutOwnCenter ? [element] : this.selectedElements);
+        if (!bounds) return null;
+        if (atCenter) {
+            return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
         }
+        return this.getReferencePoint(bounds);
     }
     
-    applyScaleFromInput(scaleFactor) {
-        if (this.selectedElements.size === 0) return;
+    /**
+     * Rotation of a single selected element, counterclockwise in degrees as on screen
+     */
+    getSelectionRotation() {
+        if (this.selectedElements.size !== 1) return 0;
+        const element = Array.from(this.selectedElements)[0];
+        const m = this.pathGeometry.getElementToRootMatrix(element);
+        const angle = -Math.atan2(m.b, m.a) * 180 / Math.PI;
+        return Math.abs(angle) < 1e-9 ? 0 : angle;
+    }
+    
+    /**
+     * Move the selection so that its reference point is at a position
+     * @param {number|null} x - New x in the transform unit, or null to keep it
+     * @param {number|null} y - New y in the transform unit, or null to keep it
+     */
+    applyPositionFromInput(x, y) {
+        const bounds = this.getElementsBoundsRoot(this.selectedElements);
+        if (!bounds) return;
         
-        // Check if we should scale about each element's own center or selection center
-        const scaleAboutOwnCenterCheckbox = document.getElementById('scaleAboutOwnCenter');
-        const scaleAboutOwnCenter = scaleAboutOwnCenterCheckbox ? scaleAboutOwnCenterCheckbox.checked : false;
+        // convertPixels(1, unit) is the size of one pixel in the unit
+        const pixelsPerUnit = 1 / this.convertPixels(1, this.transformUnit);
+        const reference = this.getReferencePoint(bounds);
+        const deltaX = x === null ? 0 : x * pixelsPerUnit - reference.x;
+        const deltaY = y === null ? 0 : y * pixelsPerUnit - reference.y;
         
-        // Get selection center in root coordinates (if not scaling about own center)
-        let selectionCenterRoot = null;
-        if (!scaleAboutOwnCenter && this.selectedElements.size > 1) {
-            selectionCenterRoot = this.getSelectionCenterRoot();
+        this.selectedElements.forEach(element => {
+            this.moveElementBy(element, deltaX, deltaY);
+        });
+        
+        this.updateBoundingBox();
+        this.updateTransformPanel();
+        this.historyManager.saveState('Transform elements');
+    }
+    
+    /**
+     * Scale the selection to a width and/or height, keeping the reference point in place
+     * @param {number|null} width - New width in the transform unit, or null to keep it
+     * @param {number|null} height - New height in the transform unit, or null to keep it
+     */
+    applySizeFromInput(width, height) {
+        const bounds = this.getElementsBoundsRoot(this.selectedElements);
+        if (!bounds) return;
+        
+        const pixelsPerUnit = 1 / this.convertPixels(1, this.transformUnit);
+        const scaleX = width !== null && width > 0 && bounds.width > 0 ? width * pixelsPerUnit / bounds.width : 1;
+        const scaleY = height !== null && height > 0 && bounds.height > 0 ? height * pixelsPerUnit / bounds.height : 1;
+        if (scaleX === 1 && scaleY === 1) {
+            this.updateTransformPanel();
+            return;
         }
         
+        this.scaleSelectionAboutOrigins(scaleX, scaleY);
+        this.historyManager.saveState('Transform elements');
+    }
+    
+    /**
+     * Rotate the selection to an angle, about the reference point
+     * @param {number} angle - Counterclockwise, in degrees
+     */
+    applyRotationFromInput(angle) {
+        const delta = (angle - this.getSelectionRotation()) * Math.PI / 180;
+        if (Math.abs(delta) < 1e-9) {
+            this.updateTransformPanel();
+            return;
+        }
+        
+        // Counterclockwise on screen, where y points down
+        const cos = Math.cos(delta);
+        const sin = Math.sin(delta);
+        this.transformSelectionAboutOrigins({ a: cos, b: -sin, c: sin, d: cos });
+        this.historyManager.saveState('Transform elements');
+    }
+    
+    /**
+     * Skew the selection about the reference point, like skewX()/skewY()
+     * @param {number} angleX - Horizontal skew in degrees
+     * @param {number} angleY - Vertical skew in degrees
+     */
+    applySkewFromInput(angleX, angleY) {
+        if (Math.abs(angleX) >= 90 || Math.abs(angleY) >= 90) {
+            alert('Skew angles must be between -90° and 90°');
+            this.updateTransformPanel();
+            return;
+        }
+        if (angleX === 0 && angleY === 0) {
+            this.updateTransformPanel();
+            return;
+        }
+        
+        const tanX = Math.tan(angleX * Math.PI / 180);
+        const tanY = Math.tan(angleY * Math.PI / 180);
+        this.transformSelectionAboutOrigins({ a: 1, b: tanY, c: tanX, d: 1 });
+        this.historyManager.saveState('Transform elements');
+    }
+    
+    /**
+     * Mirror the selection horizontally or vertically about its center (or each element
+     * about its own center)
+     */
+    flipSelection(horizontal) {
+        if (this.selectedElements.size === 0) {
+            alert('Select elements to flip');
+            return;
+        }
+        
+        this.transformSelectionAboutOrigins(horizontal ? { a: -1, b: 0, c: 0, d: 1 } : { a: 1, b: 0, c: 0, d: -1 }, true);
+        this.historyManager.saveState('Transform elements');
+    }
+    
+    /**
+     * Rotate the selection about its center (or each element about its own center)
+     * @param {number} angle - Counterclockwise in degrees as on screen
+     */
+    rotateSelectionBy(angle) {
+        if (this.selectedElements.size === 0) {
+            alert('Select elements to rotate');
+            return;
+        }
+        
+        // Exact values for quarter turns, so coordinates stay whole
+        const radians = angle * Math.PI / 180;
+        const cos = Math.round(Math.cos(radians) * 1e12) / 1e12;
+        const sin = Math.round(Math.sin(radians) * 1e12) / 1e12;
+        this.transformSelectionAboutOrigins({ a: cos, b: -sin, c: sin, d: cos }, true);
+        this.historyManager.saveState('Transform elements');
+    }
+    
+    /**
+     * Apply a linear map (given in root coordinates) to the selected elements, about their
+     * transform origins
+     * @param {Object} linear - {a, b, c, d}
+     * @param {boolean} atCenter - Transform about centers instead of reference points
+     */
+    transformSelectionAboutOrigins(linear, atCenter = false) {
+        const origins = new Map();
+        this.selectedElements.forEach(element => origins.set(element, this.getTransformOrigin(element, atCenter)));
+        
+        this.selectedElements.forEach(element => {
+            const origin = origins.get(element);
+            if (!origin) return;
+            this.applyRootMatrix(element, {
+                a: linear.a,
+                b: linear.b,
+                c: linear.c,
+                d: linear.d,
+                e: origin.x - linear.a * origin.x - linear.c * origin.y,
+                f: origin.y - linear.b * origin.x - linear.d * origin.y
+            });
+        });
+        
+        this.updateBoundingBox();
+        this.updateTransformPanel();
+    }
+    
+    /**
+     * Put a transformation given in root coordinates on top of an element's transform
+     * @param {Element} element
+     * @param {Object} m - Matrix {a, b, c, d, e, f} in root coordinates
+     */
+    applyRootMatrix(element, m) {
+        const geometry = this.pathGeometry;
+        const parentToRoot = geometry.getElementToRootMatrix(element.parentNode);
+        const rootToParent = geometry.invertMatrix(parentToRoot);
+        if (!rootToParent) return;
+        
+        const current = this.transformParser.getElementMatrix(element);
+        const result = geometry.multiplyMatrices(rootToParent,
+            geometry.multiplyMatrices(m, geometry.multiplyMatrices(parentToRoot, current)));
+        this.setElementMatrix(element, result);
+    }
+    
+    /**
+     * Scale the selected elements' coordinates about their transform origins
+     */
+    scaleSelectionAboutOrigins(scaleX, scaleY) {
+        const origins = new Map();
+        this.selectedElements.forEach(element => origins.set(element, this.getTransformOrigin(element)));
+        
         // Apply scale to all selected elements by modifying coordinates directly
         this.selectedElements.forEach(element => {
-            let centerX, centerY;
+            const origin = origins.get(element);
+            if (!origin) return;
             
-            if (scaleAboutOwnCenter || !selectionCenterRoot) {
-                // Get bounding box in untransformed local coordinates (own center)
-                const bbox = element.getBBox();
-                centerX = bbox.x + bbox.width / 2;
-                centerY = bbox.y + bbox.height / 2;
-            } else {
-                // Convert selection center from root coordinates to this element's local coordinates
-                const centerLocal = this.toLocalCoords(element, selectionCenterRoot.x, selectionCenterRoot.y);
-                centerX = centerLocal.x;
-                centerY = centerLocal.y;
+            // The root axes must be the element's own axes (possibly swapped by a quarter
+            // turn) for the scale to go into its coordinates; otherwise it goes on top of
+            // its transform, as rotations and skews do
+            const toRoot = this.pathGeometry.getElementToRootMatrix(element);
+            const tolerance = 1e-9;
+            let localScale = null;
+            if (Math.abs(toRoot.b) < tolerance && Math.abs(toRoot.c) < tolerance) {
+                localScale = { x: scaleX, y: scaleY };
+            } else if (Math.abs(toRoot.a) < tolerance && Math.abs(toRoot.d) < tolerance) {
+                localScale = { x: scaleY, y: scaleX };
             }
             
-            // Use uniform scaling for transform panel input
-            this.scaleElementCoordinates(element, centerX, centerY, scaleFactor, scaleFactor);
+            if (!localScale) {
+                this.applyRootMatrix(element, {
+                    a: scaleX, b: 0, c: 0, d: scaleY,
+                    e: origin.x - scaleX * origin.x,
+                    f: origin.y - scaleY * origin.y
+                });
+                return;
+            }
+            
+            // Scale about the origin in element-local coordinates
+            const originLocal = this.toLocalCoords(element, origin.x, origin.y);
+            this.scaleElementCoordinates(element, originLocal.x, originLocal.y, localScale.x, localScale.y);
         });
         
         // Update bounding box and panel display
@@ -3074,6 +3571,14 @@ class SVGEditor {
         this.updateTransformPanel();
     }
     
+    applyScaleFromInput(scaleFactor) {
+        if (this.selectedElements.size === 0 || scaleFactor === 1) return;
+        
+        // Use uniform scaling for transform panel input
+        this.scaleSelectionAboutOrigins(scaleFactor, scaleFactor);
+        this.historyManager.saveState('Transform elements');
+    }
+    
     saveElementData(element) {
         // Save the original element data for restoring before scaling
         const tagName = element.tagName.toLowerCase();
@@ -3114,6 +3619,9 @@ class SVGEditor {
                 data.x = element.getAttribute('x') || '';
                 data.y = element.getAttribute('y') || '';
                 data.fontSize = element.getAttribute('font-size') || '';
+                data.lines = Array.from(element.children)
+                    .filter(child => child.tagName === 'tspan')
+                    .map(tspan => ({ tspan, x: tspan.getAttribute('x'), y: tspan.getAttribute('y') }));
                 break;
         }
         
@@ -3171,18 +3679,26 @@ class SVGEditor {
                         element.removeAttribute('font-size');
                     }
                 }
+                if (data.lines !== undefined) {
+                    data.lines.forEach(({ tspan, x, y }) => {
+                        if (x !== null) tspan.setAttribute('x', x);
+                        if (y !== null) tspan.setAttribute('y', y);
+                    });
+                }
                 break;
         }
     }
     
-    getSelectionCenterRoot() {
-        // Calculate the center of all selected elements in root SVG coordinates
-        if (this.selectedElements.size === 0) return null;
-        
+    /**
+     * Combined bounding box of elements in root SVG coordinates
+     * @param {Iterable<Element>} elements
+     * @returns {Object|null} {x, y, width, height}
+     */
+    getElementsBoundsRoot(elements) {
         let minX = Infinity, minY = Infinity;
         let maxX = -Infinity, maxY = -Infinity;
         
-        this.selectedElements.forEach(element => {
+        for (const element of elements) {
             try {
                 const bbox = element.getBBox();
                 // Get all four corners of the bounding box
@@ -3204,13 +3720,21 @@ class SVGEditor {
             } catch (e) {
                 // Skip elements that don't support getBBox
             }
-        });
+        }
         
         if (minX === Infinity || minY === Infinity) return null;
         
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+    
+    getSelectionCenterRoot() {
+        // Calculate the center of all selected elements in root SVG coordinates
+        const bounds = this.getElementsBoundsRoot(this.selectedElements);
+        if (!bounds) return null;
+        
         return {
-            x: (minX + maxX) / 2,
-            y: (minY + maxY) / 2
+            x: bounds.x + bounds.width / 2,
+            y: bounds.y + bounds.height / 2
         };
     }
     
@@ -3239,7 +3763,13 @@ class SVGEditor {
                 this.scalePolyline(element, centerX, centerY, scaleX, scaleY);
                 break;
             case 'text':
-                this.scaleText(element, centerX, centerY, scaleX, scaleY);
+                if (scaleX < 0 || scaleY < 0) {
+                    // Glyphs can only be mirrored by the transform
+                    this.scaleText(element, centerX, centerY, Math.abs(scaleX), Math.abs(scaleY));
+                    this.mirrorElementLocally(element, centerX, centerY, Math.sign(scaleX), Math.sign(scaleY));
+                } else {
+                    this.scaleText(element, centerX, centerY, scaleX, scaleY);
+                }
                 break;
             default:
                 // Unsupported element type
@@ -3247,6 +3777,17 @@ class SVGEditor {
         }
     }
     
+    /**
+     * Mirror an element in its own coordinates by adding to the end of its transform
+     * @param {number} signX - -1 to mirror horizontally, 1 to keep
+     * @param {number} signY - -1 to mirror vertically, 1 to keep
+     */
+    mirrorElementLocally(element, centerX, centerY, signX, signY) {
+        const mirror = { a: signX, b: 0, c: 0, d: signY, e: (1 - signX) * centerX, f: (1 - signY) * centerY };
+        const matrix = this.pathGeometry.multiplyMatrices(this.transformParser.getElementMatrix(element), mirror);
+        this.setElementMatrix(element, matrix);
+    }
+    
     scalePath(element, centerX, centerY, scaleX, scaleY) {
         const pathData = element.getAttribute('d');
         if (!pathData) return;
@@ -3255,21 +3796,24 @@ class SVGEditor {
         
         // Scale all coordinates about the center
         commands.forEach(cmd => {
-            if (cmd.type === 'M' || cmd.type === 'L') {
-                cmd.x = centerX + (cmd.x - centerX) * scaleX;
-                cmd.y = centerY + (cmd.y - centerY) * scaleY;
-            } else if (cmd.type === 'C') {
+            if (cmd.type === 'Z') return;
+            
+            cmd.x = centerX + (cmd.x - centerX) * scaleX;
+            cmd.y = centerY + (cmd.y - centerY) * scaleY;
+            
+            // Control points (C, S, Q, T)
+            if (cmd.x1 !== undefined) {
                 cmd.x1 = centerX + (cmd.x1 - centerX) * scaleX;
                 cmd.y1 = centerY + (cmd.y1 - centerY) * scaleY;
+            }
+            if (cmd.x2 !== undefined) {
                 cmd.x2 = centerX + (cmd.x2 - centerX) * scaleX;
                 cmd.y2 = centerY + (cmd.y2 - centerY) * scaleY;
-                cmd.x = centerX + (cmd.x - centerX) * scaleX;
-                cmd.y = centerY + (cmd.y - centerY) * scaleY;
-            } else if (cmd.type === 'Q') {
-                cmd.x1 = centerX + (cmd.x1 - centerX) * scaleX;
-                cmd.y1 = centerY + (cmd.y1 - centerY) * scaleY;
-                cmd.x = centerX + (cmd.x - centerX) * scaleX;
-                cmd.y = centerY + (cmd.y - centerY) * scaleY;
+            }
+            
+            // Arc radii and rotation follow the scale
+            if (cmd.type === 'A') {
+                this.pathGeometry.transformArc(cmd, scaleX, 0, 0, scaleY);
             }
         });
         
@@ -3283,11 +3827,11 @@ class SVGEditor {
         const width = parseFloat(element.getAttribute('width') || 0);
         const height = parseFloat(element.getAttribute('height') || 0);
         
-        // Scale position and size
-        const newX = centerX + (x - centerX) * scaleX;
-        const newY = centerY + (y - centerY) * scaleY;
-        const newWidth = width * scaleX;
-        const newHeight = height * scaleY;
+        // Scale position and size; a mirrored rectangle starts at its other corner
+        const newX = Math.min(centerX + (x - centerX) * scaleX, centerX + (x + width - centerX) * scaleX);
+        const newY = Math.min(centerY + (y - centerY) * scaleY, centerY + (y + height - centerY) * scaleY);
+        const newWidth = width * Math.abs(scaleX);
+        const newHeight = height * Math.abs(scaleY);
         
         element.setAttribute('x', newX);
         element.setAttribute('y', newY);
@@ -3301,7 +3845,7 @@ class SVGEditor {
         const r = parseFloat(element.getAttribute('r') || 0);
         
         // For circles, use average of scaleX and scaleY to maintain circular shape
-        const avgScale = (scaleX + scaleY) / 2;
+        const avgScale = (Math.abs(scaleX) + Math.abs(scaleY)) / 2;
         
         // Scale center position and radius
         const newCx = centerX + (cx - centerX) * scaleX;
@@ -3322,8 +3866,8 @@ class SVGEditor {
         // Scale center position and radii
         const newCx = centerX + (cx - centerX) * scaleX;
         const newCy = centerY + (cy - centerY) * scaleY;
-        const newRx = rx * scaleX;
-        const newRy = ry * scaleY;
+        const newRx = rx * Math.abs(scaleX);
+        const newRy = ry * Math.abs(scaleY);
         
         element.setAttribute('cx', newCx);
         element.setAttribute('cy', newCy);
@@ -3407,6 +3951,13 @@ class SVGEditor {
                 element.setAttribute('font-size', size * avgScale);
             }
         }
+        
+        // Lines of multi-line text have their own positions
+        Array.from(element.children).forEach(child => {
+            if (child.tagName === 'tspan') {
+                this.scaleText(child, centerX, centerY, scaleX, scaleY);
+            }
+        });
     }
     
     setupSettingsDialog() {
@@ -3544,6 +4095,13 @@ class SVGEditor {
 
     updateBoundingBox() {
         this.boundingBoxManager.update();
+        this.rectangleTool.updateRadiusHandle();
+        this.ellipseTool.updateAngleHandles();
+        this.starTool.updateHandles();
+        this.lineTool.updateControls();
+        this.textTool.updateControls();
+        this.textOnPath.updateHandles();
+        this.textTool.updateCaret();
     }
     
     _updateBoundingBox_OLD() {
@@ -3937,59 +4495,61 @@ class SVGEditor {
         };
     }
     
+    /**
+     * Parts of an element's own transform: translate(x, y) rotate(rotation) skewX(skewX)
+     * scale(scaleX, scaleY), with x and y in the parent's coordinates
+     */
     getElementTransform(element) {
-        const transform = element.getAttribute('transform') || '';
-        const translateMatch = transform.match(/translate\(([^,]+),([^)]+)\)/);
-        const rotateMatch = transform.match(/rotate\(([^,\s)]+)(?:,\s*([^,\s)]+),\s*([^)\s)]+))?\)/);
-        const scaleMatch = transform.match(/scale\(([^,\s)]+)(?:,\s*([^)\s)]+))?\)/);
-        
-        return {
-            x: translateMatch ? parseFloat(translateMatch[1]) : 0,
-            y: translateMatch ? parseFloat(translateMatch[2]) : 0,
-            rotation: rotateMatch ? parseFloat(rotateMatch[1]) : 0,
-            rotationCenterX: rotateMatch && rotateMatch[2] ? parseFloat(rotateMatch[2]) : undefined,
-            rotationCenterY: rotateMatch && rotateMatch[3] ? parseFloat(rotateMatch[3]) : undefined,
-            scaleX: scaleMatch ? parseFloat(scaleMatch[1]) : 1,
-            scaleY: scaleMatch && scaleMatch[2] ? parseFloat(scaleMatch[2]) : (scaleMatch ? parseFloat(scaleMatch[1]) : 1)
-        };
+        return this.transformParser.decompose(this.transformParser.getElementMatrix(element));
     }
     
+    /**
+     * Replace an element's transform with one built from parts, applied in the order
+     * translate, rotate, skewX, scale
+     * Rotation and scale can have centers (rotationCenterX/Y, scaleCenterX/Y).
+     */
     setElementTransform(element, transform) {
-        let transformStr = '';
-        
-        // Build transform string in correct order: translate, rotate, scale
-        // This ensures transforms are applied in the right sequence
-        
-        // Translation
-        if (transform.x !== undefined || transform.y !== undefined) {
-            transformStr += `translate(${transform.x || 0}, ${transform.y || 0}) `;
+        const geometry = this.pathGeometry;
+        const parser = this.transformParser;
+        const items = [{ type: 'translate', values: [transform.x || 0, transform.y || 0] }];
+        
+        if (transform.rotation) {
+            const hasCenter = transform.rotationCenterX !== undefined && transform.rotationCenterY !== undefined;
+            items.push({
+                type: 'rotate',
+                values: hasCenter ? [transform.rotation, transform.rotationCenterX, transform.rotationCenterY] : [transform.rotation]
+            });
         }
         
-        // Rotation (with optional center point)
-        if (transform.rotation !== undefined && transform.rotation !== 0) {
-            if (transform.rotationCenterX !== undefined && transform.rotationCenterY !== undefined) {
-                transformStr += `rotate(${transform.rotation}, ${transform.rotationCenterX}, ${transform.rotationCenterY}) `;
-            } else {
-                transformStr += `rotate(${transform.rotation}) `;
-            }
+        if (transform.skewX) {
+            items.push({ type: 'skewX', values: [transform.skewX] });
         }
         
-        // Scale (with optional center point via translate before/after)
         if (transform.scaleX !== undefined || transform.scaleY !== undefined) {
             const scaleX = transform.scaleX !== undefined ? transform.scaleX : 1;
             const scaleY = transform.scaleY !== undefined ? transform.scaleY : 1;
+            const hasCenter = transform.scaleCenterX !== undefined && transform.scaleCenterY !== undefined;
             
-            if (transform.scaleCenterX !== undefined && transform.scaleCenterY !== undefined) {
-                // Scale about a point: translate(-cx, -cy) scale(sx, sy) translate(cx, cy)
-                transformStr += `translate(${-transform.scaleCenterX}, ${-transform.scaleCenterY}) `;
-                transformStr += `scale(${scaleX}, ${scaleY}) `;
-                transformStr += `translate(${transform.scaleCenterX}, ${transform.scaleCenterY}) `;
-            } else {
-                transformStr += `scale(${scaleX}, ${scaleY}) `;
-            }
+            // Scale about a point: translate(cx, cy) scale(sx, sy) translate(-cx, -cy)
+            if (hasCenter) items.push({ type: 'translate', values: [transform.scaleCenterX, transform.scaleCenterY] });
+            items.push({ type: 'scale', values: [scaleX, scaleY] });
+            if (hasCenter) items.push({ type: 'translate', values: [-transform.scaleCenterX, -transform.scaleCenterY] });
         }
         
-        element.setAttribute('transform', transformStr.trim());
+        const matrix = items.reduce((m, item) => geometry.multiplyMatrices(m, parser.itemToMatrix(item)), parser.identity());
+        this.setElementMatrix(element, matrix);
+    }
+    
+    /**
+     * Write a matrix as an element's transform, in the shortest equivalent form
+     */
+    setElementMatrix(element, matrix) {
+        const transform = this.transformParser.serialize(matrix);
+        if (transform) {
+            element.setAttribute('transform', transform);
+        } else {
+            element.removeAttribute('transform');
+        }
     }
 }
 
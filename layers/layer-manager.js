@@ -13,15 +13,18 @@ class LayerManager {
         this.layers = [];
         if (!this.editor.svgElement) return;
 
-        const elements = this.editor.svgElement.querySelectorAll('path, circle, rect, ellipse, line, polyline, polygon, g');
+        const elements = this.editor.svgElement.querySelectorAll('path, circle, rect, ellipse, line, polyline, polygon, text, g');
 
         elements.forEach((el, index) => {
             // Skip bounding box group
             if (el.id === 'boundingBoxGroup') return;
 
+            // Skip marker and other definition content
+            if (el.closest('defs')) return;
+
             // Skip groups that only contain other elements we're already tracking
             if (el.tagName === 'g') {
-                const hasDrawableChildren = el.querySelector('path, circle, rect, ellipse, line, polyline, polygon');
+                const hasDrawableChildren = el.querySelector('path, circle, rect, ellipse, line, polyline, polygon, text');
                 if (!hasDrawableChildren) return;
             }
 
@@ -0,0 +1,743 @@
+/**
+ * PathBooleanOperations
+ * Pathfinder-style boolean operations (union, subtract, intersect, exclude, divide)
+ * on the selected paths and basic shapes
+ *
+ * All operands are converted to line and cubic segments in root SVG coordinates and split
+ * at every intersection. Each piece is then classified by testing which operands contain the
+ * points just to its left and right; a piece is kept when the operation's result is inside
+ * on exactly one side. Curves are kept as curves, so results stay editable.
+ */
+class PathBooleanOperations {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+
+        // Each operation decides from the per-operand inside flags (bottom to top)
+        // whether a point belongs to the result
+        this.operations = {
+            union: {
+                label: 'Union',
+                test: inside => inside.some(Boolean)
+            },
+            subtract: {
+                // Minus front: the bottom-most shape minus everything above it
+                label: 'Subtract',
+                test: inside => inside[0] && !inside.slice(1).some(Boolean)
+            },
+            intersect: {
+                label: 'Intersect',
+                test: inside => inside.every(Boolean)
+            },
+            exclude: {
+                // Areas covered by an odd number of shapes
+                label: 'Exclude',
+                test: inside => inside.filter(Boolean).length % 2 === 1
+            },
+            divide: {
+                label: 'Divide',
+                test: null
+            }
+        };
+
+        this.supportedTags = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+    }
+
+    /**
+     * Apply a boolean operation to the selected elements and replace them with the result
+     * @param {string} operation - 'union', 'subtract', 'intersect', 'exclude' or 'divide'
+     */
+    apply(operation) {
+        const op = this.operations[operation];
+        if (!op || !this.editor.svgElement) return;
+
+        const elements = this.getSelectedOperands();
+        if (elements.length < 2) {
+            alert('Select at least two paths or shapes');
+            return;
+        }
+
+        const operands = elements.map(element => this.createOperand(element));
+        const arrangement = this.buildArrangement(operands);
+
+        let results;
+        if (operation === 'divide') {
+            results = this.divide(arrangement, operands);
+        } else {
+            results = [{
+                subpaths: this.extractRegion(arrangement, op.test),
+                styleSource: elements[elements.length - 1]
+            }];
+        }
+        results = results.filter(result => result.subpaths.length > 0);
+
+        if (results.length === 0) {
+            alert(`${op.label} result is empty`);
+            return;
+        }
+
+        this.replaceElements(elements, results);
+        this.editor.historyManager.saveState(op.label);
+    }
+
+    /**
+     * Get the selected paths and basic shapes in document (stacking) order, bottom first
+     */
+    getSelectedOperands() {
+        return Array.from(this.editor.selectedElements)
+            .filter(element => this.supportedTags.includes(element.tagName))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+    }
+
+    /**
+     * Run a boolean test on plain subpath lists instead of elements
+     * Used by other path operations (outline stroke, offset) to clean up overlapping outlines.
+     * @param {Array} shapes - One array of subpaths per operand, bottom first
+     * @param {Function} test - Decides from the per-operand inside flags whether a point is in the result
+     * @param {string} fillRule - Fill rule of the operands
+     * @returns {Array} Closed result subpaths
+     */
+    computeRegion(shapes, test, fillRule = 'nonzero') {
+        const operands = shapes.map(subpaths => this.createSubpathOperand(subpaths, fillRule));
+        return this.extractRegion(this.buildArrangement(operands), test);
+    }
+
+    /**
+     * Convert an element into closed subpaths in root coordinates
+     */
+    createOperand(element) {
+        const commands = this.geometry.getElementCommands(element) || [];
+        const matrix = this.geometry.getElementToRootMatrix(element);
+        const subpaths = this.geometry.commandsToSegments(this.geometry.transformCommands(commands, matrix));
+        const fillRule = window.getComputedStyle(element).fillRule === 'evenodd' ? 'evenodd' : 'nonzero';
+
+        const operand = this.createSubpathOperand(subpaths, fillRule);
+        operand.element = element;
+        return operand;
+    }
+
+    createSubpathOperand(subpaths, fillRule) {
+        // Filling closes every subpath implicitly
+        this.geometry.closeSubpaths(subpaths);
+
+        const monotoneSegments = this.getMonotoneSegments(subpaths);
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        monotoneSegments.forEach(seg => {
+            const b = this.geometry.segmentBounds(seg);
+            bounds.minX = Math.min(bounds.minX, b.minX);
+            bounds.minY = Math.min(bounds.minY, b.minY);
+            bounds.maxX = Math.max(bounds.maxX, b.maxX);
+            bounds.maxY = Math.max(bounds.maxY, b.maxY);
+        });
+
+        return { subpaths, fillRule, monotoneSegments, bounds };
+    }
+
+    /**
+     * Split all operand segments at their intersections and classify each piece
+     * @returns {Object} {pieces, tolerance}
+     */
+    buildArrangement(operands) {
+        const edges = [];
+        operands.forEach(operand => {
+            operand.subpaths.forEach(subpath => {
+                subpath.segments.forEach(seg => edges.push(seg));
+            });
+        });
+
+        // Tolerances are relative to the size of the drawing
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const bounds = edges.map(seg => {
+            const b = this.geometry.segmentBounds(seg);
+            minX = Math.min(minX, b.minX);
+            minY = Math.min(minY, b.minY);
+            maxX = Math.max(maxX, b.maxX);
+            maxY = Math.max(maxY, b.maxY);
+            return b;
+        });
+        const size = Math.max(maxX - minX, maxY - minY, 1);
+        const tolerance = size * 1e-7;
+        const sideOffset = size * 1e-5;
+
+        // Find split points on every edge
+        const splits = edges.map(() => []);
+        for (let i = 0; i < edges.length; i++) {
+            for (let j = i + 1; j < edges.length; j++) {
+                if (!this.boundsOverlap(bounds[i], bounds[j], tolerance)) continue;
+
+                this.intersectSegments(edges[i], edges[j], tolerance).forEach(hit => {
+                    if (hit.t1 > 0 && hit.t1 < 1) splits[i].push({ t: hit.t1, point: hit.point });
+                    if (hit.t2 > 0 && hit.t2 < 1) splits[j].push({ t: hit.t2, point: hit.point });
+                });
+            }
+        }
+
+        // Split edges into pieces, remembering where each piece came from so that
+        // pieces of the same curve can be joined again afterwards
+        const vertices = { buckets: new Map(), count: 0 };
+        const weld = (point) => this.weldPoint(vertices, point, tolerance);
+        const pieces = [];
+
+        edges.forEach((seg, index) => {
+            const sorted = splits[index].sort((a, b) => a.t - b.t);
+            let t0 = 0;
+            let start = weld(seg.p0);
+            const end = weld(seg.p1);
+
+            sorted.concat([{ t: 1, point: seg.p1 }]).forEach(split => {
+                const point = split.t === 1 ? end : weld(split.point);
+                if (split.t < 1 && point === end) return;
+
+                const piece = Object.assign({}, this.geometry.subSegment(seg, t0, split.t));
+                // Skip zero-length pieces, but keep curves that loop back onto their start
+                if (point === start && !(piece.c1 && this.getExtent(piece) > tolerance)) return;
+
+                piece.p0 = start;
+                piece.p1 = point;
+                pieces.push({ seg: piece, source: seg, t0, t1: split.t, v0: start, v1: point });
+
+                t0 = split.t;
+                start = point;
+            });
+        });
+
+        // Coincident edges (shared by two shapes) are kept only once
+        const unique = [];
+        const byEnds = new Map();
+        pieces.forEach(piece => {
+            const key = piece.v0.id < piece.v1.id ? `${piece.v0.id}-${piece.v1.id}` : `${piece.v1.id}-${piece.v0.id}`;
+            const existing = byEnds.get(key) || [];
+            const mid = this.geometry.segmentPoint(piece.seg, 0.5);
+            const duplicate = existing.some(other => {
+                const otherMid = this.geometry.segmentPoint(other.seg, 0.5);
+                return Math.hypot(mid.x - otherMid.x, mid.y - otherMid.y) <= tolerance * 10;
+            });
+            if (duplicate) return;
+            existing.push(piece);
+            byEnds.set(key, existing);
+            unique.push(piece);
+        });
+
+        // Classify the areas on both sides of each piece
+        unique.forEach(piece => {
+            const mid = this.geometry.segmentPoint(piece.seg, 0.5);
+            const d = this.geometry.segmentDerivative(piece.seg, 0.5);
+            const length = Math.hypot(d.x, d.y) || 1;
+            const nx = -d.y / length * sideOffset;
+            const ny = d.x / length * sideOffset;
+            piece.left = operands.map(operand => this.isInside(operand, { x: mid.x + nx, y: mid.y + ny }));
+            piece.right = operands.map(operand => this.isInside(operand, { x: mid.x - nx, y: mid.y - ny }));
+        });
+
+        return { pieces: unique, tolerance };
+    }
+
+    /**
+     * Collect the boundary of the area where test(inside) is true as closed subpaths
+     * Pieces are oriented so the area is on their left (positive signed area for outer rings).
+     */
+    extractRegion(arrangement, test) {
+        const kept = [];
+        arrangement.pieces.forEach(piece => {
+            const left = test(piece.left);
+            const right = test(piece.right);
+            if (left === right) return;
+
+            if (left) {
+                kept.push(Object.assign({}, piece, { reversed: false }));
+            } else {
+                kept.push(Object.assign({}, piece, {
+                    seg: this.geometry.reverseSegment(piece.seg),
+                    v0: piece.v1,
+                    v1: piece.v0,
+                    reversed: true
+                }));
+            }
+        });
+
+        return this.chainPieces(kept).map(ring => ({
+            segments: this.mergeRing(ring, arrangement.tolerance),
+            closed: true
+        }));
+    }
+
+    /**
+     * Divide: every area with a distinct combination of covering shapes becomes its own path,
+     * styled like the top-most shape covering it
+     */
+    divide(arrangement, operands) {
+        const signatures = new Map();
+        arrangement.pieces.forEach(piece => {
+            [piece.left, piece.right].forEach(inside => {
+                if (inside.some(Boolean)) {
+                    signatures.set(inside.map(Number).join(''), inside);
+                }
+            });
+        });
+
+        const results = [];
+        signatures.forEach((signature, key) => {
+            const subpaths = this.extractRegion(arrangement, inside => inside.map(Number).join('') === key);
+            const topIndex = signature.lastIndexOf(true);
+            this.groupSubpaths(subpaths).forEach(group => {
+                results.push({ subpaths: group, styleSource: operands[topIndex].element, order: topIndex });
+            });
+        });
+
+        // Keep the stacking order of the shapes the pieces came from
+        return results.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Group closed subpaths into separate shapes: each outer ring with the holes inside it
+     */
+    groupSubpaths(subpaths) {
+        const withArea = subpaths.map(subpath => ({ subpath, area: this.getSignedArea(subpath) }));
+        const groups = withArea
+            .filter(item => item.area > 0)
+            .map(item => ({ area: item.area, outer: item.subpath, subpaths: [item.subpath] }));
+
+        withArea.filter(item => item.area <= 0).forEach(hole => {
+            const point = this.geometry.segmentPoint(hole.subpath.segments[0], 0.5);
+            let best = null;
+            groups.forEach(group => {
+                const monotone = this.getMonotoneSegments([group.outer]);
+                if (this.getWinding(monotone, point) !== 0 && (!best || group.area < best.area)) {
+                    best = group;
+                }
+            });
+            if (best) {
+                best.subpaths.push(hole.subpath);
+            } else {
+                groups.push({ area: 0, outer: hole.subpath, subpaths: [hole.subpath] });
+            }
+        });
+
+        return groups.map(group => group.subpaths);
+    }
+
+    getSignedArea(subpath) {
+        let sum = 0;
+        subpath.segments.forEach(seg => {
+            const steps = seg.c1 ? 16 : 1;
+            let prev = seg.p0;
+            for (let i = 1; i <= steps; i++) {
+                const point = this.geometry.segmentPoint(seg, i / steps);
+                sum += prev.x * point.y - point.x * prev.y;
+                prev = point;
+            }
+        });
+        return sum / 2;
+    }
+
+    /**
+     * Link oriented pieces end to start into closed rings
+     */
+    chainPieces(pieces) {
+        const outgoing = new Map();
+        pieces.forEach((piece, index) => {
+            if (!outgoing.has(piece.v0)) outgoing.set(piece.v0, []);
+            outgoing.get(piece.v0).push(index);
+        });
+
+        const used = new Array(pieces.length).fill(false);
+        const rings = [];
+
+        pieces.forEach((piece, index) => {
+            if (used[index]) return;
+
+            const ring = [];
+            let current = index;
+            let closed = false;
+            while (current !== undefined && !used[current]) {
+                used[current] = true;
+                ring.push(pieces[current]);
+                if (pieces[current].v1 === ring[0].v0) {
+                    closed = true;
+                    break;
+                }
+                current = (outgoing.get(pieces[current].v1) || []).find(next => !used[next]);
+            }
+
+            // An open chain can only come from numerical trouble - drop it rather than guess
+            if (closed) {
+                rings.push(ring);
+            }
+        });
+
+        return rings;
+    }
+
+    /**
+     * Join consecutive pieces of the same original segment and collinear lines
+     * @returns {Array} Segments of the ring
+     */
+    mergeRing(ring, tolerance) {
+        const canJoin = (a, b) => a.source === b.source && a.reversed === b.reversed &&
+            (a.reversed ? a.t0 === b.t1 : a.t1 === b.t0);
+
+        // Start at the beginning of a run
+        const count = ring.length;
+        let start = ring.findIndex((piece, index) => !canJoin(ring[(index - 1 + count) % count], piece));
+        if (start === -1) start = 0;
+        const ordered = ring.slice(start).concat(ring.slice(0, start));
+
+        const runs = [];
+        ordered.forEach(piece => {
+            const run = runs[runs.length - 1];
+            if (run && canJoin(run[run.length - 1], piece)) {
+                run.push(piece);
+            } else {
+                runs.push([piece]);
+            }
+        });
+
+        const segments = runs.map(run => {
+            if (run.length === 1) return run[0].seg;
+
+            const first = run[0];
+            const last = run[run.length - 1];
+            const t0 = Math.min(first.t0, last.t0);
+            const t1 = Math.max(first.t1, last.t1);
+            let seg = Object.assign({}, this.geometry.subSegment(first.source, t0, t1));
+            if (first.reversed) {
+                seg = this.geometry.reverseSegment(seg);
+            }
+            seg.p0 = first.seg.p0;
+            seg.p1 = last.seg.p1;
+            return seg;
+        });
+
+        // Straight lines that continue in the same direction become one line
+        const isCollinear = (a, b) => {
+            if (a.c1 || b.c1) return false;
+            const d1 = { x: a.p1.x - a.p0.x, y: a.p1.y - a.p0.y };
+            const d2 = { x: b.p1.x - b.p0.x, y: b.p1.y - b.p0.y };
+            const cross = d1.x * d2.y - d1.y * d2.x;
+            const dot = d1.x * d2.x + d1.y * d2.y;
+            return dot > 0 && Math.abs(cross) <= tolerance * (Math.hypot(d1.x, d1.y) + Math.hypot(d2.x, d2.y));
+        };
+
+        const merged = [];
+        segments.forEach(seg => {
+            const prev = merged[merged.length - 1];
+            if (prev && isCollinear(prev, seg)) {
+                merged[merged.length - 1] = { p0: prev.p0, p1: seg.p1 };
+            } else {
+                merged.push(seg);
+            }
+        });
+        if (merged.length > 2 && isCollinear(merged[merged.length - 1], merged[0])) {
+            const last = merged.pop();
+            merged[0] = { p0: last.p0, p1: merged[0].p1 };
+        }
+
+        return merged;
+    }
+
+    /**
+     * Find a welded vertex for a point, so that nearly equal points become the same object
+     */
+    weldPoint(vertices, point, tolerance) {
+        const cell = tolerance * 4;
+        const cx = Math.floor(point.x / cell);
+        const cy = Math.floor(point.y / cell);
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const bucket = vertices.buckets.get(`${cx + dx},${cy + dy}`);
+                if (!bucket) continue;
+                const match = bucket.find(v => Math.hypot(v.x - point.x, v.y - point.y) <= tolerance);
+                if (match) return match;
+            }
+        }
+
+        const vertex = { x: point.x, y: point.y, id: vertices.count++ };
+        const key = `${cx},${cy}`;
+        if (!vertices.buckets.has(key)) vertices.buckets.set(key, []);
+        vertices.buckets.get(key).push(vertex);
+        return vertex;
+    }
+
+    getExtent(seg) {
+        const bounds = this.geometry.segmentBounds(seg);
+        return Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    }
+
+    boundsOverlap(a, b, tolerance) {
+        return a.minX <= b.maxX + tolerance && b.minX <= a.maxX + tolerance &&
+            a.minY <= b.maxY + tolerance && b.minY <= a.maxY + tolerance;
+    }
+
+    /**
+     * Intersections between two line or cubic segments
+     * @returns {Array} Hits {t1, t2, point} with t1 on the first and t2 on the second segment
+     */
+    intersectSegments(a, b, tolerance) {
+        if (!a.c1 && !b.c1) {
+            return this.intersectLines(a, b, tolerance, true);
+        }
+        if (!a.c1) {
+            return this.intersectLineCurve(a, b, tolerance);
+        }
+        if (!b.c1) {
+            return this.intersectLineCurve(b, a, tolerance).map(hit => ({ t1: hit.t2, t2: hit.t1, point: hit.point }));
+        }
+        return this.intersectCurves(a, b, tolerance);
+    }
+
+    intersectLines(a, b, tolerance, includeOverlap) {
+        const d1 = { x: a.p1.x - a.p0.x, y: a.p1.y - a.p0.y };
+        const d2 = { x: b.p1.x - b.p0.x, y: b.p1.y - b.p0.y };
+        const length1 = Math.hypot(d1.x, d1.y);
+        const length2 = Math.hypot(d2.x, d2.y);
+        if (length1 === 0 || length2 === 0) return [];
+
+        const w = { x: b.p0.x - a.p0.x, y: b.p0.y - a.p0.y };
+        const denominator = d1.x * d2.y - d1.y * d2.x;
+        const clamp = (t) => Math.max(0, Math.min(1, t));
+
+        if (Math.abs(denominator) <= 1e-12 * length1 * length2) {
+            // Parallel lines only meet where they overlap; split both at the overlap's ends
+            if (!includeOverlap) return [];
+            if (Math.abs(w.x * d1.y - w.y * d1.x) / length1 > tolerance) return [];
+
+            const hits = [];
+            [b.p0, b.p1].forEach((point, index) => {
+                const t = ((point.x - a.p0.x) * d1.x + (point.y - a.p0.y) * d1.y) / (length1 * length1);
+                if (t > 0 && t < 1) hits.push({ t1: t, t2: index, point });
+            });
+            [a.p0, a.p1].forEach((point, index) => {
+                const t = ((point.x - b.p0.x) * d2.x + (point.y - b.p0.y) * d2.y) / (length2 * length2);
+                if (t > 0 && t < 1) hits.push({ t1: index, t2: t, point });
+            });
+            return hits;
+        }
+
+        const t = (w.x * d2.y - w.y * d2.x) / denominator;
+        const u = (w.x * d1.y - w.y * d1.x) / denominator;
+        const slack1 = tolerance / length1;
+        const slack2 = tolerance / length2;
+        if (t < -slack1 || t > 1 + slack1 || u < -slack2 || u > 1 + slack2) return [];
+
+        return [{ t1: clamp(t), t2: clamp(u), point: this.geometry.segmentPoint(a, clamp(t)) }];
+    }
+
+    intersectLineCurve(line, curve, tolerance) {
+        const d = { x: line.p1.x - line.p0.x, y: line.p1.y - line.p0.y };
+        const length = Math.hypot(d.x, d.y);
+        if (length === 0) return [];
+
+        // Signed distances of the control points to the line give the curve's distance polynomial
+        const distance = (p) => (d.x * (p.y - line.p0.y) - d.y * (p.x - line.p0.x)) / length;
+        const p0 = distance(curve.p0);
+        const p1 = distance(curve.c1);
+        const p2 = distance(curve.c2);
+        const p3 = distance(curve.p1);
+
+        const roots = this.geometry.solveCubic(
+            -p0 + 3 * p1 - 3 * p2 + p3,
+            3 * p0 - 6 * p1 + 3 * p2,
+            -3 * p0 + 3 * p1,
+            p0
+        );
+
+        const hits = [];
+        const slack = tolerance / length;
+        roots.forEach(root => {
+            if (root < -1e-9 || root > 1 + 1e-9) return;
+            const t = Math.max(0, Math.min(1, root));
+            const point = this.geometry.segmentPoint(curve, t);
+            const u = ((point.x - line.p0.x) * d.x + (point.y - line.p0.y) * d.y) / (length * length);
+            if (u < -slack || u > 1 + slack) return;
+            hits.push({ t1: Math.max(0, Math.min(1, u)), t2: t, point });
+        });
+        return hits;
+    }
+
+    /**
+     * Curve/curve intersections by recursive subdivision until both parts are flat
+     */
+    intersectCurves(a, b, tolerance) {
+        const hits = [];
+        const isFlat = (seg) => {
+            if (!seg.c1) return true;
+            const dx = seg.p1.x - seg.p0.x;
+            const dy = seg.p1.y - seg.p0.y;
+            const length = Math.hypot(dx, dy);
+            const distance = (p) => length === 0 ?
+                Math.hypot(p.x - seg.p0.x, p.y - seg.p0.y) :
+                Math.abs(dx * (p.y - seg.p0.y) - dy * (p.x - seg.p0.x)) / length;
+            return distance(seg.c1) <= tolerance && distance(seg.c2) <= tolerance;
+        };
+        const recurse = (s1, from1, to1, s2, from2, to2, depth) => {
+            if (!this.boundsOverlap(this.geometry.segmentBounds(s1), this.geometry.segmentBounds(s2), tolerance)) return;
+
+            const flat1 = isFlat(s1);
+            const flat2 = isFlat(s2);
+            if ((flat1 && flat2) || depth > 40) {
+                const chord1 = { p0: s1.p0, p1: s1.p1 };
+                const chord2 = { p0: s2.p0, p1: s2.p1 };
+                this.intersectLines(chord1, chord2, tolerance, false).forEach(hit => {
+                    hits.push({
+                        t1: from1 + (to1 - from1) * hit.t1,
+                        t2: from2 + (to2 - from2) * hit.t2,
+                        point: hit.point
+                    });
+                });
+                return;
+            }
+
+            if (!flat1 && (flat2 || this.getExtent(s1) >= this.getExtent(s2))) {
+                const [left, right] = this.geometry.splitSegment(s1, 0.5);
+                const mid = (from1 + to1) / 2;
+                recurse(left, from1, mid, s2, from2, to2, depth + 1);
+                recurse(right, mid, to1, s2, from2, to2, depth + 1);
+            } else {
+                const [left, right] = this.geometry.splitSegment(s2, 0.5);
+                const mid = (from2 + to2) / 2;
+                recurse(s1, from1, to1, left, from2, mid, depth + 1);
+                recurse(s1, from1, to1, right, mid, to2, depth + 1);
+            }
+        };
+
+        recurse(a, 0, 1, b, 0, 1, 0);
+        return hits;
+    }
+
+    /**
+     * Split segments into parts that are monotone in y, for exact winding numbers
+     */
+    getMonotoneSegments(subpaths) {
+        const result = [];
+        subpaths.forEach(subpath => {
+            subpath.segments.forEach(seg => {
+                if (!seg.c1) {
+                    result.push(seg);
+                    return;
+                }
+
+                // y'(t)/3 = (a - 2b + c)t^2 + 2(b - a)t + a
+                const a = seg.c1.y - seg.p0.y;
+                const b = seg.c2.y - seg.c1.y;
+                const c = seg.p1.y - seg.c2.y;
+                const extrema = this.geometry.solveQuadratic(a - 2 * b + c, 2 * (b - a), a)
+                    .filter(t => t > 1e-9 && t < 1 - 1e-9)
+                    .sort((p, q) => p - q);
+
+                let t0 = 0;
+                extrema.concat([1]).forEach(t1 => {
+                    if (t1 - t0 > 1e-12) {
+                        result.push(this.geometry.subSegment(seg, t0, t1));
+                    }
+                    t0 = t1;
+                });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Winding number of a point with respect to y-monotone segments (ray cast towards +x)
+     */
+    getWinding(monotoneSegments, point) {
+        let winding = 0;
+
+        monotoneSegments.forEach(seg => {
+            const y0 = seg.p0.y;
+            const y1 = seg.p1.y;
+            // Half-open rule so that a ray through a vertex counts exactly once
+            if ((y0 <= point.y) === (y1 <= point.y)) return;
+
+            const bounds = this.geometry.segmentBounds(seg);
+            if (bounds.maxX <= point.x) return;
+
+            let x;
+            if (bounds.minX > point.x) {
+                x = bounds.minX;
+            } else if (!seg.c1) {
+                x = seg.p0.x + (point.y - y0) * (seg.p1.x - seg.p0.x) / (y1 - y0);
+            } else {
+                // Bisect for the crossing - y is monotone on this segment
+                const increasing = y1 > y0;
+                let low = 0;
+                let high = 1;
+                for (let i = 0; i < 50; i++) {
+                    const mid = (low + high) / 2;
+                    const y = this.geometry.segmentPoint(seg, mid).y;
+                    if ((y < point.y) === increasing) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                x = this.geometry.segmentPoint(seg, (low + high) / 2).x;
+            }
+
+            if (x > point.x) {
+                winding += y1 > y0 ? 1 : -1;
+            }
+        });
+
+        return winding;
+    }
+
+    isInside(operand, point) {
+        const b = operand.bounds;
+        if (point.x < b.minX || point.x > b.maxX || point.y < b.minY || point.y > b.maxY) return false;
+
+        const winding = this.getWinding(operand.monotoneSegments, point);
+        return operand.fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+    }
+
+    /**
+     * Replace the operands with result paths at the position of the top-most operand
+     */
+    replaceElements(elements, results) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const top = elements[elements.length - 1];
+        const parent = top.parentNode;
+
+        // Results are computed in root coordinates; bring them into the parent's coordinates
+        const toParent = this.geometry.invertMatrix(this.geometry.getElementToRootMatrix(parent)) ||
+            { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+        const created = results.map((result, index) => {
+            const path = document.createElementNS(svgNS, 'path');
+            this.copyStyle(result.styleSource, path);
+
+            const commands = this.geometry.transformCommands(this.geometry.segmentsToCommands(result.subpaths), toParent);
+            path.setAttribute('d', this.editor.buildPathData(this.geometry.roundCommands(commands)));
+            path.id = `element-${Date.now() + index}`;
+
+            parent.insertBefore(path, top);
+            return path;
+        });
+
+        elements.forEach(element => element.remove());
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        created.forEach((path, index) => this.editor.selectElement(path, index > 0));
+    }
+
+    /**
+     * Copy presentation attributes (everything but id, geometry and transform) to the result
+     */
+    copyStyle(source, target) {
+        const skipped = ['id', 'd', 'transform', 'x', 'y', 'width', 'height', 'rx', 'ry', 'cx', 'cy', 'r',
+            'x1', 'y1', 'x2', 'y2', 'points', 'pathLength', 'data-node-types'];
+
+        Array.from(source.attributes).forEach(attr => {
+            if (!skipped.includes(attr.name)) {
+                target.setAttribute(attr.name, attr.value);
+            }
+        });
+
+        target.classList.remove('selected', 'dragging');
+        if (!target.getAttribute('class')) {
+            target.removeAttribute('class');
+        }
+    }
+}
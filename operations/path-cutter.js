@@ -0,0 +1,386 @@
+/**
+ * PathCutter
+ * Cuts paths and shapes apart for the knife tool: dragging a knife line across a closed
+ * shape cuts its area into separate closed paths, open paths are split where the line
+ * crosses them, and a single click (scissors) splits a path at the clicked point
+ *
+ * Each piece becomes its own path element styled like the original. Area cuts are found
+ * on the boolean operations' arrangement: the outline pieces and the parts of the knife
+ * line inside the shape are walked into rings, always taking the sharpest left turn, so
+ * that every ring goes around exactly one piece of the area.
+ */
+class PathCutter {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+
+        // Screen distance (px) within which a click hits a path
+        this.hitDistance = 5;
+
+        this.supportedTags = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+    }
+
+    /**
+     * Elements the knife works on: the selection, or every shape when nothing is selected
+     * @returns {Array} Top-most element first
+     */
+    getTargets() {
+        const selected = Array.from(this.editor.selectedElements)
+            .filter(element => this.supportedTags.includes(element.tagName));
+        const elements = selected.length > 0 ? selected :
+            Array.from(this.editor.svgElement.querySelectorAll(this.supportedTags.join(', '))).filter(element =>
+                !element.closest('#boundingBoxGroup, #marqueeSelectGroup, defs') &&
+                !element.classList.contains('node-handle') &&
+                element.style.pointerEvents !== 'none' &&
+                this.isRendered(element)
+            );
+
+        return elements.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? 1 : -1);
+    }
+
+    /**
+     * Whether an element is drawn: neither it nor an ancestor (such as a hidden layer)
+     * has display: none
+     */
+    isRendered(element) {
+        for (let node = element; node && node !== this.editor.svgElement; node = node.parentNode) {
+            if (node.nodeType !== 1) break;
+            if (window.getComputedStyle(node).display === 'none') return false;
+        }
+        return true;
+    }
+
+    /**
+     * Cut every target the knife line crosses
+     * @param {Array} points - Knife polyline in root SVG coordinates
+     * @returns {boolean} Whether anything was cut
+     */
+    cutWithKnife(points) {
+        if (points.length < 2) return false;
+
+        const results = [];
+        this.getTargets().forEach(element => {
+            const toLocal = this.geometry.invertMatrix(this.geometry.getElementToRootMatrix(element));
+            if (!toLocal) return;
+
+            const knife = points.map(point => this.geometry.transformPoint(toLocal, point.x, point.y));
+            const commands = this.geometry.getElementCommands(element) || [];
+            const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+            if (subpaths.length === 0) return;
+
+            const pieces = subpaths.some(sub => sub.closed) ?
+                this.cutArea(element, commands, knife) :
+                this.cutStrokes(commands, knife);
+            if (pieces) {
+                results.push({ element, commands, pieces });
+            }
+        });
+
+        if (results.length === 0) return false;
+
+        this.applyCuts(results);
+        this.editor.historyManager.saveState('Knife');
+        return true;
+    }
+
+    /**
+     * Scissors: split the top-most target under a screen point at that point
+     * Closed paths are opened there, open paths are split into two.
+     * @returns {boolean} Whether a path was split
+     */
+    cutAtPoint(clientX, clientY) {
+        for (const element of this.getTargets()) {
+            const ctm = element.getScreenCTM();
+            if (!ctm) continue;
+
+            const toScreen = { a: ctm.a, b: ctm.b, c: ctm.c, d: ctm.d, e: ctm.e, f: ctm.f };
+            const toLocal = this.geometry.invertMatrix(toScreen);
+            if (!toLocal) continue;
+
+            const local = this.geometry.transformPoint(toLocal, clientX, clientY);
+            const scale = Math.sqrt(Math.abs(ctm.a * ctm.d - ctm.b * ctm.c)) || 1;
+            const commands = this.geometry.getElementCommands(element) || [];
+
+            const pieces = this.splitAtPoints(commands, [local], this.hitDistance / scale);
+            if (pieces) {
+                this.applyCuts([{ element, commands, pieces }]);
+                this.editor.historyManager.saveState('Scissors');
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Split open subpaths where the knife line crosses them
+     * @returns {Array|null} Pieces as command lists, or null when the line misses
+     */
+    cutStrokes(commands, knife) {
+        const boolean = this.editor.pathBooleanOperations;
+        const blade = knife.slice(1).map((point, i) => ({ p0: knife[i], p1: point }));
+        const tolerance = this.getTolerance(commands, knife);
+
+        const hits = [];
+        this.geometry.commandsToSegments(commands).forEach(subpath => {
+            subpath.segments.forEach(seg => {
+                blade.forEach(line => {
+                    boolean.intersectSegments(seg, line, tolerance * 1e-3).forEach(hit => hits.push(hit.point));
+                });
+            });
+        });
+
+        return hits.length > 0 ? this.splitAtPoints(commands, hits, tolerance) : null;
+    }
+
+    /**
+     * Split commands at points on their outline and break them apart there
+     * @param {number} tolerance - How far a point may be from the outline; points this close
+     *     to a node split at the node
+     * @returns {Array|null} Pieces as command lists, or null when nothing was split
+     */
+    splitAtPoints(commands, points, tolerance) {
+        const parser = this.editor.pathDataParser;
+        const nodeEditor = this.editor.pathNodeEditor;
+        commands = commands.slice();
+        let nodes = [];
+
+        points.forEach(point => {
+            let best = null;
+            commands.forEach((cmd, index) => {
+                if (cmd.type === 'M') return;
+
+                const start = parser.getStartPoint(commands, index);
+                const target = cmd.type === 'Z' ? nodeEditor.getClosingLine(commands, index) : cmd;
+                if (start.x === target.x && start.y === target.y) return;
+
+                const hit = this.geometry.nearestPointOnCommand(start.x, start.y, target, point);
+                const distance = Math.hypot(hit.point.x - point.x, hit.point.y - point.y);
+                if (!best || distance < best.distance) {
+                    best = { index, t: hit.t, point: hit.point, start, target, distance };
+                }
+            });
+            if (!best || best.distance > tolerance) return;
+
+            const { index } = best;
+            let node;
+            if (Math.hypot(best.start.x - best.point.x, best.start.y - best.point.y) <= tolerance) {
+                node = index - 1;
+            } else if (Math.hypot(best.target.x - best.point.x, best.target.y - best.point.y) <= tolerance) {
+                // The end of a closing line is the start of its subpath
+                node = index;
+                if (commands[index].type === 'Z') {
+                    while (node > 0 && commands[node].type !== 'M') node--;
+                }
+            } else {
+                if (commands[index].type === 'Z') {
+                    commands.splice(index, 0, { type: 'L', x: best.point.x, y: best.point.y });
+                } else {
+                    commands.splice(index, 1, ...this.geometry.splitCommand(best.start.x, best.start.y, commands[index], best.t));
+                }
+                nodes = nodes.map(n => n >= index ? n + 1 : n);
+                node = index;
+            }
+            if (commands[node].type !== 'Z' && !nodes.includes(node)) {
+                nodes.push(node);
+            }
+        });
+
+        if (nodes.length === 0) return null;
+
+        const subpaths = nodeEditor.splitSubpaths(commands);
+        const kept = [];
+        const cut = [];
+        subpaths.forEach(sub => {
+            const positions = nodes
+                .filter(index => index >= sub.first && index < sub.first + sub.commands.length)
+                .map(index => index - sub.first);
+            const result = nodeEditor.breakSubpath(sub, positions);
+            if (result.length === 1 && result[0].closed === sub.closed) {
+                kept.push(sub);
+            } else {
+                cut.push(...result);
+            }
+        });
+        if (cut.length === 0) return null;
+
+        // Subpaths the cut missed stay with the first piece
+        const toCommands = (list) => this.editor.pathJoiner.toCommands(list);
+        return [toCommands(kept.concat(cut.slice(0, 1)))].concat(cut.slice(1).map(piece => toCommands([piece])));
+    }
+
+    /**
+     * Cut the area of a closed shape along the knife line
+     * @returns {Array|null} Pieces as command lists, or null when the line doesn't cut through
+     */
+    cutArea(element, commands, knife) {
+        const boolean = this.editor.pathBooleanOperations;
+        const fillRule = window.getComputedStyle(element).fillRule === 'evenodd' ? 'evenodd' : 'nonzero';
+        const shape = boolean.createSubpathOperand(this.geometry.commandsToSegments(commands), fillRule);
+
+        // The knife line takes part in the arrangement but encloses nothing
+        const bladeSegments = knife.slice(1).map((point, i) => ({ p0: knife[i], p1: point }));
+        const blade = {
+            subpaths: [{ segments: bladeSegments, closed: false }],
+            fillRule: 'nonzero',
+            monotoneSegments: [],
+            bounds: { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+        };
+
+        const arrangement = boolean.buildArrangement([shape, blade]);
+        const fromBlade = new Set(bladeSegments);
+        const reverse = (piece) => Object.assign({}, piece, {
+            seg: this.geometry.reverseSegment(piece.seg),
+            v0: piece.v1,
+            v1: piece.v0,
+            reversed: !piece.reversed
+        });
+
+        // Outline pieces run with the area on their left, knife pieces inside the area cut it
+        const edges = [];
+        let chords = [];
+        arrangement.pieces.forEach(piece => {
+            if (fromBlade.has(piece.source)) {
+                if (piece.left[0] && piece.right[0]) chords.push(Object.assign({}, piece, { reversed: false }));
+            } else if (piece.left[0] !== piece.right[0]) {
+                edges.push(piece.left[0] ? Object.assign({}, piece, { reversed: false }) : reverse(piece));
+            }
+        });
+
+        // Knife ends that stop inside the area don't cut anything
+        let pruned = true;
+        while (pruned) {
+            const degree = new Map();
+            const count = (vertex) => degree.set(vertex, (degree.get(vertex) || 0) + 1);
+            edges.concat(chords).forEach(piece => { count(piece.v0); count(piece.v1); });
+
+            const before = chords.length;
+            chords = chords.filter(piece => degree.get(piece.v0) > 1 && degree.get(piece.v1) > 1);
+            pruned = chords.length < before;
+        }
+        if (chords.length === 0) return null;
+
+        chords.forEach(chord => {
+            const twin = reverse(chord);
+            chord.twin = twin;
+            twin.twin = chord;
+            edges.push(chord, twin);
+        });
+
+        const rings = this.traceRings(edges).map(ring => ({
+            segments: boolean.mergeRing(ring, arrangement.tolerance),
+            closed: true
+        }));
+        const groups = boolean.groupSubpaths(rings);
+        if (groups.length < 2) return null;
+
+        return groups.map(group => this.geometry.roundCommands(this.geometry.segmentsToCommands(group)));
+    }
+
+    /**
+     * Walk oriented edges into closed rings, taking the sharpest left turn at every vertex
+     * @param {Array} edges - Arrangement pieces with the area on their left; knife pieces
+     *     come in both directions and know their twin
+     */
+    traceRings(edges) {
+        const outgoing = new Map();
+        edges.forEach(edge => {
+            if (!outgoing.has(edge.v0)) outgoing.set(edge.v0, []);
+            outgoing.get(edge.v0).push(edge);
+        });
+
+        // Directions a little way into the segments - handles may sit on the end points
+        const direction = (seg, from, to) => {
+            const a = this.geometry.segmentPoint(seg, from);
+            const b = this.geometry.segmentPoint(seg, to);
+            return { x: b.x - a.x, y: b.y - a.y };
+        };
+
+        const nextEdge = (edge) => {
+            const incoming = direction(edge.seg, 1 - 1e-3, 1);
+            let best = null;
+            let bestTurn = -Infinity;
+            (outgoing.get(edge.v1) || []).forEach(candidate => {
+                if (candidate === edge.twin) return;
+                const d = direction(candidate.seg, 0, 1e-3);
+                const turn = Math.atan2(incoming.x * d.y - incoming.y * d.x, incoming.x * d.x + incoming.y * d.y);
+                if (turn > bestTurn) {
+                    bestTurn = turn;
+                    best = candidate;
+                }
+            });
+            return best;
+        };
+
+        const used = new Set();
+        const rings = [];
+        edges.forEach(first => {
+            if (used.has(first)) return;
+
+            const ring = [];
+            let edge = first;
+            while (edge && !used.has(edge)) {
+                used.add(edge);
+                ring.push(edge);
+                edge = nextEdge(edge);
+            }
+
+            // A ring that doesn't come back to its first edge can only come from numerical trouble
+            if (edge === first) {
+                rings.push(ring);
+            }
+        });
+
+        return rings;
+    }
+
+    /**
+     * Tolerance for matching points, relative to the size of the drawing
+     */
+    getTolerance(commands, knife) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        commands.filter(cmd => cmd.type !== 'Z').concat(knife).forEach(point => {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        });
+        return Math.max(maxX - minX, maxY - minY, 1) * 1e-4;
+    }
+
+    /**
+     * Write the pieces: the first replaces the original's outline, the others become
+     * copies of it placed right above
+     * @param {Array} results - {element, commands, pieces}
+     */
+    applyCuts(results) {
+        const nodeEditor = this.editor.pathNodeEditor;
+        const created = [];
+
+        results.forEach(({ element, commands, pieces }) => {
+            const path = element.tagName === 'path' ? element : this.editor.shapeConverter.convertElement(element);
+            const types = nodeEditor.getNodeTypes(path, commands);
+
+            let previous = path;
+            pieces.forEach((pieceCommands, index) => {
+                let piece = path;
+                if (index > 0) {
+                    piece = path.cloneNode(false);
+                    piece.id = `element-${Date.now() + created.length}`;
+                    piece.classList.remove('selected', 'dragging');
+                    if (!piece.getAttribute('class')) piece.removeAttribute('class');
+                    previous.parentNode.insertBefore(piece, previous.nextSibling);
+                    previous = piece;
+                }
+                this.editor.normalizeArcs(pieceCommands);
+                piece.setAttribute('d', this.editor.buildPathData(pieceCommands));
+                nodeEditor.remapNodeTypes(piece, commands, types);
+                created.push(piece);
+            });
+        });
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        created.forEach((path, index) => this.editor.selectElement(path, index > 0));
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * PathDirection
+ * Reverses the drawing direction of paths and moves their start point
+ *
+ * The direction decides where marker-start and marker-end go, which way text runs along
+ * the path and the order a plotter draws in. Both commands keep the outline unchanged.
+ */
+class PathDirection {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+    }
+
+    /**
+     * Reverse the selected paths
+     * With nodes selected in Direct Select only the subpaths holding them are reversed.
+     */
+    reverseSelected() {
+        const paths = Array.from(this.editor.selectedElements).filter(element => element.tagName === 'path');
+        if (paths.length === 0) {
+            alert('Select a path to reverse');
+            return;
+        }
+
+        const nodesByElement = this.editor.pathNodeEditor.getSelectedMainNodes();
+
+        paths.forEach(element => {
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+            const indices = nodesByElement.get(element);
+
+            subpaths.forEach(sub => {
+                if (indices && !indices.some(index => index >= sub.first && index < sub.first + sub.commands.length)) {
+                    return;
+                }
+                sub.commands = this.geometry.reverseSubpathCommands(sub.commands, sub.closed);
+            });
+
+            this.editor.pathJoiner.writeSubpaths(element, subpaths);
+        });
+
+        this.editor.pathJoiner.refreshSelection();
+        this.editor.historyManager.saveState('Reverse path');
+    }
+
+    /**
+     * Make the selected node the first node of its path
+     * A node of a closed subpath becomes its start; an open subpath can only start at one
+     * of its ends, so selecting the last node reverses it. Compound paths get the node's
+     * subpath moved to the front.
+     */
+    makeSelectedNodeStart() {
+        const nodesByElement = this.editor.pathNodeEditor.getSelectedMainNodes();
+        if (nodesByElement.size === 0 || Array.from(nodesByElement.values()).some(indices => indices.length !== 1)) {
+            alert('Select one node per path to make it the start point');
+            return;
+        }
+
+        const changes = [];
+        for (const [element, [index]] of nodesByElement) {
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+            const sub = subpaths.find(s => index >= s.first && index < s.first + s.commands.length);
+            if (!sub) return;
+
+            const position = index - sub.first;
+            if (sub.closed) {
+                sub.commands = this.rotateClosedSubpath(sub.commands, position);
+            } else if (position === sub.commands.length - 1) {
+                sub.commands = this.geometry.reverseSubpathCommands(sub.commands, false);
+            } else if (position !== 0) {
+                alert('An open path can only start at one of its end nodes');
+                return;
+            }
+
+            subpaths.splice(subpaths.indexOf(sub), 1);
+            subpaths.unshift(sub);
+            changes.push({ element, subpaths });
+        }
+
+        changes.forEach(({ element, subpaths }) => this.editor.pathJoiner.writeSubpaths(element, subpaths));
+
+        // The start node is the first command now
+        this.editor.clearNodeSelection();
+        changes.forEach(({ element }) => this.editor.selectedNodes.add(`${element.id || ''}-0-main`));
+        this.editor.updateBoundingBox();
+        if (this.editor.currentTool === 'direct-select') {
+            changes.forEach(({ element }) => this.editor.showNodeHandles(element));
+        }
+
+        this.editor.historyManager.saveState('Set start point');
+    }
+
+    /**
+     * Start a closed subpath at another of its nodes
+     * @param {Array} commands - Subpath commands (starting with M, without Z)
+     * @param {number} position - Index of the new start node in commands
+     * @returns {Array} The rotated commands, to be closed with Z
+     */
+    rotateClosedSubpath(commands, position) {
+        const start = commands[0];
+        if (position === 0 || this.editor.pathNodeEditor.isSamePoint(commands[position], start)) {
+            return commands;
+        }
+
+        // Make the closing line explicit so it stays in place between the old end and start
+        if (!this.editor.pathNodeEditor.isSamePoint(commands[commands.length - 1], start)) {
+            commands = commands.concat([{ type: 'L', x: start.x, y: start.y }]);
+        }
+
+        const node = commands[position];
+        const rotated = [{ type: 'M', x: node.x, y: node.y }]
+            .concat(commands.slice(position + 1), commands.slice(1, position + 1));
+
+        // A line arriving back at the new start is left to Z
+        const last = rotated[rotated.length - 1];
+        if (last.type === 'L' || last.type === 'H' || last.type === 'V') {
+            rotated.pop();
+        }
+        return rotated;
+    }
+}
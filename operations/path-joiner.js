@@ -0,0 +1,273 @@
+/**
+ * PathJoiner
+ * Joins open path ends, closes open paths, and combines paths into compound paths
+ * (and releases them again)
+ *
+ * Subpaths are handled as {first, commands, closed} lists (see PathNodeEditor.splitSubpaths),
+ * so segments keep their type when they move between paths.
+ */
+class PathJoiner {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+
+        this.supportedTags = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+    }
+
+    /**
+     * Join the two selected end nodes
+     * Ends of different subpaths (or paths) are connected into one subpath; the two ends of
+     * the same subpath close it.
+     * @param {string} mode - 'average' merges the ends into one node at their midpoint,
+     *     'line' bridges them with a line segment
+     */
+    joinSelectedEndpoints(mode) {
+        const endpoints = this.getSelectedEndpoints();
+        if (endpoints.length !== 2) {
+            alert('Select two end nodes of open paths to join');
+            return;
+        }
+
+        const [a, b] = endpoints;
+
+        if (a.element === b.element && a.sub === b.sub) {
+            const commands = a.sub.commands;
+            if (mode === 'average') {
+                const start = commands[0];
+                const end = commands[commands.length - 1];
+                const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+                this.moveEndpoint(commands, 0, mid);
+                this.moveEndpoint(commands, commands.length - 1, mid);
+            }
+            a.sub.closed = true;
+            this.writeSubpaths(a.element, a.subpaths);
+        } else {
+            // Bring the second end into the coordinates of the first path
+            let otherCommands = b.sub.commands;
+            if (a.element !== b.element) {
+                const toLocal = this.geometry.invertMatrix(this.geometry.getElementToRootMatrix(a.element));
+                if (toLocal) {
+                    const matrix = this.geometry.multiplyMatrices(toLocal, this.geometry.getElementToRootMatrix(b.element));
+                    otherCommands = this.geometry.transformCommands(otherCommands, matrix);
+                }
+            }
+
+            // The first subpath has to end at its joined node and the second start at its one
+            const head = a.atStart ? this.geometry.reverseSubpathCommands(a.sub.commands, false) : a.sub.commands.slice();
+            const tail = b.atStart ? otherCommands.slice() : this.geometry.reverseSubpathCommands(otherCommands, false);
+
+            const end = head[head.length - 1];
+            const start = tail[0];
+            if (mode === 'average') {
+                const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+                this.moveEndpoint(head, head.length - 1, mid);
+                this.moveEndpoint(tail, 0, mid);
+                a.sub.commands = head.concat(tail.slice(1));
+            } else {
+                a.sub.commands = head.concat([{ type: 'L', x: start.x, y: start.y }], tail.slice(1));
+            }
+
+            b.subpaths.splice(b.subpaths.indexOf(b.sub), 1);
+            this.writeSubpaths(a.element, a.subpaths);
+            if (b.element !== a.element) {
+                if (b.subpaths.length === 0) {
+                    this.editor.selectedElements.delete(b.element);
+                    b.element.remove();
+                    this.editor.extractLayers();
+                    this.editor.renderLayersPanel();
+                } else {
+                    this.writeSubpaths(b.element, b.subpaths);
+                }
+            }
+        }
+
+        this.refreshSelection();
+        this.editor.historyManager.saveState('Join paths');
+    }
+
+    /**
+     * Selected main nodes that are the first or last node of an open subpath
+     * @returns {Array} {element, subpaths, sub, atStart}
+     */
+    getSelectedEndpoints() {
+        const endpoints = [];
+
+        this.editor.pathNodeEditor.getSelectedMainNodes().forEach((indices, element) => {
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+
+            indices.forEach(index => {
+                const sub = subpaths.find(s => index >= s.first && index < s.first + s.commands.length);
+                if (!sub || sub.closed || sub.commands.length < 2) return;
+
+                const position = index - sub.first;
+                if (position === 0 || position === sub.commands.length - 1) {
+                    endpoints.push({ element, subpaths, sub, atStart: position === 0 });
+                }
+            });
+        });
+
+        return endpoints;
+    }
+
+    /**
+     * Move the first or last node of a subpath, taking its handle along
+     */
+    moveEndpoint(commands, position, point) {
+        const cmd = commands[position];
+        const dx = point.x - cmd.x;
+        const dy = point.y - cmd.y;
+        cmd.x = point.x;
+        cmd.y = point.y;
+
+        const handleCmd = position === 0 ? commands[1] : cmd;
+        const key = position === 0 ? '1' : '2';
+        if (handleCmd && (handleCmd.type === 'C' || handleCmd.type === 'S')) {
+            handleCmd['x' + key] += dx;
+            handleCmd['y' + key] += dy;
+        }
+    }
+
+    /**
+     * Close every open subpath of the selected paths with Z
+     */
+    closeSelectedPaths() {
+        let changed = false;
+
+        this.editor.selectedElements.forEach(element => {
+            if (element.tagName !== 'path') return;
+
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+            const open = subpaths.filter(sub => !sub.closed && sub.commands.length > 1);
+            if (open.length === 0) return;
+
+            open.forEach(sub => { sub.closed = true; });
+            this.writeSubpaths(element, subpaths);
+            changed = true;
+        });
+
+        if (!changed) {
+            alert('Select an open path to close');
+            return;
+        }
+
+        this.refreshSelection();
+        this.editor.historyManager.saveState('Close path');
+    }
+
+    /**
+     * Combine the selected paths and shapes into one compound path
+     * The bottom-most element keeps its style and transform; the others are moved into
+     * its coordinates as additional subpaths.
+     */
+    combineSelected() {
+        const elements = Array.from(this.editor.selectedElements)
+            .filter(element => this.supportedTags.includes(element.tagName))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+        if (elements.length < 2) {
+            alert('Select at least two paths to combine');
+            return;
+        }
+
+        let target = elements[0];
+        if (target.tagName !== 'path') {
+            target = this.editor.shapeConverter.convertElement(target);
+        }
+
+        const toLocal = this.geometry.invertMatrix(this.geometry.getElementToRootMatrix(target)) ||
+            { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        const commands = this.editor.parsePathData(target.getAttribute('d') || '');
+
+        elements.slice(1).forEach(element => {
+            const matrix = this.geometry.multiplyMatrices(toLocal, this.geometry.getElementToRootMatrix(element));
+            const elementCommands = this.geometry.getElementCommands(element) || [];
+            commands.push(...this.geometry.transformCommands(elementCommands, matrix));
+            element.remove();
+        });
+
+        this.editor.pathNodeEditor.setPathCommands(target, commands);
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        this.editor.selectElement(target);
+
+        this.editor.historyManager.saveState('Combine paths');
+    }
+
+    /**
+     * Split the selected compound paths into one path per subpath
+     */
+    releaseSelected() {
+        const compounds = Array.from(this.editor.selectedElements).filter(element => {
+            if (element.tagName !== 'path') return false;
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            return this.editor.pathNodeEditor.splitSubpaths(commands).length > 1;
+        });
+        if (compounds.length === 0) {
+            alert('Select a compound path to release');
+            return;
+        }
+
+        const released = [];
+        compounds.forEach(element => {
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const types = this.editor.pathNodeEditor.getNodeTypes(element, commands);
+            const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+
+            let previous = element;
+            subpaths.forEach((sub, index) => {
+                let path = element;
+                if (index > 0) {
+                    path = element.cloneNode(false);
+                    path.id = `element-${Date.now() + released.length}`;
+                    path.classList.remove('selected', 'dragging');
+                    if (!path.getAttribute('class')) path.removeAttribute('class');
+                    previous.parentNode.insertBefore(path, previous.nextSibling);
+                    previous = path;
+                }
+                path.setAttribute('d', this.editor.buildPathData(this.toCommands([sub])));
+                this.editor.pathNodeEditor.remapNodeTypes(path, commands, types);
+                released.push(path);
+            });
+        });
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        released.forEach((path, index) => this.editor.selectElement(path, index > 0));
+
+        this.editor.historyManager.saveState('Release compound path');
+    }
+
+    toCommands(subpaths) {
+        const commands = [];
+        subpaths.forEach(sub => {
+            commands.push(...sub.commands);
+            if (sub.closed) commands.push({ type: 'Z' });
+        });
+        return commands;
+    }
+
+    writeSubpaths(element, subpaths) {
+        const commands = this.toCommands(subpaths);
+        this.editor.normalizeArcs(commands);
+        this.editor.pathNodeEditor.setPathCommands(element, commands);
+    }
+
+    /**
+     * Node indices changed - drop the node selection and show the new handles
+     */
+    refreshSelection() {
+        this.editor.clearNodeSelection();
+        this.editor.updateBoundingBox();
+        if (this.editor.currentTool !== 'direct-select') return;
+
+        this.editor.selectedElements.forEach(element => {
+            if (element.tagName === 'path') {
+                this.editor.showNodeHandles(element);
+            }
+        });
+    }
+}
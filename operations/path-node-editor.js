@@ -0,0 +1,837 @@
+/**
+ * PathNodeEditor
+ * Adds, deletes and breaks path nodes for the Direct Select tool, and manages node types
+ *
+ * All edits work on the parsed commands, so untouched segments keep their type
+ * (arcs stay arcs, quadratics stay quadratics).
+ *
+ * Node types decide how the handles on both sides of a node behave:
+ *   corner    - the handles move independently
+ *   smooth    - the handles stay in line, each keeping its own length
+ *   symmetric - the handles stay in line and equally long
+ *   auto      - the handles are placed automatically from the neighbouring nodes
+ * Types are stored in a data-node-types attribute, one letter per command (like Inkscape's
+ * sodipodi:nodetypes); paths without one get their types from the handle geometry.
+ */
+class PathNodeEditor {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+
+        // How close (in screen pixels) a click must be to a segment to insert a node
+        this.segmentHitDistance = 5;
+
+        this.nodeTypeCodes = { corner: 'c', smooth: 's', symmetric: 'z', auto: 'a' };
+    }
+
+    /**
+     * Insert a node where a selected path's outline was clicked
+     * @param {SVGPathElement} element
+     * @param {number} clientX - Click position in screen coordinates
+     * @param {number} clientY
+     * @returns {boolean} Whether a node was inserted
+     */
+    insertNodeAtPoint(element, clientX, clientY) {
+        const hit = this.findSegmentAt(element, clientX, clientY);
+        if (!hit) return false;
+
+        const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+        const cmd = commands[hit.index];
+        const start = this.editor.pathDataParser.getStartPoint(commands, hit.index);
+
+        if (cmd.type === 'Z') {
+            // The closing line gets an explicit line to the new node; Z draws the rest
+            const point = this.geometry.commandPoint(start.x, start.y, this.getClosingLine(commands, hit.index), hit.t);
+            commands.splice(hit.index, 0, { type: 'L', x: point.x, y: point.y });
+        } else {
+            commands.splice(hit.index, 1, ...this.geometry.splitCommand(start.x, start.y, cmd, hit.t));
+        }
+
+        this.setPathCommands(element, commands);
+
+        // Select the new node so it can be dragged or deleted right away
+        this.editor.clearNodeSelection();
+        this.editor.selectedNodes.add(`${element.id || ''}-${hit.index}-main`);
+        this.editor.showNodeHandles(element);
+
+        this.editor.historyManager.saveState('Add node');
+        return true;
+    }
+
+    /**
+     * Find the segment of a path closest to a screen point
+     * Points right next to an existing node don't count - the node handle is there.
+     * @returns {Object|null} {index, t} - the command index (a Z for the closing line) and parameter
+     */
+    findSegmentAt(element, clientX, clientY) {
+        const ctm = element.getScreenCTM();
+        if (!ctm) return null;
+
+        const toScreen = { a: ctm.a, b: ctm.b, c: ctm.c, d: ctm.d, e: ctm.e, f: ctm.f };
+        const toLocal = this.geometry.invertMatrix(toScreen);
+        if (!toLocal) return null;
+
+        const local = this.geometry.transformPoint(toLocal, clientX, clientY);
+        const screenDistance = (point) => {
+            const screen = this.geometry.transformPoint(toScreen, point.x, point.y);
+            return Math.hypot(screen.x - clientX, screen.y - clientY);
+        };
+
+        const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+        let best = null;
+
+        commands.forEach((cmd, index) => {
+            if (cmd.type === 'M') return;
+
+            const start = this.editor.pathDataParser.getStartPoint(commands, index);
+            const target = cmd.type === 'Z' ? this.getClosingLine(commands, index) : cmd;
+            if (start.x === target.x && start.y === target.y) return;
+
+            const hit = this.geometry.nearestPointOnCommand(start.x, start.y, target, local);
+            const distance = screenDistance(hit.point);
+            if (distance > this.segmentHitDistance || (best && distance >= best.distance)) return;
+
+            if (screenDistance(start) <= this.segmentHitDistance || screenDistance(target) <= this.segmentHitDistance) return;
+
+            best = { index, t: hit.t, distance };
+        });
+
+        return best;
+    }
+
+    /**
+     * The line a Z command draws back to the start of its subpath
+     */
+    getClosingLine(commands, zIndex) {
+        for (let i = zIndex - 1; i >= 0; i--) {
+            if (commands[i].type === 'M') {
+                return { type: 'L', x: commands[i].x, y: commands[i].y };
+            }
+        }
+        return { type: 'L', x: 0, y: 0 };
+    }
+
+    /**
+     * Selected main nodes of paths, grouped by element
+     * @returns {Map} element -> command indices in descending order
+     */
+    getSelectedMainNodes() {
+        const nodesByElement = new Map();
+
+        this.editor.selectedNodes.forEach(nodeId => {
+            const nodeInfo = this.editor.parseNodeId(nodeId);
+            if (!nodeInfo || !nodeInfo.element || nodeInfo.element.tagName !== 'path') return;
+            if (nodeInfo.pointType !== 'main') return;
+
+            if (!nodesByElement.has(nodeInfo.element)) {
+                nodesByElement.set(nodeInfo.element, []);
+            }
+            const indices = nodesByElement.get(nodeInfo.element);
+            const index = parseInt(nodeInfo.index);
+            if (!indices.includes(index)) indices.push(index);
+        });
+
+        nodesByElement.forEach(indices => indices.sort((a, b) => b - a));
+        return nodesByElement;
+    }
+
+    /**
+     * Delete the selected nodes, reshaping the neighbouring segments to keep the
+     * outline as close to the original as possible
+     * @returns {boolean} Whether any node was deleted
+     */
+    deleteSelectedNodes() {
+        const nodesByElement = this.getSelectedMainNodes();
+        if (nodesByElement.size === 0) return false;
+
+        const removedElements = [];
+
+        nodesByElement.forEach((indices, element) => {
+            let commands = this.editor.parsePathData(element.getAttribute('d') || '');
+
+            // Indices are processed from the end so earlier ones stay valid; a removed
+            // subpath takes any other selected nodes of it along
+            let limit = commands.length;
+            indices.forEach(index => {
+                if (index >= limit || !commands[index] || commands[index].type === 'Z') return;
+                const result = this.deleteNode(commands, index);
+                commands = result.commands;
+                if (result.removedFrom !== null) limit = result.removedFrom;
+            });
+
+            if (commands.length === 0) {
+                element.remove();
+                removedElements.push(element);
+            } else {
+                this.setPathCommands(element, commands);
+            }
+        });
+
+        this.editor.clearNodeSelection();
+
+        if (removedElements.length > 0) {
+            removedElements.forEach(element => this.editor.selectedElements.delete(element));
+            this.editor.clearNodeHandles();
+            this.editor.extractLayers();
+            this.editor.renderLayersPanel();
+        }
+
+        this.editor.selectedElements.forEach(element => {
+            if (element.tagName === 'path') {
+                this.editor.showNodeHandles(element);
+            }
+        });
+        this.editor.updateBoundingBox();
+        this.editor.updateTransformPanel();
+
+        this.editor.historyManager.saveState('Delete nodes');
+        return true;
+    }
+
+    /**
+     * Delete one node from a list of commands
+     * @param {Array} commands - Parsed commands
+     * @param {number} index - Index of the command whose end point is the node
+     * @returns {Object} {commands, removedFrom} - removedFrom is the first index of a subpath
+     *     that was removed because too few nodes were left, otherwise null
+     */
+    deleteNode(commands, index) {
+        const sub = this.getSubpathRange(commands, index);
+        const start = commands[sub.first];
+        const lastCmd = commands[sub.last];
+        const explicitClose = sub.closed && sub.last > sub.first &&
+            this.isSamePoint(lastCmd, start);
+
+        // Removing a node from a subpath of two leaves nothing to draw
+        const nodeCount = sub.last - sub.first + 1 - (explicitClose ? 1 : 0);
+        if (nodeCount <= 2) {
+            const result = commands.slice();
+            result.splice(sub.first, sub.end - sub.first);
+            return { commands: result, removedFrom: sub.first };
+        }
+
+        // The last node of an explicitly closed subpath is the start node
+        if (explicitClose && index === sub.last) {
+            index = sub.first;
+        }
+
+        const result = commands.slice();
+        const startOf = (i) => this.editor.pathDataParser.getStartPoint(result, i);
+
+        if (index === sub.first) {
+            const next = result[sub.first + 1];
+            if (!sub.closed) {
+                result.splice(sub.first, 2, { type: 'M', x: next.x, y: next.y });
+                return { commands: result, removedFrom: null };
+            }
+
+            // The segment closing the subpath and the first segment become one
+            if (explicitClose) {
+                const merged = this.mergeCommands(startOf(sub.last), lastCmd, next);
+                result.splice(sub.last, 1, ...(merged.type === 'L' ? [] : [merged]));
+            } else {
+                const merged = this.mergeCommands(lastCmd, { type: 'L', x: start.x, y: start.y }, next);
+                if (merged.type !== 'L') result.splice(sub.last + 1, 0, merged);
+            }
+            result.splice(sub.first, 2, { type: 'M', x: next.x, y: next.y });
+            return { commands: result, removedFrom: null };
+        }
+
+        if (index < sub.last) {
+            result.splice(index, 2, this.mergeCommands(startOf(index), result[index], result[index + 1]));
+            return { commands: result, removedFrom: null };
+        }
+
+        // The last node of an open subpath just loses its segment
+        if (!sub.closed) {
+            result.splice(index, 1);
+            return { commands: result, removedFrom: null };
+        }
+
+        // The last node before Z: its segment and the closing line become one
+        const merged = this.mergeCommands(startOf(index), result[index], { type: 'L', x: start.x, y: start.y });
+        result.splice(index, 1, ...(merged.type === 'L' ? [] : [merged]));
+        return { commands: result, removedFrom: null };
+    }
+
+    /**
+     * Find the subpath a command belongs to
+     * @returns {Object} {first, last, closed, end} - first is the M, last the final drawing command,
+     *     end the index after the subpath (after its Z when closed)
+     */
+    getSubpathRange(commands, index) {
+        let first = index;
+        while (first > 0 && commands[first].type !== 'M') first--;
+
+        let last = first;
+        while (last + 1 < commands.length && commands[last + 1].type !== 'M' && commands[last + 1].type !== 'Z') last++;
+
+        const closed = last + 1 < commands.length && commands[last + 1].type === 'Z';
+        return { first, last, closed, end: closed ? last + 2 : last + 1 };
+    }
+
+    /**
+     * Replace two consecutive segments with one
+     * Two lines become a line; otherwise a cubic bezier is fitted to the shape of both,
+     * keeping the directions the path leaves the first and enters the last point with.
+     * @param {Object} start - Start point of the first segment
+     * @param {Object} first - First command
+     * @param {Object} second - Second command
+     * @returns {Object} The merged command
+     */
+    mergeCommands(start, first, second) {
+        const straight = ['L', 'H', 'V'];
+        const end = { type: 'L', x: second.x, y: second.y };
+        if (straight.includes(first.type) && straight.includes(second.type)) return end;
+
+        const segments = this.geometry.commandsToSegments([
+            { type: 'M', x: start.x, y: start.y }, first, second
+        ])[0].segments;
+        if (segments.length === 0) return end;
+
+        const bounds = segments.map(seg => this.geometry.segmentBounds(seg)).reduce((a, b) => ({
+            minX: Math.min(a.minX, b.minX), minY: Math.min(a.minY, b.minY),
+            maxX: Math.max(a.maxX, b.maxX), maxY: Math.max(a.maxY, b.maxY)
+        }));
+        const tolerance = Math.max(Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * 1e-3, 1e-6);
+
+        const points = [segments[0].p0];
+        segments.forEach(seg => points.push(...this.geometry.flattenSegment(seg, tolerance)));
+
+        const startTangent = this.geometry.segmentDerivative(segments[0], 0);
+        const endDerivative = this.geometry.segmentDerivative(segments[segments.length - 1], 1);
+
+        // With an unlimited tolerance the fit is a single curve
+        const cubic = this.geometry.fitCubics(points, startTangent, { x: -endDerivative.x, y: -endDerivative.y }, Infinity)[0];
+        return {
+            type: 'C',
+            x1: cubic.c1.x, y1: cubic.c1.y,
+            x2: cubic.c2.x, y2: cubic.c2.y,
+            x: second.x, y: second.y
+        };
+    }
+
+    /**
+     * Cut paths open at the selected nodes
+     * A closed subpath opens up at the first node; every further node (or a node inside an
+     * open subpath) splits it in two. A path made of a single subpath is split into
+     * separate paths, compound paths keep the pieces as subpaths.
+     */
+    breakAtSelectedNodes() {
+        const nodesByElement = this.getSelectedMainNodes();
+        if (nodesByElement.size === 0) {
+            alert('Select the nodes to break the path at');
+            return;
+        }
+
+        const created = [];
+        let changed = false;
+
+        nodesByElement.forEach((indices, element) => {
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const subpaths = this.splitSubpaths(commands);
+
+            const pieces = [];
+            let broken = false;
+            subpaths.forEach(sub => {
+                const positions = indices
+                    .filter(index => index >= sub.first && index < sub.first + sub.commands.length)
+                    .map(index => index - sub.first);
+                const result = this.breakSubpath(sub, positions);
+                if (result.length !== 1 || result[0].closed !== sub.closed) broken = true;
+                pieces.push(...result);
+            });
+            if (!broken) return;
+            changed = true;
+
+            const toPathData = (list) => this.editor.buildPathData([].concat(...list.map(piece =>
+                piece.closed ? piece.commands.concat([{ type: 'Z' }]) : piece.commands
+            )));
+
+            // Node types follow their nodes into the pieces
+            const types = this.getNodeTypes(element, commands);
+            const setPieces = (path, list) => {
+                path.setAttribute('d', toPathData(list));
+                this.remapNodeTypes(path, commands, types);
+            };
+
+            if (subpaths.length === 1 && pieces.length > 1) {
+                setPieces(element, [pieces[0]]);
+
+                let previous = element;
+                pieces.slice(1).forEach(piece => {
+                    const path = element.cloneNode(false);
+                    path.id = `element-${Date.now() + created.length}`;
+                    path.classList.remove('selected', 'dragging');
+                    if (!path.getAttribute('class')) path.removeAttribute('class');
+                    setPieces(path, [piece]);
+                    previous.parentNode.insertBefore(path, previous.nextSibling);
+                    previous = path;
+                    created.push(path);
+                });
+            } else {
+                setPieces(element, pieces);
+            }
+        });
+
+        if (!changed) return;
+
+        this.editor.clearNodeSelection();
+        if (created.length > 0) {
+            const selection = Array.from(this.editor.selectedElements).concat(created);
+            this.editor.clearSelection();
+            this.editor.extractLayers();
+            this.editor.renderLayersPanel();
+            selection.forEach((path, index) => this.editor.selectElement(path, index > 0));
+        }
+
+        this.editor.selectedElements.forEach(element => {
+            if (this.editor.currentTool === 'direct-select' && element.tagName === 'path') {
+                this.editor.showNodeHandles(element);
+            }
+        });
+
+        this.editor.historyManager.saveState('Break path');
+    }
+
+    /**
+     * Split commands into subpaths
+     * @returns {Array} {first, commands, closed} - commands start with M and leave out Z;
+     *     first is the index of the M in the original commands
+     */
+    splitSubpaths(commands) {
+        const subpaths = [];
+        let current = null;
+
+        commands.forEach((cmd, index) => {
+            if (cmd.type === 'M') {
+                current = { first: index, commands: [cmd], closed: false };
+                subpaths.push(current);
+            } else if (cmd.type === 'Z') {
+                if (current) current.closed = true;
+                current = null;
+            } else {
+                if (!current) {
+                    // Drawing after Z continues from the start of the previous subpath
+                    const start = this.editor.pathDataParser.getStartPoint(commands, index);
+                    current = { first: index - 1, commands: [{ type: 'M', x: start.x, y: start.y }], closed: false };
+                    subpaths.push(current);
+                }
+                current.commands.push(cmd);
+            }
+        });
+
+        return subpaths;
+    }
+
+    /**
+     * Break one subpath at nodes
+     * @param {Object} sub - Subpath from splitSubpaths
+     * @param {Array<number>} positions - Node positions within sub.commands
+     * @returns {Array} Resulting subpaths {commands, closed}
+     */
+    breakSubpath(sub, positions) {
+        let commands = sub.commands.slice();
+        const last = commands.length - 1;
+        positions = positions.slice();
+
+        if (sub.closed && positions.length > 0) {
+            // Make the closing line explicit so that it survives opening the subpath
+            const start = commands[0];
+            if (!this.isSamePoint(commands[last], start)) {
+                commands.push({ type: 'L', x: start.x, y: start.y });
+            }
+            const n = commands.length - 1;
+
+            // The explicit closing node is the start node
+            positions = Array.from(new Set(positions.map(p => p === n ? 0 : p))).sort((a, b) => a - b);
+
+            // Open the subpath at the first node by starting it there
+            const opening = positions[0];
+            commands = [{ type: 'M', x: commands[opening].x, y: commands[opening].y }]
+                .concat(commands.slice(opening + 1), commands.slice(1, opening + 1));
+            positions = positions.slice(1).map(p => p - opening);
+
+            return this.splitOpenSubpath(commands, positions);
+        }
+
+        if (sub.closed) {
+            return [{ commands, closed: true }];
+        }
+        return this.splitOpenSubpath(commands, positions);
+    }
+
+    /**
+     * Split an open subpath at interior nodes (its end nodes are left alone)
+     */
+    splitOpenSubpath(commands, positions) {
+        const cuts = Array.from(new Set(positions))
+            .filter(p => p > 0 && p < commands.length - 1)
+            .sort((a, b) => a - b);
+
+        const pieces = [];
+        let from = 0;
+        cuts.concat([commands.length - 1]).forEach(cut => {
+            const piece = commands.slice(from, cut + 1);
+            if (from > 0) {
+                piece[0] = { type: 'M', x: commands[from].x, y: commands[from].y };
+            }
+            pieces.push({ commands: piece, closed: false });
+            from = cut;
+        });
+        return pieces;
+    }
+
+    isSamePoint(a, b) {
+        return this.editor.pathDataParser.isSameValue(a.x, b.x) && this.editor.pathDataParser.isSameValue(a.y, b.y);
+    }
+
+    /**
+     * Write new commands to a path, carrying the node types over to the nodes that remain
+     */
+    setPathCommands(element, commands) {
+        const oldCommands = this.editor.parsePathData(element.getAttribute('d') || '');
+        const types = this.getNodeTypes(element, oldCommands);
+        element.setAttribute('d', this.editor.buildPathData(commands));
+        this.remapNodeTypes(element, oldCommands, types);
+    }
+
+    /**
+     * Store the types of a path's nodes after its commands changed
+     * Nodes are matched by position; new nodes get the type their handles show.
+     * @param {SVGPathElement} element - The path, already holding the new path data
+     * @param {Array} oldCommands - The commands before the change
+     * @param {Array<string>} oldTypes - Node types of the old commands
+     */
+    remapNodeTypes(element, oldCommands, oldTypes) {
+        if (!element.hasAttribute('data-node-types')) return;
+
+        const typesByPosition = new Map();
+        oldCommands.forEach((cmd, index) => {
+            if (cmd.type !== 'Z') typesByPosition.set(`${cmd.x},${cmd.y}`, oldTypes[index]);
+        });
+
+        const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+        const types = commands.map((cmd, index) => {
+            if (cmd.type === 'Z') return 'corner';
+            return typesByPosition.get(`${cmd.x},${cmd.y}`) || this.inferNodeType(commands, index);
+        });
+        this.storeNodeTypes(element, types);
+    }
+
+    /**
+     * Get the type of every node of a path
+     * @param {SVGPathElement} element
+     * @param {Array} commands - Parsed commands of the path
+     * @returns {Array<string>} One type per command ('corner' for Z)
+     */
+    getNodeTypes(element, commands) {
+        const stored = element.getAttribute('data-node-types') || '';
+        const names = {};
+        Object.entries(this.nodeTypeCodes).forEach(([name, code]) => { names[code] = name; });
+
+        return commands.map((cmd, index) => {
+            if (stored.length === commands.length && names[stored[index]]) {
+                return names[stored[index]];
+            }
+            return cmd.type === 'Z' ? 'corner' : this.inferNodeType(commands, index);
+        });
+    }
+
+    storeNodeTypes(element, types) {
+        element.setAttribute('data-node-types', types.map(type => this.nodeTypeCodes[type] || 'c').join(''));
+    }
+
+    /**
+     * Tell a node's type from its handles: in line and equally long is symmetric,
+     * in line is smooth, anything else is a corner
+     */
+    inferNodeType(commands, index) {
+        const handles = this.getNodeHandles(commands, index);
+        if (!handles.incoming || !handles.outgoing) return 'corner';
+
+        const node = handles.node;
+        const a = { x: handles.incoming.x - node.x, y: handles.incoming.y - node.y };
+        const b = { x: handles.outgoing.x - node.x, y: handles.outgoing.y - node.y };
+        const lengthA = Math.hypot(a.x, a.y);
+        const lengthB = Math.hypot(b.x, b.y);
+        if (lengthA === 0 || lengthB === 0) return 'corner';
+
+        const cross = (a.x * b.y - a.y * b.x) / (lengthA * lengthB);
+        const dot = (a.x * b.x + a.y * b.y) / (lengthA * lengthB);
+        if (Math.abs(cross) > 1e-3 || dot > 0) return 'corner';
+
+        return Math.abs(lengthA - lengthB) <= 1e-3 * Math.max(lengthA, lengthB) ? 'symmetric' : 'smooth';
+    }
+
+    /**
+     * Find the segments on both sides of a node
+     * The start node of a closed subpath connects to its closing segment; when the subpath
+     * ends with an explicit segment back to the start, that segment's end is the same node.
+     * @returns {Object} {node, inIndex, outIndex, prevNode, nextNode, prevPoint, nextPoint} -
+     *     inIndex/outIndex are the commands ending/starting at the node (null for none or
+     *     the line drawn by Z), prevNode/nextNode the command indices of the neighbouring nodes
+     */
+    getNodeNeighbors(commands, index) {
+        const sub = this.getSubpathRange(commands, index);
+        const start = commands[sub.first];
+        const explicitClose = sub.closed && sub.last > sub.first && this.isSamePoint(commands[sub.last], start);
+
+        const cmd = commands[index];
+        const result = {
+            node: { x: cmd.x, y: cmd.y },
+            inIndex: null, outIndex: null,
+            prevNode: null, nextNode: null,
+            prevPoint: null, nextPoint: null
+        };
+
+        if (index !== sub.first) {
+            result.inIndex = index;
+            result.prevNode = index - 1;
+        } else if (explicitClose) {
+            result.inIndex = sub.last;
+            result.prevNode = sub.last - 1;
+        } else if (sub.closed && sub.last > sub.first) {
+            result.prevNode = sub.last;
+        }
+
+        if (index < sub.last) {
+            result.outIndex = index + 1;
+            result.nextNode = index + 1;
+        } else if (explicitClose) {
+            result.outIndex = sub.first + 1;
+            result.nextNode = sub.first + 1;
+        } else if (sub.closed && sub.last > sub.first) {
+            result.nextNode = sub.first;
+        }
+
+        if (result.prevNode !== null) {
+            result.prevPoint = { x: commands[result.prevNode].x, y: commands[result.prevNode].y };
+        }
+        if (result.nextNode !== null) {
+            result.nextPoint = { x: commands[result.nextNode].x, y: commands[result.nextNode].y };
+        }
+        return result;
+    }
+
+    /**
+     * The bezier handles on both sides of a node (null where the segment has none)
+     */
+    getNodeHandles(commands, index) {
+        const neighbors = this.getNodeNeighbors(commands, index);
+        const isCubic = (i) => i !== null && (commands[i].type === 'C' || commands[i].type === 'S');
+        return {
+            node: neighbors.node,
+            incoming: isCubic(neighbors.inIndex) ? { x: commands[neighbors.inIndex].x2, y: commands[neighbors.inIndex].y2 } : null,
+            outgoing: isCubic(neighbors.outIndex) ? { x: commands[neighbors.outIndex].x1, y: commands[neighbors.outIndex].y1 } : null
+        };
+    }
+
+    /**
+     * Rebuild the handles of a node for a node type
+     * Lines and quadratics next to the node become cubics so the node has handles to align;
+     * arcs keep their shape and the handle on the other side follows their direction.
+     * @param {Array} commands - Parsed commands (modified in place)
+     * @param {number} index - Command index of the node
+     * @param {string} type - 'corner', 'smooth', 'symmetric' or 'auto'
+     */
+    applyNodeType(commands, index, type) {
+        if (type === 'corner' || commands[index].type === 'Z') return;
+
+        const neighbors = this.getNodeNeighbors(commands, index);
+        [neighbors.inIndex, neighbors.outIndex].forEach(i => {
+            if (i !== null && commands[i].type !== 'A') {
+                this.editor.convertCommandToBezier(commands[i], i, commands);
+            }
+        });
+
+        const node = neighbors.node;
+        const inCmd = neighbors.inIndex !== null ? commands[neighbors.inIndex] : null;
+        const outCmd = neighbors.outIndex !== null ? commands[neighbors.outIndex] : null;
+        const hasIn = inCmd && inCmd.type === 'C';
+        const hasOut = outCmd && outCmd.type === 'C';
+        const distanceTo = (point) => point ? Math.hypot(point.x - node.x, point.y - node.y) : 0;
+        const unit = (v) => {
+            const length = Math.hypot(v.x, v.y);
+            return length > 0 ? { x: v.x / length, y: v.y / length } : { x: 0, y: 0 };
+        };
+        const setHandles = (direction, inLength, outLength) => {
+            if (hasIn) {
+                inCmd.x2 = node.x - direction.x * inLength;
+                inCmd.y2 = node.y - direction.y * inLength;
+            }
+            if (hasOut) {
+                outCmd.x1 = node.x + direction.x * outLength;
+                outCmd.y1 = node.y + direction.y * outLength;
+            }
+        };
+
+        // Directions away from the node towards its neighbours along the path
+        const toPrev = neighbors.prevPoint ? unit({ x: neighbors.prevPoint.x - node.x, y: neighbors.prevPoint.y - node.y }) : null;
+        const toNext = neighbors.nextPoint ? unit({ x: neighbors.nextPoint.x - node.x, y: neighbors.nextPoint.y - node.y }) : null;
+
+        if (type === 'auto') {
+            if (!toPrev && !toNext) return;
+            let direction;
+            if (toPrev && toNext) {
+                direction = unit({ x: toNext.x - toPrev.x, y: toNext.y - toPrev.y });
+            } else {
+                direction = toNext || { x: -toPrev.x, y: -toPrev.y };
+            }
+            setHandles(direction, distanceTo(neighbors.prevPoint) / 3, distanceTo(neighbors.nextPoint) / 3);
+            return;
+        }
+
+        // Handle directions, falling back to the neighbour direction for retracted handles
+        const inVector = hasIn ? { x: inCmd.x2 - node.x, y: inCmd.y2 - node.y } : null;
+        const outVector = hasOut ? { x: outCmd.x1 - node.x, y: outCmd.y1 - node.y } : null;
+        let inLength = inVector ? Math.hypot(inVector.x, inVector.y) : 0;
+        let outLength = outVector ? Math.hypot(outVector.x, outVector.y) : 0;
+        const inDirection = inLength > 0 ? unit(inVector) : toPrev;
+        const outDirection = outLength > 0 ? unit(outVector) : toNext;
+        if (hasIn && inLength === 0) inLength = distanceTo(neighbors.prevPoint) / 3;
+        if (hasOut && outLength === 0) outLength = distanceTo(neighbors.nextPoint) / 3;
+
+        let direction;
+        if (hasIn && hasOut) {
+            direction = unit({ x: outDirection.x - inDirection.x, y: outDirection.y - inDirection.y });
+            if (direction.x === 0 && direction.y === 0) direction = outDirection;
+        } else if (hasOut && inCmd && inCmd.type === 'A') {
+            direction = this.getArcTangent(commands, neighbors.inIndex, 1);
+        } else if (hasIn && outCmd && outCmd.type === 'A') {
+            direction = this.getArcTangent(commands, neighbors.outIndex, 0);
+        } else {
+            return;
+        }
+
+        if (type === 'symmetric') {
+            const length = hasIn && hasOut ? (inLength + outLength) / 2 : Math.max(inLength, outLength);
+            inLength = length;
+            outLength = length;
+        }
+        setHandles(direction, inLength, outLength);
+    }
+
+    /**
+     * Unit direction of travel along an arc at its start (t = 0) or end (t = 1)
+     */
+    getArcTangent(commands, index, t) {
+        const start = this.editor.pathDataParser.getStartPoint(commands, index);
+        const cmd = commands[index];
+        const a = this.geometry.commandPoint(start.x, start.y, cmd, t === 0 ? 0 : 1 - 1e-4);
+        const b = this.geometry.commandPoint(start.x, start.y, cmd, t === 0 ? 1e-4 : 1);
+        const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        return { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+    }
+
+    /**
+     * Convert the selected nodes to a type and record one history entry
+     * @param {string} type - 'corner', 'smooth', 'symmetric' or 'auto'
+     */
+    setSelectedNodesType(type) {
+        const nodesByElement = this.getSelectedMainNodes();
+        if (nodesByElement.size === 0) return;
+
+        nodesByElement.forEach((indices, element) => {
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const types = this.getNodeTypes(element, commands);
+
+            indices.forEach(index => {
+                if (!commands[index] || commands[index].type === 'Z') return;
+                this.applyNodeType(commands, index, type);
+                types[index] = type;
+
+                // The start node of an explicitly closed subpath shares its type with the end node
+                const neighbors = this.getNodeNeighbors(commands, index);
+                if (neighbors.inIndex !== null && neighbors.inIndex !== index) types[neighbors.inIndex] = type;
+                if (neighbors.outIndex !== null && neighbors.outIndex !== index + 1) {
+                    types[neighbors.outIndex - 1] = type;
+                }
+            });
+
+            element.setAttribute('d', this.editor.buildPathData(commands));
+            this.storeNodeTypes(element, types);
+            this.editor.showNodeHandles(element);
+        });
+
+        this.editor.updateNodeTypeControls();
+        this.editor.historyManager.saveState(`Convert nodes to ${type}`);
+    }
+
+    /**
+     * Type shared by all selected nodes
+     * @returns {string|null} The type, 'mixed', or null when no nodes are selected
+     */
+    getSelectedNodesType() {
+        let result = null;
+        this.getSelectedMainNodes().forEach((indices, element) => {
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const types = this.getNodeTypes(element, commands);
+            indices.forEach(index => {
+                if (!commands[index] || commands[index].type === 'Z') return;
+                result = result === null || result === types[index] ? types[index] : 'mixed';
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Keep the handle opposite a dragged one in line with it, as the node's type demands
+     * Dragging a handle of an auto node makes it smooth.
+     * @param {SVGPathElement} element
+     * @param {Array} commands - Parsed commands, with the dragged handle already moved (modified in place)
+     * @param {number} commandIndex - Command holding the dragged handle
+     * @param {number} controlPoint - 1 (handle after a node) or 2 (handle before a node)
+     */
+    constrainOppositeHandle(element, commands, commandIndex, controlPoint) {
+        const nodeIndex = controlPoint === 1 ? commandIndex - 1 : commandIndex;
+        if (nodeIndex < 0 || commands[nodeIndex].type === 'Z') return;
+
+        const types = this.getNodeTypes(element, commands);
+        let type = types[nodeIndex];
+        if (type === 'corner') return;
+
+        if (type === 'auto') {
+            type = 'smooth';
+            types[nodeIndex] = type;
+            this.storeNodeTypes(element, types);
+        }
+
+        const neighbors = this.getNodeNeighbors(commands, nodeIndex);
+        const oppositeIndex = controlPoint === 1 ? neighbors.inIndex : neighbors.outIndex;
+        if (oppositeIndex === null) return;
+        const opposite = commands[oppositeIndex];
+        if (opposite.type !== 'C' && opposite.type !== 'S') return;
+
+        const node = neighbors.node;
+        const moved = commands[commandIndex];
+        const dx = (controlPoint === 1 ? moved.x1 : moved.x2) - node.x;
+        const dy = (controlPoint === 1 ? moved.y1 : moved.y2) - node.y;
+        const movedLength = Math.hypot(dx, dy);
+        if (movedLength === 0) return;
+
+        const key = controlPoint === 1 ? '2' : '1';
+        const oppositeLength = type === 'symmetric' ?
+            movedLength :
+            Math.hypot(opposite['x' + key] - node.x, opposite['y' + key] - node.y);
+
+        // An S keeps its resolved control point, buildPathData writes it as C if needed
+        opposite['x' + key] = node.x - dx / movedLength * oppositeLength;
+        opposite['y' + key] = node.y - dy / movedLength * oppositeLength;
+    }
+
+    /**
+     * Recompute the handles of auto nodes around a node that moved
+     * @param {Array} commands - Parsed commands (modified in place)
+     * @param {Array<string>} types - Node types of the commands
+     * @param {number} index - Command index of the moved node
+     */
+    updateAutoNodes(commands, types, index) {
+        const neighbors = this.getNodeNeighbors(commands, index);
+        [neighbors.prevNode, index, neighbors.nextNode].forEach(nodeIndex => {
+            if (nodeIndex !== null && types[nodeIndex] === 'auto') {
+                this.applyNodeType(commands, nodeIndex, 'auto');
+            }
+        });
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * PathOffset
+ * Offset Path dialog: creates a new path offset outward (positive distance) or inward
+ * (negative distance) from the selected paths and shapes, with a live preview
+ *
+ * The offset is the shape's area grown or shrunk by a stroke of twice the distance
+ * along its outline, so the join options match those of strokes.
+ */
+class PathOffset {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+        this.previewElements = [];
+        this.previewTimer = null;
+
+        // Miter joins longer than this many times the offset distance fall back to bevel
+        this.miterLimit = 4;
+
+        this.supportedTags = ['path', 'rect', 'circle', 'ellipse', 'polyline', 'polygon'];
+    }
+
+    setupDialog() {
+        const dialog = document.getElementById('offsetPathDialog');
+        const distanceInput = document.getElementById('offsetDistance');
+        const joinSelect = document.getElementById('offsetJoin');
+        const previewCheckbox = document.getElementById('offsetPreview');
+
+        const closeDialog = () => {
+            this.clearPreview();
+            dialog.style.display = 'none';
+        };
+
+        document.getElementById('offsetPathDialogClose').addEventListener('click', closeDialog);
+        document.getElementById('offsetCancelBtn').addEventListener('click', closeDialog);
+
+        // Close on overlay click
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                closeDialog();
+            }
+        });
+
+        document.getElementById('offsetApplyBtn').addEventListener('click', () => {
+            const options = this.getDialogOptions();
+            if (!options) {
+                alert('Please enter a non-zero offset');
+                return;
+            }
+            closeDialog();
+            this.applyToSelection(options.distance, options.join);
+        });
+
+        // Live preview
+        [distanceInput, joinSelect, previewCheckbox].forEach(input => {
+            input.addEventListener('input', () => this.schedulePreview());
+            input.addEventListener('change', () => this.schedulePreview());
+        });
+
+        distanceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                document.getElementById('offsetApplyBtn').click();
+            }
+        });
+
+        // Escape key to close
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && dialog.style.display !== 'none') {
+                closeDialog();
+            }
+        });
+    }
+
+    openDialog() {
+        if (this.getSelectedElements().length === 0) {
+            alert('Select a path or shape to offset');
+            return;
+        }
+
+        const dialog = document.getElementById('offsetPathDialog');
+        const distanceInput = document.getElementById('offsetDistance');
+        document.getElementById('offsetDistanceUnit').textContent = this.editor.getUnitLabel(this.editor.transformUnit);
+
+        dialog.style.display = 'flex';
+        distanceInput.focus();
+        distanceInput.select();
+        this.schedulePreview();
+    }
+
+    /**
+     * Read the dialog fields
+     * @returns {Object|null} {distance (px), join}, or null for an invalid distance
+     */
+    getDialogOptions() {
+        const value = parseFloat(document.getElementById('offsetDistance').value);
+        if (isNaN(value) || value === 0) return null;
+
+        // convertPixels(1, unit) is the size of one pixel in the unit
+        const distance = value / this.editor.convertPixels(1, this.editor.transformUnit);
+        return { distance, join: document.getElementById('offsetJoin').value };
+    }
+
+    getSelectedElements() {
+        return Array.from(this.editor.selectedElements)
+            .filter(element => this.supportedTags.includes(element.tagName));
+    }
+
+    schedulePreview() {
+        // Offsetting complex paths takes a moment - wait until typing pauses
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 150);
+    }
+
+    updatePreview() {
+        this.clearPreview();
+
+        const dialog = document.getElementById('offsetPathDialog');
+        if (dialog.style.display === 'none' || !document.getElementById('offsetPreview').checked) return;
+
+        const options = this.getDialogOptions();
+        if (!options) return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+
+        this.getSelectedElements().forEach(element => {
+            const subpaths = this.getOffsetSubpaths(element, options.distance, options.join);
+            if (!subpaths || subpaths.length === 0) return;
+
+            const preview = document.createElementNS(svgNS, 'path');
+            preview.setAttribute('d', this.editor.buildPathData(this.geometry.segmentsToCommands(subpaths)));
+            preview.setAttribute('fill', 'none');
+            preview.setAttribute('stroke', '#0078d4');
+            preview.setAttribute('stroke-width', '1');
+            preview.setAttribute('stroke-dasharray', '4,4');
+            preview.setAttribute('vector-effect', 'non-scaling-stroke');
+            preview.style.pointerEvents = 'none';
+
+            if (bboxGroup) {
+                this.editor.svgElement.insertBefore(preview, bboxGroup);
+            } else {
+                this.editor.svgElement.appendChild(preview);
+            }
+            this.previewElements.push(preview);
+        });
+    }
+
+    clearPreview() {
+        clearTimeout(this.previewTimer);
+        this.previewElements.forEach(preview => preview.remove());
+        this.previewElements = [];
+    }
+
+    /**
+     * Create offset paths for all selected elements and record one history entry
+     * @param {number} distance - Offset in root SVG units; negative insets
+     * @param {string} join - 'miter', 'round' or 'bevel'
+     */
+    applyToSelection(distance, join) {
+        const created = [];
+        let failed = 0;
+
+        this.getSelectedElements().forEach(element => {
+            const subpaths = this.getOffsetSubpaths(element, distance, join);
+            if (!subpaths) failed++;
+            if (!subpaths || subpaths.length === 0) return;
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            this.editor.pathBooleanOperations.copyStyle(element, path);
+
+            // The offset is computed in root coordinates; bring it into the parent's coordinates
+            const parent = element.parentNode;
+            const toParent = this.geometry.invertMatrix(this.geometry.getElementToRootMatrix(parent)) ||
+                { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+            const commands = this.geometry.transformCommands(this.geometry.segmentsToCommands(subpaths), toParent);
+            path.setAttribute('d', this.editor.buildPathData(this.geometry.roundCommands(commands)));
+            path.id = `element-${Date.now() + created.length}`;
+
+            // Outsets go behind the original (bleed), insets in front of it
+            parent.insertBefore(path, distance > 0 ? element : element.nextSibling);
+            created.push(path);
+        });
+
+        if (created.length === 0) {
+            alert(failed > 0 ? 'The offset could not be computed' : 'The offset removes the whole shape');
+            return;
+        }
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        created.forEach((path, index) => this.editor.selectElement(path, index > 0));
+
+        this.editor.historyManager.saveState('Offset path');
+
+        if (failed > 0) {
+            alert(`The offset could not be computed for ${failed} of the selected shapes`);
+        }
+    }
+
+    /**
+     * Compute the offset outline of an element in root coordinates
+     * @param {SVGElement} element
+     * @param {number} distance - Positive grows, negative shrinks the shape
+     * @param {string} join - 'miter', 'round' or 'bevel'
+     * @returns {Array|null} Closed subpaths (empty when the offset removes the whole shape),
+     *     or null when the outline could not be offset
+     */
+    getOffsetSubpaths(element, distance, join) {
+        const commands = this.geometry.getElementCommands(element) || [];
+        const matrix = this.geometry.getElementToRootMatrix(element);
+        const subpaths = this.geometry.closeSubpaths(
+            this.geometry.commandsToSegments(this.geometry.transformCommands(commands, matrix))
+        );
+        if (subpaths.length === 0) return [];
+
+        const band = this.editor.strokeOutliner.getStrokeOutline(subpaths, {
+            width: Math.abs(distance) * 2,
+            join: join,
+            cap: 'butt',
+            miterLimit: this.miterLimit
+        });
+        if (band.length === 0) return null;
+
+        const fillRule = window.getComputedStyle(element).fillRule === 'evenodd' ? 'evenodd' : 'nonzero';
+        const test = distance > 0 ?
+            inside => inside[0] || inside[1] :
+            inside => inside[0] && !inside[1];
+
+        return this.editor.pathBooleanOperations.computeRegion([subpaths, band], test, fillRule);
+    }
+}
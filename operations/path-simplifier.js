@@ -0,0 +1,345 @@
+/**
+ * PathSimplifier
+ * Simplify dialog: reduces the number of nodes of the selected paths within a tolerance,
+ * previewing the result live on the paths themselves
+ *
+ * Each subpath is flattened to a polyline and reduced with Ramer-Douglas-Peucker. The kept
+ * points that are real corners split the subpath into runs; straight runs become lines and
+ * the others are fitted with cubic beziers.
+ */
+class PathSimplifier {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+        this.previewTimer = null;
+
+        // Original path data of the paths being previewed, restored on cancel
+        this.originalData = new Map();
+
+        // Turns sharper than this (in degrees) are kept as corners
+        this.cornerAngle = 50;
+    }
+
+    setupDialog() {
+        const dialog = document.getElementById('simplifyPathDialog');
+        const toleranceInput = document.getElementById('simplifyTolerance');
+
+        const cancel = () => {
+            this.restoreOriginals();
+            dialog.style.display = 'none';
+        };
+
+        document.getElementById('simplifyPathDialogClose').addEventListener('click', cancel);
+        document.getElementById('simplifyCancelBtn').addEventListener('click', cancel);
+
+        // Close on overlay click
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                cancel();
+            }
+        });
+
+        document.getElementById('simplifyApplyBtn').addEventListener('click', () => {
+            dialog.style.display = 'none';
+            this.apply();
+        });
+
+        // Live preview
+        toleranceInput.addEventListener('input', () => {
+            document.getElementById('simplifyToleranceValue').textContent = toleranceInput.value;
+            this.schedulePreview();
+        });
+
+        toleranceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                document.getElementById('simplifyApplyBtn').click();
+            }
+        });
+
+        // Escape key to close
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && dialog.style.display !== 'none') {
+                cancel();
+            }
+        });
+    }
+
+    openDialog() {
+        const paths = Array.from(this.editor.selectedElements).filter(element => element.tagName === 'path');
+        if (paths.length === 0) {
+            alert('Select a path to simplify');
+            return;
+        }
+
+        this.originalData = new Map(paths.map(path => [path, path.getAttribute('d') || '']));
+
+        const dialog = document.getElementById('simplifyPathDialog');
+        const toleranceInput = document.getElementById('simplifyTolerance');
+        document.getElementById('simplifyToleranceValue').textContent = toleranceInput.value;
+        document.getElementById('simplifyToleranceUnit').textContent = this.editor.getUnitLabel(this.editor.transformUnit);
+
+        dialog.style.display = 'flex';
+        toleranceInput.focus();
+        this.updatePreview();
+    }
+
+    /**
+     * Tolerance from the slider, in pixels
+     */
+    getTolerance() {
+        const value = parseFloat(document.getElementById('simplifyTolerance').value) || 0;
+        return value / this.editor.convertPixels(1, this.editor.transformUnit);
+    }
+
+    schedulePreview() {
+        // Dragging the slider fires many events - only simplify once it rests
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 50);
+    }
+
+    /**
+     * Simplify the paths from their original data and show the node counts
+     */
+    updatePreview() {
+        clearTimeout(this.previewTimer);
+
+        const tolerance = this.getTolerance();
+        let before = 0;
+        let after = 0;
+
+        this.originalData.forEach((pathData, path) => {
+            const commands = this.editor.parsePathData(pathData);
+            before += this.countNodes(commands);
+
+            const simplified = this.simplifyElement(path, commands, tolerance);
+            if (simplified) {
+                after += this.countNodes(simplified);
+                path.setAttribute('d', this.editor.buildPathData(simplified));
+            } else {
+                after += this.countNodes(commands);
+                path.setAttribute('d', pathData);
+            }
+        });
+
+        document.getElementById('simplifyNodeCount').textContent = `Nodes: ${before} → ${after}`;
+        this.refreshHandles();
+    }
+
+    /**
+     * Keep the previewed result and record one history entry
+     */
+    apply() {
+        this.updatePreview();
+
+        let changed = false;
+        this.originalData.forEach((pathData, path) => {
+            if (path.getAttribute('d') === pathData) return;
+            changed = true;
+            // The nodes are all new - let their types follow the fitted handles
+            path.removeAttribute('data-node-types');
+        });
+        this.originalData = new Map();
+
+        if (changed) {
+            this.editor.updateBoundingBox();
+            this.editor.historyManager.saveState('Simplify path');
+        }
+    }
+
+    restoreOriginals() {
+        clearTimeout(this.previewTimer);
+        this.originalData.forEach((pathData, path) => path.setAttribute('d', pathData));
+        this.originalData = new Map();
+        this.refreshHandles();
+    }
+
+    refreshHandles() {
+        if (this.editor.currentTool !== 'direct-select') return;
+
+        this.editor.clearNodeHandles();
+        this.editor.selectedElements.forEach(element => {
+            if (element.tagName === 'path') {
+                this.editor.showNodeHandles(element);
+            }
+        });
+    }
+
+    countNodes(commands) {
+        return commands.filter(cmd => cmd.type !== 'Z').length;
+    }
+
+    /**
+     * Simplify a path's commands
+     * @param {SVGPathElement} element - The path (its transform scales the tolerance)
+     * @param {Array} commands - Parsed commands of the path
+     * @param {number} tolerance - Maximum deviation in root SVG units
+     * @returns {Array|null} Simplified commands, or null when they would not have fewer nodes
+     */
+    simplifyElement(element, commands, tolerance) {
+        if (tolerance <= 0) return null;
+
+        // Work in the path's own coordinates so the transform stays untouched
+        const matrix = this.geometry.getElementToRootMatrix(element);
+        const scale = Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c)) || 1;
+        const localTolerance = tolerance / scale;
+
+        const subpaths = this.geometry.commandsToSegments(commands)
+            .map(subpath => this.simplifySubpath(subpath, localTolerance));
+
+        const decimals = Math.max(0, Math.min(6, Math.ceil(-Math.log10(localTolerance)) + 2));
+        const simplified = this.geometry.roundCommands(this.geometry.segmentsToCommands(subpaths), decimals);
+        return this.countNodes(simplified) < this.countNodes(commands) ? simplified : null;
+    }
+
+    /**
+     * Simplify one subpath
+     * @param {Object} subpath - {segments, closed} (see PathGeometry.commandsToSegments)
+     * @param {number} tolerance - Maximum deviation
+     * @returns {Object} The simplified subpath
+     */
+    simplifySubpath(subpath, tolerance) {
+        if (subpath.segments.length === 0) return subpath;
+
+        // Dense polyline through the subpath, without repeated points
+        const points = [subpath.segments[0].p0];
+        subpath.segments.forEach(seg => {
+            this.geometry.flattenSegment(seg, tolerance / 4).forEach(point => {
+                const last = points[points.length - 1];
+                if (Math.hypot(point.x - last.x, point.y - last.y) > 1e-9) {
+                    points.push(point);
+                }
+            });
+        });
+
+        const start = points[0];
+        const end = points[points.length - 1];
+        if (subpath.closed && Math.hypot(end.x - start.x, end.y - start.y) > 1e-9) {
+            points.push({ x: start.x, y: start.y });
+        }
+
+        if (points.length < 3) {
+            return { segments: [{ p0: points[0], p1: points[points.length - 1] }], closed: subpath.closed };
+        }
+
+        const keys = this.geometry.simplifyPolyline(points, tolerance);
+        let corners = keys.filter((index, i) => i > 0 && i < keys.length - 1 &&
+            this.isCorner(points, index, keys[i - 1], keys[i + 1], tolerance));
+
+        let loop = points;
+        if (subpath.closed) {
+            const n = points.length - 1;
+            if (keys.length > 2 && this.isCorner(points, 0, keys[keys.length - 2] - n, keys[1], tolerance, true)) {
+                corners.unshift(0);
+            }
+
+            // A smooth loop is fitted in one go, with the same tangent at both ends
+            if (corners.length === 0) {
+                const tangent = this.normalize({ x: points[1].x - points[n - 1].x, y: points[1].y - points[n - 1].y });
+                const cubics = this.geometry.fitCubics(points, tangent, { x: -tangent.x, y: -tangent.y }, tolerance);
+                return { segments: cubics, closed: true };
+            }
+
+            // Otherwise start at a corner so that every run ends at one
+            const first = corners[0];
+            loop = points.slice(first, n).concat(points.slice(0, first + 1));
+            corners = corners.slice(1).map(index => index - first);
+        }
+
+        const breaks = [0, ...corners, loop.length - 1];
+        const segments = [];
+        for (let i = 1; i < breaks.length; i++) {
+            segments.push(...this.fitRun(loop.slice(breaks[i - 1], breaks[i] + 1), tolerance));
+        }
+
+        return { segments, closed: subpath.closed };
+    }
+
+    /**
+     * Fit the points between two corners with a line or cubic beziers
+     */
+    fitRun(points, tolerance) {
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        const keys = this.geometry.simplifyPolyline(points, tolerance);
+        if (keys.length === 2) {
+            return [{ p0: first, p1: last }];
+        }
+
+        const startTangent = this.getTangent(points, 0, 1, tolerance);
+        const endTangent = this.getTangent(points, points.length - 1, -1, tolerance);
+        return this.geometry.fitCubics(points, startTangent, endTangent, tolerance);
+    }
+
+    /**
+     * Direction from a point towards the points a short distance along the polyline
+     * Averaging over a distance keeps jitter in traced paths from skewing the tangent.
+     * @param {number} step - 1 to look forward, -1 to look backward
+     */
+    getTangent(points, index, step, tolerance) {
+        const origin = points[index];
+        const reach = tolerance * 2;
+        let target = points[index + step];
+        for (let i = index + step; i >= 0 && i < points.length; i += step) {
+            target = points[i];
+            if (Math.hypot(target.x - origin.x, target.y - origin.y) >= reach) break;
+        }
+        return this.normalize({ x: target.x - origin.x, y: target.y - origin.y });
+    }
+
+    /**
+     * Whether the polyline turns sharply at a kept point
+     * Both the directions to the neighbouring kept points and the local directions must turn,
+     * so that gentle curves reduced to few points and small jags in traced paths stay smooth.
+     * @param {number} previous - Index of the previous kept point (negative wraps around a loop)
+     * @param {number} next - Index of the next kept point
+     * @param {boolean} wrap - Whether the polyline is a closed loop (first and last point equal)
+     */
+    isCorner(points, index, previous, next, tolerance, wrap = false) {
+        const n = points.length - 1;
+        const at = (i) => points[wrap ? ((i % n) + n) % n : i];
+
+        const point = at(index);
+        const before = at(previous);
+        const after = at(next);
+        const coarseAngle = this.getTurnAngle(
+            { x: point.x - before.x, y: point.y - before.y },
+            { x: after.x - point.x, y: after.y - point.y }
+        );
+        if (coarseAngle < this.cornerAngle) return false;
+
+        // Local directions, measured a little way along the polyline on either side
+        const reach = tolerance * 2;
+        const walk = (step, limit) => {
+            let i = index;
+            let target = point;
+            while (i !== limit) {
+                i += step;
+                target = at(i);
+                if (Math.hypot(target.x - point.x, target.y - point.y) >= reach) break;
+            }
+            return target;
+        };
+        const localBefore = walk(-1, previous);
+        const localAfter = walk(1, next);
+
+        const localAngle = this.getTurnAngle(
+            { x: point.x - localBefore.x, y: point.y - localBefore.y },
+            { x: localAfter.x - point.x, y: localAfter.y - point.y }
+        );
+        return localAngle >= this.cornerAngle;
+    }
+
+    getTurnAngle(incoming, outgoing) {
+        const a = this.normalize(incoming);
+        const b = this.normalize(outgoing);
+        const dot = Math.max(-1, Math.min(1, a.x * b.x + a.y * b.y));
+        return Math.acos(dot) * 180 / Math.PI;
+    }
+
+    normalize(v) {
+        const length = Math.hypot(v.x, v.y) || 1;
+        return { x: v.x / length, y: v.y / length };
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * ShapeConverter
+ * Converts basic shapes (rect, circle, ellipse, line, polyline, polygon) into equivalent paths
+ * so that they can be edited node by node
+ */
+class ShapeConverter {
+    constructor(editor) {
+        this.editor = editor;
+
+        // Attributes that describe the geometry of a shape - everything else is carried over
+        this.shapeAttributes = {
+            rect: ['x', 'y', 'width', 'height', 'rx', 'ry'],
+            circle: ['cx', 'cy', 'r'],
+            ellipse: ['cx', 'cy', 'rx', 'ry'],
+            line: ['x1', 'y1', 'x2', 'y2'],
+            polyline: ['points'],
+            polygon: ['points']
+        };
+    }
+
+    /**
+     * Convert all selected shapes to paths and record one history entry
+     */
+    convertSelected() {
+        if (!this.editor.svgElement) return;
+
+        const shapes = Array.from(this.editor.selectedElements)
+            .filter(element => this.shapeAttributes[element.tagName]);
+        if (shapes.length === 0) return;
+
+        const paths = shapes.map(shape => this.convertElement(shape));
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        paths.forEach((path, index) => this.editor.selectElement(path, index > 0));
+
+        if (this.editor.currentTool === 'direct-select' && paths.length === 1) {
+            this.editor.showNodeHandles(paths[0]);
+        }
+
+        this.editor.historyManager.saveState('Convert to path');
+    }
+
+    /**
+     * Replace a shape with a path that draws the same outline
+     * The id, transform and all presentation attributes are kept.
+     * @param {SVGElement} element - The shape to convert
+     * @returns {SVGPathElement} The new path
+     */
+    convertElement(element) {
+        const skipped = this.shapeAttributes[element.tagName];
+        const commands = this.editor.pathGeometry.getElementCommands(element) || [];
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        Array.from(element.attributes).forEach(attr => {
+            if (!skipped.includes(attr.name)) {
+                path.setAttribute(attr.name, attr.value);
+            }
+        });
+        path.classList.remove('selected', 'dragging');
+        if (!path.getAttribute('class')) {
+            path.removeAttribute('class');
+        }
+        path.setAttribute('d', this.editor.buildPathData(commands));
+
+        element.parentNode.replaceChild(path, element);
+        return path;
+    }
+}
@@ -0,0 +1,405 @@
+/**
+ * StrokeOutliner
+ * Converts the stroke of paths and basic shapes into a filled outline path
+ * (stroke-width, stroke-linejoin, stroke-linecap and stroke-miterlimit are honored)
+ *
+ * The outline is built from simple pieces - a band along every segment, a join shape at every
+ * corner and a cap at every open end - which are then merged with a boolean union.
+ */
+class StrokeOutliner {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+
+        this.supportedTags = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+        this.geometryAttributes = ['d', 'x', 'y', 'width', 'height', 'rx', 'ry', 'cx', 'cy', 'r',
+            'x1', 'y1', 'x2', 'y2', 'points', 'pathLength', 'data-node-types'];
+    }
+
+    /**
+     * Outline the stroke of every selected element that has one
+     */
+    outlineSelected() {
+        if (!this.editor.svgElement) return;
+
+        const elements = Array.from(this.editor.selectedElements).filter(element => {
+            if (!this.supportedTags.includes(element.tagName)) return false;
+            const stroke = this.getStrokeStyle(element);
+            return stroke.paint !== 'none' && stroke.width > 0;
+        });
+        if (elements.length === 0) {
+            alert('Select a path or shape with a stroke');
+            return;
+        }
+
+        const dashed = elements.filter(element => this.isDashed(element)).length;
+        const outlines = elements.map((element, index) => this.outlineElement(element, index)).filter(Boolean);
+        if (outlines.length === 0) {
+            alert('The stroke could not be outlined');
+            return;
+        }
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        outlines.forEach((path, index) => this.editor.selectElement(path, index > 0));
+
+        this.editor.historyManager.saveState('Outline stroke');
+
+        const notices = [];
+        if (outlines.length < elements.length) {
+            notices.push(`${elements.length - outlines.length} of the selected strokes could not be outlined`);
+        }
+        if (dashed > 0) {
+            notices.push(`${dashed} dashed ${dashed === 1 ? 'stroke was' : 'strokes were'} outlined as solid`);
+        }
+        if (notices.length > 0) {
+            alert(notices.join('\n'));
+        }
+    }
+
+    /**
+     * Whether an element's stroke is dashed (dashes are not outlined)
+     */
+    isDashed(element) {
+        const dashArray = window.getComputedStyle(element).strokeDasharray;
+        return !!dashArray && dashArray !== 'none' && dashArray.split(/[\s,]+/).some(value => parseFloat(value) > 0);
+    }
+
+    getStrokeStyle(element) {
+        const style = window.getComputedStyle(element);
+        return {
+            paint: style.stroke,
+            opacity: style.strokeOpacity,
+            width: parseFloat(style.strokeWidth) || 0,
+            join: style.strokeLinejoin,
+            cap: style.strokeLinecap,
+            miterLimit: parseFloat(style.strokeMiterlimit) || 4
+        };
+    }
+
+    /**
+     * Create the outline path of an element's stroke
+     * A filled element keeps its fill (with the stroke removed) and gets the outline on top;
+     * an unfilled element is replaced by the outline.
+     * @param {SVGElement} element
+     * @param {number} index - Position among the elements outlined together, for unique ids
+     * @returns {SVGPathElement|null} The outline path
+     */
+    outlineElement(element, index = 0) {
+        const stroke = this.getStrokeStyle(element);
+        const commands = this.geometry.getElementCommands(element) || [];
+        const subpaths = this.getCommandsOutline(commands, stroke);
+        if (subpaths.length === 0) return null;
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        Array.from(element.attributes).forEach(attr => {
+            if (attr.name === 'id' || this.geometryAttributes.includes(attr.name) || this.isPaintAttribute(attr.name)) return;
+            path.setAttribute(attr.name, attr.name === 'style' ? this.removePaintDeclarations(attr.value) : attr.value);
+        });
+        path.classList.remove('selected', 'dragging');
+        if (!path.getAttribute('class')) path.removeAttribute('class');
+        if (path.getAttribute('style') === '') path.removeAttribute('style');
+
+        path.setAttribute('fill', stroke.paint);
+        if (stroke.opacity && stroke.opacity !== '1') {
+            path.setAttribute('fill-opacity', stroke.opacity);
+        }
+        path.setAttribute('stroke', 'none');
+
+        const outlineCommands = this.geometry.roundCommands(this.geometry.segmentsToCommands(subpaths));
+        path.setAttribute('d', this.editor.buildPathData(outlineCommands));
+
+        const fill = window.getComputedStyle(element).fill;
+        if (fill && fill !== 'none') {
+            path.id = `element-${Date.now() + index}`;
+            element.parentNode.insertBefore(path, element.nextSibling);
+            element.setAttribute('stroke', 'none');
+            const style = element.getAttribute('style');
+            if (style) {
+                element.setAttribute('style', this.removePaintDeclarations(style, 'stroke'));
+            }
+        } else {
+            path.id = element.id || `element-${Date.now() + index}`;
+            element.parentNode.replaceChild(path, element);
+        }
+
+        return path;
+    }
+
+    isPaintAttribute(name) {
+        return name.startsWith('fill') || name.startsWith('stroke');
+    }
+
+    /**
+     * Remove fill and stroke declarations from a style attribute value
+     * @param {string} style
+     * @param {string} prefix - Only remove properties with this prefix (default: fill and stroke)
+     */
+    removePaintDeclarations(style, prefix = null) {
+        return style
+            .split(';')
+            .filter(declaration => {
+                const property = declaration.split(':')[0].trim();
+                if (!property) return false;
+                return prefix ? !property.startsWith(prefix) : !this.isPaintAttribute(property);
+            })
+            .join(';');
+    }
+
+    /**
+     * Compute the outline of the stroke of path commands, including the dots that caps
+     * draw on zero-length subpaths
+     * @param {Array} commands - Absolute commands
+     * @param {Object} stroke - {width, join, cap, miterLimit}
+     * @returns {Array} Closed subpaths of the filled outline
+     */
+    getCommandsOutline(commands, stroke) {
+        return this.getStrokeOutline(this.geometry.commandsToSegments(commands), stroke,
+            this.getZeroLengthPoints(commands));
+    }
+
+    /**
+     * Points of the subpaths that draw without going anywhere (M 5 5 L 5 5, M 5 5 Z)
+     * commandsToSegments drops these, but round and square caps still draw them.
+     */
+    getZeroLengthPoints(commands) {
+        const points = [];
+        let start = { x: 0, y: 0 };
+        let drawn = false;
+        let zeroLength = true;
+
+        const endSubpath = () => {
+            if (drawn && zeroLength) points.push(start);
+            drawn = false;
+            zeroLength = true;
+        };
+
+        commands.forEach(cmd => {
+            if (cmd.type === 'M') {
+                endSubpath();
+                start = { x: cmd.x, y: cmd.y };
+                return;
+            }
+            drawn = true;
+            if (cmd.type === 'Z') {
+                // Drawing after Z continues from the same start point
+                endSubpath();
+                return;
+            }
+            const controls = cmd.x1 !== undefined ? [{ x: cmd.x1, y: cmd.y1 }, { x: cmd.x2, y: cmd.y2 }] : [];
+            [cmd, ...controls].forEach(point => {
+                if (point.x !== undefined && (point.x !== start.x || point.y !== start.y)) {
+                    zeroLength = false;
+                }
+            });
+        });
+        endSubpath();
+
+        return points;
+    }
+
+    /**
+     * Compute the outline of a stroke
+     * @param {Array} subpaths - Subpaths of line and cubic segments (see PathGeometry.commandsToSegments)
+     * @param {Object} stroke - {width, join, cap, miterLimit}
+     * @param {Array} dotPoints - Points of zero-length subpaths (see getZeroLengthPoints)
+     * @returns {Array} Closed subpaths of the filled outline
+     */
+    getStrokeOutline(subpaths, stroke, dotPoints = []) {
+        const halfWidth = stroke.width / 2;
+        const tolerance = Math.max(halfWidth * 0.005, 0.001);
+        const shapes = [];
+
+        subpaths.forEach(subpath => {
+            const segments = subpath.segments.filter(seg => {
+                const bounds = this.geometry.segmentBounds(seg);
+                return bounds.maxX - bounds.minX > 0 || bounds.maxY - bounds.minY > 0;
+            });
+            if (segments.length === 0) return;
+
+            segments.forEach(seg => {
+                shapes.push([this.getSegmentBand(seg, halfWidth, tolerance)]);
+            });
+
+            for (let i = 1; i < segments.length; i++) {
+                const join = this.getJoin(segments[i - 1], segments[i], halfWidth, stroke);
+                if (join) shapes.push([join]);
+            }
+
+            if (subpath.closed) {
+                const join = this.getJoin(segments[segments.length - 1], segments[0], halfWidth, stroke);
+                if (join) shapes.push([join]);
+            } else {
+                const startCap = this.getCap(segments[0], false, halfWidth, stroke.cap);
+                const endCap = this.getCap(segments[segments.length - 1], true, halfWidth, stroke.cap);
+                if (startCap) shapes.push([startCap]);
+                if (endCap) shapes.push([endCap]);
+            }
+        });
+
+        dotPoints.forEach(point => {
+            const dot = this.getDot(point, halfWidth, stroke.cap);
+            if (dot) shapes.push([dot]);
+        });
+
+        if (shapes.length === 0) return [];
+        return this.editor.pathBooleanOperations.computeRegion(shapes, inside => inside.some(Boolean));
+    }
+
+    /**
+     * The dot a cap draws on a zero-length subpath: a disc for round caps, a square along
+     * the x axis for square caps, nothing for butt caps
+     */
+    getDot(point, halfWidth, cap) {
+        if (cap === 'round') {
+            return { segments: this.geometry.circleSegments(point.x, point.y, halfWidth), closed: true };
+        }
+        if (cap !== 'square') return null;
+
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+            .map(([x, y]) => ({ x: point.x + x * halfWidth, y: point.y + y * halfWidth }));
+        return {
+            segments: corners.map((p0, i) => ({ p0, p1: corners[(i + 1) % corners.length] })),
+            closed: true
+        };
+    }
+
+    /**
+     * The area swept along one segment: both offset curves joined at the ends
+     */
+    getSegmentBand(seg, halfWidth, tolerance) {
+        const left = this.geometry.offsetSegment(seg, halfWidth, tolerance);
+        const right = this.geometry.offsetSegment(seg, -halfWidth, tolerance)
+            .reverse()
+            .map(part => this.geometry.reverseSegment(part));
+
+        const segments = left.slice();
+        segments.push({ p0: left[left.length - 1].p1, p1: right[0].p0 });
+        segments.push(...right);
+        segments.push({ p0: right[right.length - 1].p1, p1: left[0].p0 });
+
+        return { segments, closed: true };
+    }
+
+    /**
+     * The shape filling the gap between two segments on the outside of a corner
+     */
+    getJoin(incoming, outgoing, halfWidth, stroke) {
+        const point = outgoing.p0;
+        const tIn = this.normalize(this.geometry.segmentDerivative(incoming, 1));
+        const tOut = this.normalize(this.geometry.segmentDerivative(outgoing, 0));
+        const cross = tIn.x * tOut.y - tIn.y * tOut.x;
+        const dot = tIn.x * tOut.x + tIn.y * tOut.y;
+
+        // Smooth connection - the bands already meet
+        if (Math.abs(cross) < 1e-9 && dot > 0) return null;
+
+        // The outside of the corner is opposite to the direction of the turn
+        const side = cross > 0 ? -1 : 1;
+        const nIn = this.geometry.segmentNormal(incoming, 1);
+        const nOut = this.geometry.segmentNormal(outgoing, 0);
+        const a = { x: point.x + nIn.x * halfWidth * side, y: point.y + nIn.y * halfWidth * side };
+        const b = { x: point.x + nOut.x * halfWidth * side, y: point.y + nOut.y * halfWidth * side };
+
+        if (stroke.join === 'round') {
+            // A wedge from the corner point, with an arc between the band corners. It shares
+            // their vertices instead of overlapping them with a full circle, whose tangent
+            // contacts with the band edges give unstable intersections.
+            const turn = Math.atan2(nIn.x * nOut.y - nIn.y * nOut.x, nIn.x * nOut.x + nIn.y * nOut.y);
+            const segments = [{ p0: point, p1: a }];
+            segments.push(...this.arcSegments(point, a, b, turn));
+            segments.push({ p0: b, p1: point });
+            return { segments, closed: true };
+        }
+
+        const points = [point, a];
+
+        if (stroke.join !== 'bevel' && dot > -1 + 1e-9) {
+            // Miter length relative to the stroke width is 1 / sin(angle / 2)
+            const miterRatio = 1 / Math.sqrt((1 + dot) / 2);
+            if (miterRatio <= stroke.miterLimit) {
+                const scale = halfWidth * side / (1 + dot);
+                points.push({ x: point.x + (nIn.x + nOut.x) * scale, y: point.y + (nIn.y + nOut.y) * scale });
+            }
+        }
+        points.push(b);
+
+        return this.polygon(points);
+    }
+
+    /**
+     * The cap at an open end of a subpath
+     * Caps start and end on the corners of the segment's band.
+     * @param {Object} seg - First or last segment of the subpath
+     * @param {boolean} atEnd - Cap the end of the segment (otherwise its start)
+     */
+    getCap(seg, atEnd, halfWidth, cap) {
+        if (cap !== 'round' && cap !== 'square') return null;
+
+        const point = atEnd ? seg.p1 : seg.p0;
+        const n = this.geometry.segmentNormal(seg, atEnd ? 1 : 0);
+        const tangent = this.normalize(this.geometry.segmentDerivative(seg, atEnd ? 1 : 0));
+        const d = atEnd ? tangent : { x: -tangent.x, y: -tangent.y }; // Pointing away from the path
+        const left = { x: point.x + n.x * halfWidth, y: point.y + n.y * halfWidth };
+        const right = { x: point.x + n.x * -halfWidth, y: point.y + n.y * -halfWidth };
+
+        if (cap === 'round') {
+            // Half disc: around the end from one band corner to the other, then back across
+            const turn = (n.x * d.y - n.y * d.x) > 0 ? Math.PI : -Math.PI;
+            const segments = this.arcSegments(point, left, right, turn);
+            segments.push({ p0: right, p1: left });
+            return { segments, closed: true };
+        }
+
+        const out = { x: d.x * halfWidth, y: d.y * halfWidth };
+        return this.polygon([
+            left,
+            { x: left.x + out.x, y: left.y + out.y },
+            { x: right.x + out.x, y: right.y + out.y },
+            right
+        ]);
+    }
+
+    /**
+     * Circular arc around a center as cubic segments
+     * The arc ends exactly on the given points, so it shares vertices with the bands.
+     * @param {Object} center
+     * @param {Object} start - Start point on the circle
+     * @param {Object} end - End point on the circle
+     * @param {number} angle - Signed angle from start to end in radians (positive turns from +x to +y)
+     */
+    arcSegments(center, start, end, angle) {
+        const radius = Math.hypot(start.x - center.x, start.y - center.y);
+        const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+        const count = Math.max(1, Math.ceil(Math.abs(angle) / (Math.PI / 2) - 1e-9));
+        const step = angle / count;
+        const k = 4 / 3 * Math.tan(step / 4) * radius;
+
+        const segments = [];
+        let p0 = start;
+        for (let i = 0; i < count; i++) {
+            const a0 = startAngle + step * i;
+            const a1 = a0 + step;
+            const p1 = i === count - 1 ? end : { x: center.x + radius * Math.cos(a1), y: center.y + radius * Math.sin(a1) };
+            segments.push({
+                p0,
+                c1: { x: p0.x - k * Math.sin(a0), y: p0.y + k * Math.cos(a0) },
+                c2: { x: p1.x + k * Math.sin(a1), y: p1.y - k * Math.cos(a1) },
+                p1
+            });
+            p0 = p1;
+        }
+        return segments;
+    }
+
+    polygon(points) {
+        const segments = points.map((point, index) => ({ p0: point, p1: points[(index + 1) % points.length] }));
+        return { segments, closed: true };
+    }
+
+    normalize(v) {
+        const length = Math.hypot(v.x, v.y) || 1;
+        return { x: v.x / length, y: v.y / length };
+    }
+}
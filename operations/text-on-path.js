@@ -0,0 +1,345 @@
+/**
+ * TextOnPath
+ * Puts text on a path with <textPath> and takes it off again
+ *
+ * With the text tool the selected text on a path gets two handles: one at the start
+ * of the text that slides it along the path, and one beside it that flips the text to
+ * the other side of the path. Flipping reverses the path, which keeps its outline.
+ */
+class TextOnPath {
+    constructor(editor) {
+        this.editor = editor;
+        this.geometry = editor.pathGeometry;
+        this.handles = [];
+        this.offsetDrag = null; // {text, path} while dragging the start offset handle
+        this.flipHandleDistance = 14; // Screen pixels between the path and the flip handle
+        this.shapeTags = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+    }
+
+    /**
+     * Put the selected text on the selected path
+     * Shapes are converted to paths first, as <textPath> can only follow paths everywhere.
+     */
+    putSelectedTextOnPath() {
+        const selected = Array.from(this.editor.selectedElements);
+        const texts = selected.filter(element => element.tagName === 'text');
+        const shapes = selected.filter(element => this.shapeTags.includes(element.tagName));
+        if (texts.length !== 1 || shapes.length !== 1) {
+            alert('Select one text and one path to put the text on');
+            return;
+        }
+
+        const text = texts[0];
+        let path = shapes[0];
+        if (path.tagName !== 'path') {
+            this.editor.selectedElements.delete(path);
+            path = this.editor.shapeConverter.convertElement(path);
+        }
+        if (!path.id) {
+            path.id = `element-${Date.now()}`;
+        }
+
+        const content = this.editor.textTool.getLines(text).join(' ');
+        while (text.firstChild) {
+            text.removeChild(text.firstChild);
+        }
+        text.removeAttribute('x');
+        text.removeAttribute('y');
+
+        const textPath = document.createElementNS('http://www.w3.org/2000/svg', 'textPath');
+        this.setHref(textPath, path);
+        textPath.setAttribute('startOffset', '0%');
+        textPath.textContent = content;
+        text.appendChild(textPath);
+
+        // The path is followed in the text's coordinates (with the path's own transform
+        // applied on top), so the text has to share the coordinates of the path's parent
+        this.alignCoordinates(text, path);
+
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        this.editor.selectElement(text, false);
+        this.editor.historyManager.saveState('Put text on path');
+    }
+
+    /**
+     * Take the selected text off its path, as point text where it started on the path
+     */
+    releaseSelected() {
+        const texts = Array.from(this.editor.selectedElements)
+            .filter(element => element.tagName === 'text' && this.getTextPath(element));
+        if (texts.length === 0) {
+            alert('Select text on a path to release');
+            return;
+        }
+
+        texts.forEach(text => {
+            const textPath = this.getTextPath(text);
+            const path = this.getPath(textPath);
+
+            let start = { x: 0, y: 0 };
+            if (path) {
+                start = this.pathToText(path, this.getPointAtOffset(path, this.getOffset(textPath)));
+            }
+
+            const content = textPath.textContent;
+            textPath.remove();
+            text.textContent = content;
+            text.setAttribute('x', Math.round(start.x * 1000) / 1000);
+            text.setAttribute('y', Math.round(start.y * 1000) / 1000);
+        });
+
+        this.editor.updateBoundingBox();
+        this.editor.historyManager.saveState('Release text from path');
+    }
+
+    getTextPath(text) {
+        return Array.from(text.children).find(child => child.tagName === 'textPath') || null;
+    }
+
+    /**
+     * The path a <textPath> follows
+     */
+    getPath(textPath) {
+        const href = textPath.getAttribute('href') ||
+            textPath.getAttributeNS('http://www.w3.org/1999/xlink', 'href') || '';
+        if (!href.startsWith('#')) return null;
+        const path = this.editor.svgElement.querySelector(`[id="${href.slice(1)}"]`);
+        return path && path.tagName === 'path' ? path : null;
+    }
+
+    setHref(textPath, path) {
+        textPath.setAttribute('href', `#${path.id}`);
+        // For renderers that only know SVG 1.1
+        textPath.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', `#${path.id}`);
+    }
+
+    /**
+     * Give the text the coordinate system of the path's parent
+     */
+    alignCoordinates(text, path) {
+        const textParent = this.geometry.getElementToRootMatrix(text.parentNode);
+        const pathParent = this.geometry.getElementToRootMatrix(path.parentNode);
+        const toTextParent = this.geometry.invertMatrix(textParent);
+        if (!toTextParent) return;
+
+        this.editor.setElementMatrix(text, this.geometry.multiplyMatrices(toTextParent, pathParent));
+    }
+
+    /**
+     * Start offset as a fraction of the path length
+     */
+    getOffset(textPath) {
+        const value = textPath.getAttribute('startOffset') || '0';
+        if (value.trim().endsWith('%')) {
+            return (parseFloat(value) || 0) / 100;
+        }
+        const path = this.getPath(textPath);
+        const length = path ? path.getTotalLength() : 0;
+        return length > 0 ? (parseFloat(value) || 0) / length : 0;
+    }
+
+    setOffset(textPath, fraction) {
+        const percent = Math.min(100, Math.max(0, fraction * 100));
+        textPath.setAttribute('startOffset', `${Math.round(percent * 100) / 100}%`);
+    }
+
+    /**
+     * Point at a fraction of the path length, in the path's coordinates
+     */
+    getPointAtOffset(path, fraction) {
+        const point = path.getPointAtLength(path.getTotalLength() * fraction);
+        return { x: point.x, y: point.y };
+    }
+
+    /**
+     * Map a point of the path into the text's coordinates
+     * The text follows the path in its own user space, with only the path's own transform
+     * applied, wherever the path and the text sit in the document.
+     */
+    pathToText(path, point) {
+        const matrix = this.editor.transformParser.getElementMatrix(path);
+        return this.geometry.transformPoint(matrix, point.x, point.y);
+    }
+
+    /**
+     * Map a point of the path, as the text follows it, into root coordinates
+     */
+    pathToRoot(text, path, point) {
+        const local = this.pathToText(path, point);
+        return this.editor.toRootCoords(text, local.x, local.y);
+    }
+
+    /**
+     * Unit direction of the path at a fraction of its length, as the text follows it,
+     * in root coordinates
+     */
+    getDirectionAtOffset(text, path, fraction) {
+        const length = path.getTotalLength();
+        const step = Math.max(length * 0.001, 1e-3);
+        const at = Math.min(Math.max(length * fraction, step), length - step);
+        const rootA = this.pathToRoot(text, path, path.getPointAtLength(at - step));
+        const rootB = this.pathToRoot(text, path, path.getPointAtLength(at + step));
+        const distance = Math.hypot(rootB.x - rootA.x, rootB.y - rootA.y) || 1;
+        return { x: (rootB.x - rootA.x) / distance, y: (rootB.y - rootA.y) / distance };
+    }
+
+    /**
+     * Selected text on a path, when it is the only selected element
+     * @returns {Object|null} {text, textPath, path}
+     */
+    getSelectedTextOnPath() {
+        if (this.editor.selectedElements.size !== 1) return null;
+        const text = Array.from(this.editor.selectedElements)[0];
+        if (text.tagName !== 'text') return null;
+        const textPath = this.getTextPath(text);
+        const path = textPath ? this.getPath(textPath) : null;
+        return path ? { text, textPath, path } : null;
+    }
+
+    /**
+     * Show the start offset and flip handles (text tool only)
+     */
+    updateHandles() {
+        this.handles.forEach(handle => handle.remove());
+        this.handles = [];
+
+        const selected = this.editor.currentTool === 'text' ? this.getSelectedTextOnPath() : null;
+        if (!selected || selected.path.getTotalLength() <= 0) return;
+
+        const { text, textPath, path } = selected;
+        const offset = this.getOffset(textPath);
+        const start = this.pathToRoot(text, path, this.getPointAtOffset(path, offset));
+
+        // Text runs on the left of the path direction; the flip handle sits on the right
+        const direction = this.getDirectionAtOffset(text, path, offset);
+        const distance = this.flipHandleDistance / this.editor.zoomLevel;
+        const flip = { x: start.x - direction.y * distance, y: start.y + direction.x * distance };
+
+        this.createHandle(start, 'text-path-offset-handle', 'Drag to move the text along the path', (e) => {
+            this.offsetDrag = { text, path };
+        });
+        this.createHandle(flip, 'text-path-flip-handle', 'Click to flip the text to the other side', (e) => {
+            this.flipSide(text);
+        });
+    }
+
+    createHandle(position, kind, title, onMouseDown) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const handle = document.createElementNS(svgNS, 'circle');
+        handle.setAttribute('class', `node-handle ${kind}`);
+        handle.setAttribute('cx', position.x);
+        handle.setAttribute('cy', position.y);
+
+        // Keep a constant screen size regardless of zoom
+        const inverseScale = 1 / this.editor.zoomLevel;
+        handle.setAttribute('transform', `translate(${position.x}, ${position.y}) scale(${inverseScale}) translate(${-position.x}, ${-position.y})`);
+
+        const tooltip = document.createElementNS(svgNS, 'title');
+        tooltip.textContent = title;
+        handle.appendChild(tooltip);
+
+        handle.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            onMouseDown(e);
+        });
+
+        this.editor.svgElement.appendChild(handle);
+        this.handles.push(handle);
+    }
+
+    onMouseMove(e) {
+        if (!this.offsetDrag) return false;
+
+        const { text, path } = this.offsetDrag;
+        const textPath = this.getTextPath(text);
+        if (!textPath) return true;
+
+        const svgPoint = this.editor.textTool.screenToSvg(e.clientX, e.clientY);
+        this.setOffset(textPath, this.getNearestOffset(text, path, svgPoint));
+        this.editor.wasDragging = true;
+        this.editor.updateBoundingBox();
+        return true;
+    }
+
+    onMouseUp(e) {
+        if (!this.offsetDrag) return false;
+
+        this.offsetDrag = null;
+        this.editor.historyManager.saveState('Move text along path');
+        return true;
+    }
+
+    /**
+     * Fraction of the path length at the path point nearest to a point, measured along
+     * the path as the text follows it
+     * @param {Object} point - Point in root coordinates
+     */
+    getNearestOffset(text, path, point) {
+        const length = path.getTotalLength();
+        const distanceAt = (at) => {
+            const root = this.pathToRoot(text, path, path.getPointAtLength(at));
+            return Math.hypot(root.x - point.x, root.y - point.y);
+        };
+
+        // Coarse samples, then narrow down around the best one
+        const samples = 200;
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i <= samples; i++) {
+            const distance = distanceAt(length * i / samples);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = length * i / samples;
+            }
+        }
+
+        let step = length / samples;
+        while (step > length * 1e-5) {
+            step /= 2;
+            [best - step, best + step].forEach(at => {
+                if (at < 0 || at > length) return;
+                const distance = distanceAt(at);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = at;
+                }
+            });
+        }
+        return length > 0 ? best / length : 0;
+    }
+
+    /**
+     * Flip the text to the other side of its path by reversing the path
+     * The text keeps its place: it now starts where it used to end.
+     */
+    flipSide(text) {
+        const textPath = this.getTextPath(text);
+        const path = textPath ? this.getPath(textPath) : null;
+        if (!path) return;
+
+        const length = path.getTotalLength();
+        let textLength = 0;
+        try {
+            textLength = text.getComputedTextLength();
+        } catch (e) {
+            textLength = 0;
+        }
+        const offset = this.getOffset(textPath);
+        const textFraction = length > 0 ? textLength / length : 0;
+
+        // Reverse every subpath and their order, so the whole path runs backwards
+        const commands = this.editor.parsePathData(path.getAttribute('d') || '');
+        const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+        subpaths.forEach(sub => {
+            sub.commands = this.geometry.reverseSubpathCommands(sub.commands, sub.closed);
+        });
+        subpaths.reverse();
+        this.editor.pathJoiner.writeSubpaths(path, subpaths);
+
+        this.setOffset(textPath, Math.max(0, 1 - offset - textFraction));
+        this.editor.updateBoundingBox();
+        this.editor.historyManager.saveState('Flip text side');
+    }
+}
@@ -0,0 +1,382 @@
+/**
+ * TextOutliner
+ * Converts text to paths ("Create Outlines") with font files loaded by the user
+ *
+ * The browser doesn't give access to glyph outlines, so the fonts are read from TTF, OTF
+ * or WOFF files dropped on (or chosen in) the dialog. Each font family/weight/style used by
+ * the selected text is matched to a loaded font, which can be changed before converting.
+ * Point text and text on a path are laid out with the font's advance widths and kerning.
+ * Text with styled parts (see TextTool.isPlainText) or per-character positions is not
+ * converted, since those fonts and positions are not laid out.
+ */
+class TextOutliner {
+    constructor(editor) {
+        this.editor = editor;
+        this.parser = editor.fontParser;
+        this.fonts = []; // Loaded fonts, in load order
+        this.fontChoices = new Map(); // Style key -> chosen font
+        this.texts = []; // Text elements to convert
+    }
+
+    setupDialog() {
+        const dialog = document.getElementById('createOutlinesDialog');
+        const dropZone = document.getElementById('fontDropZone');
+        const fileInput = document.getElementById('fontFileInput');
+
+        const closeDialog = () => {
+            dialog.style.display = 'none';
+            this.texts = [];
+        };
+
+        document.getElementById('createOutlinesDialogClose').addEventListener('click', closeDialog);
+        document.getElementById('createOutlinesCancelBtn').addEventListener('click', closeDialog);
+
+        // Close on overlay click
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                closeDialog();
+            }
+        });
+
+        document.getElementById('createOutlinesApplyBtn').addEventListener('click', () => {
+            if (this.createOutlines()) {
+                closeDialog();
+            }
+        });
+
+        // Font files, chosen or dropped
+        document.getElementById('fontBrowseBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            this.loadFontFiles(Array.from(e.target.files));
+            fileInput.value = '';
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.loadFontFiles(Array.from(e.dataTransfer.files));
+        });
+
+        // Escape key to close
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && dialog.style.display !== 'none') {
+                closeDialog();
+            }
+        });
+    }
+
+    openDialog() {
+        const selected = Array.from(this.editor.selectedElements).filter(element => element.tagName === 'text');
+        if (selected.length === 0) {
+            alert('Select text to convert to outlines');
+            return;
+        }
+
+        this.texts = selected.filter(text => this.canConvert(text));
+        if (this.texts.length === 0) {
+            alert('Text with styled parts or per-character positions cannot be converted to outlines');
+            return;
+        }
+        if (this.texts.length < selected.length) {
+            alert(`${selected.length - this.texts.length} of the selected texts have styled parts or per-character positions and will not be converted`);
+        }
+
+        this.renderFontFields();
+        document.getElementById('createOutlinesDialog').style.display = 'flex';
+    }
+
+    /**
+     * Whether the text is laid out here as it renders: plain lines, each at a single x/y
+     */
+    canConvert(text) {
+        if (!this.editor.textTool.isPlainText(text)) return false;
+        if (['dx', 'dy', 'rotate', 'textLength'].some(name => text.hasAttribute(name))) return false;
+
+        const single = (element, name) => (element.getAttribute(name) || '').trim().split(/[\s,]+/).length <= 1;
+        return [text, ...this.editor.textTool.getLineElements(text)]
+            .every(element => single(element, 'x') && single(element, 'y'));
+    }
+
+    async loadFontFiles(files) {
+        for (const file of files) {
+            try {
+                const font = await this.parser.parse(await file.arrayBuffer());
+                const loaded = this.fonts.some(other =>
+                    other.familyName === font.familyName && other.styleName === font.styleName);
+                if (!loaded) {
+                    this.fonts.push(font);
+                }
+            } catch (error) {
+                alert(`Could not read ${file.name}: ${error.message}`);
+            }
+        }
+        this.renderFontFields();
+    }
+
+    /**
+     * Font family, weight and style of a text element
+     * @returns {Object} {key, label, families, weight, italic}
+     */
+    getTextStyle(text) {
+        const style = window.getComputedStyle(text);
+        const familyValue = text.getAttribute('font-family') || style.fontFamily || 'sans-serif';
+        const weightValue = text.getAttribute('font-weight') || style.fontWeight || 'normal';
+        const weight = weightValue === 'bold' || weightValue === 'bolder' ? 700 :
+            weightValue === 'normal' || weightValue === 'lighter' ? 400 : parseInt(weightValue, 10) || 400;
+        const italic = /italic|oblique/.test(text.getAttribute('font-style') || style.fontStyle || '');
+
+        const families = familyValue.split(',')
+            .map(family => family.trim().replace(/^['"]|['"]$/g, '').toLowerCase())
+            .filter(Boolean);
+        const label = `${familyValue} ${weight}${italic ? ' italic' : ''}`;
+        return { key: `${families.join(',')}|${weight}|${italic}`, label, families, weight, italic };
+    }
+
+    /**
+     * Loaded font of the first matching family, nearest in weight and style
+     */
+    findFont(style) {
+        for (const family of style.families) {
+            const candidates = this.fonts.filter(font => font.familyName.toLowerCase() === family);
+            if (candidates.length === 0) continue;
+
+            const distance = (font) => (font.italic !== style.italic ? 1000 : 0) + Math.abs(font.weight - style.weight);
+            return candidates.reduce((best, font) => distance(font) < distance(best) ? font : best);
+        }
+        return null;
+    }
+
+    getFont(style) {
+        return this.fontChoices.has(style.key) ? this.fontChoices.get(style.key) : this.findFont(style);
+    }
+
+    /**
+     * One font choice per text style in the selection
+     */
+    renderFontFields() {
+        const container = document.getElementById('outlineFontFields');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const styles = new Map();
+        this.texts.forEach(text => {
+            const style = this.getTextStyle(text);
+            styles.set(style.key, style);
+        });
+
+        styles.forEach(style => {
+            const field = document.createElement('div');
+            field.className = 'dialog-field';
+
+            const label = document.createElement('label');
+            label.textContent = style.label;
+            field.appendChild(label);
+
+            const select = document.createElement('select');
+            select.className = 'dialog-input';
+            select.add(new Option(this.fonts.length > 0 ? 'Choose a font' : 'Load a font first', ''));
+            this.fonts.forEach((font, index) => {
+                select.add(new Option(`${font.familyName} ${font.styleName}`, String(index)));
+            });
+            const font = this.getFont(style);
+            select.value = font ? String(this.fonts.indexOf(font)) : '';
+            select.addEventListener('change', () => {
+                this.fontChoices.set(style.key, select.value === '' ? null : this.fonts[parseInt(select.value, 10)]);
+            });
+            field.appendChild(select);
+
+            container.appendChild(field);
+        });
+    }
+
+    /**
+     * Replace the dialog's text elements with paths
+     * @returns {boolean} Whether the text was converted
+     */
+    createOutlines() {
+        const texts = this.texts.filter(text => text.isConnected);
+        const fonts = texts.map(text => this.getFont(this.getTextStyle(text)));
+        if (fonts.some(font => !font)) {
+            alert('Load and choose a font for every text style');
+            return false;
+        }
+
+        const missing = new Set();
+        const paths = [];
+        texts.forEach((text, index) => {
+            const path = this.convertText(text, fonts[index], missing);
+            if (path) paths.push(path);
+        });
+
+        this.editor.clearSelection();
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        paths.forEach((path, index) => this.editor.selectElement(path, index > 0));
+        this.editor.historyManager.saveState('Create outlines');
+
+        if (missing.size > 0) {
+            alert(`These characters are not in the chosen fonts and were drawn as boxes: ${Array.from(missing).join(' ')}`);
+        }
+        return true;
+    }
+
+    /**
+     * Collapse white space like SVG text does, unless it is preserved
+     */
+    collapseWhitespace(text, element) {
+        const whiteSpace = window.getComputedStyle(element).whiteSpace || '';
+        if (element.getAttribute('xml:space') === 'preserve' || whiteSpace.startsWith('pre')) {
+            return text.replace(/[\n\t]/g, ' ');
+        }
+        return text.replace(/\n/g, '').replace(/\t/g, ' ').trim().replace(/ +/g, ' ');
+    }
+
+    /**
+     * Glyphs of a line of text, with kerning and letter spacing applied
+     * @param {number} spacing - Letter spacing in font units
+     * @returns {Object} {glyphs: [{index, x, advance}], width} in font units
+     */
+    layoutGlyphs(font, line, spacing, missing) {
+        const glyphs = [];
+        let x = 0;
+        let previous = null;
+
+        for (const character of line) {
+            const index = this.parser.getGlyphIndex(font, character.codePointAt(0));
+            if (index === 0 && character.trim() !== '') {
+                missing.add(character);
+            }
+            if (previous !== null) {
+                x += this.parser.getKerning(font, previous, index);
+            }
+
+            const advance = this.parser.getAdvanceWidth(font, index);
+            glyphs.push({ index, x, advance });
+            x += advance + spacing;
+            previous = index;
+        }
+        return { glyphs, width: x };
+    }
+
+    /**
+     * Shift of a line for its text-anchor, in font units
+     */
+    getAnchorShift(text, width) {
+        const anchor = text.getAttribute('text-anchor') || window.getComputedStyle(text).textAnchor || 'start';
+        if (anchor === 'middle') return -width / 2;
+        if (anchor === 'end') return -width;
+        return 0;
+    }
+
+    /**
+     * Outline commands of a text element, in its own coordinates
+     */
+    getTextCommands(text, font, missing) {
+        const geometry = this.editor.pathGeometry;
+        const scale = this.editor.textTool.getFontSize(text) / font.unitsPerEm;
+        const spacing = (parseFloat(window.getComputedStyle(text).letterSpacing) || 0) / scale;
+        const commands = [];
+
+        const textPath = this.editor.textOnPath.getTextPath(text);
+        const path = textPath ? this.editor.textOnPath.getPath(textPath) : null;
+        if (path) {
+            return this.getTextOnPathCommands(text, textPath, path, font, scale, spacing, missing);
+        }
+
+        const lineElements = this.editor.textTool.getLineElements(text);
+        const lines = (lineElements.length > 0 ? lineElements : [text]).map(element => ({
+            text: this.collapseWhitespace(element.textContent, text),
+            x: parseFloat(element.getAttribute('x')) || 0,
+            y: parseFloat(element.getAttribute('y')) || 0
+        }));
+
+        lines.forEach(line => {
+            const layout = this.layoutGlyphs(font, line.text, spacing, missing);
+            const shift = this.getAnchorShift(text, layout.width);
+            layout.glyphs.forEach(glyph => {
+                // Font units have y up, with the origin on the baseline
+                const m = { a: scale, b: 0, c: 0, d: -scale, e: line.x + (glyph.x + shift) * scale, f: line.y };
+                commands.push(...geometry.transformCommands(this.parser.getGlyphCommands(font, glyph.index), m));
+            });
+        });
+        return commands;
+    }
+
+    /**
+     * Glyphs placed along a path: each one is centered on the path point at its middle
+     * and turned with the path there; glyphs whose middle is off the path are not drawn
+     */
+    getTextOnPathCommands(text, textPath, path, font, scale, spacing, missing) {
+        const geometry = this.editor.pathGeometry;
+        const textOnPath = this.editor.textOnPath;
+        const commands = [];
+
+        // Path coordinates -> text coordinates: the text follows the path in its own user
+        // space, with only the path's own transform applied
+        const pathToText = this.editor.transformParser.getElementMatrix(path);
+
+        const length = path.getTotalLength();
+        const layout = this.layoutGlyphs(font, this.collapseWhitespace(textPath.textContent, text), spacing, missing);
+        const start = textOnPath.getOffset(textPath) * length + this.getAnchorShift(text, layout.width) * scale;
+        const step = Math.max(length * 1e-4, 1e-3);
+
+        layout.glyphs.forEach(glyph => {
+            const half = glyph.advance * scale / 2;
+            const middle = start + glyph.x * scale + half;
+            if (middle < 0 || middle > length) return;
+
+            const point = path.getPointAtLength(middle);
+            const before = path.getPointAtLength(Math.max(0, middle - step));
+            const after = path.getPointAtLength(Math.min(length, middle + step));
+            const angle = Math.atan2(after.y - before.y, after.x - before.x);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            const m = {
+                a: cos * scale,
+                b: sin * scale,
+                c: sin * scale,
+                d: -cos * scale,
+                e: point.x - cos * half,
+                f: point.y - sin * half
+            };
+            const glyphCommands = this.parser.getGlyphCommands(font, glyph.index);
+            commands.push(...geometry.transformCommands(glyphCommands, geometry.multiplyMatrices(pathToText, m)));
+        });
+        return commands;
+    }
+
+    /**
+     * Replace a text element with a path of its outlines
+     * @returns {Element|null} The path, or null for text without visible glyphs
+     */
+    convertText(text, font, missing) {
+        const commands = this.getTextCommands(text, font, missing);
+        if (!commands.some(cmd => cmd.type !== 'M' && cmd.type !== 'Z')) return null;
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        const textAttributes = ['x', 'y', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'text-anchor',
+            'letter-spacing', 'word-spacing', 'xml:space'];
+        Array.from(text.attributes).forEach(attr => {
+            if (!textAttributes.includes(attr.name) && !attr.name.startsWith('font-')) {
+                path.setAttribute(attr.name, attr.value);
+            }
+        });
+        path.classList.remove('selected', 'dragging');
+        if (!path.getAttribute('class')) {
+            path.removeAttribute('class');
+        }
+        path.setAttribute('d', this.editor.buildPathData(this.editor.pathGeometry.roundCommands(commands, 3)));
+
+        this.editor.selectedElements.delete(text);
+        text.parentNode.replaceChild(path, text);
+        return path;
+    }
+}
@@ -11,6 +11,9 @@ class ElementSelectionManager {
     selectElement(element, multiSelect = false) {
         if (!element) return;
 
+        // A new selection starts with the scale and rotate handles
+        this.editor.boundingBoxManager.mode = 'scale';
+
         if (!multiSelect) {
             this.clearSelection();
         }
@@ -43,6 +46,7 @@ class ElementSelectionManager {
     }
 
     clearSelection() {
+        this.editor.boundingBoxManager.mode = 'scale';
         this.selectedElements.forEach(el => {
             el.classList.remove('selected');
         });
@@ -57,7 +61,7 @@ class ElementSelectionManager {
 
     selectElementsInMarquee(marqueeX, marqueeY, marqueeWidth, marqueeHeight, isLeftToRight = true) {
         // Get all selectable elements
-        const allElements = this.editor.svgElement.querySelectorAll('path, circle, rect, ellipse, line, polyline, polygon');
+        const allElements = this.editor.svgElement.querySelectorAll('path, circle, rect, ellipse, line, polyline, polygon, text');
 
         // Clear current selection only if not using modifier keys (add to selection)
         if (!this.editor.marqueeMultiSelect) {
@@ -67,8 +71,8 @@ class ElementSelectionManager {
         // Collect elements based on drag direction
         const elementsToSelect = [];
         allElements.forEach(element => {
-            // Skip elements that are in the bounding box or marquee groups
-            if (element.closest && (element.closest('#boundingBoxGroup') || element.closest('#marqueeSelectGroup'))) {
+            // Skip elements that are in the bounding box or marquee groups, or in definitions
+            if (element.closest && (element.closest('#boundingBoxGroup') || element.closest('#marqueeSelectGroup') || element.closest('defs'))) {
                 return;
             }
 
@@ -32,6 +32,8 @@ class NodeSelectionManager {
             this.selectedNodes.add(nodeId);
             nodeHandle.classList.add('selected');
         }
+
+        this.editor.updateNodeTypeControls();
     }
 
     clearNodeSelection() {
@@ -40,6 +42,7 @@ class NodeSelectionManager {
             handle.classList.remove('selected');
         });
         this.selectedNodes.clear();
+        this.editor.updateNodeTypeControls();
     }
 
     clearNodeHandles() {
@@ -69,7 +72,8 @@ class NodeSelectionManager {
         const svgNS = 'http://www.w3.org/2000/svg';
 
         commands.forEach((cmd, index) => {
-            if (cmd.type === 'M' || cmd.type === 'L' || cmd.type === 'C' || cmd.type === 'Q') {
+            // Every drawing command (M, L, H, V, C, S, Q, T, A) ends in a node; Z does not
+            if (cmd.type !== 'Z') {
                 // Transform point from element-local (path data) to rendered SVG space
                 const mainSvg = this.editor.toRootCoords(element, cmd.x, cmd.y);
 
@@ -120,8 +124,8 @@ class NodeSelectionManager {
                 this.editor.svgElement.appendChild(handle);
                 this.nodeHandles.push(handle);
 
-                // For curves, show control points (transform to rendered space as well)
-                if (cmd.type === 'C') {
+                // For cubic curves, show control points (transform to rendered space as well)
+                if (cmd.type === 'C' || cmd.type === 'S') {
                     const cp1Svg = this.editor.toRootCoords(element, cmd.x1, cmd.y1);
                     const cp1 = document.createElementNS(svgNS, 'circle');
                     cp1.setAttribute('class', 'node-handle');
@@ -222,6 +226,11 @@ class NodeSelectionManager {
                     this.editor.svgElement.appendChild(cp2);
                     this.nodeHandles.push(cp2);
                 }
+
+                // For elliptical arcs, show radius handles at the ends of the x and y semi-axes
+                if (cmd.type === 'A') {
+                    this.showArcRadiusHandles(element, commands, index);
+                }
             }
         });
 
@@ -229,6 +238,74 @@ class NodeSelectionManager {
         this.updateNodeHandleTransforms();
     }
 
+    /**
+     * Show the rx/ry handles of an arc command
+     * Dragging the radiusX handle sets rx and the x-axis-rotation, dragging radiusY sets ry.
+     * @param {SVGElement} element - The path element
+     * @param {Array} commands - Parsed commands of the path
+     * @param {number} index - Index of the 'A' command
+     */
+    showArcRadiusHandles(element, commands, index) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const cmd = commands[index];
+        const start = this.editor.pathDataParser.getStartPoint(commands, index);
+        const arcHandles = this.editor.pathGeometry.getArcRadiusHandles(start.x, start.y, cmd);
+        if (!arcHandles) return;
+
+        ['radiusX', 'radiusY'].forEach(pointType => {
+            const handleSvg = this.editor.toRootCoords(element, arcHandles[pointType].x, arcHandles[pointType].y);
+            const handle = document.createElementNS(svgNS, 'circle');
+            handle.setAttribute('class', 'node-handle arc-radius-handle');
+            handle.setAttribute('cx', handleSvg.x);
+            handle.setAttribute('cy', handleSvg.y);
+            handle.dataset.elementId = element.id;
+            handle.dataset.commandIndex = index;
+            handle.dataset.pointType = pointType;
+
+            // Restore selection state if this node was previously selected
+            const nodeId = `${element.id || ''}-${index}-${pointType}`;
+            if (this.selectedNodes.has(nodeId)) {
+                handle.classList.add('selected');
+            }
+
+            handle.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+                const isMultiSelect = e.ctrlKey || e.metaKey || e.shiftKey;
+                // Store pending selection to be applied on mouseup (if not a drag)
+                this.editor.pendingSelectionNode = handle;
+                this.editor.pendingSelectionNodeMultiSelect = isMultiSelect;
+                this.editor.wasDragging = false;
+                this.editor.dragStartPos = { x: e.clientX, y: e.clientY };
+
+                // Prepare for dragging - the center is kept fixed while dragging a radius,
+                // otherwise it would shift under the cursor as the radii change
+                this.editor.isDragging = true;
+                this.editor.currentDraggedNode = {
+                    element: element,
+                    index: index,
+                    command: cmd,
+                    pointType: pointType,
+                    arcCenter: arcHandles.center
+                };
+
+                // Store initial positions of all selected nodes
+                this.editor.selectedNodesInitialPositions.clear();
+                this.selectedNodes.forEach(nodeId => {
+                    const nodeInfo = this.editor.parseNodeId(nodeId);
+                    if (nodeInfo) {
+                        const pos = this.editor.getNodePosition(nodeInfo);
+                        if (pos) {
+                            this.editor.selectedNodesInitialPositions.set(nodeId, { nodeInfo, pos });
+                        }
+                    }
+                });
+            });
+
+            this.editor.svgElement.appendChild(handle);
+            this.nodeHandles.push(handle);
+        });
+    }
+
     showElementHandles(element) {
         const svgNS = 'http://www.w3.org/2000/svg';
         const bbox = element.getBBox();
@@ -322,7 +399,7 @@ class NodeSelectionManager {
 
             commands.forEach((cmd, index) => {
                 // Check main point
-                if (cmd.type === 'M' || cmd.type === 'L' || cmd.type === 'C' || cmd.type === 'Q') {
+                if (cmd.type !== 'Z') {
                     const nodePos = this.editor.getNodePosition({ element, index, pointType: 'main' });
                     if (nodePos) {
                         // Check if node position is within marquee rectangle
@@ -335,7 +412,7 @@ class NodeSelectionManager {
                 }
 
                 // Check control points for curves
-                if (cmd.type === 'C' || cmd.type === 'Q') {
+                if (cmd.type === 'C' || cmd.type === 'S' || cmd.type === 'Q') {
                     // Control point 1
                     if (cmd.x1 !== undefined && cmd.y1 !== undefined) {
                         const nodePos = this.editor.getNodePosition({ element, index, pointType: 'control1' });
@@ -348,8 +425,8 @@ class NodeSelectionManager {
                         }
                     }
 
-                    // Control point 2 (for C commands)
-                    if (cmd.type === 'C' && cmd.x2 !== undefined && cmd.y2 !== undefined) {
+                    // Control point 2 (for C and S commands)
+                    if ((cmd.type === 'C' || cmd.type === 'S') && cmd.x2 !== undefined && cmd.y2 !== undefined) {
                         const nodePos = this.editor.getNodePosition({ element, index, pointType: 'control2' });
                         if (nodePos) {
                             if (nodePos.x >= marqueeX && nodePos.x <= marqueeX + marqueeWidth &&
@@ -398,6 +475,8 @@ class NodeSelectionManager {
                 handle.classList.remove('selected');
             }
         });
+
+        this.editor.updateNodeTypeControls();
     }
 
     updateNodeHandleTransforms() {
@@ -0,0 +1,56 @@
+/**
+ * Loads the editor's browser scripts into a plain context for Node's test runner
+ * Only the geometry modules are loaded; nothing here needs a DOM.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadClasses(files, names, globals) {
+    const context = vm.createContext(Object.assign({ Math, console }, globals));
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+/**
+ * A minimal editor with the path parser, geometry and boolean operations
+ * @param {Object} globals - Extra globals for the scripts, such as a stub window
+ */
+function createGeometryEditor(extraFiles = [], extraNames = [], globals = {}) {
+    const classes = loadClasses(
+        ['utils/path-data-parser.js', 'utils/path-geometry.js', 'operations/path-boolean.js', ...extraFiles],
+        ['PathDataParser', 'PathGeometry', 'PathBooleanOperations', ...extraNames],
+        globals
+    );
+
+    const editor = {};
+    editor.pathDataParser = new classes.PathDataParser(editor);
+    editor.parsePathData = (d) => editor.pathDataParser.parse(d);
+    editor.buildPathData = (commands) => editor.pathDataParser.serialize(commands);
+    editor.pathGeometry = new classes.PathGeometry(editor);
+    editor.pathBooleanOperations = new classes.PathBooleanOperations(editor);
+    return { editor, classes };
+}
+
+/**
+ * Signed area of closed subpaths of line and cubic segments (cubics are sampled)
+ */
+function subpathsArea(geometry, subpaths) {
+    let area = 0;
+    subpaths.forEach(subpath => {
+        const points = [];
+        subpath.segments.forEach(seg => {
+            for (let i = 0; i < 32; i++) points.push(geometry.segmentPoint(seg, i / 32));
+        });
+        points.forEach((p, i) => {
+            const q = points[(i + 1) % points.length];
+            area += p.x * q.y - q.x * p.y;
+        });
+    });
+    return area / 2;
+}
+
+module.exports = { createGeometryEditor, subpathsArea };
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGeometryEditor, subpathsArea } = require('./helpers');
+
+const { editor, classes } = createGeometryEditor(
+    ['operations/stroke-outliner.js', 'operations/path-offset.js'],
+    ['StrokeOutliner', 'PathOffset'],
+    { window: { getComputedStyle: () => ({ fillRule: 'nonzero' }) } }
+);
+editor.strokeOutliner = new classes.StrokeOutliner(editor);
+const offset = new classes.PathOffset(editor);
+const geometry = editor.pathGeometry;
+
+// Stand-in for a path element: its commands in root coordinates
+function offsetPath(d, distance, join) {
+    geometry.getElementCommands = () => editor.parsePathData(d);
+    geometry.getElementToRootMatrix = () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 });
+    return offset.getOffsetSubpaths({}, distance, join);
+}
+
+const triangle = 'M0 0 L100 0 L50 80 Z';
+const triangleArea = 4000;
+const trianglePerimeter = 100 + 2 * Math.hypot(50, 80);
+
+test('round outset adds the perimeter band and one full disc', () => {
+    const subpaths = offsetPath(triangle, 5, 'round');
+    assert.strictEqual(subpaths.length, 1);
+    const expected = triangleArea + trianglePerimeter * 5 + Math.PI * 25;
+    assert.ok(Math.abs(Math.abs(subpathsArea(geometry, subpaths)) - expected) < 0.5);
+});
+
+test('insets give the same smaller triangle for every join', () => {
+    // A triangle inset by d is the triangle scaled about its incenter by (r - d) / r
+    const inradius = triangleArea / (trianglePerimeter / 2);
+    const expected = triangleArea * Math.pow((inradius - 5) / inradius, 2);
+    ['miter', 'round', 'bevel'].forEach(join => {
+        const subpaths = offsetPath(triangle, -5, join);
+        assert.strictEqual(subpaths.length, 1, join);
+        assert.ok(Math.abs(Math.abs(subpathsArea(geometry, subpaths)) - expected) < 0.5, join);
+    });
+});
+
+test('an inset wider than the shape leaves nothing', () => {
+    assert.strictEqual(offsetPath(triangle, -40, 'round').length, 0);
+});
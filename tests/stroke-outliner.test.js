@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGeometryEditor, subpathsArea } = require('./helpers');
+
+const { editor, classes } = createGeometryEditor(['operations/stroke-outliner.js'], ['StrokeOutliner']);
+const outliner = new classes.StrokeOutliner(editor);
+const geometry = editor.pathGeometry;
+
+function outline(d, stroke) {
+    const subpaths = geometry.commandsToSegments(editor.parsePathData(d));
+    return outliner.getStrokeOutline(subpaths, Object.assign({ miterLimit: 4 }, stroke));
+}
+
+test('every cap and join outlines a diagonal polyline', () => {
+    const zigzag = 'M0 0 L3 5 L6 0 L9 5 L12 0';
+    ['butt', 'round', 'square'].forEach(cap => {
+        ['miter', 'round', 'bevel'].forEach(join => {
+            const rings = outline(zigzag, { width: 2, cap, join });
+            assert.strictEqual(rings.length, 1, `${cap} cap, ${join} join`);
+        });
+    });
+});
+
+test('round caps add half discs to a diagonal line', () => {
+    const rings = outline('M0 0 L6 8', { width: 2, cap: 'round', join: 'miter' });
+    assert.strictEqual(rings.length, 1);
+    // 10 long and 2 wide, plus two half discs of radius 1
+    assert.ok(Math.abs(Math.abs(subpathsArea(geometry, rings)) - (20 + Math.PI)) < 0.01);
+});
+
+test('round joins fill the outside of a corner with a quarter disc', () => {
+    const rings = outline('M0 0 L10 0 L10 10', { width: 2, cap: 'butt', join: 'round' });
+    assert.strictEqual(rings.length, 1);
+    // Two 20 bands overlapping by 1, plus a quarter disc of radius 1
+    assert.ok(Math.abs(Math.abs(subpathsArea(geometry, rings)) - (39 + Math.PI / 4)) < 0.01);
+});
+
+test('zero-length subpaths are dots with round and square caps', () => {
+    const outlineCommands = (d, stroke) =>
+        outliner.getCommandsOutline(editor.parsePathData(d), Object.assign({ width: 2, join: 'miter', miterLimit: 4 }, stroke));
+
+    ['M5 5 L5 5', 'M5 5 Z'].forEach(d => {
+        const round = outlineCommands(d, { cap: 'round' });
+        assert.ok(Math.abs(Math.abs(subpathsArea(geometry, round)) - Math.PI) < 0.01, d);
+        const square = outlineCommands(d, { cap: 'square' });
+        assert.ok(Math.abs(Math.abs(subpathsArea(geometry, square)) - 4) < 1e-9, d);
+        assert.strictEqual(outlineCommands(d, { cap: 'butt' }).length, 0, d);
+    });
+
+    // A lone moveto draws nothing
+    assert.strictEqual(outlineCommands('M0 0 L10 0 M5 5', { cap: 'round' }).length, 1);
+});
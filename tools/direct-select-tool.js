@@ -8,6 +8,15 @@ class DirectSelectTool {
     }
 
     onMouseDown(e, element) {
+        // Clicking on the outline of a selected path inserts a node there
+        if (element.tagName === 'path' && this.editor.selectedElements.has(element)) {
+            if (this.editor.pathNodeEditor.insertNodeAtPoint(element, e.clientX, e.clientY)) {
+                // Keep the selection (and the new node selected) on mouseup
+                this.editor.pendingSelectionElement = null;
+                return true;
+            }
+        }
+
         // Direct select doesn't drag elements, only nodes
         // Node dragging is handled in node-selection.js
         return false; // Don't handle element dragging
@@ -38,8 +47,9 @@ class DirectSelectTool {
         // Get the nodeId for the current dragged node
         const elementId = this.editor.currentDraggedNode.element.id || '';
         const index = this.editor.currentDraggedNode.index;
-        const pointType = this.editor.currentDraggedNode.controlPoint === 1 ? 'control1' :
-                         this.editor.currentDraggedNode.controlPoint === 2 ? 'control2' : 'main';
+        const pointType = this.editor.currentDraggedNode.pointType ||
+                         (this.editor.currentDraggedNode.controlPoint === 1 ? 'control1' :
+                         this.editor.currentDraggedNode.controlPoint === 2 ? 'control2' : 'main');
         const currentNodeId = `${elementId}-${index}-${pointType}`;
 
         // Get initial position of the current dragged node
@@ -63,7 +73,7 @@ class DirectSelectTool {
                     svgPoint.y);
                 
                 // Also move adjacent bezier handles if dragging a main node
-                if (!this.editor.currentDraggedNode.controlPoint && 
+                if (pointType === 'main' &&
                     this.editor.currentDraggedNode.element.tagName === 'path') {
                     this.moveAdjacentBezierHandles(
                         this.editor.currentDraggedNode.element,
@@ -134,8 +144,6 @@ class DirectSelectTool {
      * @param {number} deltaY - Delta Y in root SVG coordinates
      */
     moveAdjacentBezierHandles(element, commandIndex, deltaX, deltaY) {
-        var originalMaintainTangency = this.editor.maintainTangency;
-        this.editor.maintainTangency = false;
         if (element.tagName !== 'path') return;
         
         const pathData = element.getAttribute('d');
@@ -144,11 +152,15 @@ class DirectSelectTool {
         const commands = this.editor.parsePathData(pathData);
         if (commandIndex >= commands.length) return;
         
+        // The handles travel with their node - don't let node types swing the opposite ones
+        const originalConstrainNodeHandles = this.editor.constrainNodeHandles;
+        this.editor.constrainNodeHandles = false;
+        
         const elementId = element.id || '';
         const cmd = commands[commandIndex];
         
-        // If the current command is a C command, move its control2 (handle before the endpoint)
-        if (cmd.type === 'C') {
+        // If the current command is a cubic (C or S), move its control2 (handle before the endpoint)
+        if (cmd.type === 'C' || cmd.type === 'S') {
             const control2NodeId = `${elementId}-${commandIndex}-control2`;
             
             // Only move if not already selected (to avoid double-moving)
@@ -168,11 +180,11 @@ class DirectSelectTool {
             }
         }
         
-        // Check next command (if it exists and is a C command)
+        // Check next command (if it exists and is a cubic, C or S)
         // The next command's control1 is the handle "after" the current command ends
         if (commandIndex < commands.length - 1) {
             const nextCmd = commands[commandIndex + 1];
-            if (nextCmd.type === 'C') {
+            if (nextCmd.type === 'C' || nextCmd.type === 'S') {
                 // Next command is a curve - its control1 is the handle after current command ends
                 // In SVG paths, consecutive commands share endpoints, so next command starts at cmd.x, cmd.y
                 const nextControl1NodeId = `${elementId}-${commandIndex + 1}-control1`;
@@ -194,7 +206,16 @@ class DirectSelectTool {
                 }
             }
         }
-        this.editor.maintainTangency = originalMaintainTangency;
+        this.editor.constrainNodeHandles = originalConstrainNodeHandles;
+        
+        // Auto nodes at and next to the moved node place their handles again
+        const movedCommands = this.editor.parsePathData(element.getAttribute('d'));
+        const types = this.editor.pathNodeEditor.getNodeTypes(element, movedCommands);
+        if (types.includes('auto')) {
+            this.editor.pathNodeEditor.updateAutoNodes(movedCommands, types, commandIndex);
+            element.setAttribute('d', this.editor.buildPathData(movedCommands));
+            this.editor.showNodeHandles(element);
+        }
     }
 }
 
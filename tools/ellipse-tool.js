@@ -0,0 +1,494 @@
+/**
+ * EllipseTool
+ * Draws <ellipse> elements by click-dragging, or <circle> elements with Shift
+ * - Alt draws from the center
+ * - The selected ellipse gets start and end angle handles; dragging them turns it into
+ *   a pie, arc or chord (a path marked with data-arc-type), and dragging them back
+ *   together turns it into a plain ellipse again
+ * Arc paths are read back from their arc command, so they stay editable after being
+ * moved or scaled. A rotated full ellipse stays a path, drawn as two half arcs.
+ */
+class EllipseTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+        this.currentElement = null;
+        this.angleHandles = [];
+        this.angleDrag = null; // {element, params, which} while dragging an angle handle
+        this.moveThreshold = 3; // Screen pixels before a click becomes a drag
+        this.arcType = 'pie'; // Type given to full ellipses when they are opened
+        this.angleSnap = 15; // Degrees, with Shift
+    }
+
+    onMouseDown(e, element) {
+        this.isDrawing = true;
+        this.isDragging = false;
+        this.startPoint = this.screenToSvg(e.clientX, e.clientY);
+        this.dragStartScreen = { x: e.clientX, y: e.clientY };
+        return true; // Handled
+    }
+
+    onMouseMove(e) {
+        if (this.angleDrag) {
+            this.dragAngle(e);
+            return true;
+        }
+
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        if (!this.isDragging) {
+            const moved = Math.hypot(e.clientX - this.dragStartScreen.x, e.clientY - this.dragStartScreen.y);
+            if (moved <= this.moveThreshold) return true;
+            this.isDragging = true;
+            this.editor.wasDragging = true;
+            this.createElement();
+        }
+
+        const point = this.screenToSvg(e.clientX, e.clientY);
+        let rx = Math.abs(point.x - this.startPoint.x) / 2;
+        let ry = Math.abs(point.y - this.startPoint.y) / 2;
+        if (e.shiftKey) {
+            rx = ry = Math.max(rx, ry);
+        }
+
+        let cx;
+        let cy;
+        if (e.altKey) {
+            rx *= 2;
+            ry *= 2;
+            cx = this.startPoint.x;
+            cy = this.startPoint.y;
+        } else {
+            cx = this.startPoint.x + (point.x < this.startPoint.x ? -rx : rx);
+            cy = this.startPoint.y + (point.y < this.startPoint.y ? -ry : ry);
+        }
+
+        this.currentElement.setAttribute('cx', this.round(cx));
+        this.currentElement.setAttribute('cy', this.round(cy));
+        this.currentElement.setAttribute('rx', this.round(rx));
+        this.currentElement.setAttribute('ry', this.round(ry));
+        return true; // Handled
+    }
+
+    onMouseUp(e) {
+        if (this.angleDrag) {
+            const { element } = this.angleDrag;
+            this.angleDrag = null;
+            this.editor.extractLayers();
+            this.editor.renderLayersPanel();
+            this.updateAngleHandles();
+            this.editor.historyManager.saveState(element.tagName === 'path' ? 'Change arc angles' : 'Close ellipse');
+            return true;
+        }
+
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        let element = this.currentElement;
+        this.currentElement = null;
+        this.isDrawing = false;
+        this.isDragging = false;
+
+        // A click without a drag draws nothing
+        if (!element) return true;
+        const rx = parseFloat(element.getAttribute('rx'));
+        const ry = parseFloat(element.getAttribute('ry'));
+        if (rx <= 0 || ry <= 0) {
+            element.remove();
+            return true;
+        }
+
+        // Equal radii make a circle
+        if (rx === ry) {
+            element = this.replaceElement(element, this.createShape('circle', element, {
+                cx: element.getAttribute('cx'),
+                cy: element.getAttribute('cy'),
+                r: element.getAttribute('rx')
+            }));
+        }
+
+        // Update layers
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+
+        // Select the new element
+        this.editor.selectElement(element, false);
+
+        // Save history state
+        this.editor.historyManager.saveState(element.tagName === 'circle' ? 'Draw circle' : 'Draw ellipse');
+        return true; // Handled
+    }
+
+    screenToSvg(clientX, clientY) {
+        const point = this.editor.svgElement.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const svgPoint = point.matrixTransform(this.editor.svgElement.getScreenCTM().inverse());
+        return { x: svgPoint.x, y: svgPoint.y };
+    }
+
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    createElement() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const element = document.createElementNS(svgNS, 'ellipse');
+
+        // Apply default styling
+        element.setAttribute('fill', 'none');
+        element.setAttribute('stroke', '#000000');
+        element.setAttribute('stroke-width', '1');
+        element.id = `element-${Date.now()}`;
+
+        // Add to SVG (before bounding box group)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(element, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(element);
+        }
+        this.currentElement = element;
+    }
+
+    /**
+     * Create a shape with the presentation attributes of another element
+     * @param {string} tagName - 'ellipse' or 'circle'
+     * @param {SVGElement} source - Element to take id, transform and style from
+     * @param {Object} geometry - Geometry attributes
+     */
+    createShape(tagName, source, geometry) {
+        const skipped = ['d', 'cx', 'cy', 'r', 'rx', 'ry', 'data-arc-type', 'data-node-types'];
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+        Array.from(source.attributes).forEach(attr => {
+            if (!skipped.includes(attr.name)) {
+                element.setAttribute(attr.name, attr.value);
+            }
+        });
+        element.classList.remove('selected', 'dragging');
+        if (!element.getAttribute('class')) {
+            element.removeAttribute('class');
+        }
+        Object.entries(geometry).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Put a new element in place of an old one, carrying over its selection
+     */
+    replaceElement(oldElement, newElement) {
+        if (oldElement !== newElement && oldElement.parentNode) {
+            oldElement.parentNode.replaceChild(newElement, oldElement);
+        }
+        if (this.editor.selectedElements.has(oldElement) && oldElement !== newElement) {
+            this.editor.selectedElements.delete(oldElement);
+            this.editor.selectElement(newElement, true);
+        }
+        return newElement;
+    }
+
+    /**
+     * Read the ellipse an element draws
+     * @returns {Object|null} {cx, cy, rx, ry, rotation, start, end, type} with angles in degrees
+     *     (end - start is the drawn sweep; 360 for a full ellipse), or null when the element
+     *     isn't an ellipse, circle or arc path
+     */
+    getEllipseParams(element) {
+        const num = (name) => parseFloat(element.getAttribute(name)) || 0;
+
+        if (element.tagName === 'ellipse' || element.tagName === 'circle') {
+            const rx = element.tagName === 'circle' ? num('r') : num('rx');
+            const ry = element.tagName === 'circle' ? num('r') : num('ry');
+            if (rx <= 0 || ry <= 0) return null;
+            return { cx: num('cx'), cy: num('cy'), rx, ry, rotation: 0, start: 0, end: 360, type: this.arcType };
+        }
+
+        const type = element.getAttribute('data-arc-type');
+        if (element.tagName !== 'path' || !['pie', 'arc', 'chord'].includes(type)) return null;
+
+        const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+        const arcs = commands.map((cmd, index) => ({ cmd, index })).filter(item => item.cmd.type === 'A');
+        if (arcs.length !== 1 && !this.isFullEllipsePath(commands, arcs)) return null;
+
+        const start = this.editor.pathDataParser.getStartPoint(commands, arcs[0].index);
+        const arc = this.editor.pathGeometry.getArcCenter(start.x, start.y, arcs[0].cmd);
+        if (!arc) return null;
+
+        // Angles always run in the positive direction from start to end
+        let startAngle = arc.startAngle * 180 / Math.PI;
+        let sweep = arc.deltaAngle * 180 / Math.PI;
+        if (sweep < 0) {
+            startAngle += sweep;
+            sweep = -sweep;
+        }
+        if (arcs.length === 2) {
+            sweep = 360;
+        }
+
+        return {
+            cx: arc.cx,
+            cy: arc.cy,
+            rx: arc.rx,
+            ry: arc.ry,
+            rotation: arc.rotation,
+            start: startAngle,
+            end: startAngle + sweep,
+            type
+        };
+    }
+
+    /**
+     * Whether arc path commands are two half arcs of one ellipse that close on themselves,
+     * as buildArcCommands writes a rotated full ellipse
+     */
+    isFullEllipsePath(commands, arcs) {
+        if (arcs.length !== 2) return false;
+        const [first, second] = arcs.map(item => item.cmd);
+        const same = (a, b) => Math.abs(a - b) < 1e-3;
+        const start = this.editor.pathDataParser.getStartPoint(commands, arcs[0].index);
+        return same(first.rx, second.rx) && same(first.ry, second.ry) &&
+            same(first.rotation || 0, second.rotation || 0) && same(second.x, start.x) && same(second.y, start.y);
+    }
+
+    /**
+     * Whether params draw the whole ellipse (the angle handles are together)
+     */
+    isFull(params) {
+        const sweep = params.end - params.start;
+        return sweep <= 0.5 || sweep >= 359.5;
+    }
+
+    /**
+     * Point on the ellipse at a parametric angle (degrees)
+     */
+    getEllipsePoint(params, angle) {
+        const t = angle * Math.PI / 180;
+        const rotation = params.rotation * Math.PI / 180;
+        const x = params.rx * Math.cos(t);
+        const y = params.ry * Math.sin(t);
+        return {
+            x: params.cx + x * Math.cos(rotation) - y * Math.sin(rotation),
+            y: params.cy + x * Math.sin(rotation) + y * Math.cos(rotation)
+        };
+    }
+
+    /**
+     * Parametric angle (degrees) of the ellipse point in the direction of a point
+     */
+    getEllipseAngle(params, point) {
+        const rotation = params.rotation * Math.PI / 180;
+        const dx = point.x - params.cx;
+        const dy = point.y - params.cy;
+        const x = dx * Math.cos(rotation) + dy * Math.sin(rotation);
+        const y = -dx * Math.sin(rotation) + dy * Math.cos(rotation);
+        return Math.atan2(y / params.ry, x / params.rx) * 180 / Math.PI;
+    }
+
+    /**
+     * Path commands of a pie, arc or chord
+     * A full ellipse is two half arcs: a single arc with the same start and end point
+     * would not be drawn at all.
+     */
+    buildArcCommands(params) {
+        if (this.isFull(params)) {
+            const from = this.getEllipsePoint(params, params.start);
+            const half = this.getEllipsePoint(params, params.start + 180);
+            const halfArc = (point) => ({
+                type: 'A',
+                rx: this.round(params.rx),
+                ry: this.round(params.ry),
+                rotation: params.rotation,
+                largeArc: 0,
+                sweep: 1,
+                x: this.round(point.x),
+                y: this.round(point.y)
+            });
+            return [{ type: 'M', x: this.round(from.x), y: this.round(from.y) }, halfArc(half), halfArc(from), { type: 'Z' }];
+        }
+
+        const sweep = params.end - params.start;
+        const from = this.getEllipsePoint(params, params.start);
+        const to = this.getEllipsePoint(params, params.end);
+        const round = (point) => ({ x: this.round(point.x), y: this.round(point.y) });
+        const p0 = round(from);
+        const p1 = round(to);
+        const arc = {
+            type: 'A',
+            rx: this.round(params.rx),
+            ry: this.round(params.ry),
+            rotation: params.rotation,
+            largeArc: sweep > 180 ? 1 : 0,
+            sweep: 1,
+            x: p1.x,
+            y: p1.y
+        };
+
+        if (params.type === 'pie') {
+            const center = round({ x: params.cx, y: params.cy });
+            return [{ type: 'M', x: center.x, y: center.y }, { type: 'L', x: p0.x, y: p0.y }, arc, { type: 'Z' }];
+        }
+        if (params.type === 'chord') {
+            return [{ type: 'M', x: p0.x, y: p0.y }, arc, { type: 'Z' }];
+        }
+        return [{ type: 'M', x: p0.x, y: p0.y }, arc];
+    }
+
+    /**
+     * Make an element draw the given ellipse params, switching between ellipse/circle
+     * and arc path as needed
+     * @returns {SVGElement} The element now drawing the shape
+     */
+    applyParams(element, params) {
+        // Rotated full ellipses stay paths (see buildArcCommands)
+        if (this.isFull(params) && params.rotation === 0) {
+            if (element.tagName === 'ellipse' || element.tagName === 'circle') return element;
+            const geometry = { cx: this.round(params.cx), cy: this.round(params.cy) };
+            if (Math.abs(params.rx - params.ry) < 1e-6) {
+                geometry.r = this.round(params.rx);
+                return this.replaceElement(element, this.createShape('circle', element, geometry));
+            }
+            geometry.rx = this.round(params.rx);
+            geometry.ry = this.round(params.ry);
+            return this.replaceElement(element, this.createShape('ellipse', element, geometry));
+        }
+
+        let path = element;
+        if (element.tagName !== 'path') {
+            path = this.replaceElement(element, this.editor.shapeConverter.convertElement(element));
+        }
+        path.setAttribute('d', this.editor.buildPathData(this.buildArcCommands(params)));
+        path.setAttribute('data-arc-type', params.type);
+        path.removeAttribute('data-node-types');
+        return path;
+    }
+
+    /**
+     * The selected element, when it is the only one and draws an ellipse
+     */
+    getSelectedEllipse() {
+        if (this.editor.selectedElements.size !== 1) return null;
+        const element = Array.from(this.editor.selectedElements)[0];
+        return this.getEllipseParams(element) ? element : null;
+    }
+
+    /**
+     * Show the angle handles on the selected ellipse (ellipse tool only)
+     */
+    updateAngleHandles() {
+        this.angleHandles.forEach(handle => handle.remove());
+        this.angleHandles = [];
+
+        const element = this.editor.currentTool === 'ellipse' ? this.getSelectedEllipse() : null;
+        this.updateArcTypeControls(element);
+        if (!element) return;
+
+        const params = this.getEllipseParams(element);
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const inverseScale = 1 / this.editor.zoomLevel;
+
+        // On a full ellipse both handles sit at 0°; the start handle goes on top so that
+        // dragging it cuts a wedge out of the ellipse
+        ['end', 'start'].forEach(which => {
+            const local = this.getEllipsePoint(params, params[which]);
+            const position = this.editor.toRootCoords(element, local.x, local.y);
+
+            const handle = document.createElementNS(svgNS, 'circle');
+            handle.setAttribute('class', 'node-handle arc-angle-handle');
+            handle.setAttribute('cx', position.x);
+            handle.setAttribute('cy', position.y);
+
+            // Keep a constant screen size regardless of zoom
+            handle.setAttribute('transform', `translate(${position.x}, ${position.y}) scale(${inverseScale}) translate(${-position.x}, ${-position.y})`);
+
+            handle.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                this.angleDrag = { element, params, which };
+            });
+
+            this.editor.svgElement.appendChild(handle);
+            this.angleHandles.push(handle);
+        });
+    }
+
+    /**
+     * Move the dragged angle handle to the angle under the mouse (snapped with Shift)
+     */
+    dragAngle(e) {
+        const { element, params, which } = this.angleDrag;
+        const toLocal = this.editor.pathGeometry.invertMatrix(this.editor.pathGeometry.getElementToRootMatrix(element));
+        if (!toLocal) return;
+
+        const svgPoint = this.screenToSvg(e.clientX, e.clientY);
+        const local = this.editor.pathGeometry.transformPoint(toLocal, svgPoint.x, svgPoint.y);
+        let angle = this.getEllipseAngle(params, local);
+        if (e.shiftKey) {
+            angle = Math.round(angle / this.angleSnap) * this.angleSnap;
+        }
+
+        // Keep the other angle and measure the sweep from start to end in the positive direction
+        const updated = Object.assign({}, params);
+        if (which === 'start') {
+            updated.start = angle;
+            updated.end = params.end;
+        } else {
+            updated.start = params.start;
+            updated.end = angle;
+        }
+        const sweep = ((updated.end - updated.start) % 360 + 360) % 360;
+        updated.end = updated.start + sweep;
+
+        const result = this.applyParams(element, updated);
+        this.angleDrag = { element: result, params, which };
+        this.editor.wasDragging = true;
+        this.editor.updateBoundingBox();
+    }
+
+    /**
+     * Show the Pie/Arc/Chord buttons while an ellipse is selected with the ellipse tool
+     */
+    updateArcTypeControls(element) {
+        const controls = document.getElementById('arcTypeControls');
+        if (!controls) return;
+
+        controls.style.display = element ? 'flex' : 'none';
+        const type = element ? this.getEllipseParams(element).type : null;
+        controls.querySelectorAll('.arc-type-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.arcType === type);
+        });
+    }
+
+    /**
+     * Set the type of the selected arc, and the type full ellipses open into
+     */
+    setArcType(type) {
+        this.arcType = type;
+
+        const element = this.getSelectedEllipse();
+        if (element && element.tagName === 'path') {
+            const params = this.getEllipseParams(element);
+            if (params.type !== type) {
+                params.type = type;
+                this.applyParams(element, params);
+                this.editor.historyManager.saveState('Change arc type');
+            }
+        }
+        this.updateAngleHandles();
+    }
+
+    cancelDrawing() {
+        if (this.currentElement) {
+            this.currentElement.remove();
+            this.currentElement = null;
+        }
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+        this.angleDrag = null;
+    }
+}
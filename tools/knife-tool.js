@@ -0,0 +1,117 @@
+/**
+ * KnifeTool
+ * Cuts paths apart
+ * - Dragging draws a knife line; every path it crosses is cut along it
+ * - Clicking on a path (scissors) splits it at the clicked point
+ * Works on the selected paths, or on all paths when nothing is selected.
+ */
+class KnifeTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.isCutting = false;
+        this.points = [];
+        this.dragStart = null; // Screen position of mouse down
+        this.lastScreenPoint = null;
+        this.isDragging = false;
+        this.previewElement = null;
+        this.moveThreshold = 3; // Screen pixels before a click becomes a drag
+    }
+
+    onMouseDown(e, element) {
+        this.isCutting = true;
+        this.isDragging = false;
+        this.dragStart = { x: e.clientX, y: e.clientY };
+        this.points = [this.screenToSvg(e.clientX, e.clientY)];
+        return true; // Handled
+    }
+
+    onMouseMove(e) {
+        if (!this.isCutting) {
+            return false;
+        }
+
+        if (!this.isDragging) {
+            const moved = Math.hypot(e.clientX - this.dragStart.x, e.clientY - this.dragStart.y);
+            if (moved <= this.moveThreshold) return true;
+            this.isDragging = true;
+            this.editor.wasDragging = true;
+            this.createPreview();
+        }
+
+        // Skip tiny moves - every knife segment is intersected with every path segment
+        const last = this.lastScreenPoint;
+        if (last && Math.hypot(e.clientX - last.x, e.clientY - last.y) < 2) return true;
+
+        this.lastScreenPoint = { x: e.clientX, y: e.clientY };
+        this.points.push(this.screenToSvg(e.clientX, e.clientY));
+        this.updatePreview();
+        return true; // Handled
+    }
+
+    onMouseUp(e) {
+        if (!this.isCutting) {
+            return false;
+        }
+
+        if (this.isDragging) {
+            this.points.push(this.screenToSvg(e.clientX, e.clientY));
+            this.editor.pathCutter.cutWithKnife(this.points);
+        } else if (this.editor.pathCutter.cutAtPoint(e.clientX, e.clientY)) {
+            // Keep the click that follows from clearing the selected pieces
+            this.editor.wasDragging = true;
+        }
+
+        this.cancelCutting();
+        return true; // Handled
+    }
+
+    screenToSvg(clientX, clientY) {
+        const point = this.editor.svgElement.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const svgPoint = point.matrixTransform(this.editor.svgElement.getScreenCTM().inverse());
+        return { x: svgPoint.x, y: svgPoint.y };
+    }
+
+    createPreview() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+
+        if (this.previewElement) {
+            this.previewElement.remove();
+        }
+
+        this.previewElement = document.createElementNS(svgNS, 'path');
+        this.previewElement.setAttribute('fill', 'none');
+        this.previewElement.setAttribute('stroke', '#d40000');
+        this.previewElement.setAttribute('stroke-width', '1');
+        this.previewElement.setAttribute('stroke-dasharray', '4,4');
+        this.previewElement.setAttribute('vector-effect', 'non-scaling-stroke');
+        this.previewElement.style.pointerEvents = 'none';
+
+        // Add to SVG (before bounding box group so it's visible but not in the way)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(this.previewElement, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(this.previewElement);
+        }
+    }
+
+    updatePreview() {
+        if (!this.previewElement) return;
+        const pathData = this.points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+        this.previewElement.setAttribute('d', pathData);
+    }
+
+    cancelCutting() {
+        if (this.previewElement) {
+            this.previewElement.remove();
+            this.previewElement = null;
+        }
+        this.isCutting = false;
+        this.isDragging = false;
+        this.dragStart = null;
+        this.lastScreenPoint = null;
+        this.points = [];
+    }
+}
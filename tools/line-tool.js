@@ -0,0 +1,303 @@
+/**
+ * LineTool
+ * Draws <line> elements by click-dragging
+ * - Shift snaps the angle to 15° steps
+ * - Length and angle are shown in the control panel, in the Transform panel unit
+ * - Arrowheads at the start and/or end are drawn with markers, one per stroke color,
+ *   kept in the document's <defs>
+ */
+class LineTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+        this.currentElement = null;
+        this.moveThreshold = 3; // Screen pixels before a click becomes a drag
+        this.angleSnap = 15; // Degrees, with Shift
+
+        // Arrowheads for new lines
+        this.arrowStart = false;
+        this.arrowEnd = false;
+    }
+
+    onMouseDown(e, element) {
+        this.isDrawing = true;
+        this.isDragging = false;
+        this.startPoint = this.screenToSvg(e.clientX, e.clientY);
+        this.dragStartScreen = { x: e.clientX, y: e.clientY };
+        return true; // Handled
+    }
+
+    onMouseMove(e) {
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        if (!this.isDragging) {
+            const moved = Math.hypot(e.clientX - this.dragStartScreen.x, e.clientY - this.dragStartScreen.y);
+            if (moved <= this.moveThreshold) return true;
+            this.isDragging = true;
+            this.editor.wasDragging = true;
+            this.createElement();
+        }
+
+        let point = this.screenToSvg(e.clientX, e.clientY);
+        if (e.shiftKey) {
+            const length = Math.hypot(point.x - this.startPoint.x, point.y - this.startPoint.y);
+            const step = this.angleSnap * Math.PI / 180;
+            const angle = Math.round(Math.atan2(point.y - this.startPoint.y, point.x - this.startPoint.x) / step) * step;
+            point = {
+                x: this.startPoint.x + length * Math.cos(angle),
+                y: this.startPoint.y + length * Math.sin(angle)
+            };
+        }
+
+        this.currentElement.setAttribute('x2', this.round(point.x));
+        this.currentElement.setAttribute('y2', this.round(point.y));
+        this.updateReadout(this.startPoint, point);
+        return true; // Handled
+    }
+
+    onMouseUp(e) {
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        const element = this.currentElement;
+        this.currentElement = null;
+        this.isDrawing = false;
+        this.isDragging = false;
+
+        // A click without a drag draws nothing
+        if (!element) return true;
+        if (element.getAttribute('x1') === element.getAttribute('x2') &&
+            element.getAttribute('y1') === element.getAttribute('y2')) {
+            element.remove();
+            this.updateControls();
+            return true;
+        }
+
+        // Update layers
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+
+        // Select the new element
+        this.editor.selectElement(element, false);
+
+        // Save history state
+        this.editor.historyManager.saveState('Draw line');
+        return true; // Handled
+    }
+
+    screenToSvg(clientX, clientY) {
+        const point = this.editor.svgElement.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const svgPoint = point.matrixTransform(this.editor.svgElement.getScreenCTM().inverse());
+        return { x: svgPoint.x, y: svgPoint.y };
+    }
+
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    createElement() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const element = document.createElementNS(svgNS, 'line');
+        element.setAttribute('x1', this.round(this.startPoint.x));
+        element.setAttribute('y1', this.round(this.startPoint.y));
+        element.setAttribute('x2', this.round(this.startPoint.x));
+        element.setAttribute('y2', this.round(this.startPoint.y));
+
+        // Apply default styling
+        element.setAttribute('fill', 'none');
+        element.setAttribute('stroke', '#000000');
+        element.setAttribute('stroke-width', '1');
+        element.id = `element-${Date.now()}`;
+        this.setArrowheads(element, this.arrowStart, this.arrowEnd);
+
+        // Add to SVG (before bounding box group)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(element, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(element);
+        }
+        this.currentElement = element;
+    }
+
+    /**
+     * The document's top-level <defs>, created when missing
+     */
+    getDefs() {
+        let defs = Array.from(this.editor.svgElement.children).find(child => child.tagName === 'defs');
+        if (!defs) {
+            defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            this.editor.svgElement.insertBefore(defs, this.editor.svgElement.firstChild);
+        }
+        return defs;
+    }
+
+    /**
+     * Arrowhead marker in a given color, created when missing
+     * The marker scales with the stroke width and points along the line at both ends.
+     * Markers are found by their color, since different colors can share the readable
+     * part of an id (rgb(1,23,4) and rgb(12,3,4)).
+     * @returns {string} The marker id
+     */
+    getArrowheadMarker(color) {
+        const existing = Array.from(this.editor.svgElement.querySelectorAll('marker[id^="arrowhead-"]'))
+            .find(marker => {
+                const head = marker.querySelector('path');
+                return head && head.getAttribute('fill') === color;
+            });
+        if (existing) return existing.id;
+
+        const base = `arrowhead-${color.replace(/[^a-zA-Z0-9]/g, '')}`;
+        let id = base;
+        for (let n = 2; this.editor.svgElement.querySelector(`[id="${id}"]`); n++) {
+            id = `${base}-${n}`;
+        }
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const marker = document.createElementNS(svgNS, 'marker');
+        marker.setAttribute('id', id);
+        marker.setAttribute('viewBox', '0 0 10 10');
+        marker.setAttribute('refX', '9');
+        marker.setAttribute('refY', '5');
+        marker.setAttribute('markerWidth', '5');
+        marker.setAttribute('markerHeight', '5');
+        marker.setAttribute('orient', 'auto-start-reverse');
+
+        const head = document.createElementNS(svgNS, 'path');
+        head.setAttribute('d', 'M 0 0 L 10 5 L 0 10 Z');
+        head.setAttribute('fill', color);
+        marker.appendChild(head);
+
+        this.getDefs().appendChild(marker);
+        return id;
+    }
+
+    /**
+     * Color for an element's arrowheads: its stroke, or black for none/paint servers
+     */
+    getArrowheadColor(element) {
+        const stroke = element.getAttribute('stroke');
+        if (!stroke || stroke === 'none' || stroke.startsWith('url(')) return '#000000';
+        return stroke;
+    }
+
+    setArrowheads(element, start, end) {
+        const marker = start || end ? `url(#${this.getArrowheadMarker(this.getArrowheadColor(element))})` : null;
+        if (start) {
+            element.setAttribute('marker-start', marker);
+        } else {
+            element.removeAttribute('marker-start');
+        }
+        if (end) {
+            element.setAttribute('marker-end', marker);
+        } else {
+            element.removeAttribute('marker-end');
+        }
+    }
+
+    /**
+     * Point an element's arrowheads at the marker of its current stroke color
+     */
+    updateArrowheads(element) {
+        const start = element.hasAttribute('marker-start');
+        const end = element.hasAttribute('marker-end');
+        if (start || end) {
+            this.setArrowheads(element, start, end);
+        }
+    }
+
+    /**
+     * Selected <line> elements
+     */
+    getSelectedLines() {
+        return Array.from(this.editor.selectedElements).filter(element => element.tagName === 'line');
+    }
+
+    /**
+     * Toggle an arrowhead for new lines and the selected lines
+     * @param {string} which - 'start' or 'end'
+     */
+    toggleArrowhead(which) {
+        const lines = this.getSelectedLines();
+        const attribute = which === 'start' ? 'marker-start' : 'marker-end';
+        const enabled = lines.length > 0 ? !lines[0].hasAttribute(attribute) :
+            !(which === 'start' ? this.arrowStart : this.arrowEnd);
+
+        if (which === 'start') {
+            this.arrowStart = enabled;
+        } else {
+            this.arrowEnd = enabled;
+        }
+
+        if (lines.length > 0) {
+            lines.forEach(line => {
+                const start = which === 'start' ? enabled : line.hasAttribute('marker-start');
+                const end = which === 'end' ? enabled : line.hasAttribute('marker-end');
+                this.setArrowheads(line, start, end);
+            });
+            this.editor.historyManager.saveState('Change arrowheads');
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Show length and angle of a line in the control panel
+     * @param {Object} from - Start point in root coordinates
+     * @param {Object} to - End point in root coordinates
+     */
+    updateReadout(from, to) {
+        const readout = document.getElementById('lineReadout');
+        if (!readout) return;
+
+        const unit = this.editor.transformUnit;
+        const length = this.editor.convertPixels(Math.hypot(to.x - from.x, to.y - from.y), unit);
+        // Counterclockwise from the positive x axis, as on screen
+        const angle = Math.atan2(from.y - to.y, to.x - from.x) * 180 / Math.PI;
+        readout.textContent = `Length: ${length.toFixed(2)} ${this.editor.getUnitLabel(unit)}  Angle: ${angle.toFixed(1)}°`;
+    }
+
+    /**
+     * Show the arrowhead buttons and readout while the line tool is active, for the
+     * selected lines or else for new lines
+     */
+    updateControls() {
+        const controls = document.getElementById('lineControls');
+        if (!controls) return;
+
+        controls.style.display = this.editor.currentTool === 'line' ? 'flex' : 'none';
+        if (this.editor.currentTool !== 'line') return;
+
+        const line = this.getSelectedLines()[0];
+        const start = line ? line.hasAttribute('marker-start') : this.arrowStart;
+        const end = line ? line.hasAttribute('marker-end') : this.arrowEnd;
+        document.getElementById('lineArrowStartBtn').classList.toggle('active', start);
+        document.getElementById('lineArrowEndBtn').classList.toggle('active', end);
+
+        if (line) {
+            const num = (name) => parseFloat(line.getAttribute(name)) || 0;
+            this.updateReadout(
+                this.editor.toRootCoords(line, num('x1'), num('y1')),
+                this.editor.toRootCoords(line, num('x2'), num('y2'))
+            );
+        } else {
+            document.getElementById('lineReadout').textContent = '';
+        }
+    }
+
+    cancelDrawing() {
+        if (this.currentElement) {
+            this.currentElement.remove();
+            this.currentElement = null;
+        }
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+    }
+}
@@ -427,14 +427,20 @@ class PathTool {
 
     isCloseToStart(point) {
         if (!this.startPoint) return false;
-        
+        return this.isCloseToPoint(point, this.startPoint);
+    }
+    
+    /**
+     * Whether two SVG points are within the auto-close distance of each other on screen
+     */
+    isCloseToPoint(point, target) {
         // Convert both points to screen coordinates
-        const startScreen = this.svgPointToScreen(this.startPoint);
+        const targetScreen = this.svgPointToScreen(target);
         const pointScreen = this.svgPointToScreen(point);
         
         // Calculate distance in screen pixels
-        const dx = pointScreen.x - startScreen.x;
-        const dy = pointScreen.y - startScreen.y;
+        const dx = pointScreen.x - targetScreen.x;
+        const dy = pointScreen.y - targetScreen.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         return distance <= this.closeThreshold;
@@ -0,0 +1,285 @@
+/**
+ * PencilTool
+ * Draws freehand paths: the pointer trail is fitted with cubic beziers (and lines where it
+ * runs straight) when the mouse is released
+ * - The fidelity setting decides how closely the curves follow the trail
+ * - Ending near the start of the stroke closes the path
+ * - Starting near an end of a selected open path continues that path; ending near its
+ *   other end closes it
+ */
+class PencilTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.points = []; // Trail in root SVG coordinates
+        this.dragStart = null; // Screen position of mouse down
+        this.lastScreenPoint = null;
+        this.previewElement = null;
+        this.continuation = null; // {element, subpaths, sub, atStart} when continuing a path
+        this.moveThreshold = 3; // Screen pixels before a click becomes a drag
+
+        // 0-100: the allowed deviation of the curves goes from maxDeviation down to minDeviation
+        this.fidelity = 50;
+        this.minDeviation = 0.5; // Screen pixels
+        this.maxDeviation = 10; // Screen pixels
+    }
+
+    onMouseDown(e, element) {
+        this.isDrawing = true;
+        this.isDragging = false;
+        this.dragStart = { x: e.clientX, y: e.clientY };
+        this.points = [this.screenToSvg(e.clientX, e.clientY)];
+        this.continuation = this.findContinuation(this.points[0]);
+        return true; // Handled
+    }
+
+    onMouseMove(e) {
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        if (!this.isDragging) {
+            const moved = Math.hypot(e.clientX - this.dragStart.x, e.clientY - this.dragStart.y);
+            if (moved <= this.moveThreshold) return true;
+            this.isDragging = true;
+            this.editor.wasDragging = true;
+            this.createPreview();
+        }
+
+        // Skip tiny moves, the fit smooths over them anyway
+        const last = this.lastScreenPoint;
+        if (last && Math.hypot(e.clientX - last.x, e.clientY - last.y) < 2) return true;
+
+        this.lastScreenPoint = { x: e.clientX, y: e.clientY };
+        this.points.push(this.screenToSvg(e.clientX, e.clientY));
+        this.updatePreview();
+        return true; // Handled
+    }
+
+    onMouseUp(e) {
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        if (this.isDragging) {
+            this.points.push(this.screenToSvg(e.clientX, e.clientY));
+            if (this.continuation) {
+                this.continuePath();
+            } else {
+                this.createPath();
+            }
+        }
+
+        this.cancelDrawing();
+        return true; // Handled
+    }
+
+    screenToSvg(clientX, clientY) {
+        const point = this.editor.svgElement.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const svgPoint = point.matrixTransform(this.editor.svgElement.getScreenCTM().inverse());
+        return { x: svgPoint.x, y: svgPoint.y };
+    }
+
+    createPreview() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+
+        if (this.previewElement) {
+            this.previewElement.remove();
+        }
+
+        this.previewElement = document.createElementNS(svgNS, 'path');
+        this.previewElement.setAttribute('fill', 'none');
+        this.previewElement.setAttribute('stroke', '#0078d4');
+        this.previewElement.setAttribute('stroke-width', '1');
+        this.previewElement.setAttribute('vector-effect', 'non-scaling-stroke');
+        this.previewElement.style.pointerEvents = 'none';
+
+        // Add to SVG (before bounding box group so it's visible but not in the way)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(this.previewElement, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(this.previewElement);
+        }
+    }
+
+    updatePreview() {
+        if (!this.previewElement) return;
+        const pathData = this.points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+        this.previewElement.setAttribute('d', pathData);
+    }
+
+    /**
+     * Allowed deviation of the fitted curves, in root SVG units
+     */
+    getTolerance() {
+        const deviation = this.maxDeviation - (this.maxDeviation - this.minDeviation) * this.fidelity / 100;
+        return deviation / this.editor.zoomLevel;
+    }
+
+    /**
+     * Selected open path with an end near a point
+     * @param {Object} point - Point in root SVG coordinates
+     * @returns {Object|null} {element, subpaths, sub, atStart}
+     */
+    findContinuation(point) {
+        for (const element of this.editor.selectedElements) {
+            if (element.tagName !== 'path') continue;
+
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            const subpaths = this.editor.pathNodeEditor.splitSubpaths(commands);
+            for (const sub of subpaths) {
+                if (sub.closed || sub.commands.length < 2) continue;
+
+                const first = sub.commands[0];
+                const last = sub.commands[sub.commands.length - 1];
+                if (this.editor.pathTool.isCloseToPoint(point, this.editor.toRootCoords(element, last.x, last.y))) {
+                    return { element, subpaths, sub, atStart: false };
+                }
+                if (this.editor.pathTool.isCloseToPoint(point, this.editor.toRootCoords(element, first.x, first.y))) {
+                    return { element, subpaths, sub, atStart: true };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fit the trail with line and cubic segments
+     * @param {Array} points - Trail points
+     * @param {boolean} closed - Whether the trail ends at its first point
+     * @param {number} tolerance - Allowed deviation, in the units of the points
+     * @returns {Array} Path commands
+     */
+    fitPoints(points, closed, tolerance) {
+        const segments = [];
+        for (let i = 1; i < points.length; i++) {
+            segments.push({ p0: points[i - 1], p1: points[i] });
+        }
+
+        const subpath = this.editor.pathSimplifier.simplifySubpath({ segments, closed }, tolerance);
+        const decimals = Math.max(0, Math.min(6, Math.ceil(-Math.log10(tolerance)) + 2));
+        return this.editor.pathGeometry.roundCommands(this.editor.pathGeometry.segmentsToCommands([subpath]), decimals);
+    }
+
+    /**
+     * Trail without repeated points
+     */
+    getTrail(points) {
+        return points.filter((point, index) => index === 0 ||
+            Math.hypot(point.x - points[index - 1].x, point.y - points[index - 1].y) > 1e-9);
+    }
+
+    createPath() {
+        const points = this.getTrail(this.points);
+        if (points.length < 2) return;
+
+        // Ending near the start closes the path
+        const start = points[0];
+        const closed = points.length > 2 && this.editor.pathTool.isCloseToPoint(points[points.length - 1], start);
+        if (closed) {
+            points[points.length - 1] = { x: start.x, y: start.y };
+        }
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const element = document.createElementNS(svgNS, 'path');
+        element.setAttribute('d', this.editor.buildPathData(this.fitPoints(points, closed, this.getTolerance())));
+
+        // Apply default styling
+        element.setAttribute('fill', 'none');
+        element.setAttribute('stroke', '#000000');
+        element.setAttribute('stroke-width', '1');
+        element.id = `element-${Date.now()}`;
+
+        // Add to SVG (before bounding box group)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(element, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(element);
+        }
+
+        // Update layers
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+
+        // Select the new element
+        this.editor.selectElement(element, false);
+
+        // Save history state
+        this.editor.historyManager.saveState('Draw with pencil');
+    }
+
+    /**
+     * Add the trail to the end of the open subpath it started at
+     */
+    continuePath() {
+        const { element, subpaths, sub, atStart } = this.continuation;
+        const geometry = this.editor.pathGeometry;
+        const matrix = geometry.getElementToRootMatrix(element);
+        const toLocal = geometry.invertMatrix(matrix);
+        if (!toLocal) return;
+
+        // Work in the path's own coordinates, with the tolerance scaled to match
+        const scale = Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c)) || 1;
+        const points = this.getTrail(this.points.map(point => geometry.transformPoint(toLocal, point.x, point.y)));
+
+        // The subpath has to end at the node the trail starts from
+        const head = atStart ? geometry.reverseSubpathCommands(sub.commands, false) : sub.commands.slice();
+        const joint = head[head.length - 1];
+        const other = head[0];
+        points[0] = { x: joint.x, y: joint.y };
+        if (points.length < 2) return;
+
+        // Ending near the other end of the subpath closes it
+        const end = points[points.length - 1];
+        const closes = this.editor.pathTool.isCloseToPoint(
+            this.editor.toRootCoords(element, end.x, end.y),
+            this.editor.toRootCoords(element, other.x, other.y)
+        );
+        if (closes) {
+            points[points.length - 1] = { x: other.x, y: other.y };
+        }
+
+        const added = this.fitPoints(points, false, this.getTolerance() / scale);
+        const joined = head.concat(added.slice(1));
+        sub.commands = atStart ? geometry.reverseSubpathCommands(joined, false) : joined;
+        sub.closed = closes;
+
+        this.editor.pathJoiner.writeSubpaths(element, subpaths);
+        this.editor.pathJoiner.refreshSelection();
+        this.editor.historyManager.saveState('Draw with pencil');
+    }
+
+    /**
+     * Show the fidelity setting while the pencil tool is active
+     */
+    updateControls() {
+        const controls = document.getElementById('pencilControls');
+        if (!controls) return;
+
+        controls.style.display = this.editor.currentTool === 'pencil' ? 'flex' : 'none';
+        document.getElementById('pencilFidelity').value = this.fidelity;
+    }
+
+    setFidelity(value) {
+        this.fidelity = Math.min(100, Math.max(0, value));
+        this.updateControls();
+    }
+
+    cancelDrawing() {
+        if (this.previewElement) {
+            this.previewElement.remove();
+            this.previewElement = null;
+        }
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.dragStart = null;
+        this.lastScreenPoint = null;
+        this.points = [];
+        this.continuation = null;
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * RectangleTool
+ * Draws <rect> elements by click-dragging
+ * - Shift keeps the rectangle square, Alt draws it from its center
+ * - The size snaps to whole steps of the unit shown in the Transform panel
+ * - The selected rectangle gets a corner radius handle inside its top-left corner:
+ *   dragging it rounds all corners, with Alt rx and ry are set separately
+ */
+class RectangleTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+        this.currentElement = null;
+        this.radiusHandle = null;
+        this.radiusDrag = null; // {element, geometry} while dragging the radius handle
+        this.moveThreshold = 3; // Screen pixels before a click becomes a drag
+        this.radiusHandleInset = 10; // Screen pixels from the corner while the radius is 0
+
+        // Snap steps per Transform panel unit
+        this.snapSteps = { px: 1, mm: 1, in: 0.0625 };
+    }
+
+    onMouseDown(e, element) {
+        this.isDrawing = true;
+        this.isDragging = false;
+        this.startPoint = this.screenToSvg(e.clientX, e.clientY);
+        this.dragStartScreen = { x: e.clientX, y: e.clientY };
+        return true; // Handled
+    }
+
+    onMouseMove(e) {
+        if (this.radiusDrag) {
+            this.dragRadius(e);
+            return true;
+        }
+
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        if (!this.isDragging) {
+            const moved = Math.hypot(e.clientX - this.dragStartScreen.x, e.clientY - this.dragStartScreen.y);
+            if (moved <= this.moveThreshold) return true;
+            this.isDragging = true;
+            this.editor.wasDragging = true;
+            this.createElement();
+        }
+
+        const rect = this.getDrawnRect(this.screenToSvg(e.clientX, e.clientY), e.shiftKey, e.altKey);
+        ['x', 'y', 'width', 'height'].forEach(name => {
+            this.currentElement.setAttribute(name, this.round(rect[name]));
+        });
+        return true; // Handled
+    }
+
+    onMouseUp(e) {
+        if (this.radiusDrag) {
+            this.radiusDrag = null;
+            this.editor.historyManager.saveState('Change corner radius');
+            return true;
+        }
+
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        const element = this.currentElement;
+        this.currentElement = null;
+        this.isDrawing = false;
+        this.isDragging = false;
+
+        // A click without a drag draws nothing
+        if (!element) return true;
+        if (parseFloat(element.getAttribute('width')) <= 0 || parseFloat(element.getAttribute('height')) <= 0) {
+            element.remove();
+            return true;
+        }
+
+        // Update layers
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+
+        // Select the new element
+        this.editor.selectElement(element, false);
+
+        // Save history state
+        this.editor.historyManager.saveState('Draw rectangle');
+        return true; // Handled
+    }
+
+    screenToSvg(clientX, clientY) {
+        const point = this.editor.svgElement.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const svgPoint = point.matrixTransform(this.editor.svgElement.getScreenCTM().inverse());
+        return { x: svgPoint.x, y: svgPoint.y };
+    }
+
+    createElement() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const element = document.createElementNS(svgNS, 'rect');
+
+        // Apply default styling
+        element.setAttribute('fill', 'none');
+        element.setAttribute('stroke', '#000000');
+        element.setAttribute('stroke-width', '1');
+        element.id = `element-${Date.now()}`;
+
+        // Add to SVG (before bounding box group)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(element, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(element);
+        }
+        this.currentElement = element;
+    }
+
+    /**
+     * Rectangle from the drag start to a point
+     * @param {boolean} square - Make width and height equal
+     * @param {boolean} fromCenter - Treat the drag start as the center
+     * @returns {Object} {x, y, width, height}
+     */
+    getDrawnRect(point, square, fromCenter) {
+        let dx = point.x - this.startPoint.x;
+        let dy = point.y - this.startPoint.y;
+        if (square) {
+            const size = Math.max(Math.abs(dx), Math.abs(dy));
+            dx = (dx < 0 ? -1 : 1) * size;
+            dy = (dy < 0 ? -1 : 1) * size;
+        }
+
+        if (fromCenter) {
+            const width = this.snapLength(Math.abs(dx) * 2);
+            const height = this.snapLength(Math.abs(dy) * 2);
+            return { x: this.startPoint.x - width / 2, y: this.startPoint.y - height / 2, width, height };
+        }
+
+        const width = this.snapLength(Math.abs(dx));
+        const height = this.snapLength(Math.abs(dy));
+        return {
+            x: dx < 0 ? this.startPoint.x - width : this.startPoint.x,
+            y: dy < 0 ? this.startPoint.y - height : this.startPoint.y,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Round a length (px) to whole snap steps of the Transform panel unit
+     */
+    snapLength(length) {
+        const unit = this.editor.transformUnit;
+        const step = this.snapSteps[unit] || 1;
+        // convertPixels(1, unit) is the size of one pixel in the unit
+        const pixelsPerUnit = 1 / this.editor.convertPixels(1, unit);
+        return Math.round(length / pixelsPerUnit / step) * step * pixelsPerUnit;
+    }
+
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    getRectGeometry(element) {
+        const num = (name) => parseFloat(element.getAttribute(name)) || 0;
+        const width = num('width');
+        const height = num('height');
+
+        // A missing rx or ry takes the other's value (SVG rules)
+        let rx = element.hasAttribute('rx') ? num('rx') : null;
+        let ry = element.hasAttribute('ry') ? num('ry') : null;
+        if (rx === null) rx = ry === null ? 0 : ry;
+        if (ry === null) ry = rx;
+
+        return {
+            x: num('x'),
+            y: num('y'),
+            width,
+            height,
+            rx: Math.min(rx, width / 2),
+            ry: Math.min(ry, height / 2)
+        };
+    }
+
+    /**
+     * Show the corner radius handle on the selected rectangle (rectangle tool only)
+     */
+    updateRadiusHandle() {
+        if (this.radiusHandle) {
+            this.radiusHandle.remove();
+            this.radiusHandle = null;
+        }
+
+        if (this.editor.currentTool !== 'rectangle' || this.editor.selectedElements.size !== 1) return;
+        const element = Array.from(this.editor.selectedElements)[0];
+        if (element.tagName !== 'rect') return;
+
+        const ctm = element.getScreenCTM();
+        if (!ctm) return;
+
+        const geometry = this.getRectGeometry(element);
+        const scale = Math.sqrt(Math.abs(ctm.a * ctm.d - ctm.b * ctm.c)) || 1;
+        const inset = this.radiusHandleInset / scale;
+        const local = {
+            x: geometry.x + Math.min(Math.max(geometry.rx, inset), geometry.width / 2),
+            y: geometry.y + Math.min(Math.max(geometry.ry, inset), geometry.height / 2)
+        };
+        const position = this.editor.toRootCoords(element, local.x, local.y);
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const handle = document.createElementNS(svgNS, 'circle');
+        handle.setAttribute('class', 'node-handle corner-radius-handle');
+        handle.setAttribute('cx', position.x);
+        handle.setAttribute('cy', position.y);
+
+        // Keep a constant screen size regardless of zoom
+        const inverseScale = 1 / this.editor.zoomLevel;
+        handle.setAttribute('transform', `translate(${position.x}, ${position.y}) scale(${inverseScale}) translate(${-position.x}, ${-position.y})`);
+
+        handle.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.radiusDrag = { element, geometry };
+        });
+
+        this.editor.svgElement.appendChild(handle);
+        this.radiusHandle = handle;
+    }
+
+    /**
+     * Set the corner radius from the handle position
+     * The radius is the handle's distance from the corner; with Alt the horizontal and
+     * vertical distances set rx and ry separately.
+     */
+    dragRadius(e) {
+        const { element, geometry } = this.radiusDrag;
+        const toLocal = this.editor.pathGeometry.invertMatrix(this.editor.pathGeometry.getElementToRootMatrix(element));
+        if (!toLocal) return;
+
+        const svgPoint = this.screenToSvg(e.clientX, e.clientY);
+        const local = this.editor.pathGeometry.transformPoint(toLocal, svgPoint.x, svgPoint.y);
+        const dx = Math.max(0, local.x - geometry.x);
+        const dy = Math.max(0, local.y - geometry.y);
+
+        let rx;
+        let ry;
+        if (e.altKey) {
+            rx = Math.min(dx, geometry.width / 2);
+            ry = Math.min(dy, geometry.height / 2);
+        } else {
+            rx = ry = Math.min(Math.max(dx, dy), geometry.width / 2, geometry.height / 2);
+        }
+
+        if (rx > 0 || ry > 0) {
+            element.setAttribute('rx', this.round(rx));
+            element.setAttribute('ry', this.round(ry));
+        } else {
+            element.removeAttribute('rx');
+            element.removeAttribute('ry');
+        }
+
+        this.editor.wasDragging = true;
+        this.updateRadiusHandle();
+    }
+
+    cancelDrawing() {
+        if (this.currentElement) {
+            this.currentElement.remove();
+            this.currentElement = null;
+        }
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+        this.radiusDrag = null;
+    }
+}
@@ -80,11 +80,12 @@ class SelectTool {
         const deltaX = svgPoint.x - this.editor.dragStart.x;
         const deltaY = svgPoint.y - this.editor.dragStart.y;
 
-        // Move all selected elements by the same delta
+        // Move all selected elements by the same delta (converted for transformed groups)
         this.editor.selectedElementsInitialTransforms.forEach((initialTransform, el) => {
+            const delta = this.editor.rootDeltaToParent(el, deltaX, deltaY);
             this.editor.moveElement(el,
-                initialTransform.x + deltaX,
-                initialTransform.y + deltaY);
+                initialTransform.x + delta.x,
+                initialTransform.y + delta.y);
         });
 
         // Update bounding box during drag
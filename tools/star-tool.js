@@ -0,0 +1,501 @@
+/**
+ * StarTool
+ * Draws regular polygons and stars by dragging from the center to a corner
+ * - Shift snaps the corner angle
+ * - Corner count, inner radius ratio, rounding and randomization come from the control panel
+ * - The parameters are stored in data-star-* attributes, so a selected shape can be changed
+ *   from the control panel or with its on-canvas corner handles after it was drawn
+ * Shapes that were moved or scaled stay editable: the stored shape is fitted onto the path
+ * to find the transform that was applied to it. A path whose nodes no longer match (e.g. after
+ * node editing) is treated as an ordinary path.
+ */
+class StarTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+        this.currentElement = null;
+        this.handles = [];
+        this.handleDrag = null; // {element, params, transform, which} while dragging a corner handle
+        this.moveThreshold = 3; // Screen pixels before a click becomes a drag
+        this.angleSnap = 15; // Degrees, with Shift
+        this.fitTolerance = 0.01; // Max distance between the stored shape and the path
+
+        // Settings for new shapes
+        this.settings = { type: 'star', corners: 5, ratio: 0.5, rounding: 0, randomization: 0 };
+
+        // Shape parameter -> attribute
+        this.paramAttributes = {
+            type: 'data-star-type',
+            corners: 'data-star-corners',
+            cx: 'data-star-cx',
+            cy: 'data-star-cy',
+            radius: 'data-star-radius',
+            angle: 'data-star-angle',
+            ratio: 'data-star-ratio',
+            rounding: 'data-star-rounding',
+            randomization: 'data-star-randomization',
+            seed: 'data-star-seed'
+        };
+    }
+
+    onMouseDown(e, element) {
+        this.isDrawing = true;
+        this.isDragging = false;
+        this.startPoint = this.screenToSvg(e.clientX, e.clientY);
+        this.dragStartScreen = { x: e.clientX, y: e.clientY };
+        return true; // Handled
+    }
+
+    onMouseMove(e) {
+        if (this.handleDrag) {
+            this.dragHandle(e);
+            return true;
+        }
+
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        if (!this.isDragging) {
+            const moved = Math.hypot(e.clientX - this.dragStartScreen.x, e.clientY - this.dragStartScreen.y);
+            if (moved <= this.moveThreshold) return true;
+            this.isDragging = true;
+            this.editor.wasDragging = true;
+            this.createElement();
+        }
+
+        const point = this.screenToSvg(e.clientX, e.clientY);
+        const params = Object.assign({}, this.settings, {
+            cx: this.startPoint.x,
+            cy: this.startPoint.y,
+            radius: Math.hypot(point.x - this.startPoint.x, point.y - this.startPoint.y),
+            angle: this.getAngle(this.startPoint, point, e.shiftKey),
+            seed: this.drawSeed
+        });
+        this.applyParams(this.currentElement, params, null);
+        return true; // Handled
+    }
+
+    onMouseUp(e) {
+        if (this.handleDrag) {
+            this.handleDrag = null;
+            this.updateHandles();
+            this.editor.historyManager.saveState('Change star');
+            return true;
+        }
+
+        if (!this.isDrawing) {
+            return false;
+        }
+
+        const element = this.currentElement;
+        this.currentElement = null;
+        this.isDrawing = false;
+        this.isDragging = false;
+
+        // A click without a drag draws nothing
+        if (!element) return true;
+        if (!(parseFloat(element.getAttribute('data-star-radius')) > 0)) {
+            element.remove();
+            return true;
+        }
+
+        // Update layers
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+
+        // Select the new element
+        this.editor.selectElement(element, false);
+
+        // Save history state
+        this.editor.historyManager.saveState(this.settings.type === 'star' ? 'Draw star' : 'Draw polygon');
+        return true; // Handled
+    }
+
+    screenToSvg(clientX, clientY) {
+        const point = this.editor.svgElement.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const svgPoint = point.matrixTransform(this.editor.svgElement.getScreenCTM().inverse());
+        return { x: svgPoint.x, y: svgPoint.y };
+    }
+
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * Angle (degrees) from one point to another, snapped with Shift
+     */
+    getAngle(from, to, snap) {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+        return snap ? Math.round(angle / this.angleSnap) * this.angleSnap : angle;
+    }
+
+    createElement() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const element = document.createElementNS(svgNS, 'path');
+
+        // Apply default styling
+        element.setAttribute('fill', 'none');
+        element.setAttribute('stroke', '#000000');
+        element.setAttribute('stroke-width', '1');
+        element.id = `element-${Date.now()}`;
+
+        // Add to SVG (before bounding box group)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(element, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(element);
+        }
+        this.currentElement = element;
+        this.drawSeed = Math.floor(Math.random() * 1000000);
+    }
+
+    /**
+     * Seeded random number generator (mulberry32), so randomized shapes can be rebuilt
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Corner (or inner corner) position before randomization
+     * @param {number} index - Vertex index; odd indices are inner corners of a star
+     */
+    getBasePoint(params, index) {
+        const count = params.type === 'star' ? params.corners * 2 : params.corners;
+        const inner = params.type === 'star' && index % 2 === 1;
+        const radius = params.radius * (inner ? params.ratio : 1);
+        const angle = (params.angle + index * 360 / count) * Math.PI / 180;
+        return { x: params.cx + radius * Math.cos(angle), y: params.cy + radius * Math.sin(angle) };
+    }
+
+    /**
+     * Vertices of the shape, alternating corners and inner corners for stars
+     */
+    getVertices(params) {
+        const count = params.type === 'star' ? params.corners * 2 : params.corners;
+        const step = 360 / count;
+        const random = this.createRandom(params.seed);
+        const vertices = [];
+
+        for (let i = 0; i < count; i++) {
+            const inner = params.type === 'star' && i % 2 === 1;
+            // Always draw both numbers so every vertex keeps its own random offsets
+            const radiusOffset = (random() - 0.5) * params.randomization;
+            const angleOffset = (random() - 0.5) * params.randomization * step;
+            const radius = params.radius * (inner ? params.ratio : 1) * (1 + radiusOffset);
+            const angle = (params.angle + i * step + angleOffset) * Math.PI / 180;
+            vertices.push({ x: params.cx + radius * Math.cos(angle), y: params.cy + radius * Math.sin(angle) });
+        }
+        return vertices;
+    }
+
+    /**
+     * Path commands of the shape
+     * Rounded corners get handles parallel to the line between their neighbours, as long as
+     * the rounding times the distance to the neighbour they point at.
+     */
+    buildCommands(params) {
+        const vertices = this.getVertices(params);
+        const count = vertices.length;
+        const commands = [{ type: 'M', x: vertices[0].x, y: vertices[0].y }];
+
+        if (!params.rounding) {
+            for (let i = 1; i < count; i++) {
+                commands.push({ type: 'L', x: vertices[i].x, y: vertices[i].y });
+            }
+            commands.push({ type: 'Z' });
+            return commands;
+        }
+
+        const handle = (index, direction) => {
+            const point = vertices[index];
+            const prev = vertices[(index - 1 + count) % count];
+            const next = vertices[(index + 1) % count];
+            const tangentLength = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+            const target = direction > 0 ? next : prev;
+            const length = params.rounding * Math.hypot(target.x - point.x, target.y - point.y);
+            return {
+                x: point.x + direction * (next.x - prev.x) / tangentLength * length,
+                y: point.y + direction * (next.y - prev.y) / tangentLength * length
+            };
+        };
+
+        for (let i = 0; i < count; i++) {
+            const next = (i + 1) % count;
+            const cp1 = handle(i, 1);
+            const cp2 = handle(next, -1);
+            commands.push({
+                type: 'C',
+                x1: cp1.x,
+                y1: cp1.y,
+                x2: cp2.x,
+                y2: cp2.y,
+                x: vertices[next].x,
+                y: vertices[next].y
+            });
+        }
+        commands.push({ type: 'Z' });
+        return commands;
+    }
+
+    /**
+     * Draw a shape into a path and store its parameters
+     * @param {Object|null} transform - Matrix from the stored shape to the path coordinates
+     */
+    applyParams(element, params, transform) {
+        // Build from the stored (rounded) values so the path matches them exactly
+        params = Object.assign({}, params);
+        Object.keys(params).forEach(name => {
+            if (typeof params[name] === 'number') params[name] = this.round(params[name]);
+        });
+
+        let commands = this.buildCommands(params);
+        if (transform) {
+            commands = this.editor.pathGeometry.transformCommands(commands, transform);
+        }
+        element.setAttribute('d', this.editor.buildPathData(this.editor.pathGeometry.roundCommands(commands, 4)));
+        element.removeAttribute('data-node-types');
+
+        Object.entries(this.paramAttributes).forEach(([name, attribute]) => {
+            element.setAttribute(attribute, params[name]);
+        });
+    }
+
+    /**
+     * Read the parameters of a star or polygon path
+     * @returns {Object|null} {params, transform}, or null when the element isn't (any longer)
+     *     a parametric shape
+     */
+    getStarParams(element) {
+        if (element.tagName !== 'path' || !element.hasAttribute('data-star-type')) return null;
+
+        const params = {};
+        Object.entries(this.paramAttributes).forEach(([name, attribute]) => {
+            const value = element.getAttribute(attribute);
+            params[name] = name === 'type' ? value : parseFloat(value);
+        });
+        if (!['star', 'polygon'].includes(params.type)) return null;
+        if (!Number.isInteger(params.corners) || params.corners < 3 || !(params.radius > 0)) return null;
+        if (Object.values(params).some(value => typeof value === 'number' && isNaN(value))) return null;
+
+        const transform = this.getShapeTransform(element, params);
+        return transform ? { params, transform } : null;
+    }
+
+    /**
+     * Fit the stored shape onto the path (least squares over all points)
+     * @returns {Object|null} Matrix from the stored shape to the path, or null if the path
+     *     no longer has the stored shape
+     */
+    getShapeTransform(element, params) {
+        const actual = this.editor.parsePathData(element.getAttribute('d') || '');
+        const expected = this.buildCommands(params);
+        if (actual.length !== expected.length || actual.some((cmd, i) => cmd.type !== expected[i].type)) {
+            return null;
+        }
+
+        const pairs = [];
+        expected.forEach((cmd, i) => {
+            ['', '1', '2'].forEach(suffix => {
+                if (cmd['x' + suffix] !== undefined) {
+                    pairs.push([{ x: cmd['x' + suffix], y: cmd['y' + suffix] },
+                        { x: actual[i]['x' + suffix], y: actual[i]['y' + suffix] }]);
+                }
+            });
+        });
+
+        // Normal equations: [sum(x*x) sum(x*y) sum(x); sum(x*y) sum(y*y) sum(y); sum(x) sum(y) n]
+        const sums = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const rhsX = [0, 0, 0];
+        const rhsY = [0, 0, 0];
+        pairs.forEach(([from, to]) => {
+            const row = [from.x, from.y, 1];
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) sums[r][c] += row[r] * row[c];
+                rhsX[r] += row[r] * to.x;
+                rhsY[r] += row[r] * to.y;
+            }
+        });
+
+        const solveX = this.solve3(sums, rhsX);
+        const solveY = this.solve3(sums, rhsY);
+        if (!solveX || !solveY) return null;
+
+        const transform = { a: solveX[0], c: solveX[1], e: solveX[2], b: solveY[0], d: solveY[1], f: solveY[2] };
+        const fits = pairs.every(([from, to]) => {
+            const mapped = this.editor.pathGeometry.transformPoint(transform, from.x, from.y);
+            return Math.hypot(mapped.x - to.x, mapped.y - to.y) <= this.fitTolerance;
+        });
+        return fits ? transform : null;
+    }
+
+    /**
+     * Solve a 3x3 linear system (Cramer's rule)
+     * @returns {Array|null} The solution, or null if the matrix is singular
+     */
+    solve3(m, rhs) {
+        const det = (a) => a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+            a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+            a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+        const d = det(m);
+        if (Math.abs(d) < 1e-12) return null;
+
+        return [0, 1, 2].map(column => {
+            const replaced = m.map((row, r) => row.map((value, c) => c === column ? rhs[r] : value));
+            return det(replaced) / d;
+        });
+    }
+
+    /**
+     * The selected element, when it is the only one and is a parametric shape
+     * @returns {Object|null} {element, params, transform}
+     */
+    getSelectedStar() {
+        if (this.editor.selectedElements.size !== 1) return null;
+        const element = Array.from(this.editor.selectedElements)[0];
+        const star = this.getStarParams(element);
+        return star ? Object.assign({ element }, star) : null;
+    }
+
+    /**
+     * Show the corner handles on the selected shape and the shape settings (star tool only)
+     * The outer handle sets size and rotation, the inner handle of a star the radius ratio.
+     */
+    updateHandles() {
+        this.handles.forEach(handle => handle.remove());
+        this.handles = [];
+
+        const selected = this.editor.currentTool === 'star' ? this.getSelectedStar() : null;
+        this.updateControls(selected);
+        if (!selected) return;
+
+        const { element, params, transform } = selected;
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const inverseScale = 1 / this.editor.zoomLevel;
+        const kinds = params.type === 'star' ? ['outer', 'inner'] : ['outer'];
+
+        kinds.forEach(which => {
+            const base = this.getBasePoint(params, which === 'inner' ? 1 : 0);
+            const local = this.editor.pathGeometry.transformPoint(transform, base.x, base.y);
+            const position = this.editor.toRootCoords(element, local.x, local.y);
+
+            const handle = document.createElementNS(svgNS, 'circle');
+            handle.setAttribute('class', `node-handle star-handle star-handle-${which}`);
+            handle.setAttribute('cx', position.x);
+            handle.setAttribute('cy', position.y);
+
+            // Keep a constant screen size regardless of zoom
+            handle.setAttribute('transform', `translate(${position.x}, ${position.y}) scale(${inverseScale}) translate(${-position.x}, ${-position.y})`);
+
+            handle.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                this.handleDrag = { element, params, transform, which };
+            });
+
+            this.editor.svgElement.appendChild(handle);
+            this.handles.push(handle);
+        });
+    }
+
+    /**
+     * Move the dragged corner handle to the mouse, in the coordinates of the stored shape
+     */
+    dragHandle(e) {
+        const { element, params, transform, which } = this.handleDrag;
+        const geometry = this.editor.pathGeometry;
+        const toRoot = geometry.multiplyMatrices(geometry.getElementToRootMatrix(element), transform);
+        const toShape = geometry.invertMatrix(toRoot);
+        if (!toShape) return;
+
+        const svgPoint = this.screenToSvg(e.clientX, e.clientY);
+        const point = geometry.transformPoint(toShape, svgPoint.x, svgPoint.y);
+        const center = { x: params.cx, y: params.cy };
+        const distance = Math.hypot(point.x - center.x, point.y - center.y);
+
+        const updated = Object.assign({}, params);
+        if (which === 'outer') {
+            if (distance <= 0) return;
+            updated.radius = distance;
+            updated.angle = this.getAngle(center, point, e.shiftKey);
+        } else {
+            updated.ratio = Math.min(1, Math.max(0.01, distance / params.radius));
+        }
+
+        this.applyParams(element, updated, transform);
+        this.handleDrag = { element, params, transform, which };
+        this.editor.wasDragging = true;
+        this.editor.updateBoundingBox();
+    }
+
+    /**
+     * Show the shape settings while the star tool is active: those of the selected shape,
+     * otherwise those used for new shapes
+     */
+    updateControls(selected) {
+        const controls = document.getElementById('starControls');
+        if (!controls) return;
+
+        controls.style.display = this.editor.currentTool === 'star' ? 'flex' : 'none';
+        const values = selected ? selected.params : this.settings;
+
+        controls.querySelectorAll('.star-type-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.starType === values.type);
+        });
+        document.getElementById('starCorners').value = values.corners;
+        document.getElementById('starRatio').value = this.round(values.ratio);
+        document.getElementById('starRatio').disabled = values.type !== 'star';
+        document.getElementById('starRounding').value = this.round(values.rounding);
+        document.getElementById('starRandomization').value = this.round(values.randomization);
+    }
+
+    /**
+     * Change a shape setting, for new shapes and the selected shape
+     * @param {string} name - 'type', 'corners', 'ratio', 'rounding' or 'randomization'
+     */
+    setParam(name, value) {
+        if (name === 'corners') {
+            value = Math.min(200, Math.max(3, Math.round(value)));
+        } else if (name === 'ratio') {
+            value = Math.min(1, Math.max(0.01, value));
+        } else if (name === 'rounding' || name === 'randomization') {
+            value = Math.max(0, value);
+        }
+        this.settings[name] = value;
+
+        const selected = this.getSelectedStar();
+        if (selected && selected.params[name] !== value) {
+            const params = Object.assign({}, selected.params, { [name]: value });
+            this.applyParams(selected.element, params, selected.transform);
+            this.editor.updateBoundingBox();
+            this.editor.historyManager.saveState('Change star');
+        } else {
+            this.updateHandles();
+        }
+    }
+
+    cancelDrawing() {
+        if (this.currentElement) {
+            this.currentElement.remove();
+            this.currentElement = null;
+        }
+        this.isDrawing = false;
+        this.isDragging = false;
+        this.startPoint = null;
+        this.handleDrag = null;
+    }
+}
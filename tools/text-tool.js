@@ -0,0 +1,449 @@
+/**
+ * TextTool
+ * Creates and edits point text
+ * - Clicking on the canvas creates a <text> element, clicking on text edits it
+ * - Typing goes to a hidden textarea; the text element shows its content, with one
+ *   <tspan> per line for multi-line text, and an SVG caret shows the insertion point
+ * - Escape, clicking elsewhere or switching tools ends editing; text left empty is removed
+ * Font family, size, weight and alignment are set in the control panel, for the selected
+ * text or else for new text.
+ * Text on a path (see TextOnPath) is edited the same way, as a single line.
+ * Text with styled or positioned parts the tool did not write (imported rich text) is
+ * not edited in place, since rewriting its lines would drop that markup.
+ */
+class TextTool {
+    constructor(editor) {
+        this.editor = editor;
+        this.editingElement = null;
+        this.isNew = false; // Whether the edited text was created by this edit
+        this.originalText = '';
+        this.input = null;
+        this.caret = null;
+        this.lineHeight = 1.25; // Line spacing, in font sizes
+
+        // Style for new text
+        this.settings = { fontFamily: 'sans-serif', fontSize: 24, fontWeight: 'normal', textAnchor: 'start' };
+
+        // Style setting -> attribute
+        this.styleAttributes = {
+            fontFamily: 'font-family',
+            fontSize: 'font-size',
+            fontWeight: 'font-weight',
+            textAnchor: 'text-anchor'
+        };
+    }
+
+    onMouseDown(e, element) {
+        const point = this.screenToSvg(e.clientX, e.clientY);
+        const text = element && element.closest ? element.closest('text') : null;
+
+        // Keep the click that follows from clearing the selection
+        this.editor.wasDragging = true;
+
+        if (text && text === this.editingElement) {
+            const offset = this.getOffsetAtPoint(text, point);
+            this.getInput().setSelectionRange(offset, offset);
+            this.getInput().focus();
+            this.updateCaret();
+            return true;
+        }
+
+        this.finishEditing();
+        if (text && !this.isPlainText(text)) {
+            this.editor.selectElement(text, false);
+            alert('This text has styled parts and cannot be edited in place');
+        } else if (text) {
+            this.startEditing(text, false, point);
+        } else {
+            this.startEditing(this.createElement(point), true, null);
+        }
+        return true; // Handled
+    }
+
+    onMouseMove(e) {
+        return this.editor.textOnPath.onMouseMove(e);
+    }
+
+    onMouseUp(e) {
+        return this.editor.textOnPath.onMouseUp(e);
+    }
+
+    screenToSvg(clientX, clientY) {
+        const point = this.editor.svgElement.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const svgPoint = point.matrixTransform(this.editor.svgElement.getScreenCTM().inverse());
+        return { x: svgPoint.x, y: svgPoint.y };
+    }
+
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    createElement(point) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const element = document.createElementNS(svgNS, 'text');
+        element.setAttribute('x', this.round(point.x));
+        element.setAttribute('y', this.round(point.y));
+
+        // Apply default styling
+        element.setAttribute('fill', '#000000');
+        Object.entries(this.styleAttributes).forEach(([name, attribute]) => {
+            element.setAttribute(attribute, this.settings[name]);
+        });
+        element.id = `element-${Date.now()}`;
+
+        // Add to SVG (before bounding box group)
+        const bboxGroup = this.editor.svgElement.querySelector('#boundingBoxGroup');
+        if (bboxGroup) {
+            this.editor.svgElement.insertBefore(element, bboxGroup);
+        } else {
+            this.editor.svgElement.appendChild(element);
+        }
+        return element;
+    }
+
+    /**
+     * Hidden textarea that receives the typing, so that caret movement, selection,
+     * clipboard and input methods work as in any text field
+     */
+    getInput() {
+        if (this.input) return this.input;
+
+        const input = document.createElement('textarea');
+        input.className = 'text-edit-input';
+        input.setAttribute('aria-label', 'Text');
+        input.addEventListener('input', () => this.onInput());
+        input.addEventListener('keydown', (e) => {
+            // Keep editor shortcuts (arrow keys, undo, ...) out of the text
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.finishEditing();
+            } else if (e.key === 'Enter' && this.editingElement && this.editor.textOnPath.getTextPath(this.editingElement)) {
+                // Text on a path has a single line
+                e.preventDefault();
+            }
+        });
+        input.addEventListener('keyup', () => this.updateCaret());
+        input.addEventListener('select', () => this.updateCaret());
+        document.body.appendChild(input);
+
+        this.input = input;
+        return input;
+    }
+
+    startEditing(element, isNew, point) {
+        this.editingElement = element;
+        this.isNew = isNew;
+        this.originalText = this.getLines(element).join('\n');
+
+        const input = this.getInput();
+        input.value = this.originalText;
+        const offset = point ? this.getOffsetAtPoint(element, point) : input.value.length;
+        input.focus();
+        input.setSelectionRange(offset, offset);
+
+        this.editor.selectElement(element, false);
+        this.updateCaret();
+    }
+
+    finishEditing() {
+        const element = this.editingElement;
+        if (!element) return;
+
+        this.editingElement = null;
+        this.removeCaret();
+        this.getInput().blur();
+
+        // Empty text is removed
+        if (this.getInput().value.trim() === '') {
+            this.editor.selectedElements.delete(element);
+            element.remove();
+            this.editor.extractLayers();
+            this.editor.renderLayersPanel();
+            this.editor.updateBoundingBox();
+            if (!this.isNew) {
+                this.editor.historyManager.saveState('Delete text');
+            }
+            return;
+        }
+
+        if (this.isNew) {
+            this.editor.extractLayers();
+            this.editor.renderLayersPanel();
+            this.editor.historyManager.saveState('Add text');
+        } else if (this.getInput().value !== this.originalText) {
+            this.editor.historyManager.saveState('Edit text');
+        }
+    }
+
+    onInput() {
+        if (!this.editingElement) return;
+        this.setLines(this.editingElement, this.getInput().value.split('\n'));
+        this.editor.updateBoundingBox();
+    }
+
+    getFontSize(element) {
+        return parseFloat(element.getAttribute('font-size')) ||
+            parseFloat(window.getComputedStyle(element).fontSize) || 16;
+    }
+
+    /**
+     * Positioned lines of a text element: <tspan> children with their own y
+     */
+    getLineElements(element) {
+        const tspans = Array.from(element.children).filter(child => child.tagName === 'tspan');
+        return tspans.length > 0 && tspans.every(tspan => tspan.hasAttribute('y')) ? tspans : [];
+    }
+
+    /**
+     * Whether a text element only holds what setLines writes: plain text, lines as <tspan>
+     * elements with just x and y, or a <textPath> with plain text
+     */
+    isPlainText(element) {
+        const onlyText = (node) => Array.from(node.childNodes).every(child => child.nodeType === Node.TEXT_NODE);
+        if (onlyText(element)) return true;
+
+        const elements = Array.from(element.children);
+        const textPath = this.editor.textOnPath.getTextPath(element);
+        if (textPath) {
+            return elements.length === 1 && onlyText(textPath);
+        }
+
+        // Text between the lines would be lost
+        const looseText = Array.from(element.childNodes)
+            .some(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim() !== '');
+        const lineElements = this.getLineElements(element);
+        return !looseText && lineElements.length === elements.length && lineElements.every(tspan =>
+            onlyText(tspan) && Array.from(tspan.attributes).every(attr => attr.name === 'x' || attr.name === 'y'));
+    }
+
+    getLines(element) {
+        const textPath = this.editor.textOnPath.getTextPath(element);
+        if (textPath) return [textPath.textContent];
+
+        const lineElements = this.getLineElements(element);
+        return lineElements.length > 0 ? lineElements.map(tspan => tspan.textContent) : [element.textContent];
+    }
+
+    /**
+     * Write the lines into a text element
+     * A single line is plain text content; more lines each get a <tspan> positioned below
+     * the previous one. Text on a path keeps its <textPath>, with the lines joined.
+     */
+    setLines(element, lines) {
+        const textPath = this.editor.textOnPath.getTextPath(element);
+        if (textPath) {
+            textPath.textContent = lines.join(' ');
+            return;
+        }
+
+        const x = parseFloat(element.getAttribute('x')) || 0;
+        const y = parseFloat(element.getAttribute('y')) || 0;
+        const lineSpacing = this.getFontSize(element) * this.lineHeight;
+
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+
+        if (lines.length === 1) {
+            element.textContent = lines[0];
+            return;
+        }
+
+        lines.forEach((line, index) => {
+            const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+            tspan.setAttribute('x', this.round(x));
+            tspan.setAttribute('y', this.round(y + index * lineSpacing));
+            tspan.textContent = line;
+            element.appendChild(tspan);
+        });
+    }
+
+    /**
+     * Text offset (as in the textarea) of the character boundary nearest to a point
+     * @param {Object} point - Point in root SVG coordinates
+     */
+    getOffsetAtPoint(element, point) {
+        const lines = this.getLines(element);
+        const local = this.editor.toLocalCoords(element, point.x, point.y);
+        const svgPoint = this.editor.svgElement.createSVGPoint();
+        svgPoint.x = local.x;
+        svgPoint.y = local.y;
+
+        const lineStart = (line) => lines.slice(0, line).reduce((sum, text) => sum + text.length + 1, 0);
+
+        let charIndex = -1;
+        try {
+            charIndex = element.getCharNumAtPosition(svgPoint);
+        } catch (e) {
+            charIndex = -1;
+        }
+
+        // Not on a character: end of the line nearest to the point
+        if (charIndex < 0) {
+            const y = parseFloat(element.getAttribute('y')) || 0;
+            const spacing = this.getFontSize(element) * this.lineHeight;
+            const line = Math.min(lines.length - 1, Math.max(0, Math.round((local.y - y) / spacing)));
+            return lineStart(line) + lines[line].length;
+        }
+
+        // Characters are counted without the line breaks
+        let line = 0;
+        let column = charIndex;
+        while (line < lines.length - 1 && column >= lines[line].length) {
+            column -= lines[line].length;
+            line++;
+        }
+
+        const extent = element.getExtentOfChar(charIndex);
+        if (local.x > extent.x + extent.width / 2) {
+            column++;
+        }
+        return lineStart(line) + column;
+    }
+
+    /**
+     * Show the caret at the textarea's insertion point
+     */
+    updateCaret() {
+        this.removeCaret();
+        const element = this.editingElement;
+        if (!element) return;
+
+        const input = this.getInput();
+        const before = input.value.slice(0, input.selectionEnd).split('\n');
+        const line = before.length - 1;
+        const column = before[line].length;
+        const lines = this.getLines(element);
+        const lineElements = this.getLineElements(element);
+        const size = this.getFontSize(element);
+
+        // Baseline position of the caret, in the text's coordinates
+        const lineElement = lineElements[line] || element;
+        let x = parseFloat(lineElement.getAttribute('x')) || 0;
+        let y = parseFloat(lineElement.getAttribute('y')) || 0;
+        let angle = 0; // Glyph rotation, on a path
+        const textPath = this.editor.textOnPath.getTextPath(element);
+        const path = textPath ? this.editor.textOnPath.getPath(textPath) : null;
+        if (path) {
+            const textOnPath = this.editor.textOnPath;
+            const start = textOnPath.getPointAtOffset(path, textOnPath.getOffset(textPath));
+            ({ x, y } = textOnPath.pathToText(path, start));
+        }
+
+        const charIndex = lines.slice(0, line).reduce((sum, text) => sum + text.length, 0) + column;
+        try {
+            let position = null;
+            if (column < lines[line].length) {
+                position = element.getStartPositionOfChar(charIndex);
+            } else if (column > 0) {
+                position = element.getEndPositionOfChar(charIndex - 1);
+            }
+            if (position) {
+                x = position.x;
+                if (path) {
+                    y = position.y;
+                    angle = element.getRotationOfChar(Math.min(charIndex, lines[line].length - 1)) * Math.PI / 180;
+                }
+            }
+        } catch (e) {
+            // Characters not laid out yet - keep the line start
+        }
+
+        // Upright from the baseline, turned with the glyphs
+        const up = { x: Math.sin(angle), y: -Math.cos(angle) };
+        const top = this.editor.toRootCoords(element, x + up.x * size * 0.8, y + up.y * size * 0.8);
+        const bottom = this.editor.toRootCoords(element, x - up.x * size * 0.2, y - up.y * size * 0.2);
+
+        const caret = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        caret.setAttribute('class', 'node-handle text-caret');
+        caret.setAttribute('x1', top.x);
+        caret.setAttribute('y1', top.y);
+        caret.setAttribute('x2', bottom.x);
+        caret.setAttribute('y2', bottom.y);
+        caret.setAttribute('vector-effect', 'non-scaling-stroke');
+        this.editor.svgElement.appendChild(caret);
+        this.caret = caret;
+    }
+
+    removeCaret() {
+        if (this.caret) {
+            this.caret.remove();
+            this.caret = null;
+        }
+    }
+
+    /**
+     * Selected text elements
+     */
+    getSelectedTexts() {
+        return Array.from(this.editor.selectedElements).filter(element => element.tagName === 'text');
+    }
+
+    /**
+     * Show the font controls with the text tool or while text is selected, for the
+     * selected text or else for new text
+     */
+    updateControls() {
+        const controls = document.getElementById('textControls');
+        if (!controls) return;
+
+        const text = this.getSelectedTexts()[0];
+        controls.style.display = this.editor.currentTool === 'text' || text ? 'flex' : 'none';
+
+        const values = Object.assign({}, this.settings);
+        if (text) {
+            const style = window.getComputedStyle(text);
+            values.fontFamily = text.getAttribute('font-family') || style.fontFamily || values.fontFamily;
+            values.fontSize = this.round(this.getFontSize(text));
+            values.fontWeight = text.getAttribute('font-weight') || 'normal';
+            values.textAnchor = text.getAttribute('text-anchor') || 'start';
+        }
+
+        const familySelect = document.getElementById('textFontFamily');
+        if (!Array.from(familySelect.options).some(option => option.value === values.fontFamily)) {
+            familySelect.add(new Option(values.fontFamily, values.fontFamily));
+        }
+        familySelect.value = values.fontFamily;
+        document.getElementById('textFontSize').value = values.fontSize;
+        document.getElementById('textFontWeight').value = values.fontWeight;
+        controls.querySelectorAll('.text-align-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.textAnchor === values.textAnchor);
+        });
+    }
+
+    /**
+     * Change a font setting, for new text and the selected text
+     * @param {string} name - 'fontFamily', 'fontSize', 'fontWeight' or 'textAnchor'
+     */
+    setTextStyle(name, value) {
+        if (name === 'fontSize') {
+            value = Math.max(1, value);
+        }
+        this.settings[name] = value;
+
+        const attribute = this.styleAttributes[name];
+        const texts = this.getSelectedTexts().filter(text => text.getAttribute(attribute) !== String(value));
+        texts.forEach(text => {
+            text.setAttribute(attribute, value);
+            // Line spacing follows the font size (rich text keeps its own positions)
+            if (name === 'fontSize' && this.isPlainText(text)) {
+                this.setLines(text, this.getLines(text));
+            }
+        });
+
+        if (texts.length > 0) {
+            this.editor.updateBoundingBox();
+            this.editor.historyManager.saveState('Change text style');
+        }
+        this.updateControls();
+
+        // Go on typing
+        if (this.editingElement) {
+            this.getInput().focus();
+            this.updateCaret();
+        }
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * AlignManager
+ * Aligns and distributes the selected elements (Align panel)
+ *
+ * Bounds are measured in root SVG coordinates, so elements in transformed groups or with
+ * their own transforms line up as they appear. Elements align to the selection bounds,
+ * to the key object (the element selected first, which stays in place) or to the
+ * document's viewBox.
+ */
+class AlignManager {
+    constructor(editor) {
+        this.editor = editor;
+    }
+
+    setupPanel() {
+        const alignButton = document.getElementById('alignToolButton');
+        const alignPanel = document.getElementById('alignPanel');
+        const alignPanelClose = document.getElementById('alignPanelClose');
+
+        // Toggle align panel when button is clicked
+        alignButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isActive = alignPanel.classList.contains('active');
+            if (isActive) {
+                alignPanel.classList.remove('active');
+                alignButton.classList.remove('active');
+            } else {
+                alignPanel.classList.add('active');
+                alignButton.classList.add('active');
+                this.updatePanel();
+            }
+        });
+
+        // Close panel when close button is clicked
+        alignPanelClose.addEventListener('click', (e) => {
+            e.stopPropagation();
+            alignPanel.classList.remove('active');
+            alignButton.classList.remove('active');
+        });
+
+        // Close panel when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.toolbar-panel')) {
+                alignPanel.classList.remove('active');
+                alignButton.classList.remove('active');
+            }
+        });
+
+        document.getElementById('alignTarget').addEventListener('change', () => this.updatePanel());
+
+        alignPanel.querySelectorAll('.align-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.align(button.dataset.align);
+            });
+        });
+
+        alignPanel.querySelectorAll('.distribute-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.distribute(button.dataset.distribute, button.dataset.axis);
+            });
+        });
+    }
+
+    /**
+     * Show which element is the key object
+     */
+    updatePanel() {
+        const info = document.getElementById('alignKeyInfo');
+        if (!info) return;
+
+        const key = this.getKeyObject();
+        const showKey = document.getElementById('alignTarget').value === 'key';
+        info.style.display = showKey ? 'block' : 'none';
+        info.textContent = key ? `Key object: ${key.id || key.tagName}` : 'Key object: none selected';
+    }
+
+    /**
+     * The key object: the element selected first
+     */
+    getKeyObject() {
+        return Array.from(this.editor.selectedElements)[0] || null;
+    }
+
+    getBounds(element) {
+        return this.editor.getElementsBoundsRoot([element]);
+    }
+
+    /**
+     * Bounds of the document's viewBox (or its width and height without one)
+     */
+    getDocumentBounds() {
+        const svg = this.editor.svgElement;
+        const viewBox = svg.viewBox && svg.viewBox.baseVal;
+        if (viewBox && viewBox.width > 0 && viewBox.height > 0) {
+            return { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height };
+        }
+        return {
+            x: 0,
+            y: 0,
+            width: parseFloat(svg.getAttribute('width')) || 0,
+            height: parseFloat(svg.getAttribute('height')) || 0
+        };
+    }
+
+    /**
+     * Align the selected elements
+     * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     */
+    align(edge) {
+        const elements = Array.from(this.editor.selectedElements);
+        const target = document.getElementById('alignTarget').value;
+        if (elements.length === 0 || (target !== 'document' && elements.length < 2)) {
+            alert(target === 'document' ? 'Select elements to align' : 'Select at least two elements to align');
+            return;
+        }
+
+        const key = target === 'key' ? this.getKeyObject() : null;
+        const reference = target === 'document' ? this.getDocumentBounds() :
+            target === 'key' ? this.getBounds(key) : this.editor.getElementsBoundsRoot(elements);
+        if (!reference) return;
+
+        // Position of an edge or center line of bounds along its axis
+        const horizontal = ['left', 'center', 'right'].includes(edge);
+        const position = (bounds) => {
+            const start = horizontal ? bounds.x : bounds.y;
+            const size = horizontal ? bounds.width : bounds.height;
+            if (edge === 'left' || edge === 'top') return start;
+            if (edge === 'right' || edge === 'bottom') return start + size;
+            return start + size / 2;
+        };
+
+        elements.forEach(element => {
+            if (element === key) return;
+            const bounds = this.getBounds(element);
+            if (!bounds) return;
+
+            const delta = position(reference) - position(bounds);
+            this.editor.moveElementBy(element, horizontal ? delta : 0, horizontal ? 0 : delta);
+        });
+
+        this.finish('Align objects');
+    }
+
+    /**
+     * Distribute the selected elements along an axis
+     * The outermost elements stay in place, unless a gap is given: then the elements are
+     * placed that far apart, starting from the first one.
+     * @param {string} mode - 'centers' or 'spacing'
+     * @param {string} axis - 'x' or 'y'
+     */
+    distribute(mode, axis) {
+        const items = Array.from(this.editor.selectedElements)
+            .map(element => ({ element, bounds: this.getBounds(element) }))
+            .filter(item => item.bounds);
+        if (items.length < (mode === 'spacing' ? 2 : 3)) {
+            alert(`Select at least ${mode === 'spacing' ? 'two' : 'three'} elements to distribute`);
+            return;
+        }
+
+        const start = (bounds) => axis === 'x' ? bounds.x : bounds.y;
+        const size = (bounds) => axis === 'x' ? bounds.width : bounds.height;
+        const center = (bounds) => start(bounds) + size(bounds) / 2;
+        items.sort((a, b) => center(a.bounds) - center(b.bounds));
+
+        const first = items[0].bounds;
+        const last = items[items.length - 1].bounds;
+        const gap = this.getGap();
+        const targets = []; // New start of each element along the axis
+
+        if (mode === 'centers') {
+            const step = (center(last) - center(first)) / (items.length - 1);
+            items.forEach((item, index) => {
+                targets.push(center(first) + step * index - size(item.bounds) / 2);
+            });
+        } else {
+            let spacing = gap;
+            if (spacing === null) {
+                const total = items.reduce((sum, item) => sum + size(item.bounds), 0);
+                spacing = (start(last) + size(last) - start(first) - total) / (items.length - 1);
+            }
+            let position = start(first);
+            items.forEach(item => {
+                targets.push(position);
+                position += size(item.bounds) + spacing;
+            });
+        }
+
+        items.forEach((item, index) => {
+            const delta = targets[index] - start(item.bounds);
+            if (Math.abs(delta) < 1e-9) return;
+            this.editor.moveElementBy(item.element, axis === 'x' ? delta : 0, axis === 'y' ? delta : 0);
+        });
+
+        this.finish('Distribute objects');
+    }
+
+    /**
+     * Gap for distributing by spacing, in pixels; null for equal spacing between the
+     * outermost elements
+     */
+    getGap() {
+        const value = parseFloat(document.getElementById('distributeGap').value);
+        if (isNaN(value)) return null;
+
+        // convertPixels(1, unit) is the size of one pixel in the unit
+        const unit = document.getElementById('distributeGapUnit').value;
+        return value / this.editor.convertPixels(1, unit);
+    }
+
+    finish(description) {
+        this.editor.updateBoundingBox();
+        this.editor.updateTransformPanel();
+        this.editor.renderLayersPanel();
+        this.editor.historyManager.saveState(description);
+    }
+}
@@ -1,6 +1,10 @@
 /**
  * BoundingBoxManager
  * Manages bounding box display and transform handles for selected elements
+ *
+ * Clicking the selection again switches the handles to distort mode: edge handles skew
+ * and corner handles move a corner of the box freely, mapping the selection's path
+ * coordinates into the new quadrilateral with a perspective transformation.
  */
 class BoundingBoxManager {
     constructor(editor) {
@@ -14,6 +18,19 @@ class BoundingBoxManager {
         this.transformStartStates = new Map();
         this.transformStartCenters = new Map(); // Store center in element-local coords
         this.transformStartElementData = new Map(); // Store original element data for scaling
+        this.transformStartMatrices = new Map(); // Element-to-root matrices for distorting
+        this.mode = 'scale'; // 'scale' (scale and rotate handles) or 'distort' (skew and distort handles)
+        this.distortableTags = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+        this.distortPending = false; // Distort handle pressed, shapes not converted yet
+        this.skippedTags = []; // Tags of selected elements the current distort leaves alone
+    }
+
+    /**
+     * Switch between the scale/rotate handles and the skew/distort handles
+     */
+    toggleMode() {
+        this.mode = this.mode === 'distort' ? 'scale' : 'distort';
+        this.update();
     }
 
     create() {
@@ -107,6 +124,8 @@ class BoundingBoxManager {
         // Transform center is calculated from boundingBox when needed
 
         // Create resize handles (8 handles: corners and edges)
+        // In distort mode edge handles skew along their edge and corner handles move freely
+        const distort = this.mode === 'distort';
         const handlePositions = [
             { x: x - padding, y: y - padding, cursor: 'nw-resize', type: 'nw' }, // top-left
             { x: x + width / 2, y: y - padding, cursor: 'n-resize', type: 'n' }, // top
@@ -118,19 +137,21 @@ class BoundingBoxManager {
             { x: x - padding, y: y + height / 2, cursor: 'w-resize', type: 'w' } // left
         ];
 
+        const distortCursors = { n: 'ew-resize', s: 'ew-resize', e: 'ns-resize', w: 'ns-resize' };
+
         handlePositions.forEach(pos => {
             const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
             handle.setAttribute('cx', pos.x);
             handle.setAttribute('cy', pos.y);
             handle.setAttribute('r', '6');
-            handle.setAttribute('fill', '#ffffff');
-            handle.setAttribute('stroke', '#0078d4');
+            handle.setAttribute('fill', distort ? '#ff9800' : '#ffffff');
+            handle.setAttribute('stroke', distort ? '#ffffff' : '#0078d4');
             handle.setAttribute('stroke-width', '2');
             handle.setAttribute('class', 'bbox-handle');
             handle.setAttribute('data-type', pos.type);
             handle.setAttribute('data-handle-type', pos.type);
             handle.style.pointerEvents = 'all';
-            handle.style.cursor = pos.cursor;
+            handle.style.cursor = distort ? (distortCursors[pos.type] || 'move') : pos.cursor;
             handle.addEventListener('mousedown', (e) => {
                 e.stopPropagation();
                 e.preventDefault();
@@ -139,6 +160,12 @@ class BoundingBoxManager {
             this.boundingBoxOverlay.appendChild(handle);
         });
 
+        // Distort mode has no rotation handle
+        if (distort) {
+            this.editor.updateTemporaryUIElementTransforms();
+            return;
+        }
+
         // Create rotation handle (above the bounding box)
         const centerX = x + width / 2;
         const centerY = y + height / 2;
@@ -184,6 +211,10 @@ class BoundingBoxManager {
         this.isTransforming = true;
         this.transformHandle = handleType;
 
+        // Shapes become paths once the drag starts, so a click changes nothing
+        this.distortPending = this.mode === 'distort';
+        this.skippedTags = [];
+
         // Store initial mouse position and bounding box
         const point = this.editor.svgElement.createSVGPoint();
         point.x = e.clientX;
@@ -196,7 +227,13 @@ class BoundingBoxManager {
         };
 
         this.transformStartBBox = { ...this.boundingBox };
+        this.storeTransformStartData();
+    }
 
+    /**
+     * Store the state of each selected element at the start of a transform
+     */
+    storeTransformStartData() {
         // Store initial transforms for each element to calculate deltas
         this.transformStartStates = new Map();
         this.transformStartCenters = new Map(); // Store center in element-local coordinates
@@ -205,8 +242,11 @@ class BoundingBoxManager {
         const centerRootX = this.transformStartBBox.x + this.transformStartBBox.width / 2;
         const centerRootY = this.transformStartBBox.y + this.transformStartBBox.height / 2;
 
+        this.transformStartMatrices = new Map();
+
         this.editor.selectedElements.forEach(element => {
             this.transformStartStates.set(element, this.editor.getElementTransform(element));
+            this.transformStartMatrices.set(element, this.editor.pathGeometry.getElementToRootMatrix(element));
 
             // Store original element data for coordinate-level scaling
             // This prevents scaling from compounding on each mouse move
@@ -241,7 +281,12 @@ class BoundingBoxManager {
         const centerRootX = this.transformStartBBox.x + this.transformStartBBox.width / 2;
         const centerRootY = this.transformStartBBox.y + this.transformStartBBox.height / 2;
 
-        if (this.transformHandle === 'rotate') {
+        if (this.mode === 'distort') {
+            if (this.distortPending) {
+                this.startDistort();
+            }
+            this.distortSelection(svgPoint);
+        } else if (this.transformHandle === 'rotate') {
             // Calculate rotation angle
             const dx = svgPoint.x - centerRootX;
             const dy = svgPoint.y - centerRootY;
@@ -249,34 +294,32 @@ class BoundingBoxManager {
             const startDy = this.transformStart.y - centerRootY;
 
             const angle = Math.atan2(dy, dx) - Math.atan2(startDy, startDx);
-            const angleDeg = angle * (180 / Math.PI);
+
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
 
             // Apply rotation to all selected elements
             this.editor.selectedElements.forEach(element => {
-                // Use the stored center point in element-local coordinates (untransformed)
-                const centerLocal = this.transformStartCenters.get(element) || { x: centerRootX, y: centerRootY };
-
-                // Get initial transform state
-                const initialTransform = this.transformStartStates.get(element) || {};
-                const initialRotation = initialTransform.rotation || 0;
-
-                // Calculate new rotation relative to initial state
-                const newRotation = initialRotation + angleDeg;
-
-                // Get other transform values to preserve them
-                const currentTransform = this.editor.getElementTransform(element);
-
-                // Apply rotation about the center point (in element-local coords)
-                this.editor.setElementTransform(element, {
-                    x: currentTransform.x,
-                    y: currentTransform.y,
-                    rotation: newRotation,
-                    rotationCenterX: centerLocal.x,
-                    rotationCenterY: centerLocal.y,
-                    scaleX: currentTransform.scaleX,
-                    scaleY: currentTransform.scaleY,
-                    scaleCenterX: currentTransform.scaleCenterX,
-                    scaleCenterY: currentTransform.scaleCenterY
+                // Rotate from the initial transform, so the whole matrix is kept
+                const originalData = this.transformStartElementData.get(element);
+                if (originalData) {
+                    this.editor.restoreElementData(element, originalData);
+                }
+
+                // Rotate on screen about the element's center (stored in element-local coords)
+                const toRoot = this.transformStartMatrices.get(element);
+                const centerLocal = this.transformStartCenters.get(element);
+                const center = toRoot && centerLocal ?
+                    this.editor.pathGeometry.transformPoint(toRoot, centerLocal.x, centerLocal.y) :
+                    { x: centerRootX, y: centerRootY };
+
+                this.editor.applyRootMatrix(element, {
+                    a: cos,
+                    b: sin,
+                    c: -sin,
+                    d: cos,
+                    e: center.x - cos * center.x + sin * center.y,
+                    f: center.y - sin * center.x - cos * center.y
                 });
             });
         } else {
@@ -316,17 +359,13 @@ class BoundingBoxManager {
                     scaleY = currentDy / startDy;
                 }
 
-                // Ensure scale is always positive (take absolute value)
-                if (handle.x !== 0) {
-                    scaleX = Math.abs(scaleX);
-                }
-                if (handle.y !== 0) {
-                    scaleY = Math.abs(scaleY);
-                }
+                // Dragging a handle past the center gives a negative scale, which mirrors
 
-                // Maintain aspect ratio for corner handles (Shift key)
+                // Maintain aspect ratio for corner handles (Shift key), keeping each mirror
                 if (e.shiftKey && handle.x !== 0 && handle.y !== 0) {
-                    scaleX = scaleY = Math.max(scaleX, scaleY);
+                    const scale = Math.max(Math.abs(scaleX), Math.abs(scaleY));
+                    scaleX = scaleX < 0 ? -scale : scale;
+                    scaleY = scaleY < 0 ? -scale : scale;
                 }
             }
 
@@ -389,9 +428,181 @@ class BoundingBoxManager {
         this.editor.updateTransformPanel();
     }
 
+    /**
+     * First move of a distort drag: distorting works on path coordinates, so shapes
+     * become paths; elements that cannot be distorted are noted for endTransform
+     */
+    startDistort() {
+        this.distortPending = false;
+
+        // Text can be skewed through its transform, but not distorted
+        const isSkew = ['n', 's', 'e', 'w'].includes(this.transformHandle);
+        this.skippedTags = Array.from(this.editor.selectedElements)
+            .filter(element => !this.distortableTags.includes(element.tagName) &&
+                !(isSkew && element.tagName === 'text'))
+            .map(element => element.tagName);
+
+        if (this.convertShapesForDistort()) {
+            this.storeTransformStartData();
+        }
+    }
+
+    /**
+     * Replace the selected shapes with paths
+     * @returns {boolean} Whether any shape was replaced
+     */
+    convertShapesForDistort() {
+        const shapes = Array.from(this.editor.selectedElements)
+            .filter(element => element.tagName !== 'path' && this.distortableTags.includes(element.tagName));
+        if (shapes.length === 0) return false;
+
+        shapes.forEach(shape => {
+            this.editor.selectedElements.delete(shape);
+            const path = this.editor.shapeConverter.convertElement(shape);
+            path.classList.add('selected');
+            this.editor.selectedElements.add(path);
+        });
+        this.editor.extractLayers();
+        this.editor.renderLayersPanel();
+        return true;
+    }
+
+    /**
+     * Skew (edge handles) or freely distort (corner handles) the selection
+     * The opposite edge, or the other three corners, stay in place. Text can be skewed
+     * through its transform but not distorted.
+     * @param {Object} svgPoint - Mouse position in root coordinates
+     */
+    distortSelection(svgPoint) {
+        const box = this.transformStartBBox;
+        if (box.width < 1e-9 || box.height < 1e-9) return;
+
+        const geometry = this.editor.pathGeometry;
+        const dx = svgPoint.x - this.transformStart.x;
+        const dy = svgPoint.y - this.transformStart.y;
+        const left = box.x;
+        const top = box.y;
+        const right = box.x + box.width;
+        const bottom = box.y + box.height;
+
+        // Skews as root matrices
+        const skews = {
+            n: { a: 1, b: 0, c: -dx / box.height, d: 1, e: dx * bottom / box.height, f: 0 },
+            s: { a: 1, b: 0, c: dx / box.height, d: 1, e: -dx * top / box.height, f: 0 },
+            e: { a: 1, b: dy / box.width, c: 0, d: 1, e: 0, f: -dy * left / box.width },
+            w: { a: 1, b: -dy / box.width, c: 0, d: 1, e: 0, f: dy * right / box.width }
+        };
+        const skew = skews[this.transformHandle] || null;
+
+        let mapPoint = null;
+        if (!skew) {
+            const corners = {
+                nw: { x: left, y: top },
+                ne: { x: right, y: top },
+                se: { x: right, y: bottom },
+                sw: { x: left, y: bottom }
+            };
+            const corner = corners[this.transformHandle];
+            if (!corner) return;
+            corner.x += dx;
+            corner.y += dy;
+            mapPoint = this.getPerspectiveMapping(box, [corners.nw, corners.ne, corners.se, corners.sw]);
+        }
+
+        this.editor.selectedElements.forEach(element => {
+            const originalData = this.transformStartElementData.get(element);
+            if (originalData) {
+                this.editor.restoreElementData(element, originalData);
+            }
+
+            if (element.tagName === 'text') {
+                if (skew) {
+                    this.editor.applyRootMatrix(element, skew);
+                }
+                return;
+            }
+            if (element.tagName !== 'path') return;
+
+            const toRoot = this.transformStartMatrices.get(element);
+            const toLocal = toRoot ? geometry.invertMatrix(toRoot) : null;
+            if (!toLocal) return;
+
+            const commands = this.editor.parsePathData(element.getAttribute('d') || '');
+            let result;
+            if (skew) {
+                // Affine, so arcs can stay arcs
+                const local = geometry.multiplyMatrices(toLocal, geometry.multiplyMatrices(skew, toRoot));
+                result = geometry.transformCommands(commands, local);
+            } else {
+                // Nodes and control points are mapped; lines stay straight under perspective
+                const subpaths = geometry.commandsToSegments(commands);
+                subpaths.forEach(subpath => {
+                    subpath.segments.forEach(seg => {
+                        ['p0', 'c1', 'c2', 'p1'].forEach(key => {
+                            if (!seg[key]) return;
+                            const root = geometry.transformPoint(toRoot, seg[key].x, seg[key].y);
+                            const mapped = mapPoint(root);
+                            seg[key] = geometry.transformPoint(toLocal, mapped.x, mapped.y);
+                        });
+                    });
+                });
+                result = geometry.segmentsToCommands(subpaths);
+            }
+            element.setAttribute('d', this.editor.buildPathData(geometry.roundCommands(result)));
+        });
+    }
+
+    /**
+     * Perspective transformation that maps a rectangle onto a quadrilateral
+     * @param {Object} box - The rectangle {x, y, width, height}
+     * @param {Array} quad - Corners for the top-left, top-right, bottom-right and bottom-left
+     * @returns {Function} Maps a point {x, y} to its position in the quadrilateral
+     */
+    getPerspectiveMapping(box, quad) {
+        const [p0, p1, p2, p3] = quad;
+
+        // Projective map of the unit square onto the quadrilateral (Heckbert)
+        const sx = p0.x - p1.x + p2.x - p3.x;
+        const sy = p0.y - p1.y + p2.y - p3.y;
+        let g = 0;
+        let h = 0;
+        if (Math.abs(sx) > 1e-12 || Math.abs(sy) > 1e-12) {
+            const dx1 = p1.x - p2.x;
+            const dx2 = p3.x - p2.x;
+            const dy1 = p1.y - p2.y;
+            const dy2 = p3.y - p2.y;
+            const den = dx1 * dy2 - dx2 * dy1;
+            if (Math.abs(den) > 1e-12) {
+                g = (sx * dy2 - dx2 * sy) / den;
+                h = (dx1 * sy - sx * dy1) / den;
+            }
+        }
+        const a = p1.x - p0.x + g * p1.x;
+        const b = p3.x - p0.x + h * p3.x;
+        const d = p1.y - p0.y + g * p1.y;
+        const e = p3.y - p0.y + h * p3.y;
+
+        return (point) => {
+            const u = (point.x - box.x) / box.width;
+            const v = (point.y - box.y) / box.height;
+            const w = g * u + h * v + 1;
+            return {
+                x: (a * u + b * v + p0.x) / w,
+                y: (d * u + e * v + p0.y) / w
+            };
+        };
+    }
+
     endTransform() {
         this.isTransforming = false;
         this.transformHandle = null;
+        this.distortPending = false;
+
+        if (this.skippedTags.length > 0) {
+            const tags = [...new Set(this.skippedTags)].map(tag => `<${tag}>`).join(', ');
+            alert(`${this.skippedTags.length} of the selected elements could not be distorted (${tags})`);
+            this.skippedTags = [];
+        }
     }
 
     updateTransforms() {
@@ -0,0 +1,966 @@
+/**
+ * FontParser
+ * Reads glyph outlines, advance widths and kerning from font files
+ * Supports TrueType (glyf) and OpenType (CFF) outlines in TTF, OTF, TTC (first font) and
+ * WOFF files. Kerning comes from the GPOS 'kern' feature, or else from the kern table.
+ * Glyph outlines are path commands in font units, with y pointing up.
+ */
+class FontParser {
+    constructor(editor) {
+        this.editor = editor;
+    }
+
+    /**
+     * Parse a font file
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Promise<Object>} Font: names, metrics and the tables needed for outlines
+     */
+    async parse(buffer) {
+        const view = new DataView(buffer);
+        const signature = this.getTag(view, 0);
+        if (signature === 'wOF2') {
+            throw new Error('WOFF2 fonts are not supported, use a TTF, OTF or WOFF file');
+        }
+
+        let tables;
+        if (signature === 'wOFF') {
+            tables = await this.readWoffTables(view);
+        } else if (signature === 'ttcf') {
+            tables = this.readSfntTables(view, view.getUint32(12));
+        } else {
+            tables = this.readSfntTables(view, 0);
+        }
+
+        const required = ['head', 'hhea', 'hmtx', 'maxp', 'cmap'];
+        if (!required.every(tag => tables[tag]) || !((tables.glyf && tables.loca) || tables['CFF '])) {
+            throw new Error('Not a TrueType or OpenType font');
+        }
+
+        const names = tables.name ? this.readNames(tables.name) : {};
+        const os2 = tables['OS/2'];
+        const font = {
+            familyName: names[16] || names[1] || 'Unknown',
+            styleName: names[17] || names[2] || 'Regular',
+            weight: os2 ? os2.getUint16(4) : (tables.head.getUint16(44) & 1 ? 700 : 400),
+            italic: os2 ? (os2.getUint16(62) & 1) !== 0 : (tables.head.getUint16(44) & 2) !== 0,
+            unitsPerEm: tables.head.getUint16(18),
+            indexToLocFormat: tables.head.getInt16(50),
+            numGlyphs: tables.maxp.getUint16(4),
+            numberOfHMetrics: tables.hhea.getUint16(34),
+            tables,
+            cmap: this.readCmap(tables.cmap),
+            cff: tables['CFF '] && !tables.glyf ? this.readCff(tables['CFF ']) : null,
+            kerning: tables.kern ? this.readKernTable(tables.kern) : new Map(),
+            pairLookups: tables.GPOS ? this.readGposKerning(tables.GPOS) : [],
+            glyphCache: new Map()
+        };
+        return font;
+    }
+
+    getTag(view, offset) {
+        if (offset + 4 > view.byteLength) return '';
+        return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3));
+    }
+
+    /**
+     * Table directory of a TrueType/OpenType font
+     * @returns {Object} tag -> DataView of the table
+     */
+    readSfntTables(view, start) {
+        const tables = {};
+        const numTables = view.getUint16(start + 4);
+        for (let i = 0; i < numTables; i++) {
+            const record = start + 12 + i * 16;
+            const offset = view.getUint32(record + 8);
+            const length = view.getUint32(record + 12);
+            if (offset + length > view.byteLength) {
+                throw new Error('The font file is damaged');
+            }
+            tables[this.getTag(view, record)] = new DataView(view.buffer, view.byteOffset + offset, length);
+        }
+        return tables;
+    }
+
+    /**
+     * Table directory of a WOFF font; compressed tables are inflated
+     */
+    async readWoffTables(view) {
+        const tables = {};
+        const numTables = view.getUint16(12);
+        for (let i = 0; i < numTables; i++) {
+            const record = 44 + i * 20;
+            const offset = view.getUint32(record + 4);
+            const compLength = view.getUint32(record + 8);
+            const origLength = view.getUint32(record + 12);
+            if (offset + compLength > view.byteLength) {
+                throw new Error('The font file is damaged');
+            }
+
+            const data = new Uint8Array(view.buffer, view.byteOffset + offset, compLength);
+            const table = compLength < origLength ? await this.inflate(data) : data.slice().buffer;
+            tables[this.getTag(view, record)] = new DataView(table);
+        }
+        return tables;
+    }
+
+    /**
+     * Decompress zlib data
+     */
+    async inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Response(stream).arrayBuffer();
+    }
+
+    /**
+     * Family and style names (name IDs 1, 2, 16 and 17), English where there is a choice
+     */
+    readNames(view) {
+        const names = {};
+        const count = view.getUint16(2);
+        const stringOffset = view.getUint16(4);
+
+        for (let i = 0; i < count; i++) {
+            const record = 6 + i * 12;
+            const platform = view.getUint16(record);
+            const language = view.getUint16(record + 4);
+            const nameID = view.getUint16(record + 6);
+            const length = view.getUint16(record + 8);
+            const offset = stringOffset + view.getUint16(record + 10);
+            if (![1, 2, 16, 17].includes(nameID) || offset + length > view.byteLength) continue;
+
+            let value = '';
+            if (platform === 0 || platform === 3) {
+                for (let j = 0; j + 1 < length; j += 2) {
+                    value += String.fromCharCode(view.getUint16(offset + j));
+                }
+            } else if (platform === 1 && language === 0) {
+                for (let j = 0; j < length; j++) {
+                    value += String.fromCharCode(view.getUint8(offset + j));
+                }
+            } else {
+                continue;
+            }
+
+            if (!names[nameID] || (platform === 3 && language === 0x409)) {
+                names[nameID] = value;
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Character to glyph mapping from the best Unicode subtable (formats 4 and 12)
+     * @returns {Map} code point -> glyph index
+     */
+    readCmap(view) {
+        const subtables = [];
+        const count = view.getUint16(2);
+        for (let i = 0; i < count; i++) {
+            const record = 4 + i * 8;
+            const offset = view.getUint32(record + 4);
+            subtables.push({
+                platform: view.getUint16(record),
+                encoding: view.getUint16(record + 2),
+                offset,
+                format: view.getUint16(offset)
+            });
+        }
+
+        // Full Unicode first, then the Basic Multilingual Plane, then symbol fonts
+        const rank = (table) => {
+            const unicode = table.platform === 0 || (table.platform === 3 && (table.encoding === 1 || table.encoding === 10));
+            if (unicode && table.format === 12) return 3;
+            if (unicode && table.format === 4) return 2;
+            if (table.platform === 3 && table.encoding === 0 && table.format === 4) return 1;
+            return 0;
+        };
+        const best = subtables.sort((a, b) => rank(b) - rank(a))[0];
+        const map = new Map();
+        if (!best || rank(best) === 0) return map;
+
+        const o = best.offset;
+        if (best.format === 12) {
+            const groups = view.getUint32(o + 12);
+            for (let i = 0; i < groups; i++) {
+                const group = o + 16 + i * 12;
+                const start = view.getUint32(group);
+                const end = view.getUint32(group + 4);
+                const glyph = view.getUint32(group + 8);
+                for (let c = start; c <= end; c++) {
+                    map.set(c, glyph + c - start);
+                }
+            }
+        } else {
+            const segCountX2 = view.getUint16(o + 6);
+            const endCodes = o + 14;
+            const startCodes = endCodes + segCountX2 + 2;
+            const idDeltas = startCodes + segCountX2;
+            const idRangeOffsets = idDeltas + segCountX2;
+
+            for (let s = 0; s < segCountX2 / 2; s++) {
+                const end = view.getUint16(endCodes + s * 2);
+                const start = view.getUint16(startCodes + s * 2);
+                const delta = view.getUint16(idDeltas + s * 2);
+                const rangeOffset = view.getUint16(idRangeOffsets + s * 2);
+
+                for (let c = start; c <= end && c !== 0xFFFF; c++) {
+                    let glyph;
+                    if (rangeOffset === 0) {
+                        glyph = (c + delta) & 0xFFFF;
+                    } else {
+                        const address = idRangeOffsets + s * 2 + rangeOffset + (c - start) * 2;
+                        glyph = address + 2 <= view.byteLength ? view.getUint16(address) : 0;
+                        if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+                    }
+                    if (glyph !== 0) map.set(c, glyph);
+                }
+            }
+
+            // Symbol fonts put their characters at U+F000-F0FF
+            if (best.platform === 3 && best.encoding === 0) {
+                for (let c = 0xF000; c <= 0xF0FF; c++) {
+                    if (map.has(c) && !map.has(c - 0xF000)) map.set(c - 0xF000, map.get(c));
+                }
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Glyph for a character, 0 (the missing glyph) when the font doesn't have it
+     */
+    getGlyphIndex(font, codePoint) {
+        return font.cmap.get(codePoint) || 0;
+    }
+
+    getAdvanceWidth(font, index) {
+        const hmtx = font.tables.hmtx;
+        const metric = Math.min(index, font.numberOfHMetrics - 1);
+        return hmtx.getUint16(metric * 4);
+    }
+
+    /**
+     * Outline of a glyph
+     * @returns {Array} Path commands (M, L, Q, C, Z) in font units, y up
+     */
+    getGlyphCommands(font, index) {
+        if (!font.glyphCache.has(index)) {
+            const commands = index < font.numGlyphs ?
+                (font.cff ? this.getCffGlyph(font, index) : this.getTrueTypeGlyph(font, index, 0)) : [];
+            font.glyphCache.set(index, commands);
+        }
+        return font.glyphCache.get(index);
+    }
+
+    /**
+     * Kerning between two glyphs, in font units
+     */
+    getKerning(font, left, right) {
+        if (font.pairLookups.length > 0) {
+            return font.pairLookups.reduce((sum, subtables) => {
+                for (const subtable of subtables) {
+                    const value = this.getPairAdjustment(subtable, left, right);
+                    if (value !== null) return sum + value;
+                }
+                return sum;
+            }, 0);
+        }
+        return font.kerning.get(left * 65536 + right) || 0;
+    }
+
+    // TrueType outlines
+
+    getTrueTypeGlyph(font, index, depth) {
+        const loca = font.tables.loca;
+        const glyf = font.tables.glyf;
+        const short = font.indexToLocFormat === 0;
+        const offset = short ? loca.getUint16(index * 2) * 2 : loca.getUint32(index * 4);
+        const next = short ? loca.getUint16(index * 2 + 2) * 2 : loca.getUint32(index * 4 + 4);
+        if (next <= offset || offset + 10 > glyf.byteLength) return []; // No outline (space)
+
+        const contours = glyf.getInt16(offset);
+        return contours >= 0 ?
+            this.readSimpleGlyph(glyf, offset, contours) :
+            this.readCompositeGlyph(font, glyf, offset, depth);
+    }
+
+    readSimpleGlyph(glyf, offset, contours) {
+        let p = offset + 10;
+        const endPoints = [];
+        for (let i = 0; i < contours; i++) {
+            endPoints.push(glyf.getUint16(p));
+            p += 2;
+        }
+        const count = contours > 0 ? endPoints[contours - 1] + 1 : 0;
+        p += 2 + glyf.getUint16(p); // Skip the instructions
+
+        const flags = [];
+        while (flags.length < count) {
+            const flag = glyf.getUint8(p++);
+            flags.push(flag);
+            if (flag & 8) {
+                let repeat = glyf.getUint8(p++);
+                while (repeat-- > 0) flags.push(flag);
+            }
+        }
+
+        // Coordinates are deltas: one byte with a sign flag, repeated, or two bytes
+        const readCoordinates = (shortBit, sameBit) => {
+            const values = [];
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                const flag = flags[i];
+                if (flag & shortBit) {
+                    const delta = glyf.getUint8(p++);
+                    value += flag & sameBit ? delta : -delta;
+                } else if (!(flag & sameBit)) {
+                    value += glyf.getInt16(p);
+                    p += 2;
+                }
+                values.push(value);
+            }
+            return values;
+        };
+        const xs = readCoordinates(2, 16);
+        const ys = readCoordinates(4, 32);
+
+        const commands = [];
+        let first = 0;
+        endPoints.forEach(last => {
+            const points = [];
+            for (let i = first; i <= last; i++) {
+                points.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 1) !== 0 });
+            }
+            commands.push(...this.quadraticContourCommands(points));
+            first = last + 1;
+        });
+        return commands;
+    }
+
+    /**
+     * Commands for a TrueType contour: on-curve points joined by lines or quadratic
+     * curves, with an implied on-curve point between two control points
+     */
+    quadraticContourCommands(points) {
+        const n = points.length;
+        if (n === 0) return [];
+
+        const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const firstOn = points.findIndex(point => point.onCurve);
+        const start = firstOn >= 0 ? points[firstOn] : midpoint(points[n - 1], points[0]);
+        const order = [];
+        for (let i = 1; i <= n; i++) {
+            order.push(points[((firstOn >= 0 ? firstOn : -1) + i) % n]);
+        }
+
+        const commands = [{ type: 'M', x: start.x, y: start.y }];
+        let control = null;
+        order.forEach(point => {
+            if (point.onCurve) {
+                if (control) {
+                    commands.push({ type: 'Q', x1: control.x, y1: control.y, x: point.x, y: point.y });
+                } else {
+                    commands.push({ type: 'L', x: point.x, y: point.y });
+                }
+                control = null;
+            } else {
+                if (control) {
+                    const mid = midpoint(control, point);
+                    commands.push({ type: 'Q', x1: control.x, y1: control.y, x: mid.x, y: mid.y });
+                }
+                control = point;
+            }
+        });
+        if (control) {
+            commands.push({ type: 'Q', x1: control.x, y1: control.y, x: start.x, y: start.y });
+        }
+
+        // Z draws the closing line
+        const last = commands[commands.length - 1];
+        if (commands.length > 1 && last.type === 'L' && last.x === start.x && last.y === start.y) {
+            commands.pop();
+        }
+        commands.push({ type: 'Z' });
+        return commands;
+    }
+
+    readCompositeGlyph(font, glyf, offset, depth) {
+        const commands = [];
+        const f2dot14 = (position) => glyf.getInt16(position) / 16384;
+        let p = offset + 10;
+        let flags;
+
+        do {
+            flags = glyf.getUint16(p);
+            const glyphIndex = glyf.getUint16(p + 2);
+            p += 4;
+
+            let dx;
+            let dy;
+            if (flags & 1) {
+                dx = glyf.getInt16(p);
+                dy = glyf.getInt16(p + 2);
+                p += 4;
+            } else {
+                dx = glyf.getInt8(p);
+                dy = glyf.getInt8(p + 1);
+                p += 2;
+            }
+            // Components placed by matching points are left in place
+            if (!(flags & 2)) {
+                dx = 0;
+                dy = 0;
+            }
+
+            const m = { a: 1, b: 0, c: 0, d: 1, e: dx, f: dy };
+            if (flags & 8) {
+                m.a = m.d = f2dot14(p);
+                p += 2;
+            } else if (flags & 0x40) {
+                m.a = f2dot14(p);
+                m.d = f2dot14(p + 2);
+                p += 4;
+            } else if (flags & 0x80) {
+                m.a = f2dot14(p);
+                m.b = f2dot14(p + 2);
+                m.c = f2dot14(p + 4);
+                m.d = f2dot14(p + 6);
+                p += 8;
+            }
+
+            // Guard against components that include themselves
+            if (depth < 8) {
+                const component = this.getTrueTypeGlyph(font, glyphIndex, depth + 1);
+                commands.push(...this.editor.pathGeometry.transformCommands(component, m));
+            }
+        } while (flags & 0x20);
+
+        return commands;
+    }
+
+    // CFF outlines
+
+    /**
+     * An INDEX structure: a list of byte ranges
+     * @returns {Object} {items: [{start, end}], end}
+     */
+    readIndex(view, offset) {
+        const count = view.getUint16(offset);
+        if (count === 0) return { items: [], end: offset + 2 };
+
+        const offSize = view.getUint8(offset + 2);
+        const readOffset = (i) => {
+            let value = 0;
+            for (let j = 0; j < offSize; j++) {
+                value = value * 256 + view.getUint8(offset + 3 + i * offSize + j);
+            }
+            return value;
+        };
+
+        // Offsets count from the byte before the data
+        const dataStart = offset + 3 + (count + 1) * offSize - 1;
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            items.push({ start: dataStart + readOffset(i), end: dataStart + readOffset(i + 1) });
+        }
+        return { items, end: dataStart + readOffset(count) };
+    }
+
+    /**
+     * A DICT structure
+     * @returns {Object} operator -> operands (two-byte operators are 1200 + second byte)
+     */
+    readDict(view, start, end) {
+        const dict = {};
+        let operands = [];
+        let p = start;
+
+        while (p < end) {
+            const b0 = view.getUint8(p++);
+            if (b0 <= 21) {
+                const operator = b0 === 12 ? 1200 + view.getUint8(p++) : b0;
+                dict[operator] = operands;
+                operands = [];
+            } else if (b0 === 28) {
+                operands.push(view.getInt16(p));
+                p += 2;
+            } else if (b0 === 29) {
+                operands.push(view.getInt32(p));
+                p += 4;
+            } else if (b0 === 30) {
+                // Real number in nibbles
+                let text = '';
+                const symbols = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-'];
+                let done = false;
+                while (!done && p < end) {
+                    const byte = view.getUint8(p++);
+                    [byte >> 4, byte & 15].forEach(nibble => {
+                        if (nibble === 15) done = true;
+                        if (!done) text += symbols[nibble];
+                    });
+                }
+                operands.push(parseFloat(text) || 0);
+            } else if (b0 >= 32 && b0 <= 246) {
+                operands.push(b0 - 139);
+            } else if (b0 >= 247 && b0 <= 250) {
+                operands.push((b0 - 247) * 256 + view.getUint8(p++) + 108);
+            } else if (b0 >= 251 && b0 <= 254) {
+                operands.push(-(b0 - 251) * 256 - view.getUint8(p++) - 108);
+            }
+        }
+        return dict;
+    }
+
+    /**
+     * CharStrings and subroutines of a CFF table (CID-keyed fonts included)
+     */
+    readCff(view) {
+        const nameIndex = this.readIndex(view, view.getUint8(2));
+        const topDictIndex = this.readIndex(view, nameIndex.end);
+        const stringIndex = this.readIndex(view, topDictIndex.end);
+        const globalSubrs = this.readIndex(view, stringIndex.end);
+
+        const topItem = topDictIndex.items[0];
+        const topDict = this.readDict(view, topItem.start, topItem.end);
+        if (!topDict[17]) throw new Error('The font has no glyph outlines');
+
+        const readPrivateSubrs = (privateOperands) => {
+            if (!privateOperands || privateOperands.length < 2) return { items: [] };
+            const [size, offset] = privateOperands;
+            const privateDict = this.readDict(view, offset, offset + size);
+            return privateDict[19] ? this.readIndex(view, offset + privateDict[19][0]) : { items: [] };
+        };
+
+        const cff = {
+            view,
+            charStrings: this.readIndex(view, topDict[17][0]),
+            globalSubrs,
+            subrs: readPrivateSubrs(topDict[18]),
+            fdSubrs: null,
+            fdSelect: null
+        };
+
+        // CID-keyed fonts pick a font dict, with its own subroutines, per glyph
+        if (topDict[1236] && topDict[1237]) {
+            const fdArray = this.readIndex(view, topDict[1236][0]);
+            cff.fdSubrs = fdArray.items.map(item => readPrivateSubrs(this.readDict(view, item.start, item.end)[18]));
+            cff.fdSelect = topDict[1237][0];
+        }
+        return cff;
+    }
+
+    /**
+     * Font dict of a glyph in a CID-keyed font
+     */
+    getFontDictIndex(cff, glyph) {
+        const view = cff.view;
+        const offset = cff.fdSelect;
+        const format = view.getUint8(offset);
+        if (format === 0) return view.getUint8(offset + 1 + glyph);
+        if (format === 3) {
+            const ranges = view.getUint16(offset + 1);
+            for (let i = 0; i < ranges; i++) {
+                const range = offset + 3 + i * 3;
+                const next = view.getUint16(range + 3); // Next range's first glyph, or the sentinel
+                if (glyph >= view.getUint16(range) && glyph < next) return view.getUint8(range + 2);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Run a Type 2 charstring
+     */
+    getCffGlyph(font, index) {
+        const cff = font.cff;
+        const item = cff.charStrings.items[index];
+        if (!item) return [];
+
+        const view = cff.view;
+        const localSubrs = cff.fdSubrs ? (cff.fdSubrs[this.getFontDictIndex(cff, index)] || { items: [] }) : cff.subrs;
+        const bias = (subrs) => subrs.items.length < 1240 ? 107 : subrs.items.length < 33900 ? 1131 : 32768;
+
+        const commands = [];
+        let stack = [];
+        let stems = 0;
+        let haveWidth = false;
+        let open = false;
+        let done = false;
+        let x = 0;
+        let y = 0;
+
+        const moveTo = (dx, dy) => {
+            if (open) commands.push({ type: 'Z' });
+            x += dx;
+            y += dy;
+            commands.push({ type: 'M', x, y });
+            open = true;
+        };
+        const lineTo = (dx, dy) => {
+            x += dx;
+            y += dy;
+            commands.push({ type: 'L', x, y });
+        };
+        const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+            const x1 = x + dx1;
+            const y1 = y + dy1;
+            const x2 = x1 + dx2;
+            const y2 = y1 + dy2;
+            x = x2 + dx3;
+            y = y2 + dy3;
+            commands.push({ type: 'C', x1, y1, x2, y2, x, y });
+        };
+
+        // The first stack-clearing operator may carry the advance width first - drop it
+        const dropWidth = (argumentCount) => {
+            if (!haveWidth && stack.length > argumentCount) stack.shift();
+            haveWidth = true;
+        };
+        const addStems = () => {
+            dropWidth(stack.length - (stack.length % 2));
+            stems += stack.length >> 1;
+        };
+
+        const run = (start, end, depth) => {
+            let p = start;
+            while (p < end && !done) {
+                const b0 = view.getUint8(p++);
+
+                // Operands
+                if (b0 === 28) {
+                    stack.push(view.getInt16(p));
+                    p += 2;
+                    continue;
+                }
+                if (b0 >= 32) {
+                    if (b0 <= 246) {
+                        stack.push(b0 - 139);
+                    } else if (b0 <= 250) {
+                        stack.push((b0 - 247) * 256 + view.getUint8(p++) + 108);
+                    } else if (b0 <= 254) {
+                        stack.push(-(b0 - 251) * 256 - view.getUint8(p++) - 108);
+                    } else {
+                        stack.push(view.getInt32(p) / 65536);
+                        p += 4;
+                    }
+                    continue;
+                }
+
+                const s = stack;
+                const n = s.length;
+                switch (b0) {
+                    case 1: // hstem
+                    case 3: // vstem
+                    case 18: // hstemhm
+                    case 23: // vstemhm
+                        addStems();
+                        break;
+                    case 19: // hintmask
+                    case 20: // cntrmask
+                        addStems();
+                        p += (stems + 7) >> 3;
+                        break;
+                    case 21: // rmoveto
+                        dropWidth(2);
+                        moveTo(s[s.length - 2], s[s.length - 1]);
+                        break;
+                    case 22: // hmoveto
+                        dropWidth(1);
+                        moveTo(s[s.length - 1], 0);
+                        break;
+                    case 4: // vmoveto
+                        dropWidth(1);
+                        moveTo(0, s[s.length - 1]);
+                        break;
+                    case 5: // rlineto
+                        for (let i = 0; i + 1 < n; i += 2) lineTo(s[i], s[i + 1]);
+                        break;
+                    case 6: // hlineto
+                    case 7: // vlineto
+                        for (let i = 0; i < n; i++) {
+                            if ((b0 === 6) === (i % 2 === 0)) {
+                                lineTo(s[i], 0);
+                            } else {
+                                lineTo(0, s[i]);
+                            }
+                        }
+                        break;
+                    case 8: // rrcurveto
+                        for (let i = 0; i + 5 < n; i += 6) curveTo(s[i], s[i + 1], s[i + 2], s[i + 3], s[i + 4], s[i + 5]);
+                        break;
+                    case 24: { // rcurveline
+                        let i = 0;
+                        for (; i + 7 < n; i += 6) curveTo(s[i], s[i + 1], s[i + 2], s[i + 3], s[i + 4], s[i + 5]);
+                        lineTo(s[i], s[i + 1]);
+                        break;
+                    }
+                    case 25: { // rlinecurve
+                        let i = 0;
+                        for (; i + 7 < n; i += 2) lineTo(s[i], s[i + 1]);
+                        curveTo(s[i], s[i + 1], s[i + 2], s[i + 3], s[i + 4], s[i + 5]);
+                        break;
+                    }
+                    case 26: { // vvcurveto
+                        let i = n % 2;
+                        let dx1 = i ? s[0] : 0;
+                        for (; i + 3 < n; i += 4) {
+                            curveTo(dx1, s[i], s[i + 1], s[i + 2], 0, s[i + 3]);
+                            dx1 = 0;
+                        }
+                        break;
+                    }
+                    case 27: { // hhcurveto
+                        let i = n % 2;
+                        let dy1 = i ? s[0] : 0;
+                        for (; i + 3 < n; i += 4) {
+                            curveTo(s[i], dy1, s[i + 1], s[i + 2], s[i + 3], 0);
+                            dy1 = 0;
+                        }
+                        break;
+                    }
+                    case 30: // vhcurveto
+                    case 31: { // hvcurveto
+                        let vertical = b0 === 30;
+                        for (let i = 0; i + 3 < n; i += 4) {
+                            const last = n - i === 5 ? s[i + 4] : 0;
+                            if (vertical) {
+                                curveTo(0, s[i], s[i + 1], s[i + 2], s[i + 3], last);
+                            } else {
+                                curveTo(s[i], 0, s[i + 1], s[i + 2], last, s[i + 3]);
+                            }
+                            vertical = !vertical;
+                        }
+                        break;
+                    }
+                    case 10: // callsubr
+                    case 29: { // callgsubr
+                        const subrs = b0 === 10 ? localSubrs : cff.globalSubrs;
+                        const subr = subrs.items[stack.pop() + bias(subrs)];
+                        if (subr && depth < 10) run(subr.start, subr.end, depth + 1);
+                        continue; // The stack carries over
+                    }
+                    case 11: // return
+                        return;
+                    case 14: // endchar
+                        dropWidth(0);
+                        done = true;
+                        break;
+                    case 12: { // Flex operators
+                        const b1 = view.getUint8(p++);
+                        if (b1 === 35) { // flex
+                            curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                            curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                        } else if (b1 === 34) { // hflex
+                            curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                            curveTo(s[4], 0, s[5], -s[2], s[6], 0);
+                        } else if (b1 === 36) { // hflex1
+                            curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                            curveTo(s[5], 0, s[6], s[7], s[8], -(s[1] + s[3] + s[7]));
+                        } else if (b1 === 37) { // flex1
+                            const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                            const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                            curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                            if (Math.abs(dx) > Math.abs(dy)) {
+                                curveTo(s[6], s[7], s[8], s[9], s[10], -dy);
+                            } else {
+                                curveTo(s[6], s[7], s[8], s[9], -dx, s[10]);
+                            }
+                        }
+                        break;
+                    }
+                    default:
+                        break;
+                }
+                stack = [];
+            }
+        };
+
+        run(item.start, item.end, 0);
+        if (open) commands.push({ type: 'Z' });
+        return commands;
+    }
+
+    // Kerning
+
+    /**
+     * Pairs of the kern table's horizontal format 0 subtables
+     * @returns {Map} left * 65536 + right -> value
+     */
+    readKernTable(view) {
+        const pairs = new Map();
+        if (view.getUint16(0) !== 0) return pairs; // Apple's version is not supported
+
+        const count = view.getUint16(2);
+        let p = 4;
+        for (let t = 0; t < count && p + 6 <= view.byteLength; t++) {
+            const length = view.getUint16(p + 2);
+            const coverage = view.getUint16(p + 4);
+            if ((coverage >> 8) === 0 && (coverage & 1)) {
+                const nPairs = view.getUint16(p + 6);
+                for (let i = 0; i < nPairs; i++) {
+                    const pair = p + 14 + i * 6;
+                    if (pair + 6 > view.byteLength) break;
+                    pairs.set(view.getUint16(pair) * 65536 + view.getUint16(pair + 2), view.getInt16(pair + 4));
+                }
+            }
+            p += length;
+        }
+        return pairs;
+    }
+
+    /**
+     * Pair adjustment subtables of the GPOS 'kern' feature, grouped by lookup
+     * @returns {Array} Lookups, each an array of subtables
+     */
+    readGposKerning(view) {
+        const featureList = view.getUint16(6);
+        const lookupList = view.getUint16(8);
+
+        const lookupIndices = new Set();
+        const featureCount = view.getUint16(featureList);
+        for (let i = 0; i < featureCount; i++) {
+            const record = featureList + 2 + i * 6;
+            if (this.getTag(view, record) !== 'kern') continue;
+            const feature = featureList + view.getUint16(record + 4);
+            const count = view.getUint16(feature + 2);
+            for (let j = 0; j < count; j++) {
+                lookupIndices.add(view.getUint16(feature + 4 + j * 2));
+            }
+        }
+
+        const lookups = [];
+        Array.from(lookupIndices).sort((a, b) => a - b).forEach(index => {
+            const lookup = lookupList + view.getUint16(lookupList + 2 + index * 2);
+            const type = view.getUint16(lookup);
+            const count = view.getUint16(lookup + 4);
+            const subtables = [];
+            for (let k = 0; k < count; k++) {
+                let subtable = lookup + view.getUint16(lookup + 6 + k * 2);
+                let subtableType = type;
+                // Extension lookups point to the real subtable
+                if (type === 9) {
+                    subtableType = view.getUint16(subtable + 2);
+                    subtable += view.getUint32(subtable + 4);
+                }
+                if (subtableType === 2) {
+                    subtables.push(this.readPairSubtable(view, subtable));
+                }
+            }
+            if (subtables.length > 0) lookups.push(subtables);
+        });
+        return lookups;
+    }
+
+    readPairSubtable(view, offset) {
+        const valueFormat1 = view.getUint16(offset + 4);
+        const valueFormat2 = view.getUint16(offset + 6);
+        const valueSize = (format) => {
+            let bits = 0;
+            for (let f = format & 0xFF; f; f >>= 1) bits += f & 1;
+            return bits * 2;
+        };
+
+        // Only the first glyph's horizontal advance is used for kerning
+        const subtable = {
+            view,
+            offset,
+            format: view.getUint16(offset),
+            coverage: this.readCoverage(view, offset + view.getUint16(offset + 2)),
+            size1: valueSize(valueFormat1),
+            size2: valueSize(valueFormat2),
+            advanceOffset: valueFormat1 & 4 ? ((valueFormat1 & 1) + ((valueFormat1 >> 1) & 1)) * 2 : null
+        };
+        if (subtable.format === 2) {
+            subtable.classDef1 = this.readClassDef(view, offset + view.getUint16(offset + 8));
+            subtable.classDef2 = this.readClassDef(view, offset + view.getUint16(offset + 10));
+            subtable.class2Count = view.getUint16(offset + 14);
+        }
+        return subtable;
+    }
+
+    /**
+     * @returns {Map} glyph -> coverage index
+     */
+    readCoverage(view, offset) {
+        const coverage = new Map();
+        const format = view.getUint16(offset);
+        const count = view.getUint16(offset + 2);
+        for (let i = 0; i < count; i++) {
+            if (format === 1) {
+                coverage.set(view.getUint16(offset + 4 + i * 2), i);
+            } else {
+                const range = offset + 4 + i * 6;
+                const start = view.getUint16(range);
+                const end = view.getUint16(range + 2);
+                const startIndex = view.getUint16(range + 4);
+                for (let g = start; g <= end; g++) coverage.set(g, startIndex + g - start);
+            }
+        }
+        return coverage;
+    }
+
+    /**
+     * @returns {Map} glyph -> class (glyphs not listed are class 0)
+     */
+    readClassDef(view, offset) {
+        const classes = new Map();
+        const format = view.getUint16(offset);
+        if (format === 1) {
+            const startGlyph = view.getUint16(offset + 2);
+            const count = view.getUint16(offset + 4);
+            for (let i = 0; i < count; i++) {
+                classes.set(startGlyph + i, view.getUint16(offset + 6 + i * 2));
+            }
+        } else if (format === 2) {
+            const count = view.getUint16(offset + 2);
+            for (let i = 0; i < count; i++) {
+                const range = offset + 4 + i * 6;
+                const value = view.getUint16(range + 4);
+                for (let g = view.getUint16(range); g <= view.getUint16(range + 2); g++) classes.set(g, value);
+            }
+        }
+        return classes;
+    }
+
+    /**
+     * Advance adjustment of a pair subtable, or null when it doesn't cover the pair
+     */
+    getPairAdjustment(subtable, left, right) {
+        const coverageIndex = subtable.coverage.get(left);
+        if (coverageIndex === undefined) return null;
+
+        const { view, offset } = subtable;
+        const recordSize = subtable.size1 + subtable.size2;
+        const readAdvance = (record) => subtable.advanceOffset === null ? 0 : view.getInt16(record + subtable.advanceOffset);
+
+        if (subtable.format === 1) {
+            const pairSet = offset + view.getUint16(offset + 10 + coverageIndex * 2);
+            const count = view.getUint16(pairSet);
+            const size = 2 + recordSize;
+            // Records are sorted by the second glyph
+            let low = 0;
+            let high = count - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                const record = pairSet + 2 + mid * size;
+                const second = view.getUint16(record);
+                if (second === right) return readAdvance(record + 2);
+                if (second < right) {
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return null;
+        }
+
+        if (subtable.format === 2) {
+            const class1 = subtable.classDef1.get(left) || 0;
+            const class2 = subtable.classDef2.get(right) || 0;
+            const record = offset + 16 + (class1 * subtable.class2Count + class2) * recordSize;
+            return readAdvance(record);
+        }
+        return null;
+    }
+}
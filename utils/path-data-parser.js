@@ -0,0 +1,375 @@
+/**
+ * PathDataParser
+ * Parses SVG path data into absolute commands and serializes commands back to path data
+ * Implements the full SVG path grammar: M, L, H, V, C, S, Q, T, A and Z (absolute and relative),
+ * implicit repeated commands, exponent numbers (1e-3) and packed numbers (0.5.5)
+ */
+class PathDataParser {
+    constructor(editor) {
+        this.editor = editor;
+
+        // Parameter layout for each command: 'n' = number, 'f' = arc flag (0 or 1)
+        this.commandParameters = {
+            M: 'nn',
+            L: 'nn',
+            H: 'n',
+            V: 'n',
+            C: 'nnnnnn',
+            S: 'nnnn',
+            Q: 'nnnn',
+            T: 'nn',
+            A: 'nnnffnn',
+            Z: ''
+        };
+
+        this.numberRegex = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    }
+
+    /**
+     * Parse path data into an array of absolute commands
+     * Every command keeps its own type so that serialize() can write it back unchanged.
+     * All drawing commands carry their end point as x/y (H and V included), curves carry
+     * their control points as x1/y1 and x2/y2 (implicit S/T control points are resolved),
+     * and arcs carry rx, ry, rotation, largeArc and sweep.
+     * Parsing stops at the first error, like browsers render a path up to the error.
+     * @param {string} pathData - The value of a path's d attribute
+     * @returns {Array} Array of command objects
+     */
+    parse(pathData) {
+        const commands = [];
+        if (!pathData) return commands;
+
+        const data = String(pathData);
+        let pos = 0;
+
+        // Current point, start of current subpath and last control points (for S/T reflection)
+        let currentX = 0;
+        let currentY = 0;
+        let subpathX = 0;
+        let subpathY = 0;
+        let lastCubicControl = null;
+        let lastQuadControl = null;
+
+        let previousLetter = null;
+
+        const skipSeparators = () => {
+            while (pos < data.length) {
+                const ch = data[pos];
+                if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\f' || ch === ',') {
+                    pos++;
+                } else {
+                    break;
+                }
+            }
+        };
+
+        const readNumber = () => {
+            skipSeparators();
+            this.numberRegex.lastIndex = pos;
+            const match = this.numberRegex.exec(data);
+            if (!match) return null;
+            pos = this.numberRegex.lastIndex;
+            return parseFloat(match[0]);
+        };
+
+        const readFlag = () => {
+            skipSeparators();
+            const ch = data[pos];
+            if (ch !== '0' && ch !== '1') return null;
+            pos++;
+            return ch === '1' ? 1 : 0;
+        };
+
+        const readParameters = (layout) => {
+            const values = [];
+            for (let i = 0; i < layout.length; i++) {
+                const value = layout[i] === 'f' ? readFlag() : readNumber();
+                if (value === null) return null;
+                values.push(value);
+            }
+            return values;
+        };
+
+        while (true) {
+            skipSeparators();
+            if (pos >= data.length) break;
+
+            let letter = data[pos];
+            const upper = letter.toUpperCase();
+
+            if (this.commandParameters[upper] !== undefined && /[a-zA-Z]/.test(letter)) {
+                pos++;
+            } else if (previousLetter && previousLetter.toUpperCase() !== 'Z') {
+                // Implicit repeated command: parameters without a command letter
+                // Extra coordinate pairs after a moveto are treated as lineto
+                letter = previousLetter;
+                if (letter === 'M') letter = 'L';
+                if (letter === 'm') letter = 'l';
+            } else {
+                console.warn(`Invalid path data at position ${pos}: "${data.slice(pos, pos + 10)}"`);
+                break;
+            }
+
+            const type = letter.toUpperCase();
+            const isRelative = letter !== type;
+
+            // Path data must begin with a moveto
+            if (commands.length === 0 && type !== 'M') {
+                console.warn('Invalid path data: path must start with a moveto command');
+                break;
+            }
+
+            if (type === 'Z') {
+                commands.push({ type: 'Z' });
+                currentX = subpathX;
+                currentY = subpathY;
+                lastCubicControl = null;
+                lastQuadControl = null;
+                previousLetter = letter;
+                continue;
+            }
+
+            const values = readParameters(this.commandParameters[type]);
+            if (!values) {
+                console.warn(`Invalid path data at position ${pos}: missing parameters for "${letter}"`);
+                break;
+            }
+
+            const offsetX = isRelative ? currentX : 0;
+            const offsetY = isRelative ? currentY : 0;
+            let cmd;
+
+            switch (type) {
+                case 'M':
+                    cmd = { type: 'M', x: values[0] + offsetX, y: values[1] + offsetY };
+                    subpathX = cmd.x;
+                    subpathY = cmd.y;
+                    break;
+                case 'L':
+                    cmd = { type: 'L', x: values[0] + offsetX, y: values[1] + offsetY };
+                    break;
+                case 'H':
+                    cmd = { type: 'H', x: values[0] + offsetX, y: currentY };
+                    break;
+                case 'V':
+                    cmd = { type: 'V', x: currentX, y: values[0] + offsetY };
+                    break;
+                case 'C':
+                    cmd = {
+                        type: 'C',
+                        x1: values[0] + offsetX,
+                        y1: values[1] + offsetY,
+                        x2: values[2] + offsetX,
+                        y2: values[3] + offsetY,
+                        x: values[4] + offsetX,
+                        y: values[5] + offsetY
+                    };
+                    break;
+                case 'S': {
+                    // First control point is the reflection of the previous cubic's second control point
+                    const reflected = lastCubicControl ?
+                        { x: 2 * currentX - lastCubicControl.x, y: 2 * currentY - lastCubicControl.y } :
+                        { x: currentX, y: currentY };
+                    cmd = {
+                        type: 'S',
+                        x1: reflected.x,
+                        y1: reflected.y,
+                        x2: values[0] + offsetX,
+                        y2: values[1] + offsetY,
+                        x: values[2] + offsetX,
+                        y: values[3] + offsetY
+                    };
+                    break;
+                }
+                case 'Q':
+                    cmd = {
+                        type: 'Q',
+                        x1: values[0] + offsetX,
+                        y1: values[1] + offsetY,
+                        x: values[2] + offsetX,
+                        y: values[3] + offsetY
+                    };
+                    break;
+                case 'T': {
+                    // Control point is the reflection of the previous quadratic's control point
+                    const reflected = lastQuadControl ?
+                        { x: 2 * currentX - lastQuadControl.x, y: 2 * currentY - lastQuadControl.y } :
+                        { x: currentX, y: currentY };
+                    cmd = {
+                        type: 'T',
+                        x1: reflected.x,
+                        y1: reflected.y,
+                        x: values[0] + offsetX,
+                        y: values[1] + offsetY
+                    };
+                    break;
+                }
+                case 'A':
+                    cmd = {
+                        type: 'A',
+                        rx: Math.abs(values[0]),
+                        ry: Math.abs(values[1]),
+                        rotation: values[2],
+                        largeArc: values[3],
+                        sweep: values[4],
+                        x: values[5] + offsetX,
+                        y: values[6] + offsetY
+                    };
+                    break;
+            }
+
+            commands.push(cmd);
+
+            // Track control points for smooth curve reflection
+            lastCubicControl = (type === 'C' || type === 'S') ? { x: cmd.x2, y: cmd.y2 } : null;
+            lastQuadControl = (type === 'Q' || type === 'T') ? { x: cmd.x1, y: cmd.y1 } : null;
+
+            currentX = cmd.x;
+            currentY = cmd.y;
+            previousLetter = letter;
+        }
+
+        return commands;
+    }
+
+    /**
+     * Serialize absolute commands back to path data
+     * Commands are written with their own type whenever the type can still represent the
+     * geometry; otherwise the equivalent general form is written (H/V become L when the
+     * node moved off the axis, S/T become C/Q when their first control point was edited),
+     * so no edit can silently change the shape.
+     * @param {Array} commands - Array of command objects (as returned by parse)
+     * @returns {string} Path data string
+     */
+    serialize(commands) {
+        const parts = [];
+
+        let currentX = 0;
+        let currentY = 0;
+        let subpathX = 0;
+        let subpathY = 0;
+        let lastCubicControl = null;
+        let lastQuadControl = null;
+
+        commands.forEach(cmd => {
+            const type = cmd.type;
+            let quadControl = cmd.x1 !== undefined ? { x: cmd.x1, y: cmd.y1 } : null;
+
+            switch (type) {
+                case 'M':
+                    parts.push(`M ${cmd.x} ${cmd.y}`);
+                    subpathX = cmd.x;
+                    subpathY = cmd.y;
+                    break;
+                case 'L':
+                    parts.push(`L ${cmd.x} ${cmd.y}`);
+                    break;
+                case 'H':
+                    if (this.isSameValue(cmd.y, currentY)) {
+                        parts.push(`H ${cmd.x}`);
+                    } else {
+                        parts.push(`L ${cmd.x} ${cmd.y}`);
+                    }
+                    break;
+                case 'V':
+                    if (this.isSameValue(cmd.x, currentX)) {
+                        parts.push(`V ${cmd.y}`);
+                    } else {
+                        parts.push(`L ${cmd.x} ${cmd.y}`);
+                    }
+                    break;
+                case 'C':
+                    parts.push(`C ${cmd.x1} ${cmd.y1} ${cmd.x2} ${cmd.y2} ${cmd.x} ${cmd.y}`);
+                    break;
+                case 'S': {
+                    const reflected = lastCubicControl ?
+                        { x: 2 * currentX - lastCubicControl.x, y: 2 * currentY - lastCubicControl.y } :
+                        { x: currentX, y: currentY };
+                    if (cmd.x1 === undefined || cmd.y1 === undefined ||
+                        (this.isSameValue(cmd.x1, reflected.x) && this.isSameValue(cmd.y1, reflected.y))) {
+                        parts.push(`S ${cmd.x2} ${cmd.y2} ${cmd.x} ${cmd.y}`);
+                    } else {
+                        parts.push(`C ${cmd.x1} ${cmd.y1} ${cmd.x2} ${cmd.y2} ${cmd.x} ${cmd.y}`);
+                    }
+                    break;
+                }
+                case 'Q':
+                    parts.push(`Q ${cmd.x1} ${cmd.y1} ${cmd.x} ${cmd.y}`);
+                    break;
+                case 'T': {
+                    const reflected = lastQuadControl ?
+                        { x: 2 * currentX - lastQuadControl.x, y: 2 * currentY - lastQuadControl.y } :
+                        { x: currentX, y: currentY };
+                    if (cmd.x1 === undefined || cmd.y1 === undefined ||
+                        (this.isSameValue(cmd.x1, reflected.x) && this.isSameValue(cmd.y1, reflected.y))) {
+                        parts.push(`T ${cmd.x} ${cmd.y}`);
+                        quadControl = reflected;
+                    } else {
+                        parts.push(`Q ${cmd.x1} ${cmd.y1} ${cmd.x} ${cmd.y}`);
+                    }
+                    break;
+                }
+                case 'A':
+                    parts.push(`A ${cmd.rx} ${cmd.ry} ${cmd.rotation || 0} ${cmd.largeArc ? 1 : 0} ${cmd.sweep ? 1 : 0} ${cmd.x} ${cmd.y}`);
+                    break;
+                case 'Z':
+                    parts.push('Z');
+                    currentX = subpathX;
+                    currentY = subpathY;
+                    lastCubicControl = null;
+                    lastQuadControl = null;
+                    return;
+                default:
+                    return;
+            }
+
+            if (type === 'C' || type === 'S') {
+                // For S without explicit x1 the reflection rule already applies
+                lastCubicControl = { x: cmd.x2, y: cmd.y2 };
+            } else {
+                lastCubicControl = null;
+            }
+            lastQuadControl = (type === 'Q' || type === 'T') ? quadControl : null;
+
+            currentX = cmd.x;
+            currentY = cmd.y;
+        });
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Get the point a command starts from (end point of the previous command,
+     * or the subpath start after a closepath)
+     * @param {Array} commands - All commands in the path
+     * @param {number} commandIndex - The index of the command
+     * @returns {{x: number, y: number}} Start point in path coordinates
+     */
+    getStartPoint(commands, commandIndex) {
+        let currentX = 0;
+        let currentY = 0;
+        let subpathX = 0;
+        let subpathY = 0;
+
+        for (let i = 0; i < commandIndex && i < commands.length; i++) {
+            const cmd = commands[i];
+            if (cmd.type === 'Z') {
+                currentX = subpathX;
+                currentY = subpathY;
+            } else {
+                currentX = cmd.x;
+                currentY = cmd.y;
+                if (cmd.type === 'M') {
+                    subpathX = cmd.x;
+                    subpathY = cmd.y;
+                }
+            }
+        }
+
+        return { x: currentX, y: currentY };
+    }
+
+    isSameValue(a, b) {
+        return Math.abs(a - b) < 1e-9;
+    }
+}
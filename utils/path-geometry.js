@@ -0,0 +1,1207 @@
+/**
+ * PathGeometry
+ * Geometry helpers for path commands (coordinate transforms, arc math)
+ */
+class PathGeometry {
+    constructor(editor) {
+        this.editor = editor;
+    }
+
+    /**
+     * Apply a linear map to an elliptical arc command's radii, rotation and sweep flag
+     * The arc's end point is not touched - transform it like any other coordinate.
+     * Uses the SVG matrix convention: x' = a*x + c*y, y' = b*x + d*y
+     * @param {Object} cmd - An 'A' command (rx, ry, rotation, largeArc, sweep)
+     * @param {number} a
+     * @param {number} b
+     * @param {number} c
+     * @param {number} d
+     */
+    transformArc(cmd, a, b, c, d) {
+        if (cmd.type !== 'A') return;
+
+        // A zero radius arc is rendered as a straight line - nothing to transform
+        if (!cmd.rx || !cmd.ry) return;
+
+        const angle = (cmd.rotation || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        // Columns of E = R(angle) * diag(rx, ry) map the unit circle to the ellipse
+        const e11 = cos * cmd.rx;
+        const e21 = sin * cmd.rx;
+        const e12 = -sin * cmd.ry;
+        const e22 = cos * cmd.ry;
+
+        // N = M * E describes the transformed ellipse
+        const n11 = a * e11 + c * e21;
+        const n21 = b * e11 + d * e21;
+        const n12 = a * e12 + c * e22;
+        const n22 = b * e12 + d * e22;
+
+        // Semi-axes are the square roots of the eigenvalues of N * N^T
+        const p = n11 * n11 + n12 * n12;
+        const q = n11 * n21 + n12 * n22;
+        const r = n21 * n21 + n22 * n22;
+        const mean = (p + r) / 2;
+        const diff = Math.sqrt(((p - r) / 2) * ((p - r) / 2) + q * q);
+
+        cmd.rx = Math.sqrt(Math.max(0, mean + diff));
+        cmd.ry = Math.sqrt(Math.max(0, mean - diff));
+        cmd.rotation = (diff < 1e-12) ? 0 : Math.atan2(2 * q, p - r) / 2 * 180 / Math.PI;
+
+        // Mirroring reverses the direction the arc is drawn in
+        if (a * d - b * c < 0) {
+            cmd.sweep = cmd.sweep ? 0 : 1;
+        }
+    }
+
+    /**
+     * Convert an elliptical arc from endpoint to center parameterization (SVG spec F.6.5)
+     * Out-of-range radii are scaled up the same way browsers do when rendering (F.6.6).
+     * @param {number} x1 - Start point x (end point of the previous command)
+     * @param {number} y1 - Start point y
+     * @param {Object} cmd - An 'A' command
+     * @returns {Object|null} {cx, cy, rx, ry, rotation, startAngle, deltaAngle} with angles in radians,
+     *     or null when the arc is drawn as a straight line (or not at all)
+     */
+    getArcCenter(x1, y1, cmd) {
+        let rx = Math.abs(cmd.rx);
+        let ry = Math.abs(cmd.ry);
+        if (!rx || !ry) return null;
+        if (x1 === cmd.x && y1 === cmd.y) return null;
+
+        const angle = (cmd.rotation || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        // Step 1: start point in the ellipse's own (unrotated) frame, relative to the chord midpoint
+        const dx = (x1 - cmd.x) / 2;
+        const dy = (y1 - cmd.y) / 2;
+        const x1p = cos * dx + sin * dy;
+        const y1p = -sin * dx + cos * dy;
+
+        // Radii too small to span the end points are scaled up uniformly
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            const scale = Math.sqrt(lambda);
+            rx *= scale;
+            ry *= scale;
+        }
+
+        // Step 2: center in the ellipse's frame
+        const rx2 = rx * rx;
+        const ry2 = ry * ry;
+        const numerator = rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p;
+        const denominator = rx2 * y1p * y1p + ry2 * x1p * x1p;
+        const sign = (cmd.largeArc ? 1 : 0) !== (cmd.sweep ? 1 : 0) ? 1 : -1;
+        const coef = sign * Math.sqrt(Math.max(0, numerator / denominator));
+        const cxp = coef * rx * y1p / ry;
+        const cyp = -coef * ry * x1p / rx;
+
+        // Step 3: center in path coordinates
+        const cx = cos * cxp - sin * cyp + (x1 + cmd.x) / 2;
+        const cy = sin * cxp + cos * cyp + (y1 + cmd.y) / 2;
+
+        // Step 4: start angle and sweep
+        const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const ux = (x1p - cxp) / rx;
+        const uy = (y1p - cyp) / ry;
+        const vx = (-x1p - cxp) / rx;
+        const vy = (-y1p - cyp) / ry;
+        const startAngle = vectorAngle(1, 0, ux, uy);
+        let deltaAngle = vectorAngle(ux, uy, vx, vy);
+        if (!cmd.sweep && deltaAngle > 0) {
+            deltaAngle -= 2 * Math.PI;
+        } else if (cmd.sweep && deltaAngle < 0) {
+            deltaAngle += 2 * Math.PI;
+        }
+
+        return { cx, cy, rx, ry, rotation: cmd.rotation || 0, startAngle, deltaAngle };
+    }
+
+    /**
+     * Get the radius handle positions of an arc: the ends of its x and y semi-axes
+     * @param {number} x1 - Start point x
+     * @param {number} y1 - Start point y
+     * @param {Object} cmd - An 'A' command
+     * @returns {Object|null} {center, radiusX, radiusY} points in path coordinates
+     */
+    getArcRadiusHandles(x1, y1, cmd) {
+        const arc = this.getArcCenter(x1, y1, cmd);
+        if (!arc) return null;
+
+        const angle = arc.rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        return {
+            center: { x: arc.cx, y: arc.cy },
+            radiusX: { x: arc.cx + arc.rx * cos, y: arc.cy + arc.rx * sin },
+            radiusY: { x: arc.cx - arc.ry * sin, y: arc.cy + arc.ry * cos }
+        };
+    }
+
+    /**
+     * Store the radii an arc is actually rendered with
+     * Browsers silently scale up radii that cannot span the end points; after an edit we
+     * write the scaled radii back so the path data always describes what is drawn.
+     * @param {number} x1 - Start point x
+     * @param {number} y1 - Start point y
+     * @param {Object} cmd - An 'A' command (modified in place)
+     */
+    normalizeArc(x1, y1, cmd) {
+        if (cmd.type !== 'A') return;
+
+        cmd.rx = Math.abs(cmd.rx);
+        cmd.ry = Math.abs(cmd.ry);
+        cmd.largeArc = cmd.largeArc ? 1 : 0;
+        cmd.sweep = cmd.sweep ? 1 : 0;
+
+        const arc = this.getArcCenter(x1, y1, cmd);
+        if (arc && arc.rx > cmd.rx) {
+            cmd.rx = arc.rx;
+            cmd.ry = arc.ry;
+        }
+    }
+
+    /**
+     * Get the matrix that maps an element's local coordinates to root SVG coordinates
+     * @param {SVGElement} element
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}}
+     */
+    getElementToRootMatrix(element) {
+        const elemScreenCTM = element.getScreenCTM();
+        const rootScreenCTM = this.editor.svgElement.getScreenCTM();
+        if (!elemScreenCTM || !rootScreenCTM) {
+            // Not rendered: compose the transform attributes instead
+            return this.editor.transformParser.getElementToRootMatrix(element);
+        }
+        const m = rootScreenCTM.inverse().multiply(elemScreenCTM);
+        return { a: m.a, b: m.b, c: m.c, d: m.d, e: m.e, f: m.f };
+    }
+
+    /**
+     * Multiply two matrices (m1 * m2: m2 is applied first)
+     */
+    multiplyMatrices(m1, m2) {
+        return {
+            a: m1.a * m2.a + m1.c * m2.b,
+            b: m1.b * m2.a + m1.d * m2.b,
+            c: m1.a * m2.c + m1.c * m2.d,
+            d: m1.b * m2.c + m1.d * m2.d,
+            e: m1.a * m2.e + m1.c * m2.f + m1.e,
+            f: m1.b * m2.e + m1.d * m2.f + m1.f
+        };
+    }
+
+    /**
+     * Invert a matrix
+     * @returns {Object|null} The inverse, or null if the matrix is singular
+     */
+    invertMatrix(m) {
+        const det = m.a * m.d - m.b * m.c;
+        if (Math.abs(det) < 1e-12) return null;
+        return {
+            a: m.d / det,
+            b: -m.b / det,
+            c: -m.c / det,
+            d: m.a / det,
+            e: (m.c * m.f - m.d * m.e) / det,
+            f: (m.b * m.e - m.a * m.f) / det
+        };
+    }
+
+    transformPoint(m, x, y) {
+        return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+    }
+
+    /**
+     * Apply an affine matrix to parsed path commands
+     * @param {Array} commands - Commands as returned by PathDataParser.parse
+     * @param {Object} m - Matrix {a, b, c, d, e, f}
+     * @returns {Array} New, transformed commands
+     */
+    transformCommands(commands, m) {
+        return commands.map(cmd => {
+            const result = Object.assign({}, cmd);
+            if (cmd.type === 'Z') return result;
+
+            const p = this.transformPoint(m, cmd.x, cmd.y);
+            result.x = p.x;
+            result.y = p.y;
+            if (cmd.x1 !== undefined) {
+                const c1 = this.transformPoint(m, cmd.x1, cmd.y1);
+                result.x1 = c1.x;
+                result.y1 = c1.y;
+            }
+            if (cmd.x2 !== undefined) {
+                const c2 = this.transformPoint(m, cmd.x2, cmd.y2);
+                result.x2 = c2.x;
+                result.y2 = c2.y;
+            }
+            if (cmd.type === 'A') {
+                this.transformArc(result, m.a, m.b, m.c, m.d);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Reverse the drawing direction of one subpath
+     * Every segment keeps its type (arcs flip their sweep flag). A closed subpath keeps its
+     * start point, with the closing line becoming its first segment.
+     * @param {Array} commands - Absolute commands starting with M, without Z
+     * @param {boolean} closed - Whether the subpath is closed by a Z
+     * @returns {Array} Reversed commands starting with M, without Z
+     */
+    reverseSubpathCommands(commands, closed) {
+        const points = commands.map(cmd => ({ x: cmd.x, y: cmd.y }));
+        const reverseCommand = (cmd, to) => {
+            switch (cmd.type) {
+                case 'C':
+                case 'S':
+                    return { type: 'C', x1: cmd.x2, y1: cmd.y2, x2: cmd.x1, y2: cmd.y1, x: to.x, y: to.y };
+                case 'Q':
+                case 'T':
+                    return { type: 'Q', x1: cmd.x1, y1: cmd.y1, x: to.x, y: to.y };
+                case 'A':
+                    return {
+                        type: 'A', rx: cmd.rx, ry: cmd.ry, rotation: cmd.rotation,
+                        largeArc: cmd.largeArc, sweep: cmd.sweep ? 0 : 1, x: to.x, y: to.y
+                    };
+                default:
+                    return { type: cmd.type, x: to.x, y: to.y };
+            }
+        };
+
+        const reversed = [];
+        for (let i = commands.length - 1; i >= 1; i--) {
+            reversed.push(reverseCommand(commands[i], points[i - 1]));
+        }
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (!closed) {
+            return [{ type: 'M', x: last.x, y: last.y }].concat(reversed);
+        }
+
+        // The closing line is drawn first now; a line arriving back at the start is left to Z
+        const result = [{ type: 'M', x: first.x, y: first.y }];
+        if (last.x !== first.x || last.y !== first.y) {
+            result.push({ type: 'L', x: last.x, y: last.y });
+            const end = reversed[reversed.length - 1];
+            if (end && (end.type === 'L' || end.type === 'H' || end.type === 'V')) {
+                reversed.pop();
+            }
+        }
+        return result.concat(reversed);
+    }
+
+    /**
+     * Get the outline of a path or basic shape as absolute path commands in its local coordinates
+     * @param {SVGElement} element - path, rect, circle, ellipse, line, polyline or polygon
+     * @returns {Array|null} Commands, or null for unsupported elements
+     */
+    getElementCommands(element) {
+        const num = (name) => parseFloat(element.getAttribute(name)) || 0;
+
+        switch (element.tagName) {
+            case 'path':
+                return this.editor.parsePathData(element.getAttribute('d'));
+
+            case 'rect': {
+                const x = num('x');
+                const y = num('y');
+                const width = num('width');
+                const height = num('height');
+                if (width <= 0 || height <= 0) return [];
+
+                // Missing rx/ry take each other's value, and both are clamped to half the size
+                let rx = element.hasAttribute('rx') ? num('rx') : null;
+                let ry = element.hasAttribute('ry') ? num('ry') : null;
+                if (rx === null) rx = ry || 0;
+                if (ry === null) ry = rx;
+                rx = Math.min(Math.max(rx, 0), width / 2);
+                ry = Math.min(Math.max(ry, 0), height / 2);
+
+                if (!rx || !ry) {
+                    return [
+                        { type: 'M', x: x, y: y },
+                        { type: 'H', x: x + width, y: y },
+                        { type: 'V', x: x + width, y: y + height },
+                        { type: 'H', x: x, y: y + height },
+                        { type: 'Z' }
+                    ];
+                }
+
+                const arc = (ex, ey) => ({ type: 'A', rx, ry, rotation: 0, largeArc: 0, sweep: 1, x: ex, y: ey });
+                return [
+                    { type: 'M', x: x + rx, y: y },
+                    { type: 'H', x: x + width - rx, y: y },
+                    arc(x + width, y + ry),
+                    { type: 'V', x: x + width, y: y + height - ry },
+                    arc(x + width - rx, y + height),
+                    { type: 'H', x: x + rx, y: y + height },
+                    arc(x, y + height - ry),
+                    { type: 'V', x: x, y: y + ry },
+                    arc(x + rx, y),
+                    { type: 'Z' }
+                ];
+            }
+
+            case 'circle':
+            case 'ellipse': {
+                const cx = num('cx');
+                const cy = num('cy');
+                const rx = element.tagName === 'circle' ? num('r') : num('rx');
+                const ry = element.tagName === 'circle' ? num('r') : num('ry');
+                if (rx <= 0 || ry <= 0) return [];
+
+                // Two half arcs - a single arc cannot start and end at the same point
+                return [
+                    { type: 'M', x: cx + rx, y: cy },
+                    { type: 'A', rx, ry, rotation: 0, largeArc: 0, sweep: 1, x: cx - rx, y: cy },
+                    { type: 'A', rx, ry, rotation: 0, largeArc: 0, sweep: 1, x: cx + rx, y: cy },
+                    { type: 'Z' }
+                ];
+            }
+
+            case 'line':
+                return [
+                    { type: 'M', x: num('x1'), y: num('y1') },
+                    { type: 'L', x: num('x2'), y: num('y2') }
+                ];
+
+            case 'polyline':
+            case 'polygon': {
+                const values = (element.getAttribute('points') || '')
+                    .trim()
+                    .split(/[\s,]+/)
+                    .filter(value => value !== '')
+                    .map(parseFloat);
+                const commands = [];
+                for (let i = 0; i + 1 < values.length; i += 2) {
+                    commands.push({ type: commands.length === 0 ? 'M' : 'L', x: values[i], y: values[i + 1] });
+                }
+                if (element.tagName === 'polygon' && commands.length > 0) {
+                    commands.push({ type: 'Z' });
+                }
+                return commands;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Convert an elliptical arc into cubic bezier segments of at most 90 degrees each
+     * @param {number} x1 - Start point x
+     * @param {number} y1 - Start point y
+     * @param {Object} cmd - An 'A' command
+     * @returns {Array} Cubic segments {p0, c1, c2, p1}, or a single line segment for degenerate arcs
+     */
+    arcToCubics(x1, y1, cmd) {
+        const arc = this.getArcCenter(x1, y1, cmd);
+        if (!arc) {
+            return [{ p0: { x: x1, y: y1 }, p1: { x: cmd.x, y: cmd.y } }];
+        }
+
+        const angle = arc.rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const pointAt = (theta) => ({
+            x: arc.cx + arc.rx * Math.cos(theta) * cos - arc.ry * Math.sin(theta) * sin,
+            y: arc.cy + arc.rx * Math.cos(theta) * sin + arc.ry * Math.sin(theta) * cos
+        });
+        const tangentAt = (theta) => ({
+            x: -arc.rx * Math.sin(theta) * cos - arc.ry * Math.cos(theta) * sin,
+            y: -arc.rx * Math.sin(theta) * sin + arc.ry * Math.cos(theta) * cos
+        });
+
+        const count = Math.max(1, Math.ceil(Math.abs(arc.deltaAngle) / (Math.PI / 2) - 1e-9));
+        const step = arc.deltaAngle / count;
+        const k = 4 / 3 * Math.tan(step / 4);
+        const segments = [];
+
+        let theta = arc.startAngle;
+        let start = { x: x1, y: y1 };
+        for (let i = 0; i < count; i++) {
+            const next = theta + step;
+            // Snap the last segment onto the exact end point
+            const end = i === count - 1 ? { x: cmd.x, y: cmd.y } : pointAt(next);
+            const t0 = tangentAt(theta);
+            const t1 = tangentAt(next);
+            segments.push({
+                p0: start,
+                c1: { x: start.x + k * t0.x, y: start.y + k * t0.y },
+                c2: { x: end.x - k * t1.x, y: end.y - k * t1.y },
+                p1: end
+            });
+            theta = next;
+            start = end;
+        }
+
+        return segments;
+    }
+
+    /**
+     * Convert commands into subpaths of line and cubic segments
+     * Lines are {p0, p1}, cubics are {p0, c1, c2, p1}; quadratics are elevated to cubics
+     * and arcs are approximated by cubics. Zero-length lines are dropped.
+     * @param {Array} commands - Absolute commands
+     * @returns {Array} Subpaths {segments: Array, closed: boolean}
+     */
+    commandsToSegments(commands) {
+        const subpaths = [];
+        let current = null;
+        let point = { x: 0, y: 0 };
+        let subpathStart = { x: 0, y: 0 };
+
+        const addLine = (to) => {
+            if (to.x !== point.x || to.y !== point.y) {
+                current.segments.push({ p0: point, p1: to });
+            }
+        };
+
+        commands.forEach(cmd => {
+            if (cmd.type === 'M') {
+                current = { segments: [], closed: false };
+                subpaths.push(current);
+                point = { x: cmd.x, y: cmd.y };
+                subpathStart = point;
+                return;
+            }
+
+            if (cmd.type === 'Z') {
+                if (current) {
+                    addLine(subpathStart);
+                    current.closed = true;
+                }
+                point = subpathStart;
+                // Drawing after Z continues a new subpath from the same start point
+                current = { segments: [], closed: false };
+                subpaths.push(current);
+                return;
+            }
+
+            const end = { x: cmd.x, y: cmd.y };
+            switch (cmd.type) {
+                case 'L':
+                case 'H':
+                case 'V':
+                    addLine(end);
+                    break;
+                case 'C':
+                case 'S':
+                    current.segments.push({
+                        p0: point,
+                        c1: { x: cmd.x1, y: cmd.y1 },
+                        c2: { x: cmd.x2, y: cmd.y2 },
+                        p1: end
+                    });
+                    break;
+                case 'Q':
+                case 'T':
+                    current.segments.push({
+                        p0: point,
+                        c1: { x: point.x + 2 / 3 * (cmd.x1 - point.x), y: point.y + 2 / 3 * (cmd.y1 - point.y) },
+                        c2: { x: end.x + 2 / 3 * (cmd.x1 - end.x), y: end.y + 2 / 3 * (cmd.y1 - end.y) },
+                        p1: end
+                    });
+                    break;
+                case 'A':
+                    if (end.x !== point.x || end.y !== point.y) {
+                        current.segments.push(...this.arcToCubics(point.x, point.y, cmd));
+                    }
+                    break;
+            }
+            point = end;
+        });
+
+        return subpaths.filter(subpath => subpath.segments.length > 0);
+    }
+
+    /**
+     * Close every subpath with a straight line, the way filling closes them implicitly
+     * @param {Array} subpaths - Subpaths {segments, closed} (modified in place)
+     * @returns {Array} The same subpaths
+     */
+    closeSubpaths(subpaths) {
+        subpaths.forEach(subpath => {
+            const first = subpath.segments[0].p0;
+            const last = subpath.segments[subpath.segments.length - 1].p1;
+            if (first.x !== last.x || first.y !== last.y) {
+                subpath.segments.push({ p0: last, p1: first });
+            }
+            subpath.closed = true;
+        });
+        return subpaths;
+    }
+
+    /**
+     * Convert subpaths of line and cubic segments back into path commands
+     * @param {Array} subpaths - Subpaths {segments: Array, closed: boolean}
+     * @returns {Array} Absolute commands (M, L, C and Z)
+     */
+    segmentsToCommands(subpaths) {
+        const commands = [];
+        subpaths.forEach(subpath => {
+            const segments = subpath.segments;
+            if (segments.length === 0) return;
+
+            commands.push({ type: 'M', x: segments[0].p0.x, y: segments[0].p0.y });
+            segments.forEach((seg, index) => {
+                // The closing line is implied by Z
+                if (subpath.closed && index === segments.length - 1 && !seg.c1) return;
+
+                if (seg.c1) {
+                    commands.push({
+                        type: 'C',
+                        x1: seg.c1.x, y1: seg.c1.y,
+                        x2: seg.c2.x, y2: seg.c2.y,
+                        x: seg.p1.x, y: seg.p1.y
+                    });
+                } else {
+                    commands.push({ type: 'L', x: seg.p1.x, y: seg.p1.y });
+                }
+            });
+            if (subpath.closed) {
+                commands.push({ type: 'Z' });
+            }
+        });
+        return commands;
+    }
+
+    /**
+     * Evaluate a line or cubic segment at parameter t
+     */
+    segmentPoint(seg, t) {
+        if (!seg.c1) {
+            return { x: seg.p0.x + (seg.p1.x - seg.p0.x) * t, y: seg.p0.y + (seg.p1.y - seg.p0.y) * t };
+        }
+        const mt = 1 - t;
+        const a = mt * mt * mt;
+        const b = 3 * mt * mt * t;
+        const c = 3 * mt * t * t;
+        const d = t * t * t;
+        return {
+            x: a * seg.p0.x + b * seg.c1.x + c * seg.c2.x + d * seg.p1.x,
+            y: a * seg.p0.y + b * seg.c1.y + c * seg.c2.y + d * seg.p1.y
+        };
+    }
+
+    /**
+     * Derivative (tangent direction) of a line or cubic segment at parameter t
+     */
+    segmentDerivative(seg, t) {
+        if (!seg.c1) {
+            return { x: seg.p1.x - seg.p0.x, y: seg.p1.y - seg.p0.y };
+        }
+        const mt = 1 - t;
+        const a = 3 * mt * mt;
+        const b = 6 * mt * t;
+        const c = 3 * t * t;
+        const d = {
+            x: a * (seg.c1.x - seg.p0.x) + b * (seg.c2.x - seg.c1.x) + c * (seg.p1.x - seg.c2.x),
+            y: a * (seg.c1.y - seg.p0.y) + b * (seg.c2.y - seg.c1.y) + c * (seg.p1.y - seg.c2.y)
+        };
+        // A control point on top of its end point gives a zero derivative there - use the chord instead
+        if (Math.abs(d.x) < 1e-12 && Math.abs(d.y) < 1e-12) {
+            const p = this.segmentPoint(seg, Math.min(1, t + 1e-3));
+            const q = this.segmentPoint(seg, Math.max(0, t - 1e-3));
+            return { x: p.x - q.x, y: p.y - q.y };
+        }
+        return d;
+    }
+
+    /**
+     * Split a line or cubic segment at parameter t (de Casteljau)
+     * @returns {Array} The two halves [before, after]
+     */
+    splitSegment(seg, t) {
+        const lerp = (p, q) => ({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+        if (!seg.c1) {
+            const mid = lerp(seg.p0, seg.p1);
+            return [{ p0: seg.p0, p1: mid }, { p0: mid, p1: seg.p1 }];
+        }
+        const p01 = lerp(seg.p0, seg.c1);
+        const p12 = lerp(seg.c1, seg.c2);
+        const p23 = lerp(seg.c2, seg.p1);
+        const p012 = lerp(p01, p12);
+        const p123 = lerp(p12, p23);
+        const mid = lerp(p012, p123);
+        return [
+            { p0: seg.p0, c1: p01, c2: p012, p1: mid },
+            { p0: mid, c1: p123, c2: p23, p1: seg.p1 }
+        ];
+    }
+
+    /**
+     * Get the part of a segment between parameters t0 and t1 (t0 < t1)
+     */
+    subSegment(seg, t0, t1) {
+        let result = seg;
+        if (t1 < 1) {
+            result = this.splitSegment(result, t1)[0];
+        }
+        if (t0 > 0) {
+            result = this.splitSegment(result, t0 / t1)[1];
+        }
+        return result;
+    }
+
+    /**
+     * Reverse the direction of a segment
+     */
+    reverseSegment(seg) {
+        if (!seg.c1) return { p0: seg.p1, p1: seg.p0 };
+        return { p0: seg.p1, c1: seg.c2, c2: seg.c1, p1: seg.p0 };
+    }
+
+    /**
+     * Bounding box of a segment's control polygon (contains the curve)
+     */
+    segmentBounds(seg) {
+        const points = seg.c1 ? [seg.p0, seg.c1, seg.c2, seg.p1] : [seg.p0, seg.p1];
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    /**
+     * Real roots of a*t^3 + b*t^2 + c*t + d = 0
+     * @returns {Array<number>} Roots (unsorted, may contain duplicates)
+     */
+    solveCubic(a, b, c, d) {
+        const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c), Math.abs(d));
+        if (scale === 0) return [];
+        if (Math.abs(a) < 1e-12 * scale) return this.solveQuadratic(b, c, d);
+
+        // Normalize to t^3 + A*t^2 + B*t + C and use Cardano / the trigonometric method
+        const A = b / a;
+        const B = c / a;
+        const C = d / a;
+        const Q = (3 * B - A * A) / 9;
+        const R = (9 * A * B - 27 * C - 2 * A * A * A) / 54;
+        const discriminant = Q * Q * Q + R * R;
+        let roots;
+
+        if (discriminant >= 0) {
+            const sqrtD = Math.sqrt(discriminant);
+            const S = Math.cbrt(R + sqrtD);
+            const T = Math.cbrt(R - sqrtD);
+            roots = [-A / 3 + S + T];
+            if (Math.abs(S - T) < 1e-9 * Math.max(1, Math.abs(S))) {
+                roots.push(-A / 3 - (S + T) / 2);
+            }
+        } else {
+            const theta = Math.acos(Math.max(-1, Math.min(1, R / Math.sqrt(-Q * Q * Q))));
+            const m = 2 * Math.sqrt(-Q);
+            roots = [0, 2, 4].map(k => m * Math.cos((theta + k * Math.PI) / 3) - A / 3);
+        }
+
+        // Polish with a couple of Newton steps
+        return roots.map(t => {
+            for (let i = 0; i < 2; i++) {
+                const f = ((a * t + b) * t + c) * t + d;
+                const df = (3 * a * t + 2 * b) * t + c;
+                if (df === 0) break;
+                t -= f / df;
+            }
+            return t;
+        });
+    }
+
+    /**
+     * Real roots of a*t^2 + b*t + c = 0
+     * @returns {Array<number>} Roots
+     */
+    solveQuadratic(a, b, c) {
+        const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c));
+        if (scale === 0) return [];
+        if (Math.abs(a) < 1e-12 * scale) {
+            return Math.abs(b) < 1e-12 * scale ? [] : [-c / b];
+        }
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return [];
+        // Numerically stable form
+        const q = -0.5 * (b + (b < 0 ? -1 : 1) * Math.sqrt(discriminant));
+        const roots = [q / a];
+        if (q !== 0) roots.push(c / q);
+        return roots;
+    }
+
+    /**
+     * Round all coordinates and arc parameters of commands to a number of decimals
+     * @param {Array} commands - Commands (modified in place)
+     * @param {number} decimals
+     * @returns {Array} The same commands
+     */
+    roundCommands(commands, decimals = 3) {
+        const factor = Math.pow(10, decimals);
+        const round = (value) => Math.round(value * factor) / factor;
+        ['x', 'y', 'x1', 'y1', 'x2', 'y2', 'rx', 'ry', 'rotation'].forEach(key => {
+            commands.forEach(cmd => {
+                if (cmd[key] !== undefined) cmd[key] = round(cmd[key]);
+            });
+        });
+        return commands;
+    }
+
+    /**
+     * Unit normal of a segment at parameter t (the derivative rotated by +90 degrees)
+     */
+    segmentNormal(seg, t) {
+        const d = this.segmentDerivative(seg, t);
+        const length = Math.hypot(d.x, d.y) || 1;
+        return { x: -d.y / length, y: d.x / length };
+    }
+
+    /**
+     * Approximate the curve at a fixed distance from a segment
+     * Lines offset exactly; cubics are split until the offset control polygon stays within
+     * the tolerance of the true offset curve.
+     * @param {Object} seg - Line or cubic segment
+     * @param {number} distance - Offset along the normal (negative for the other side)
+     * @param {number} tolerance - Maximum deviation from the exact offset curve
+     * @returns {Array} Offset segments, in the same direction as seg
+     */
+    offsetSegment(seg, distance, tolerance) {
+        const move = (p, n) => ({ x: p.x + n.x * distance, y: p.y + n.y * distance });
+
+        if (!seg.c1) {
+            const n = this.segmentNormal(seg, 0);
+            return [{ p0: move(seg.p0, n), p1: move(seg.p1, n) }];
+        }
+
+        // Offset a line through p in direction dir
+        const offsetLine = (p, dir) => {
+            const length = Math.hypot(dir.x, dir.y);
+            if (length < 1e-12) return null;
+            return { p: { x: p.x - dir.y / length * distance, y: p.y + dir.x / length * distance }, dir };
+        };
+        const intersect = (l1, l2) => {
+            if (!l1 || !l2) return null;
+            const denominator = l1.dir.x * l2.dir.y - l1.dir.y * l2.dir.x;
+            if (Math.abs(denominator) < 1e-12 * Math.hypot(l1.dir.x, l1.dir.y) * Math.hypot(l2.dir.x, l2.dir.y)) return null;
+            const t = ((l2.p.x - l1.p.x) * l2.dir.y - (l2.p.y - l1.p.y) * l2.dir.x) / denominator;
+            return { x: l1.p.x + l1.dir.x * t, y: l1.p.y + l1.dir.y * t };
+        };
+
+        const result = [];
+        const recurse = (piece, depth) => {
+            const n0 = this.segmentNormal(piece, 0);
+            const n1 = this.segmentNormal(piece, 1);
+
+            // Tiller-Hanson: offset the edges of the control polygon and intersect them;
+            // fall back to moving control points along the end normals where that degenerates
+            const edge1 = offsetLine(piece.p0, { x: piece.c1.x - piece.p0.x, y: piece.c1.y - piece.p0.y });
+            const edge2 = offsetLine(piece.c1, { x: piece.c2.x - piece.c1.x, y: piece.c2.y - piece.c1.y });
+            const edge3 = offsetLine(piece.c2, { x: piece.p1.x - piece.c2.x, y: piece.p1.y - piece.c2.y });
+            const offset = {
+                p0: move(piece.p0, n0),
+                c1: intersect(edge1, edge2) || move(piece.c1, n0),
+                c2: intersect(edge2, edge3) || move(piece.c2, n1),
+                p1: move(piece.p1, n1)
+            };
+
+            // The approximation is parameterized differently from the exact offset, so measure
+            // how far its points are from the piece instead of comparing equal parameters
+            let error = 0;
+            [0.25, 0.5, 0.75].forEach(t => {
+                const approx = this.segmentPoint(offset, t);
+                const nearest = this.nearestPointOnSegment(piece, approx, Math.max(0, t - 0.25), Math.min(1, t + 0.25));
+                error = Math.max(error, Math.abs(nearest.distance - Math.abs(distance)));
+            });
+
+            if (error <= tolerance || depth >= 8) {
+                result.push(offset);
+                return;
+            }
+            const [first, second] = this.splitSegment(piece, 0.5);
+            recurse(first, depth + 1);
+            recurse(second, depth + 1);
+        };
+        recurse(seg, 0);
+
+        return result;
+    }
+
+    /**
+     * Find the point of a segment closest to a point, searching parameters between t0 and t1
+     * (golden section search - the distance is assumed to have a single minimum in the range)
+     * @returns {{t: number, point: Object, distance: number}}
+     */
+    nearestPointOnSegment(seg, point, t0 = 0, t1 = 1) {
+        const distanceAt = (t) => {
+            const p = this.segmentPoint(seg, t);
+            return Math.hypot(p.x - point.x, p.y - point.y);
+        };
+        const t = this.findMinimum(distanceAt, t0, t1);
+        return { t, point: this.segmentPoint(seg, t), distance: distanceAt(t) };
+    }
+
+    /**
+     * Golden section search for the minimum of a function with a single minimum in [t0, t1]
+     */
+    findMinimum(f, t0, t1) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = t0;
+        let b = t1;
+        for (let i = 0; i < 30; i++) {
+            const c = b - (b - a) * ratio;
+            const d = a + (b - a) * ratio;
+            if (f(c) < f(d)) {
+                b = d;
+            } else {
+                a = c;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * Evaluate a drawing command (L, H, V, C, S, Q, T or A) at parameter t
+     * Arcs are parameterized by angle, so splitting at t keeps both parts elliptical.
+     * @param {number} x1 - Start point x (end point of the previous command)
+     * @param {number} y1 - Start point y
+     * @param {Object} cmd - Absolute command
+     */
+    commandPoint(x1, y1, cmd, t) {
+        const mt = 1 - t;
+        switch (cmd.type) {
+            case 'C':
+            case 'S':
+                return this.segmentPoint({
+                    p0: { x: x1, y: y1 }, c1: { x: cmd.x1, y: cmd.y1 }, c2: { x: cmd.x2, y: cmd.y2 }, p1: { x: cmd.x, y: cmd.y }
+                }, t);
+            case 'Q':
+            case 'T':
+                return {
+                    x: mt * mt * x1 + 2 * mt * t * cmd.x1 + t * t * cmd.x,
+                    y: mt * mt * y1 + 2 * mt * t * cmd.y1 + t * t * cmd.y
+                };
+            case 'A': {
+                const arc = this.getArcCenter(x1, y1, cmd);
+                if (arc) {
+                    const angle = arc.rotation * Math.PI / 180;
+                    const theta = arc.startAngle + arc.deltaAngle * t;
+                    const ex = arc.rx * Math.cos(theta);
+                    const ey = arc.ry * Math.sin(theta);
+                    return {
+                        x: arc.cx + Math.cos(angle) * ex - Math.sin(angle) * ey,
+                        y: arc.cy + Math.sin(angle) * ex + Math.cos(angle) * ey
+                    };
+                }
+                break;
+            }
+        }
+        return { x: x1 + (cmd.x - x1) * t, y: y1 + (cmd.y - y1) * t };
+    }
+
+    /**
+     * Find the point of a drawing command closest to a point
+     * @returns {{t: number, point: Object, distance: number}}
+     */
+    nearestPointOnCommand(x1, y1, cmd, point) {
+        const distanceAt = (t) => {
+            const p = this.commandPoint(x1, y1, cmd, t);
+            return Math.hypot(p.x - point.x, p.y - point.y);
+        };
+
+        // Curves can come close to the point more than once - bracket the best sample first
+        const samples = cmd.type === 'L' || cmd.type === 'H' || cmd.type === 'V' ? 1 : 16;
+        let best = 0;
+        for (let i = 1; i <= samples; i++) {
+            if (distanceAt(i / samples) < distanceAt(best / samples)) best = i;
+        }
+        const t = this.findMinimum(distanceAt, Math.max(0, best - 1) / samples, Math.min(samples, best + 1) / samples);
+        return { t, point: this.commandPoint(x1, y1, cmd, t), distance: distanceAt(t) };
+    }
+
+    /**
+     * Split a drawing command at parameter t into two commands drawing the same shape
+     * Curves keep their degree (S becomes C and T becomes Q as their control points change),
+     * arcs stay arcs and lines keep their type.
+     * @returns {Array} The two commands [before, after]
+     */
+    splitCommand(x1, y1, cmd, t) {
+        const point = this.commandPoint(x1, y1, cmd, t);
+        const lerp = (p, q, u) => ({ x: p.x + (q.x - p.x) * u, y: p.y + (q.y - p.y) * u });
+
+        switch (cmd.type) {
+            case 'C':
+            case 'S': {
+                const [first, second] = this.splitSegment({
+                    p0: { x: x1, y: y1 }, c1: { x: cmd.x1, y: cmd.y1 }, c2: { x: cmd.x2, y: cmd.y2 }, p1: { x: cmd.x, y: cmd.y }
+                }, t);
+                return [
+                    { type: 'C', x1: first.c1.x, y1: first.c1.y, x2: first.c2.x, y2: first.c2.y, x: point.x, y: point.y },
+                    { type: 'C', x1: second.c1.x, y1: second.c1.y, x2: second.c2.x, y2: second.c2.y, x: cmd.x, y: cmd.y }
+                ];
+            }
+            case 'Q':
+            case 'T': {
+                const control = { x: cmd.x1, y: cmd.y1 };
+                const c1 = lerp({ x: x1, y: y1 }, control, t);
+                const c2 = lerp(control, { x: cmd.x, y: cmd.y }, t);
+                return [
+                    { type: 'Q', x1: c1.x, y1: c1.y, x: point.x, y: point.y },
+                    { type: 'Q', x1: c2.x, y1: c2.y, x: cmd.x, y: cmd.y }
+                ];
+            }
+            case 'A': {
+                const arc = this.getArcCenter(x1, y1, cmd);
+                if (arc) {
+                    const part = (delta) => ({
+                        type: 'A', rx: arc.rx, ry: arc.ry, rotation: arc.rotation,
+                        largeArc: Math.abs(delta) > Math.PI ? 1 : 0, sweep: cmd.sweep ? 1 : 0
+                    });
+                    return [
+                        Object.assign(part(arc.deltaAngle * t), { x: point.x, y: point.y }),
+                        Object.assign(part(arc.deltaAngle * (1 - t)), { x: cmd.x, y: cmd.y })
+                    ];
+                }
+                break;
+            }
+        }
+        return [
+            Object.assign({}, cmd, { x: point.x, y: point.y }),
+            Object.assign({}, cmd)
+        ];
+    }
+
+    /**
+     * A full circle as four cubic segments
+     */
+    circleSegments(cx, cy, r) {
+        const cmd = { type: 'A', rx: r, ry: r, rotation: 0, largeArc: 0, sweep: 1, x: cx - r, y: cy };
+        const back = Object.assign({}, cmd, { x: cx + r });
+        return this.arcToCubics(cx + r, cy, cmd).concat(this.arcToCubics(cx - r, cy, back));
+    }
+
+    /**
+     * Approximate a segment by a polyline
+     * @param {Object} seg - Line or cubic segment
+     * @param {number} tolerance - Maximum distance between the polyline and the curve
+     * @returns {Array} Points after seg.p0, ending with seg.p1
+     */
+    flattenSegment(seg, tolerance) {
+        if (!seg.c1) return [seg.p1];
+
+        // The deviation of a chord is bounded by 1/8 of the second difference of the control points
+        const ddx = Math.max(Math.abs(seg.p0.x - 2 * seg.c1.x + seg.c2.x), Math.abs(seg.c1.x - 2 * seg.c2.x + seg.p1.x));
+        const ddy = Math.max(Math.abs(seg.p0.y - 2 * seg.c1.y + seg.c2.y), Math.abs(seg.c1.y - 2 * seg.c2.y + seg.p1.y));
+        const dd = Math.hypot(ddx, ddy);
+        const count = Math.min(256, Math.max(1, Math.ceil(Math.sqrt(6 * dd / (8 * Math.max(tolerance, 1e-6))))));
+
+        const points = [];
+        for (let i = 1; i < count; i++) {
+            points.push(this.segmentPoint(seg, i / count));
+        }
+        points.push(seg.p1);
+        return points;
+    }
+
+    /**
+     * Ramer-Douglas-Peucker polyline simplification
+     * @param {Array} points - Polyline points
+     * @param {number} tolerance - Maximum distance of dropped points from the simplified polyline
+     * @returns {Array<number>} Indices of the points to keep (first and last included)
+     */
+    simplifyPolyline(points, tolerance) {
+        if (points.length < 3) return points.map((point, index) => index);
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+
+        // Iterative to stay safe on very long polylines
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const a = points[first];
+            const b = points[last];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const length = Math.hypot(dx, dy);
+
+            let maxDistance = -1;
+            let index = -1;
+            for (let i = first + 1; i < last; i++) {
+                const p = points[i];
+                const distance = length === 0 ?
+                    Math.hypot(p.x - a.x, p.y - a.y) :
+                    Math.abs(dx * (p.y - a.y) - dy * (p.x - a.x)) / length;
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+
+            if (maxDistance > tolerance) {
+                keep[index] = true;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        return keep.reduce((indices, kept, index) => {
+            if (kept) indices.push(index);
+            return indices;
+        }, []);
+    }
+
+    /**
+     * Fit cubic bezier segments to a sequence of points (Schneider, "An Algorithm for
+     * Automatically Fitting Digitized Curves", Graphics Gems 1990)
+     * @param {Array} points - Points to fit (at least two)
+     * @param {Object} startTangent - Unit tangent at the first point, pointing into the curve
+     * @param {Object} endTangent - Unit tangent at the last point, pointing back into the curve
+     * @param {number} tolerance - Maximum distance between the points and the curves
+     * @returns {Array} Cubic segments {p0, c1, c2, p1}
+     */
+    fitCubics(points, startTangent, endTangent, tolerance) {
+        const result = [];
+        const add = (p, v, scale) => ({ x: p.x + v.x * scale, y: p.y + v.y * scale });
+        const sub = (p, q) => ({ x: p.x - q.x, y: p.y - q.y });
+        const dot = (p, q) => p.x * q.x + p.y * q.y;
+        const normalize = (v) => {
+            const length = Math.hypot(v.x, v.y) || 1;
+            return { x: v.x / length, y: v.y / length };
+        };
+
+        const chordLengthParameterize = (first, last) => {
+            const u = [0];
+            for (let i = first + 1; i <= last; i++) {
+                u.push(u[u.length - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+            }
+            const total = u[u.length - 1] || 1;
+            return u.map(value => value / total);
+        };
+
+        const generateBezier = (first, last, u, tangent1, tangent2) => {
+            const p0 = points[first];
+            const p3 = points[last];
+            const c = [[0, 0], [0, 0]];
+            const x = [0, 0];
+
+            for (let i = 0; i < u.length; i++) {
+                const t = u[i];
+                const mt = 1 - t;
+                const a1 = { x: tangent1.x * 3 * mt * mt * t, y: tangent1.y * 3 * mt * mt * t };
+                const a2 = { x: tangent2.x * 3 * mt * t * t, y: tangent2.y * 3 * mt * t * t };
+                c[0][0] += dot(a1, a1);
+                c[0][1] += dot(a1, a2);
+                c[1][0] += dot(a1, a2);
+                c[1][1] += dot(a2, a2);
+
+                const b0 = mt * mt * mt;
+                const b1 = 3 * mt * mt * t;
+                const b2 = 3 * mt * t * t;
+                const b3 = t * t * t;
+                const tmp = sub(points[first + i], {
+                    x: p0.x * (b0 + b1) + p3.x * (b2 + b3),
+                    y: p0.y * (b0 + b1) + p3.y * (b2 + b3)
+                });
+                x[0] += dot(a1, tmp);
+                x[1] += dot(a2, tmp);
+            }
+
+            const detC = c[0][0] * c[1][1] - c[1][0] * c[0][1];
+            const detX1 = x[0] * c[1][1] - x[1] * c[0][1];
+            const detX2 = c[0][0] * x[1] - c[1][0] * x[0];
+            let alpha1 = detC === 0 ? 0 : detX1 / detC;
+            let alpha2 = detC === 0 ? 0 : detX2 / detC;
+
+            // Fall back to the Wu/Barsky heuristic when the solution is degenerate
+            const segmentLength = Math.hypot(p3.x - p0.x, p3.y - p0.y);
+            const epsilon = 1e-6 * segmentLength;
+            if (alpha1 < epsilon || alpha2 < epsilon) {
+                alpha1 = alpha2 = segmentLength / 3;
+            }
+
+            return { p0, c1: add(p0, tangent1, alpha1), c2: add(p3, tangent2, alpha2), p1: p3 };
+        };
+
+        const computeMaxError = (first, last, bezier, u) => {
+            let maxDistance = 0;
+            let splitPoint = Math.floor((last - first + 1) / 2) + first;
+            for (let i = first + 1; i < last; i++) {
+                const p = this.segmentPoint(bezier, u[i - first]);
+                const distance = (p.x - points[i].x) ** 2 + (p.y - points[i].y) ** 2;
+                if (distance >= maxDistance) {
+                    maxDistance = distance;
+                    splitPoint = i;
+                }
+            }
+            return { maxDistance, splitPoint };
+        };
+
+        // One Newton-Raphson step towards the parameter of the closest curve point
+        const reparameterize = (first, bezier, u) => u.map((t, i) => {
+            const point = points[first + i];
+            const q = this.segmentPoint(bezier, t);
+            const q1 = this.segmentDerivative(bezier, t);
+            const mt = 1 - t;
+            const q2 = {
+                x: 6 * mt * (bezier.c2.x - 2 * bezier.c1.x + bezier.p0.x) + 6 * t * (bezier.p1.x - 2 * bezier.c2.x + bezier.c1.x),
+                y: 6 * mt * (bezier.c2.y - 2 * bezier.c1.y + bezier.p0.y) + 6 * t * (bezier.p1.y - 2 * bezier.c2.y + bezier.c1.y)
+            };
+            const diff = sub(q, point);
+            const numerator = dot(diff, q1);
+            const denominator = dot(q1, q1) + dot(diff, q2);
+            return denominator === 0 ? t : t - numerator / denominator;
+        });
+
+        const fit = (first, last, tangent1, tangent2) => {
+            const p0 = points[first];
+            const p3 = points[last];
+
+            if (last - first === 1) {
+                const distance = Math.hypot(p3.x - p0.x, p3.y - p0.y) / 3;
+                result.push({ p0, c1: add(p0, tangent1, distance), c2: add(p3, tangent2, distance), p1: p3 });
+                return;
+            }
+
+            let u = chordLengthParameterize(first, last);
+            let bezier = generateBezier(first, last, u, tangent1, tangent2);
+            let error = computeMaxError(first, last, bezier, u);
+            const squaredTolerance = tolerance * tolerance;
+
+            if (error.maxDistance < squaredTolerance) {
+                result.push(bezier);
+                return;
+            }
+
+            // Close enough to try improving the parameterization first
+            if (error.maxDistance < squaredTolerance * 4) {
+                for (let i = 0; i < 20; i++) {
+                    u = reparameterize(first, bezier, u);
+                    bezier = generateBezier(first, last, u, tangent1, tangent2);
+                    error = computeMaxError(first, last, bezier, u);
+                    if (error.maxDistance < squaredTolerance) {
+                        result.push(bezier);
+                        return;
+                    }
+                }
+            }
+
+            // Split at the point of maximum error and fit both halves
+            const split = error.splitPoint;
+            const center = normalize(sub(points[split - 1], points[split + 1]));
+            fit(first, split, tangent1, center);
+            fit(split, last, { x: -center.x, y: -center.y }, tangent2);
+        };
+
+        if (points.length < 2) return result;
+        fit(0, points.length - 1, normalize(startTangent), normalize(endTangent));
+        return result;
+    }
+}
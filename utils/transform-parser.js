@@ -0,0 +1,220 @@
+/**
+ * TransformParser
+ * Parses SVG transform lists into affine matrices and serializes matrices back to the
+ * shortest equivalent transform list
+ * Implements the full transform grammar: matrix, translate, scale, rotate (with an optional
+ * center), skewX and skewY, separated by whitespace and/or commas, with exponent numbers
+ * (1e-3) and packed numbers (0.5.5). An invalid list counts as no transform, as in SVG.
+ * Matrices are {a, b, c, d, e, f} with x' = a*x + c*y + e, y' = b*x + d*y + f.
+ */
+class TransformParser {
+    constructor(editor) {
+        this.editor = editor;
+
+        // Allowed numbers of arguments for each transform function
+        this.argumentCounts = {
+            matrix: [6],
+            translate: [1, 2],
+            scale: [1, 2],
+            rotate: [1, 3],
+            skewX: [1],
+            skewY: [1]
+        };
+
+        this.decimals = 6; // Decimals written by serialize
+    }
+
+    identity() {
+        return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    }
+
+    /**
+     * Parse a transform list
+     * @param {string} value - Value of a transform attribute
+     * @returns {Array|null} Items {type, values} in order, or null if the list is invalid
+     */
+    parse(value) {
+        const items = [];
+        const itemPattern = /([a-zA-Z]+)\s*\(([^)]*)\)\s*,?\s*/y;
+        const source = (value || '').trim();
+
+        let index = 0;
+        while (index < source.length) {
+            itemPattern.lastIndex = index;
+            const match = itemPattern.exec(source);
+            if (!match || !this.argumentCounts[match[1]]) return null;
+
+            const values = this.parseNumbers(match[2]);
+            if (!values || !this.argumentCounts[match[1]].includes(values.length)) return null;
+
+            items.push({ type: match[1], values });
+            index = itemPattern.lastIndex;
+        }
+        return items;
+    }
+
+    /**
+     * Parse the arguments of one transform function
+     * @returns {Array|null} The numbers, or null on anything that is not a number
+     */
+    parseNumbers(text) {
+        const values = [];
+        const numberPattern = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+        const separatorPattern = /\s*,?\s*/y;
+
+        let index = text.match(/^\s*/)[0].length;
+        while (index < text.length) {
+            numberPattern.lastIndex = index;
+            const match = numberPattern.exec(text);
+            if (!match) return null;
+            values.push(parseFloat(match[0]));
+
+            separatorPattern.lastIndex = numberPattern.lastIndex;
+            separatorPattern.exec(text);
+            index = separatorPattern.lastIndex;
+        }
+        return values;
+    }
+
+    /**
+     * Matrix of a single transform list item
+     */
+    itemToMatrix(item) {
+        const v = item.values;
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+
+        switch (item.type) {
+            case 'matrix':
+                return { a: v[0], b: v[1], c: v[2], d: v[3], e: v[4], f: v[5] };
+            case 'translate':
+                return { a: 1, b: 0, c: 0, d: 1, e: v[0], f: v.length > 1 ? v[1] : 0 };
+            case 'scale':
+                return { a: v[0], b: 0, c: 0, d: v.length > 1 ? v[1] : v[0], e: 0, f: 0 };
+            case 'rotate': {
+                const cos = Math.cos(toRadians(v[0]));
+                const sin = Math.sin(toRadians(v[0]));
+                const cx = v.length > 1 ? v[1] : 0;
+                const cy = v.length > 1 ? v[2] : 0;
+                // translate(cx, cy) rotate(angle) translate(-cx, -cy)
+                return {
+                    a: cos, b: sin, c: -sin, d: cos,
+                    e: cx - cos * cx + sin * cy,
+                    f: cy - sin * cx - cos * cy
+                };
+            }
+            case 'skewX':
+                return { a: 1, b: 0, c: Math.tan(toRadians(v[0])), d: 1, e: 0, f: 0 };
+            case 'skewY':
+                return { a: 1, b: Math.tan(toRadians(v[0])), c: 0, d: 1, e: 0, f: 0 };
+        }
+        return this.identity();
+    }
+
+    /**
+     * Combined matrix of a transform list (the identity for an empty or invalid list)
+     * @param {string} value - Value of a transform attribute
+     */
+    toMatrix(value) {
+        const items = this.parse(value) || [];
+        const geometry = this.editor.pathGeometry;
+        return items.reduce((matrix, item) => geometry.multiplyMatrices(matrix, this.itemToMatrix(item)),
+            this.identity());
+    }
+
+    /**
+     * Matrix of an element's own transform attribute
+     */
+    getElementMatrix(element) {
+        return this.toMatrix(element.getAttribute('transform'));
+    }
+
+    /**
+     * Matrix from an element's coordinates to root SVG coordinates, composed from the
+     * transform attributes of the element and its ancestors
+     * Unlike getScreenCTM this also works for elements that are not rendered.
+     */
+    getElementToRootMatrix(element) {
+        const geometry = this.editor.pathGeometry;
+        let matrix = this.identity();
+        let node = element;
+        while (node && node.nodeType === 1 && node !== this.editor.svgElement) {
+            matrix = geometry.multiplyMatrices(this.getElementMatrix(node), matrix);
+            node = node.parentNode;
+        }
+        return matrix;
+    }
+
+    /**
+     * Split a matrix into translate(x, y) rotate(rotation) skewX(skewX) scale(scaleX, scaleY)
+     * Mirroring shows up as a negative scaleY.
+     * @returns {Object} {x, y, rotation, skewX, scaleX, scaleY}, angles in degrees
+     */
+    decompose(m) {
+        const scaleX = Math.hypot(m.a, m.b);
+        if (scaleX < 1e-12) {
+            return { x: m.e, y: m.f, rotation: 0, skewX: 0, scaleX: 0, scaleY: Math.hypot(m.c, m.d) };
+        }
+
+        const cos = m.a / scaleX;
+        const sin = m.b / scaleX;
+        const shear = m.c * cos + m.d * sin;
+        const scaleY = m.d * cos - m.c * sin;
+
+        return {
+            x: m.e,
+            y: m.f,
+            rotation: Math.atan2(m.b, m.a) * 180 / Math.PI,
+            skewX: Math.abs(scaleY) > 1e-12 ? Math.atan(shear / scaleY) * 180 / Math.PI : 0,
+            scaleX,
+            scaleY
+        };
+    }
+
+    /**
+     * Shortest transform list for a matrix
+     * Tries a translate, a scale (after a translate), then a rotate (about a center), and
+     * writes a matrix when none of them is equivalent.
+     * @returns {string} The transform list, empty for the identity
+     */
+    serialize(m) {
+        const factor = Math.pow(10, this.decimals);
+        const round = (value) => {
+            const rounded = Math.round(value * factor) / factor;
+            return rounded === 0 ? 0 : rounded; // No -0
+        };
+        const [a, b, c, d, e, f] = [m.a, m.b, m.c, m.d, m.e, m.f].map(round);
+        const translate = f === 0 ? `translate(${e})` : `translate(${e}, ${f})`;
+
+        const candidates = [];
+        if (a === 1 && b === 0 && c === 0 && d === 1) {
+            candidates.push(e === 0 && f === 0 ? '' : translate);
+        }
+        if (b === 0 && c === 0) {
+            const scale = a === d ? `scale(${a})` : `scale(${a}, ${d})`;
+            candidates.push(e === 0 && f === 0 ? scale : `${translate} ${scale}`);
+        }
+        if (Math.abs(m.a - m.d) < 1e-9 && Math.abs(m.b + m.c) < 1e-9 && Math.abs(m.a * m.a + m.b * m.b - 1) < 1e-9) {
+            const angle = round(Math.atan2(m.b, m.a) * 180 / Math.PI);
+            // The center stays in place: solve (I - R) * center = translation
+            const det = (1 - m.a) * (1 - m.a) + m.b * m.b;
+            if (e === 0 && f === 0) {
+                candidates.push(`rotate(${angle})`);
+            } else if (det > 1e-12) {
+                const cx = round(((1 - m.a) * m.e - m.b * m.f) / det);
+                const cy = round((m.b * m.e + (1 - m.a) * m.f) / det);
+                candidates.push(`rotate(${angle}, ${cx}, ${cy})`);
+            }
+        }
+
+        const matching = candidates.find(candidate => this.isEquivalent(this.toMatrix(candidate), m));
+        return matching !== undefined ? matching : `matrix(${[a, b, c, d, e, f].join(', ')})`;
+    }
+
+    /**
+     * Whether two matrices agree up to the rounding of serialize
+     */
+    isEquivalent(m1, m2) {
+        const tolerance = 2 * Math.pow(10, -this.decimals);
+        return ['a', 'b', 'c', 'd', 'e', 'f'].every(key => Math.abs(m1[key] - m2[key]) <= tolerance);
+    }
+}